@@ -0,0 +1,274 @@
+/**
+ * Orologio finto e casualità con seme per fake_clock, in MAIN world.
+ *
+ * Countdown, "3 minuti fa", caroselli e varianti A/B casuali cambiano a ogni
+ * cattura e rendono instabili screenshot_diff e assert. Qui Date,
+ * performance.now, setTimeout/setInterval e requestAnimationFrame passano da
+ * un orologio fermo che si sposta solo con advance e run_timers; Math.random,
+ * crypto.getRandomValues e randomUUID escono da un generatore con seme.
+ *
+ * Il file è registrato a document_start: la configurazione sta in
+ * sessionStorage, così dopo un reload la pagina riparte dallo stesso istante
+ * prima che i suoi script leggano l'ora. Stessa scheda e stessa origine; una
+ * navigazione verso un'altra origine torna all'ora vera.
+ *
+ * Nel browser l'API finisce in window.__cbClock; nei unit test Node si
+ * importa per side effect e createClock riceve una finestra finta.
+ */
+(() => {
+  if (globalThis.__cbClock) return;
+
+  const STORAGE_KEY = '__chromeBridge_clock';
+  // Un requestAnimationFrame ogni 16 ms, 60 fps come un monitor comune
+  const FRAME_MS = 16;
+  // Timer per chiamata: un setTimeout(0) che si rischedula da solo non deve
+  // bloccare la pagina dentro advance
+  const MAX_FIRED = 10000;
+
+  // mulberry32: 32 bit di stato, stessa sequenza per lo stesso seme
+  function seeded(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Installa l'orologio su win e restituisce i comandi. cfg.time è l'istante
+   * di partenza (ms o data ISO), cfg.timers 'fake' o 'real' (i timer
+   * continuano col tempo vero, l'ora resta ferma), cfg.seed opzionale.
+   */
+  function createClock(win, { time, timers = 'fake', seed = null } = {}) {
+    const OrigDate = win.Date;
+    // Cifre sole = epoch ms anche come stringa (dalla CLI arrivano così)
+    const start = time == null ? OrigDate.now() : /^-?\d+$/.test(String(time)) ? Number(time) : OrigDate.parse(time);
+    if (!Number.isFinite(start)) throw new Error(`Invalid time "${time}" — use an ISO date like 2026-01-15T09:30:00Z or epoch ms`);
+
+    const orig = {
+      Date: OrigDate,
+      perfNow: win.performance?.now,
+      setTimeout: win.setTimeout, clearTimeout: win.clearTimeout,
+      setInterval: win.setInterval, clearInterval: win.clearInterval,
+      requestAnimationFrame: win.requestAnimationFrame, cancelAnimationFrame: win.cancelAnimationFrame,
+      random: win.Math.random,
+      getRandomValues: win.crypto?.getRandomValues, randomUUID: win.crypto?.randomUUID,
+    };
+    let now = start;
+    let perf = orig.perfNow ? orig.perfNow.call(win.performance) : 0;
+    const pending = new Map(); // id → { at, fn, args, every, frame }
+    // Lontano dagli id veri, che il browser conta da 1: un clearTimeout di un
+    // timer creato prima del freeze non deve cancellarne uno finto
+    let nextId = 2 ** 30;
+    let fired = 0;
+    let errors = 0;
+    let truncated = false;
+
+    function FakeDate(...args) {
+      if (!new.target) return new OrigDate(now).toString();
+      return args.length ? new OrigDate(...args) : new OrigDate(now);
+    }
+    FakeDate.prototype = OrigDate.prototype;
+    FakeDate.now = () => now;
+    FakeDate.parse = OrigDate.parse;
+    FakeDate.UTC = OrigDate.UTC;
+    win.Date = FakeDate;
+    if (win.performance) win.performance.now = () => perf;
+
+    if (timers === 'fake') {
+      const schedule = (fn, delay, args, every, frame = false) => {
+        const id = nextId++;
+        // Stringhe come setTimeout('codice'): le eseguono gli eval della pagina
+        const run = typeof fn === 'function' ? fn : () => win.eval(String(fn));
+        pending.set(id, { at: now + Math.max(0, Number(delay) || 0), fn: run, args, every, frame });
+        return id;
+      };
+      win.setTimeout = (fn, delay, ...args) => schedule(fn, delay, args, null);
+      win.setInterval = (fn, delay, ...args) => schedule(fn, delay, args, Math.max(1, Number(delay) || 0));
+      // Un id che non è nostro è di un timer vero, creato prima del freeze
+      const clear = (key) => (id) => {
+        if (!pending.delete(id)) orig[key]?.call(win, id);
+      };
+      win.clearTimeout = clear('clearTimeout');
+      win.clearInterval = clear('clearInterval');
+      win.requestAnimationFrame = (fn) => schedule(fn, FRAME_MS - (now - start) % FRAME_MS, [], null, true);
+      win.cancelAnimationFrame = clear('cancelAnimationFrame');
+    }
+
+    if (seed != null) {
+      const next = seeded(seed);
+      win.Math.random = next;
+      if (win.crypto) {
+        win.crypto.getRandomValues = (array) => {
+          // Float32Array e simili: il controllo e l'errore sono quelli veri
+          if (!ArrayBuffer.isView(array) || array instanceof Float32Array || array instanceof Float64Array || array instanceof DataView) {
+            return orig.getRandomValues.call(win.crypto, array);
+          }
+          const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+          for (let i = 0; i < bytes.length; i++) bytes[i] = Math.floor(next() * 256);
+          return array;
+        };
+        win.crypto.randomUUID = () => {
+          const b = win.crypto.getRandomValues(new Uint8Array(16));
+          b[6] = (b[6] & 0x0f) | 0x40;
+          b[8] = (b[8] & 0x3f) | 0x80;
+          const hex = [...b].map((x) => x.toString(16).padStart(2, '0')).join('');
+          return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+        };
+      }
+    }
+
+    const move = (to) => {
+      perf += to - now;
+      now = to;
+    };
+
+    // Timer scaduti entro target, in ordine di scadenza (a pari scadenza
+    // quello creato prima); ognuno vede l'ora a cui doveva scattare
+    function runUntil(target) {
+      let count = 0;
+      truncated = false;
+      for (;;) {
+        let id = null;
+        let due = null;
+        for (const [k, t] of pending) {
+          if (t.at <= target && (due === null || t.at < due.at)) { id = k; due = t; }
+        }
+        if (!due) break;
+        if (count >= MAX_FIRED) {
+          truncated = true;
+          break;
+        }
+        move(Math.max(now, due.at));
+        if (due.every) due.at = now + due.every;
+        else pending.delete(id);
+        count++;
+        try {
+          if (due.frame) due.fn(perf);
+          else due.fn(...due.args);
+        } catch (err) {
+          errors++;
+          // Come un timer vero: l'errore arriva in console, gli altri scattano
+          if (win.reportError) win.reportError(err);
+        }
+      }
+      if (!truncated) move(Math.max(now, target));
+      fired += count;
+      return count;
+    }
+
+    const status = () => ({
+      installed: true,
+      time: new OrigDate(now).toISOString(),
+      now,
+      timers,
+      seed,
+      pending: pending.size,
+      ...(pending.size && { next_in_ms: Math.min(...[...pending.values()].map((t) => t.at)) - now }),
+      fired,
+      ...(errors && { errors }),
+      ...(truncated && { truncated: `stopped after ${MAX_FIRED} timers: a timer keeps rescheduling itself` }),
+    });
+
+    return {
+      status,
+      advance(ms) {
+        if (!(ms >= 0)) throw new Error('advance needs ms >= 0');
+        const count = runUntil(now + ms);
+        return { ...status(), fired_now: count };
+      },
+      // Fino all'ultimo timer in coda adesso: un setInterval scatta per tutto
+      // l'intervallo, ma non si insegue all'infinito
+      runTimers() {
+        const last = Math.max(now, ...[...pending.values()].map((t) => t.at));
+        const count = runUntil(last);
+        return { ...status(), fired_now: count };
+      },
+      uninstall() {
+        win.Date = orig.Date;
+        if (win.performance) {
+          // Nel browser now sta sul prototipo: basta togliere quello aggiunto
+          delete win.performance.now;
+          if (win.performance.now !== orig.perfNow) win.performance.now = orig.perfNow;
+        }
+        if (timers === 'fake') {
+          for (const key of ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'requestAnimationFrame', 'cancelAnimationFrame']) {
+            win[key] = orig[key];
+          }
+          // I timer in coda ripartono su quelli veri con il tempo che mancava.
+          // La pagina tiene ancora gli id finti: clear* li traduce in quelli
+          // nuovi, finché il timer non scatta
+          const moved = new Map(); // id finto → id vero
+          for (const [id, t] of pending) {
+            const once = (...args) => {
+              moved.delete(id);
+              return t.fn(...args);
+            };
+            if (t.frame) moved.set(id, win.requestAnimationFrame?.(once));
+            else if (t.every) moved.set(id, win.setInterval(t.fn, t.every, ...t.args));
+            else moved.set(id, win.setTimeout(once, t.at - now, ...t.args));
+          }
+          pending.clear();
+          if (moved.size) {
+            for (const key of ['clearTimeout', 'clearInterval', 'cancelAnimationFrame']) {
+              if (!orig[key]) continue;
+              win[key] = (id) => {
+                const real = moved.get(id);
+                moved.delete(id);
+                return orig[key].call(win, real ?? id);
+              };
+            }
+          }
+        }
+        if (seed != null) {
+          win.Math.random = orig.random;
+          if (win.crypto) {
+            win.crypto.getRandomValues = orig.getRandomValues;
+            win.crypto.randomUUID = orig.randomUUID;
+          }
+        }
+      },
+    };
+  }
+
+  /** Un comando di fake_clock sulla pagina corrente. */
+  function control(win, action, params = {}) {
+    const clock = win.__chromeBridge_clock;
+    const storage = (() => { try { return win.sessionStorage; } catch { return null; } })();
+    if (action === 'status') return clock ? clock.status() : { installed: false };
+    if (action === 'freeze') {
+      const cfg = { time: params.time ?? null, timers: params.timers ?? 'fake', seed: params.seed ?? null };
+      // Il reload riparte dall'istante scelto, non dall'ora del reload
+      if (cfg.time == null) cfg.time = win.Date.now();
+      clock?.uninstall();
+      win.__chromeBridge_clock = createClock(win, cfg);
+      try { storage?.setItem(STORAGE_KEY, JSON.stringify(cfg)); } catch { /* storage pieno o negato: vale fino al reload */ }
+      return win.__chromeBridge_clock.status();
+    }
+    if (action === 'reset') {
+      try { storage?.removeItem(STORAGE_KEY); } catch {}
+      if (!clock) return { installed: false, reset: false };
+      const last = clock.status();
+      clock.uninstall();
+      delete win.__chromeBridge_clock;
+      return { installed: false, reset: true, fired: last.fired, pending_released: last.pending };
+    }
+    if (!clock) throw new Error('No fake clock on this page: call fake_clock with action=freeze first');
+    if (action === 'advance') return clock.advance(params.ms);
+    if (action === 'run_timers') return clock.runTimers();
+    throw new Error(`Unknown action: ${action}`);
+  }
+
+  globalThis.__cbClock = { createClock, control, seeded };
+
+  // document_start: riprende l'orologio lasciato da freeze prima del reload
+  if (typeof window !== 'undefined' && !window.__chromeBridge_clock) {
+    try {
+      const saved = window.sessionStorage.getItem(STORAGE_KEY);
+      if (saved) window.__chromeBridge_clock = createClock(window, JSON.parse(saved));
+    } catch { /* origine opaca (sandbox, data:): niente storage, niente orologio */ }
+  }
+})();
@@ -6,6 +6,10 @@
  * è attiva (toggle nel popup): pagine non in debug hanno zero footprint.
  * La cattura non deve mai lanciare nella pagina: ogni hook è in try/catch e
  * delega sempre all'originale.
+ *
+ * Gli errori sono anche segnalati con un evento DOM: console-relay.js, nel
+ * mondo ISOLATED, li inoltra al service worker (qui chrome.runtime non c'è).
+ * Il detail è una stringa: gli oggetti non attraversano i mondi.
  */
 (() => {
   if (window.__chromeBridge_consoleHooked) return;
@@ -16,6 +20,9 @@
     const buf = window.__chromeBridge_consoleLogs;
     if (buf.length >= MAX) buf.shift(); // ring buffer: tieni i più recenti, non i primi 1000
     buf.push(entry);
+    if (entry.level === 'error') {
+      window.dispatchEvent(new CustomEvent('__chromeBridge_consoleError', { detail: entry.args.join(' ').slice(0, 500) }));
+    }
   };
   for (const method of ['log', 'warn', 'error', 'info', 'debug']) {
     const orig = console[method].bind(console);
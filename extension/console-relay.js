@@ -0,0 +1,51 @@
+/**
+ * Iniettato a document_start nel mondo ISOLATED accanto a console-capture.js:
+ * inoltra al service worker gli errori che quello segnala con un evento DOM,
+ * così il server li spinge ai client MCP senza aspettare un read_console.
+ *
+ * Una pagina che logga errori in un ciclo non deve inondare il WebSocket:
+ * al massimo MAX_PER_SECOND messaggi al secondo, gli altri si contano e
+ * partono come un solo messaggio riassuntivo.
+ *
+ * Tiene anche aperta una porta verso il service worker: chrome.tabs non
+ * segnala il crash del renderer, ma una porta che cade senza navigazione,
+ * chiusura o discard della scheda è proprio quello (lo decide il SW).
+ */
+(() => {
+  if (window.__chromeBridge_consoleRelay) return;
+  window.__chromeBridge_consoleRelay = true;
+  const MAX_PER_SECOND = 10;
+  let windowStart = 0;
+  let sent = 0;
+  let dropped = 0;
+
+  const forward = (text) => {
+    try {
+      chrome.runtime.sendMessage({ type: 'pageEvent', event: 'console', data: { level: 'error', text } }).catch(() => {});
+    } catch { /* estensione ricaricata: il contesto non c'è più */ }
+  };
+
+  window.addEventListener('__chromeBridge_consoleError', (e) => {
+    const now = Date.now();
+    if (now - windowStart >= 1000) {
+      if (dropped) forward(`(${dropped} more console errors in the last second)`);
+      windowStart = now;
+      sent = 0;
+      dropped = 0;
+    }
+    if (sent >= MAX_PER_SECOND) { dropped++; return; }
+    sent++;
+    forward(String(e.detail ?? ''));
+  });
+
+  // Il SW che si riavvia chiude la porta dal suo lato: si riapre una volta
+  // al secondo finché l'estensione esiste (dopo un reload runtime.id sparisce)
+  const connect = () => {
+    try {
+      chrome.runtime.connect({ name: 'chrome-bridge-page' }).onDisconnect.addListener(() => {
+        if (chrome.runtime?.id) setTimeout(connect, 1000);
+      });
+    } catch { /* contesto invalidato */ }
+  };
+  connect();
+})();
@@ -0,0 +1,47 @@
+/**
+ * Quali comandi aspettano un sì umano quando la modalità approvazione è
+ * attiva (popup, ⚙).
+ *
+ * Sono i comandi dei tool che il server annota destructiveHint: eseguire
+ * codice nella pagina, chiudere o ricaricare schede, richieste HTTP,
+ * sovrascrivere storage o file. La lista vive nell'estensione perché è lei a
+ * fermare il comando: un server che dimentica di chiedere non salta il
+ * controllo. approval.test.js la tiene allineata a TOOL_ANNOTATIONS, meno
+ * SERVER_SIDE_WRITES.
+ */
+
+export const APPROVAL_COMMANDS = new Set([
+  'execute_js', 'tab_action', 'http_request', 'set_storage', 'save_page', 'read_console', 'cdp',
+]);
+
+// Tool destructiveHint il cui comando all'estensione non distrugge niente:
+// screenshot_diff manda solo la cattura, e le baseline le scrive il server.
+// Fermarlo qui bloccherebbe ogni confronto senza proteggere nulla.
+export const SERVER_SIDE_WRITES = new Set(['screenshot_diff']);
+
+// Oltre questa misura i parametri non si mostrano e il comando si può solo
+// negare: troncarli lascerebbe il pezzo dannoso dopo un riempitivo innocuo,
+// e quello che chi approva non vede non lo sta approvando.
+const MAX_REVIEW_CHARS = 20000;
+
+/** Vero se il comando va approvato prima di eseguirlo. */
+export function needsApproval(type, params = {}) {
+  if (!APPROVAL_COMMANDS.has(type)) return false;
+  // read_console distrugge solo con clear: leggere il buffer non cancella niente
+  if (type === 'read_console') return params?.clear === true;
+  // cdp: enable, disable e status non toccano la pagina, send sì
+  if (type === 'cdp') return (params?.action ?? 'send') === 'send';
+  return true;
+}
+
+/**
+ * Parametri da mostrare a chi approva, interi, senza l'instradamento
+ * (browser, session) che non dice niente a una persona. { params, reviewable }:
+ * oltre MAX_REVIEW_CHARS params è null, reviewable false e size la misura.
+ */
+export function approvalParams(params = {}) {
+  const { browser: _b, session: _s, ...rest } = params ?? {};
+  const size = (JSON.stringify(rest, null, 2) ?? '').length;
+  if (size > MAX_REVIEW_CHARS) return { params: null, reviewable: false, size };
+  return { params: rest, reviewable: true };
+}
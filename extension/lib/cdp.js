@@ -0,0 +1,243 @@
+/**
+ * Backend Chrome DevTools Protocol (chrome.debugger), opt-in per sessione.
+ *
+ * Senza debugger i comandi sono patch nel MAIN world: matchMedia e
+ * navigator.userAgent ridefiniti, geolocation sostituita, fetch/XHR avvolti.
+ * Una pagina le vede (basta `fetch.toString()`) e non coprono il traffico del
+ * service worker né i preload. Con `cdp enable` gli stessi comandi passano da
+ * Emulation, Input, Runtime e Network: niente di iniettato, eventi trusted.
+ *
+ * Qui solo le traduzioni pure, parametri dei comandi → parametri CDP ed
+ * eventi CDP → voci di monitor_network; attach, detach e invio stanno nel
+ * service worker. cdp.test.js le verifica senza Chrome.
+ */
+
+export const CDP_VERSION = '1.3';
+
+// Comandi che con il backend attivo passano da CDP. Solo frame principale:
+// iframe (frame_id) e fonti diverse restano sulla strada delle patch.
+export const CDP_COMMANDS = new Set([
+  'execute_js', 'click', 'type_text', 'press_key', 'emulate_media', 'set_geolocation', 'monitor_network',
+]);
+
+// Comandi con input trusted (Input.dispatch*): `input: 'trusted'` sulla
+// singola chiamata, o di default con il backend acceso
+export const TRUSTED_INPUT_COMMANDS = new Set(['click', 'type_text', 'press_key']);
+
+/** Emulation.setEmulatedMedia da colorScheme, reducedMotion e printMode. */
+export function emulatedMedia({ colorScheme, reducedMotion, printMode = false } = {}) {
+  const features = [];
+  if (colorScheme) features.push({ name: 'prefers-color-scheme', value: colorScheme });
+  if (reducedMotion) features.push({ name: 'prefers-reduced-motion', value: reducedMotion });
+  return { media: printMode ? 'print' : '', features };
+}
+
+/**
+ * Sequenza Input.dispatchMouseEvent per N click nel punto (x, y), in pixel
+ * CSS del viewport: prima il movimento, così hover e :hover scattano come
+ * con un mouse vero; clickCount cresce, ed è lui a produrre il dblclick.
+ */
+export function mouseClicks(x, y, { button = 'left', count = 1 } = {}) {
+  const buttons = button === 'right' ? 2 : button === 'middle' ? 4 : 1;
+  const events = [{ type: 'mouseMoved', x, y, button: 'none', buttons: 0 }];
+  for (let i = 1; i <= Math.max(1, Number(count) || 1); i++) {
+    events.push({ type: 'mousePressed', x, y, button, buttons, clickCount: i });
+    events.push({ type: 'mouseReleased', x, y, button, buttons: 0, clickCount: i });
+  }
+  return events;
+}
+
+// Tasti non stampabili: code e virtual key code come li manda una tastiera
+// US. Enter ha testo "\r": è il keypress che invia un form.
+const NAMED_KEYS = {
+  Enter: [13, 'Enter', '\r'], Tab: [9, 'Tab'], Escape: [27, 'Escape'], Backspace: [8, 'Backspace'],
+  Delete: [46, 'Delete'], Insert: [45, 'Insert'], Home: [36, 'Home'], End: [35, 'End'],
+  PageUp: [33, 'PageUp'], PageDown: [34, 'PageDown'],
+  ArrowLeft: [37, 'ArrowLeft'], ArrowUp: [38, 'ArrowUp'], ArrowRight: [39, 'ArrowRight'], ArrowDown: [40, 'ArrowDown'],
+  ' ': [32, 'Space', ' '],
+  ...Object.fromEntries(Array.from({ length: 12 }, (_, i) => [`F${i + 1}`, [112 + i, `F${i + 1}`]])),
+};
+const PUNCTUATION = {
+  ';': [186, 'Semicolon'], '=': [187, 'Equal'], ',': [188, 'Comma'], '-': [189, 'Minus'], '.': [190, 'Period'],
+  '/': [191, 'Slash'], '`': [192, 'Backquote'], '[': [219, 'BracketLeft'], '\\': [220, 'Backslash'],
+  ']': [221, 'BracketRight'], "'": [222, 'Quote'],
+};
+
+/**
+ * Input.dispatchKeyEvent per un tasto: keyDown (rawKeyDown se non produce
+ * testo) e keyUp. Un carattere stampabile porta il suo testo, che genera
+ * keypress e input; con Ctrl, Alt o Meta è una scorciatoia e il testo non c'è.
+ * Caratteri fuori dalla tastiera US (è, emoji) passano con il solo testo.
+ */
+export function keyEvents(key, { ctrl = false, shift = false, alt = false, meta = false } = {}) {
+  const modifiers = (alt ? 1 : 0) | (ctrl ? 2 : 0) | (meta ? 4 : 0) | (shift ? 8 : 0);
+  let def = NAMED_KEYS[key];
+  if (!def && key.length === 1) {
+    if (/^[a-z]$/i.test(key)) def = [key.toUpperCase().charCodeAt(0), `Key${key.toUpperCase()}`, key];
+    else if (/^[0-9]$/.test(key)) def = [key.charCodeAt(0), `Digit${key}`, key];
+    else def = PUNCTUATION[key] ? [...PUNCTUATION[key], key] : [0, '', key];
+  }
+  if (!def) throw new Error(`Unknown key "${key}" — use a single character or a name like Enter, Tab, Escape, ArrowDown, F5`);
+  const [vk, code, chars] = def;
+  const shortcut = ctrl || alt || meta;
+  let text = shortcut ? undefined : chars;
+  if (text && shift && /^[a-z]$/.test(text)) text = text.toUpperCase();
+  const base = { key, code, windowsVirtualKeyCode: vk, nativeVirtualKeyCode: vk, modifiers };
+  return [
+    { type: text ? 'keyDown' : 'rawKeyDown', ...base, ...(text && { text, unmodifiedText: chars }) },
+    { type: 'keyUp', ...base },
+  ];
+}
+
+// Formati carta in pollici, l'unità di Page.printToPDF
+const PAPER_SIZES = {
+  letter: [8.5, 11], legal: [8.5, 14], tabloid: [11, 17],
+  a3: [11.69, 16.54], a4: [8.27, 11.69], a5: [5.83, 8.27],
+};
+const INCHES_PER = { in: 1, cm: 1 / 2.54, mm: 1 / 25.4, px: 1 / 96 };
+
+function inches(value, what) {
+  const m = /^(\d+(?:\.\d+)?)(in|cm|mm|px)?$/.exec(String(value).trim());
+  // Senza unità solo lo zero: "10" in pollici sarebbe un foglio di 25 cm
+  if (!m || (!m[2] && Number(m[1]) !== 0)) throw new Error(`Invalid ${what} "${value}" — use a length like 1cm, 10mm, 0.5in or 40px`);
+  return Number(m[1]) * INCHES_PER[m[2] ?? 'in'];
+}
+
+/**
+ * Parametri di Page.printToPDF da quelli di print_pdf. paper è un nome
+ * (a4, letter…), "LARGHEZZAxALTEZZA" con unità, o "css" per il @page size
+ * della pagina; margin segue l'ordine di CSS (1, 2 o 4 valori). Un solo
+ * template basta ad accendere header e footer: l'altro va vuoto, altrimenti
+ * Chrome ci mette data e titolo.
+ */
+export function pdfOptions({
+  paper, margin, landscape = false, scale, header_template, footer_template, page_ranges, background = false,
+} = {}) {
+  const opts = { landscape: landscape === true, printBackground: background === true, transferMode: 'ReturnAsBase64' };
+  const size = String(paper ?? '').trim().toLowerCase();
+  if (size === 'css') {
+    opts.preferCSSPageSize = true;
+  } else if (size) {
+    const named = PAPER_SIZES[size];
+    const custom = /^(\S+?)\s*x\s*(\S+)$/.exec(size);
+    if (!named && !custom) throw new Error(`Unknown paper "${paper}" — use ${Object.keys(PAPER_SIZES).join(', ')}, css, or WIDTHxHEIGHT like 210mmx297mm`);
+    [opts.paperWidth, opts.paperHeight] = named ?? [inches(custom[1], 'paper width'), inches(custom[2], 'paper height')];
+  }
+  if (margin != null) {
+    const parts = String(margin).trim().split(/\s+/).map((v) => inches(v, 'margin'));
+    if (parts.length === 3 || parts.length > 4) throw new Error(`Invalid margin "${margin}" — give 1, 2 or 4 lengths (top right bottom left)`);
+    const [top, right = top, bottom = top, left = right] = parts;
+    Object.assign(opts, { marginTop: top, marginRight: right, marginBottom: bottom, marginLeft: left });
+  }
+  if (scale != null) {
+    if (!(scale >= 0.1 && scale <= 2)) throw new Error(`scale must be between 0.1 and 2, got ${scale}`);
+    opts.scale = scale;
+  }
+  if (header_template || footer_template) {
+    opts.displayHeaderFooter = true;
+    opts.headerTemplate = header_template || '<span></span>';
+    opts.footerTemplate = footer_template || '<span></span>';
+  }
+  if (page_ranges) opts.pageRanges = String(page_ranges).replace(/\s+/g, '');
+  return opts;
+}
+
+/** Valore di Runtime.evaluate (returnByValue), o l'eccezione della pagina come Error. */
+export function evaluateResult(res) {
+  if (res?.exceptionDetails) {
+    const d = res.exceptionDetails;
+    throw new Error(d.exception?.description?.split('\n')[0] ?? d.exception?.value ?? d.text ?? 'Evaluation failed');
+  }
+  const r = res?.result ?? {};
+  if (r.type === 'undefined') return null;
+  // Non serializzabile (DOM node, funzione): la descrizione al posto del niente
+  if (!('value' in r)) return r.description ?? null;
+  return r.value;
+}
+
+const headerList = (headers) => Object.entries(headers ?? {}).map(([name, value]) => ({ name, value }));
+
+/**
+ * Log di rete di una scheda dagli eventi del dominio Network, nella stessa
+ * forma delle voci dell'hook in pagina (type, method, url, startTime, status,
+ * duration, error, header e body): formatter e HAR non distinguono la fonte.
+ * Ogni salto di redirect è una voce a sé, come in source=browser.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.max=1000] - ring buffer: si scartano le più vecchie
+ */
+export function createNetworkLog({ max = 1000 } = {}) {
+  let entries = [];
+  const live = new Map(); // requestId → voce in corso
+  // timestamp CDP (secondi monotoni) → ms dall'inizio della richiesta
+  const since = (entry, ts) => Math.round((ts - entry._ts) * 1000);
+  const push = (entry) => {
+    entries.push(entry);
+    if (entries.length > max) entries.shift();
+  };
+  const finish = (p, fields) => {
+    const entry = live.get(p.requestId);
+    if (!entry) return null;
+    live.delete(p.requestId);
+    Object.assign(entry, fields, { duration: since(entry, p.timestamp) });
+    return entry;
+  };
+
+  return {
+    get entries() { return entries; },
+
+    /**
+     * Un evento Network.*. Restituisce la voce appena conclusa con successo
+     * (il service worker ne legge il body), altrimenti null.
+     */
+    handle(method, p) {
+      switch (method) {
+        case 'Network.requestWillBeSent': {
+          if (p.redirectResponse) {
+            finish(p, { status: p.redirectResponse.status, redirectURL: p.request.url, responseHeaders: headerList(p.redirectResponse.headers) });
+          }
+          const entry = {
+            type: String(p.type ?? 'other').toLowerCase(),
+            method: p.request.method,
+            url: p.request.url,
+            startTime: Math.round((p.wallTime ?? Date.now() / 1000) * 1000),
+            status: null,
+            duration: null,
+            error: null,
+            requestHeaders: headerList(p.request.headers),
+          };
+          if (p.request.postData != null) entry.requestBody = { mimeType: p.request.headers?.['Content-Type'] ?? '', size: p.request.postData.length, text: p.request.postData };
+          Object.defineProperty(entry, '_ts', { value: p.timestamp, enumerable: false });
+          Object.defineProperty(entry, '_id', { value: p.requestId, enumerable: false });
+          live.set(p.requestId, entry);
+          push(entry);
+          return null;
+        }
+        case 'Network.responseReceived': {
+          const entry = live.get(p.requestId);
+          if (!entry) return null;
+          entry.status = p.response.status;
+          entry.mimeType = p.response.mimeType;
+          entry.responseHeaders = headerList(p.response.headers);
+          if (p.response.fromServiceWorker) entry.fromServiceWorker = true;
+          if (p.response.fromDiskCache || p.response.fromPrefetchCache) entry.fromCache = true;
+          if (p.response.remoteIPAddress) entry.serverIPAddress = p.response.remoteIPAddress;
+          return null;
+        }
+        case 'Network.loadingFinished':
+          return finish(p, { size: p.encodedDataLength });
+        case 'Network.loadingFailed':
+          finish(p, { error: p.canceled ? 'canceled' : p.blockedReason ? `blocked:${p.blockedReason}` : p.errorText });
+          return null;
+        default:
+          return null;
+      }
+    },
+
+    /** Toglie le voci consegnate (clear di monitor_network). */
+    drop(shown) {
+      const gone = new Set(shown);
+      entries = entries.filter((e) => !gone.has(e));
+    },
+  };
+}
@@ -0,0 +1,379 @@
+/**
+ * Locator semantici accanto ai selettori CSS, per ogni parametro `selector`:
+ *
+ *   role=button[name="Save"]     ruolo ARIA (esplicito o implicito) e nome accessibile
+ *   text="Sign in"               testo visibile; tra virgolette esatto, senza sottostringa
+ *   label=Email                  controllo di un form per la sua etichetta
+ *   placeholder=Search…          attributo placeholder
+ *   testid=checkout              data-testid
+ *   css=form.login               CSS esplicito, utile nelle catene
+ *   #cart >> role=button >> nth=1    catena: ogni passo cerca dentro il precedente
+ *
+ * I valori senza virgolette confrontano per sottostringa senza distinguere le
+ * maiuscole, quelli tra virgolette per uguaglianza esatta, `/…/` è una regex
+ * (come in assert). nth=N sceglie l'N-esimo risultato (da 0; -1 l'ultimo).
+ * Le ricerche attraversano gli shadow root aperti, come ">>>".
+ *
+ * I selettori CSS generati (`div:nth-of-type(3) > button`) cambiano a ogni
+ * deploy; ruolo, nome ed etichetta sono ciò che un utente vede e cambiano
+ * molto meno.
+ *
+ * installLocator viene serializzata e iniettata nella pagina con
+ * chrome.scripting.executeScript, quindi è autocontenuta come buildMarkdown:
+ * installa window.__chromeBridge_locator, che i comandi usano quando il
+ * selettore è un locator. Ruolo e nome accessibile sono gli stessi che
+ * read_page(mode="accessibility") mostra; bundle() ne ricava le strategie di
+ * riserva che session_record salva accanto a ogni step su un elemento.
+ */
+export function installLocator(scope) {
+  const g = scope || globalThis;
+  const VERSION = 2;
+  if (g.__chromeBridge_locator?.version === VERSION) return g.__chromeBridge_locator;
+
+  const ENGINES = ['role', 'text', 'label', 'placeholder', 'testid', 'css', 'nth'];
+  const ENGINE_RE = new RegExp(`^(${ENGINES.join('|')})=`);
+  const clean = (s) => String(s ?? '').replace(/\s+/g, ' ').trim();
+  const tag = (el) => (el.tagName || '').toLowerCase();
+  const attr = (el, n) => (el.getAttribute ? el.getAttribute(n) : null);
+
+  // Divide su " >> " fuori dalle virgolette; ">>>" (shadow piercing) resta intero
+  function splitChain(sel) {
+    const parts = [];
+    let cur = '', quote = null;
+    for (let i = 0; i < sel.length; i++) {
+      const ch = sel[i];
+      if (quote) {
+        if (ch === '\\') { cur += ch + (sel[i + 1] ?? ''); i++; continue; }
+        if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '>' && sel[i + 1] === '>' && sel[i + 2] !== '>' && sel[i - 1] !== '>') {
+        parts.push(cur.trim());
+        cur = '';
+        i++;
+        continue;
+      }
+      cur += ch;
+    }
+    parts.push(cur.trim());
+    return parts.filter(Boolean);
+  }
+
+  function isLocator(sel) {
+    return typeof sel === 'string' && splitChain(sel).some((p) => ENGINE_RE.test(p));
+  }
+
+  /** Valore → { test(s) } secondo le regole di virgolette e regex. */
+  function matcher(raw) {
+    const v = String(raw ?? '').trim();
+    const re = v.match(/^\/(.+)\/([a-z]*)$/s);
+    if (re) {
+      const rx = new RegExp(re[1], re[2]);
+      return { test: (s) => rx.test(clean(s)), text: v };
+    }
+    const q = v.match(/^(["'])(.*)\1$/s);
+    if (q) {
+      const want = q[2].replace(/\\(.)/g, '$1');
+      return { test: (s) => clean(s) === want, exact: true, text: want };
+    }
+    const low = v.toLowerCase();
+    return { test: (s) => clean(s).toLowerCase().includes(low), text: v };
+  }
+
+  function parseRole(body) {
+    const m = body.match(/^([a-z]+)\s*(.*)$/is);
+    if (!m) throw new Error(`Invalid role locator: role=${body}`);
+    const opts = {};
+    const re = /\[\s*([a-z-]+)\s*(?:=\s*("(?:\\.|[^"])*"|'(?:\\.|[^'])*'|\/(?:\\.|[^/])+\/[a-z]*|[^\]]*?))?\s*\]/gi;
+    let rest = m[2], mm;
+    while ((mm = re.exec(m[2]))) {
+      opts[mm[1].toLowerCase()] = mm[2] === undefined ? true : mm[2].trim();
+      rest = rest.replace(mm[0], '');
+    }
+    if (rest.trim()) throw new Error(`Invalid role locator: role=${body}`);
+    return { role: m[1].toLowerCase(), opts };
+  }
+
+  /** Una parte della catena → { engine, ... } */
+  function parsePart(part) {
+    const m = part.match(ENGINE_RE);
+    if (!m) return { engine: 'css', value: part };
+    const engine = m[1];
+    const body = part.slice(m[0].length).trim();
+    if (engine === 'nth') {
+      if (!/^-?\d+$/.test(body)) throw new Error(`nth= needs an integer: ${part}`);
+      return { engine, index: Number(body) };
+    }
+    if (engine === 'role') return { engine, ...parseRole(body) };
+    if (engine === 'css') return { engine, value: body };
+    if (!body) throw new Error(`Empty locator: ${part}`);
+    return { engine, match: matcher(body) };
+  }
+
+  function parse(sel) {
+    return splitChain(sel).map(parsePart);
+  }
+
+  // --- albero: tutti gli elementi sotto root, shadow root aperti compresi ---
+  function all(root) {
+    const out = [];
+    const visit = (node) => {
+      for (const el of node.children || []) {
+        out.push(el);
+        if (el.shadowRoot) visit(el.shadowRoot);
+        visit(el);
+      }
+    };
+    visit(root);
+    return out;
+  }
+
+  function cssAll(root, sel) {
+    // ">>>" dentro una parte CSS: stessa semantica di deepQuery nei comandi
+    const parts = sel.split('>>>').map((s) => s.trim());
+    let ctxs = [root];
+    for (let i = 0; i < parts.length; i++) {
+      const found = ctxs.flatMap((c) => [...c.querySelectorAll(parts[i])]);
+      if (i === parts.length - 1) return found;
+      ctxs = found.map((f) => f.shadowRoot).filter(Boolean);
+    }
+    return [];
+  }
+
+  // --- visibilità: i locator di ruolo e testo ignorano ciò che non si vede ---
+  function hidden(el) {
+    for (let n = el; n && n.nodeType === 1; n = n.parentElement || n.getRootNode?.().host) {
+      if (attr(n, 'aria-hidden') === 'true' || n.hidden) return true;
+      if (typeof getComputedStyle === 'function') {
+        const cs = getComputedStyle(n);
+        if (cs.display === 'none' || cs.visibility === 'hidden') return true;
+      }
+    }
+    return false;
+  }
+
+  // --- ruolo implicito (HTML-AAM, i casi comuni) ---
+  const INPUT_ROLES = {
+    button: 'button', submit: 'button', reset: 'button', image: 'button', checkbox: 'checkbox', radio: 'radio',
+    range: 'slider', number: 'spinbutton', search: 'searchbox', email: 'textbox', tel: 'textbox', text: 'textbox',
+    url: 'textbox', password: 'textbox',
+  };
+  const TAG_ROLES = {
+    article: 'article', aside: 'complementary', button: 'button', datalist: 'listbox', details: 'group',
+    dialog: 'dialog', fieldset: 'group', figure: 'figure', footer: 'contentinfo', form: 'form', header: 'banner',
+    hr: 'separator', li: 'listitem', main: 'main', menu: 'list', meter: 'meter', nav: 'navigation', ol: 'list',
+    optgroup: 'group', option: 'option', output: 'status', progress: 'progressbar', summary: 'button',
+    table: 'table', tbody: 'rowgroup', thead: 'rowgroup', tfoot: 'rowgroup', tr: 'row', td: 'cell',
+    textarea: 'textbox', ul: 'list', h1: 'heading', h2: 'heading', h3: 'heading', h4: 'heading', h5: 'heading', h6: 'heading',
+  };
+
+  function role(el) {
+    const explicit = clean(attr(el, 'role')).split(' ')[0];
+    if (explicit) return explicit.toLowerCase();
+    const t = tag(el);
+    if (t === 'a' || t === 'area') return attr(el, 'href') != null ? 'link' : null;
+    if (t === 'img') return attr(el, 'alt') === '' ? 'presentation' : 'img';
+    if (t === 'input') {
+      const type = (attr(el, 'type') || 'text').toLowerCase();
+      if (type === 'hidden') return null;
+      if (attr(el, 'list') && ['text', 'search', 'email', 'tel', 'url'].includes(type)) return 'combobox';
+      return INPUT_ROLES[type] || 'textbox';
+    }
+    if (t === 'select') return attr(el, 'multiple') != null || Number(attr(el, 'size')) > 1 ? 'listbox' : 'combobox';
+    if (t === 'th') return attr(el, 'scope') === 'row' ? 'rowheader' : 'columnheader';
+    // section è una regione solo se ha un nome
+    if (t === 'section') return attr(el, 'aria-label') || attr(el, 'aria-labelledby') ? 'region' : null;
+    return TAG_ROLES[t] || null;
+  }
+
+  // Ruoli il cui nome viene dal contenuto (accname: "name from content")
+  const NAME_FROM_CONTENT = new Set([
+    'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link', 'menuitem', 'menuitemcheckbox',
+    'menuitemradio', 'option', 'radio', 'row', 'rowheader', 'switch', 'tab', 'tooltip', 'treeitem', 'listitem',
+  ]);
+
+  function textOf(el, depth = 0) {
+    if (depth > 20) return '';
+    let s = '';
+    for (const n of el.childNodes || []) {
+      if (n.nodeType === 3) s += n.textContent;
+      else if (n.nodeType === 1) {
+        if (['script', 'style', 'template'].includes(tag(n)) || attr(n, 'aria-hidden') === 'true') continue;
+        s += ' ' + (tag(n) === 'img' ? attr(n, 'alt') || '' : (attr(n, 'aria-label') || textOf(n, depth + 1))) + ' ';
+      }
+    }
+    return s;
+  }
+
+  function byIds(el, ids) {
+    const doc = el.ownerDocument || (typeof document !== 'undefined' ? document : null);
+    return clean(ids).split(' ').map((id) => doc?.getElementById(id)).filter(Boolean).map((n) => clean(textOf(n))).join(' ');
+  }
+
+  function labelsOf(el) {
+    if (el.labels?.length) return [...el.labels];
+    const out = [];
+    const id = attr(el, 'id');
+    const doc = el.ownerDocument || (typeof document !== 'undefined' ? document : null);
+    if (id && doc?.querySelectorAll) out.push(...[...doc.querySelectorAll('label')].filter((l) => attr(l, 'for') === id));
+    for (let p = el.parentElement; p; p = p.parentElement) if (tag(p) === 'label') { out.push(p); break; }
+    return out;
+  }
+
+  /** Nome accessibile (accname semplificato: labelledby, label, etichette, alt, contenuto, title). */
+  function name(el) {
+    const labelledby = attr(el, 'aria-labelledby');
+    if (labelledby) {
+      const s = byIds(el, labelledby);
+      if (s) return s;
+    }
+    const aria = clean(attr(el, 'aria-label'));
+    if (aria) return aria;
+    const t = tag(el);
+    const type = (attr(el, 'type') || '').toLowerCase();
+    if (t === 'input' && ['button', 'submit', 'reset'].includes(type)) {
+      return clean(attr(el, 'value')) || (type === 'submit' ? 'Submit' : type === 'reset' ? 'Reset' : '');
+    }
+    if (t === 'input' && type === 'image') return clean(attr(el, 'alt')) || 'Submit';
+    if (['input', 'select', 'textarea', 'meter', 'progress', 'output'].includes(t)) {
+      const s = labelsOf(el).map((l) => clean(textOf(l))).filter(Boolean).join(' ');
+      if (s) return s;
+      const ph = clean(attr(el, 'placeholder'));
+      if (ph) return ph;
+    }
+    if (t === 'img' || t === 'area') {
+      const alt = clean(attr(el, 'alt'));
+      if (alt) return alt;
+    }
+    const first = (sel) => el.querySelector?.(sel);
+    if (t === 'fieldset' && first('legend')) return clean(textOf(first('legend')));
+    if (t === 'table' && first('caption')) return clean(textOf(first('caption')));
+    if (t === 'figure' && first('figcaption')) return clean(textOf(first('figcaption')));
+    if (NAME_FROM_CONTENT.has(role(el))) {
+      const s = clean(textOf(el));
+      if (s) return s;
+    }
+    return clean(attr(el, 'title'));
+  }
+
+  function level(el) {
+    const aria = Number(attr(el, 'aria-level'));
+    if (aria) return aria;
+    const m = tag(el).match(/^h([1-6])$/);
+    return m ? Number(m[1]) : null;
+  }
+
+  // Stati ARIA usabili come filtro: role=checkbox[checked], role=tab[selected=false]
+  function state(el, key) {
+    if (key === 'disabled') return (el.disabled ?? attr(el, 'disabled') != null) === true || attr(el, 'aria-disabled') === 'true';
+    if (key === 'checked' && tag(el) === 'input') return el.checked ?? attr(el, 'checked') != null;
+    const v = attr(el, `aria-${key}`);
+    return v === 'true' || (v == null && key === 'selected' && el.selected === true);
+  }
+
+  function matchRole(el, { role: wanted, opts }) {
+    if (role(el) !== wanted || hidden(el)) return false;
+    if (opts.name !== undefined && opts.name !== true && !matcher(opts.name).test(name(el))) return false;
+    if (opts.level !== undefined && level(el) !== Number(opts.level)) return false;
+    for (const key of ['checked', 'disabled', 'expanded', 'pressed', 'selected']) {
+      if (opts[key] === undefined) continue;
+      const want = opts[key] === true || opts[key] === 'true';
+      if (state(el, key) !== want) return false;
+    }
+    return true;
+  }
+
+  const SKIP_TEXT = new Set(['script', 'style', 'template', 'noscript', 'head', 'title']);
+
+  function findText(root, m) {
+    const hits = all(root).filter((el) => !SKIP_TEXT.has(tag(el)) && m.test(textOf(el)));
+    // Il più interno: <li><a>Sign in</a></li> è il link, non la voce di lista
+    return hits.filter((el) => !hits.some((o) => o !== el && el.contains(o)) && !hidden(el));
+  }
+
+  function step(roots, part) {
+    if (part.engine === 'nth') {
+      const i = part.index < 0 ? roots.length + part.index : part.index;
+      return roots[i] ? [roots[i]] : [];
+    }
+    const out = [];
+    for (const r of roots) {
+      let found;
+      if (part.engine === 'css') found = cssAll(r, part.value);
+      else if (part.engine === 'role') found = all(r).filter((el) => matchRole(el, part));
+      else if (part.engine === 'text') found = findText(r, part.match);
+      else if (part.engine === 'label') {
+        found = all(r).filter((el) => ['input', 'select', 'textarea'].includes(tag(el)) || attr(el, 'contenteditable') != null || attr(el, 'role'))
+          .filter((el) => {
+            const aria = attr(el, 'aria-label');
+            const by = attr(el, 'aria-labelledby');
+            return (aria && part.match.test(aria)) || (by && part.match.test(byIds(el, by)))
+              || labelsOf(el).some((l) => part.match.test(textOf(l)));
+          });
+      } else if (part.engine === 'placeholder') found = all(r).filter((el) => attr(el, 'placeholder') != null && part.match.test(attr(el, 'placeholder')));
+      else if (part.engine === 'testid') found = all(r).filter((el) => attr(el, 'data-testid') != null && part.match.test(attr(el, 'data-testid')));
+      for (const el of found) if (!out.includes(el)) out.push(el);
+    }
+    return out;
+  }
+
+  function queryAll(sel, root) {
+    const start = root || (typeof document !== 'undefined' ? document : null);
+    return parse(sel).reduce((roots, part) => step(roots, part), [start]);
+  }
+
+  // --- bundle per i recording: più strategie per lo stesso elemento ---
+  const quoted = (v) => `"${String(v).replace(/["\\]/g, '\\$&')}"`;
+  const STABLE_ID = /^[A-Za-z][\w-]*$/;
+
+  /**
+   * Ogni strategia che oggi trova `el`, come locator pronto da usare: se la
+   * pagina cambia, il replay ritenta con la successiva. Quelle ambigue
+   * (due bottoni "Add") vengono fissate con nth=, le assenti omesse.
+   */
+  function bundle(el, css) {
+    const out = { css };
+    const doc = el.ownerDocument;
+    const pin = (sel) => {
+      const hits = queryAll(sel, doc);
+      const i = hits.indexOf(el);
+      if (i === -1) return null;
+      return hits.length === 1 ? sel : `${sel} >> nth=${i}`;
+    };
+    const testid = attr(el, 'data-testid');
+    if (testid) out.testid = pin(`testid=${quoted(testid)}`);
+    const r = role(el);
+    const n = name(el);
+    if (r && n && n.length <= 100) out.role = pin(`role=${r}[name=${quoted(n)}]`);
+    const text = clean(textOf(el));
+    if (text && text.length <= 80) out.text = pin(`text=${quoted(text)}`);
+    // Posizione: l'N-esimo <tag> dentro l'antenato più vicino con un id stabile
+    let anchor = el.parentElement;
+    while (anchor && !(attr(anchor, 'id') && STABLE_ID.test(attr(anchor, 'id')))) anchor = anchor.parentElement;
+    const scope = anchor ? `#${attr(anchor, 'id')}` : 'body';
+    const i = queryAll(`${scope} >> css=${tag(el)}`, doc).indexOf(el);
+    if (i !== -1) out.position = `${scope} >> css=${tag(el)} >> nth=${i}`;
+    for (const k of Object.keys(out)) if (!out[k]) delete out[k];
+    return out;
+  }
+
+  const api = {
+    version: VERSION,
+    isLocator,
+    parse,
+    queryAll,
+    query: (sel, root) => queryAll(sel, root)[0] || null,
+    role,
+    name,
+    level,
+    bundle,
+  };
+  g.__chromeBridge_locator = api;
+  return api;
+}
+
+/** Vero se il selettore usa la sintassi dei locator (serve al SW per iniettarla). */
+export const isLocator = (sel) => installLocator({}).isLocator(sel);
+
+/** Selettore → parti della catena ({ engine, ... }): serve all'export dei recording. */
+export const parseLocator = (sel) => installLocator({}).parse(sel);
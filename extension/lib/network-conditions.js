@@ -0,0 +1,111 @@
+/**
+ * Rete lenta, offline e guasti per network_conditions, dal debugger.
+ *
+ * declarativeNetRequest blocca o reindirizza, ma non rallenta: latenza e
+ * banda vengono da Network.emulateNetworkConditions (tutta la scheda), i
+ * ritardi e i guasti per URL da Fetch.requestPaused, che trattiene la
+ * richiesta e poi la lascia andare o la fa fallire come farebbe la rete.
+ *
+ * Qui solo le decisioni pure; il service worker aggancia, abilita i domini e
+ * risponde agli eventi. network-conditions.test.js le verifica senza Chrome.
+ */
+
+// Gli stessi profili del pannello Network di DevTools: byte/s, latenza in ms
+export const NETWORK_PRESETS = {
+  none: { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 },
+  offline: { offline: true, latency: 0, downloadThroughput: 0, uploadThroughput: 0 },
+  'slow-3g': { offline: false, latency: 2000, downloadThroughput: 50000, uploadThroughput: 50000 },
+  'fast-3g': { offline: false, latency: 562.5, downloadThroughput: 180000, uploadThroughput: 84375 },
+};
+
+// fail di una regola → errorReason di Fetch.failRequest: la pagina vede lo
+// stesso net::ERR_* di un guasto vero
+export const FAILURE_REASONS = {
+  reset: 'ConnectionReset',
+  timeout: 'TimedOut',
+  refused: 'ConnectionRefused',
+  dns: 'NameNotResolved',
+  offline: 'InternetDisconnected',
+  failed: 'Failed',
+};
+
+// Un timeout senza latency_ms trattiene la richiesta per questo tempo: fallire
+// subito con TimedOut non mette alla prova spinner e skeleton
+export const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Parametri di Network.emulateNetworkConditions da un preset, o da
+ * latency_ms e kbps con preset custom. -1 = banda senza limiti.
+ */
+export function networkConditions({ preset = 'none', latency_ms, download_kbps, upload_kbps } = {}) {
+  if (preset !== 'custom') {
+    const known = NETWORK_PRESETS[preset];
+    if (!known) throw new Error(`Unknown preset "${preset}" — use ${[...Object.keys(NETWORK_PRESETS), 'custom'].join(', ')}`);
+    return { ...known };
+  }
+  if (latency_ms == null && download_kbps == null && upload_kbps == null) {
+    throw new Error('preset=custom needs latency_ms, download_kbps or upload_kbps');
+  }
+  const bytes = (kbps) => (kbps == null ? -1 : Math.round((kbps * 1000) / 8));
+  return { offline: false, latency: latency_ms ?? 0, downloadThroughput: bytes(download_kbps), uploadThroughput: bytes(upload_kbps) };
+}
+
+/**
+ * Regole per URL dal server: { url, url_re, latency_ms, fail, fail_percent }.
+ * url_re è il glob già tradotto dal server (lo stesso dei mock).
+ */
+export function compileRules(rules = []) {
+  return rules.map((r) => {
+    if (r.fail && !FAILURE_REASONS[r.fail]) throw new Error(`Unknown fail "${r.fail}" — use ${Object.keys(FAILURE_REASONS).join(', ')}`);
+    return {
+      url: r.url,
+      re: new RegExp(r.url_re, 'i'),
+      latency: r.latency_ms ?? 0,
+      // Quanto resta appesa una richiesta che fallisce per timeout
+      hold: r.latency_ms ?? DEFAULT_TIMEOUT_MS,
+      fail: r.fail ?? null,
+      percent: r.fail ? (r.fail_percent ?? 100) : 0,
+      stats: { matched: 0, delayed: 0, failed: 0 },
+    };
+  });
+}
+
+/**
+ * Che fare di una richiesta in pausa: la prima regola che combacia decide.
+ * { delay, reason } con reason null = lasciarla andare dopo delay ms; null
+ * se nessuna regola la riguarda. random in [0, 1) per la percentuale.
+ */
+export function decide(rules, url, random = Math.random) {
+  const rule = rules.find((r) => r.re.test(url));
+  if (!rule) return null;
+  rule.stats.matched++;
+  const failing = Boolean(rule.fail) && random() * 100 < rule.percent;
+  if (failing) {
+    rule.stats.failed++;
+    return { delay: rule.fail === 'timeout' ? rule.hold : rule.latency, reason: FAILURE_REASONS[rule.fail] };
+  }
+  if (rule.latency) rule.stats.delayed++;
+  return { delay: rule.latency, reason: null };
+}
+
+/**
+ * Pattern di Fetch.enable per le regole: si fermano solo le richieste che
+ * possono combaciare, il resto della pagina non aspetta il debugger. Il glob
+ * si allarga (il * di Fetch attraversa gli slash, la query resta aperta):
+ * decide la regex della regola, e chi non combacia riparte subito.
+ */
+export function fetchPatterns(rules) {
+  const globs = rules.map((r) => String(r.url).replace(/[\\?]/g, '\\$&').replace(/\*+/g, '*'));
+  return [...new Set(globs.map((g) => (g.endsWith('*') ? g : `${g}*`)))]
+    .map((urlPattern) => ({ urlPattern, requestStage: 'Request' }));
+}
+
+/** Regole e contatori come li riporta il tool. */
+export function ruleStats(rules) {
+  return rules.map((r) => ({
+    url: r.url,
+    ...(r.latency && { latency_ms: r.latency }),
+    ...(r.fail && { fail: r.fail, fail_percent: r.percent }),
+    ...r.stats,
+  }));
+}
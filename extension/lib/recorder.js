@@ -0,0 +1,151 @@
+/**
+ * Cattura le azioni dell'utente nella pagina per il recorder del popup.
+ *
+ * Ogni azione diventa uno step nel formato dei recording di session_record,
+ * quello che `replay` esegue:
+ *
+ *   click sull'elemento interattivo     → click { selector }
+ *   testo in input/textarea/editable    → type_text { selector, text }, al change
+ *   <select>                            → fill_form { fields: [{ selector, value }] }
+ *   Enter, Escape, frecce, scorciatoie  → press_key { key, selector?, ctrl… }
+ *
+ * Le navigazioni (URL digitato, reload, avanti/indietro) le vede il service
+ * worker con webNavigation: questo script muore a ogni pagina e viene
+ * reiniettato.
+ *
+ * I locator si calcolano qui, quando l'elemento c'è: il selettore principale
+ * è il più leggibile tra quelli univoci (id, test id, ruolo + nome) e il
+ * bundle completo va in `locators`, come negli step di session_record.
+ *
+ * installRecorder gira nel mondo ISOLATED (chrome.runtime serve per mandare
+ * gli step e la pagina non può né vederlo né falsificarlo), accanto a
+ * installLocator iniettata prima nello stesso mondo. È autocontenuta come
+ * installLocator. Solo gli eventi con isTrusted contano: i click sintetici
+ * dei tool dell'agente non finiscono nel recording dell'utente.
+ */
+export function installRecorder() {
+  const g = globalThis;
+  if (g.__chromeBridge_recorder) return false;
+  const loc = g.__chromeBridge_locator;
+  if (!loc) throw new Error('installLocator must run first');
+  g.__chromeBridge_recorder = true;
+
+  const emit = (step) => {
+    try {
+      chrome.runtime.sendMessage({ type: 'recorderStep', step }).catch(() => {});
+    } catch { /* estensione ricaricata: il recording è finito */ }
+  };
+
+  const STABLE_ID = /^[A-Za-z][\w-]*$/;
+  const pinned = (sel) => sel && !sel.includes(' >> nth=');
+
+  // Percorso CSS come in get_interactives: id > data-testid > nth-of-type
+  function cssPath(el) {
+    if (el.id && STABLE_ID.test(el.id)) return `#${el.id}`;
+    const testid = el.getAttribute('data-testid');
+    if (testid) return `[data-testid="${testid.replace(/"/g, '\\"')}"]`;
+    const parts = [];
+    for (let node = el; node && node.nodeType === 1 && node !== document.documentElement; node = node.parentElement) {
+      if (node.id && STABLE_ID.test(node.id)) { parts.unshift(`#${node.id}`); break; }
+      let part = node.tagName.toLowerCase();
+      const parent = node.parentElement;
+      if (parent) {
+        const same = [...parent.children].filter((c) => c.tagName === node.tagName);
+        if (same.length > 1) part += `:nth-of-type(${same.indexOf(node) + 1})`;
+      }
+      parts.unshift(part);
+    }
+    return parts.join(' > ');
+  }
+
+  function target(el) {
+    const css = cssPath(el);
+    const locators = loc.bundle(el, css);
+    let selector = css;
+    if (!css.startsWith('#')) {
+      selector = [locators.testid, locators.role].find(pinned) ?? css;
+    }
+    return { selector, locators };
+  }
+
+  const INTERACTIVE = 'a[href], button, input, select, textarea, label, summary, [role=button], [role=link], '
+    + '[role=tab], [role=menuitem], [role=checkbox], [role=radio], [role=switch], [role=option], [onclick]';
+  const TEXT_INPUTS = new Set(['text', 'email', 'password', 'search', 'tel', 'url', 'number', 'date',
+    'datetime-local', 'month', 'time', 'week', 'color']);
+
+  const isTextField = (el) => (el.tagName === 'INPUT' && TEXT_INPUTS.has((el.type || 'text').toLowerCase()))
+    || el.tagName === 'TEXTAREA' || el.isContentEditable;
+  const valueOf = (el) => (el.isContentEditable ? el.textContent : el.value);
+
+  // Digitazione: uno step per campo quando l'utente lo lascia (change),
+  // non uno per tasto. Le password diventano {{password}}: il segreto non
+  // finisce nel file, replay --vars lo rimette.
+  const dirty = new Map();     // campo → true se modificato dopo l'ultimo step
+  const recorded = new WeakMap(); // campo → ultimo valore registrato
+
+  function flush(el) {
+    if (!dirty.has(el)) return;
+    dirty.delete(el);
+    const value = valueOf(el);
+    if (recorded.get(el) === value) return;
+    recorded.set(el, value);
+    const text = el.type === 'password' ? '{{password}}' : value;
+    const { selector, locators } = target(el);
+    emit({ command: 'type_text', params: { selector, text }, locators });
+  }
+  const flushAll = () => { for (const el of [...dirty.keys()]) flush(el); };
+
+  addEventListener('input', (e) => {
+    if (e.isTrusted && isTextField(e.target)) dirty.set(e.target, true);
+  }, true);
+
+  addEventListener('change', (e) => {
+    if (!e.isTrusted) return;
+    const el = e.target;
+    if (isTextField(el)) { flush(el); return; }
+    if (el.tagName === 'SELECT') {
+      const { selector, locators } = target(el);
+      const value = el.multiple ? [...el.selectedOptions].map((o) => o.value).join(',') : el.value;
+      emit({ command: 'fill_form', params: { fields: [{ selector, value }] }, locators });
+    }
+  }, true);
+
+  // Il campo va registrato prima del click che lo segue (es. "Accedi")
+  addEventListener('pointerdown', (e) => { if (e.isTrusted) flushAll(); }, true);
+
+  addEventListener('click', (e) => {
+    if (!e.isTrusted) return;
+    const el = e.target.closest?.(INTERACTIVE) ?? e.target;
+    // Il focus in un campo di testo non è un'azione: lo step è type_text.
+    // select e le sue option passano dal change.
+    if (isTextField(el) || el.tagName === 'SELECT' || el.tagName === 'OPTION') return;
+    // Il click su una <label> ne genera un secondo sul controllo: basta quello
+    if (el.tagName === 'LABEL' && el.control) return;
+    const { selector, locators } = target(el);
+    emit({ command: 'click', params: { selector }, locators });
+  }, true);
+
+  const NAV_KEYS = new Set(['Enter', 'Escape', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'PageUp', 'PageDown']);
+  const FIELD_KEYS = new Set(['Enter', 'Escape', 'ArrowUp', 'ArrowDown']);
+  addEventListener('keydown', (e) => {
+    if (!e.isTrusted || e.repeat || ['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return;
+    const el = document.activeElement;
+    const inField = el && isTextField(el);
+    const shortcut = e.ctrlKey || e.metaKey || e.altKey;
+    // Dentro un campo i tasti normali sono testo, già coperto da type_text
+    if (!shortcut && !(inField ? FIELD_KEYS : NAV_KEYS).has(e.key) && !/^F\d{1,2}$/.test(e.key)) return;
+    if (inField) flush(el);
+    const step = { command: 'press_key', params: { key: e.key } };
+    if (el && el !== document.body && el !== document.documentElement) {
+      const { selector, locators } = target(el);
+      step.params.selector = selector;
+      step.locators = locators;
+    }
+    for (const mod of ['ctrl', 'shift', 'alt', 'meta']) if (e[`${mod}Key`]) step.params[mod] = true;
+    emit(step);
+  }, true);
+
+  // La pagina sta per andarsene: il testo non ancora confermato va salvato
+  addEventListener('pagehide', flushAll, true);
+  return true;
+}
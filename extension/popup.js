@@ -26,7 +26,7 @@ function renderPopupData(d) {
   renderState(d.state);
   $('ws-url').textContent = `ws://localhost:${d.port}`;
   $('versions').textContent = d.serverVersion
-    ? `ext ${d.extensionVersion} · srv ${d.serverVersion}`
+    ? `ext ${d.extensionVersion} · srv ${d.serverVersion}${d.browserName ? ` · ${d.browserName}` : ''}`
     : `v${d.extensionVersion}`;
 
   const st = d.stats || { toolCallCount: 0, lastTool: null, lastToolTs: null, recentErrors: [] };
@@ -81,9 +81,72 @@ function renderPageInfo(info) {
 chrome.runtime.sendMessage({ type: 'getPopupData' }, (d) => { if (d) renderPopupData(d); });
 chrome.runtime.sendMessage({ type: 'getPageInfo' }, (info) => renderPageInfo(info));
 
+// --- Recorder ---
+function renderRecorder(r, error = null) {
+  const on = !!r?.recording;
+  $('rec-toggle').textContent = on ? '⏹ Stop' : '⏺ Registra';
+  $('rec-toggle').classList.toggle('on', on);
+  $('rec-name').disabled = on;
+  if (on) $('rec-name').value = r.recording.name;
+  $('rec-status').classList.toggle('bad', !!error);
+  if (error) $('rec-status').textContent = error;
+  else if (on) $('rec-status').textContent = `In registrazione · ${r.recording.steps} step`;
+}
+
+chrome.runtime.sendMessage({ type: 'recorderStatus' }, (r) => renderRecorder(r));
+
+$('rec-toggle').addEventListener('click', () => {
+  const on = $('rec-toggle').classList.contains('on');
+  const name = $('rec-name').value.trim();
+  chrome.runtime.sendMessage(on ? { type: 'recorderStop' } : { type: 'recorderStart', name }, (r) => {
+    if (!r) return;
+    renderRecorder(r, r.ok ? null : r.error);
+    if (r.ok && on) {
+      $('rec-status').textContent = `Salvato: ${name}.jsonl nella cartella dei recording del server (session_record list)`;
+    }
+  });
+});
+
+// --- Approvazioni ---
+// Ogni comando distruttivo in attesa: cosa, dove e con quali parametri. La
+// risposta torna al service worker, che esegue o manda il rifiuto al server.
+function renderApprovals(list = []) {
+  $('approval-card').hidden = !list.length;
+  $('approval-items').replaceChildren(...list.map((a) => {
+    const li = document.createElement('li');
+    const cmd = document.createElement('div');
+    cmd.className = 'cmd';
+    cmd.textContent = a.command;
+    const tab = document.createElement('div');
+    tab.className = 'tab';
+    tab.textContent = a.tab ? `Scheda ${a.tab.id}: ${a.tab.title || ''} — ${a.tab.url}` : 'Nessuna scheda';
+    const params = document.createElement('pre');
+    // Troppo grande per leggerlo tutto: niente estratto, si può solo negare
+    params.textContent = a.reviewable
+      ? JSON.stringify(a.params, null, 2)
+      : `Parametri troppo grandi da rivedere (${a.size} caratteri): si può solo negare.`;
+    const btns = document.createElement('div');
+    btns.className = 'approval-btns';
+    const choices = a.reviewable ? [['✓ Approva', true], ['✕ Nega', false]] : [['✕ Nega', false]];
+    for (const [label, approved] of choices) {
+      const b = document.createElement('button');
+      b.className = `abtn ${approved ? 'primary' : 'deny'}`;
+      b.textContent = label;
+      b.addEventListener('click', () => chrome.runtime.sendMessage({ type: 'approvalDecision', id: a.id, approved }, () => {}));
+      btns.append(b);
+    }
+    li.append(cmd, tab, params, btns);
+    return li;
+  }));
+}
+
+chrome.runtime.sendMessage({ type: 'getApprovals' }, (r) => renderApprovals(r?.approvals));
+
 // Stato live mentre il popup è aperto
 chrome.runtime.onMessage.addListener((msg) => {
   if (msg.type === 'connectionState') renderState(msg.state);
+  if (msg.type === 'recorderState') renderRecorder(msg);
+  if (msg.type === 'approvalsChanged') renderApprovals(msg.approvals);
 });
 
 // --- Warning userScripts ---
@@ -127,16 +190,32 @@ $('toggle-config').addEventListener('click', () => {
   $('config').hidden = !$('config').hidden;
 });
 
-chrome.storage.local.get({ port: 8765, token: '', instrument: true }, (cfg) => {
+chrome.storage.local.get({ port: 8765, token: '', browserName: '', instrument: true, approvalMode: false }, (cfg) => {
   $('port').value = cfg.port;
   $('token').value = cfg.token;
+  $('browser-name').value = cfg.browserName;
   $('instrument').checked = cfg.instrument;
+  $('approval-mode').checked = cfg.approvalMode;
+});
+
+// Il permesso debugger non è nel manifest: lo si chiede qui, dentro il gesto
+// dell'utente come vuole chrome.permissions.request, e si toglie allo stesso modo
+const DEBUGGER = { permissions: ['debugger'] };
+chrome.permissions.contains(DEBUGGER, (granted) => { $('cdp-permission').checked = granted; });
+$('cdp-permission').addEventListener('change', async (e) => {
+  const ok = e.target.checked
+    ? await chrome.permissions.request(DEBUGGER)
+    : !(await chrome.permissions.remove(DEBUGGER));
+  e.target.checked = ok;
 });
 
 $('save').addEventListener('click', () => {
   const p = parseInt($('port').value, 10);
   const port = (p >= 1 && p <= 65535) ? p : 8765;
-  chrome.storage.local.set({ port, token: $('token').value.trim(), instrument: $('instrument').checked });
+  chrome.storage.local.set({
+    port, token: $('token').value.trim(), browserName: $('browser-name').value.trim(), instrument: $('instrument').checked,
+    approvalMode: $('approval-mode').checked,
+  });
   $('ws-url').textContent = `ws://localhost:${port}`;
   chrome.runtime.sendMessage({ type: 'reconnect' }, () => {});
 });
@@ -9,11 +9,21 @@ import './telemetry.js';
 import { buildMarkdown } from './lib/page-markdown.js';
 import { computeTiles } from './lib/tile-layout.js';
 import { classifyDownload } from './lib/download-state.js';
+import { installLocator, isLocator } from './lib/locator.js';
+import { installRecorder } from './lib/recorder.js';
+import { approvalParams, needsApproval } from './lib/approval.js';
+import { compileRules, decide, fetchPatterns, networkConditions, ruleStats } from './lib/network-conditions.js';
+import { CDP_COMMANDS, CDP_VERSION, TRUSTED_INPUT_COMMANDS, createNetworkLog, emulatedMedia, evaluateResult, keyEvents, mouseClicks, pdfOptions } from './lib/cdp.js';
 const { pushError } = globalThis.__cbTelemetry;
 
 const DEFAULT_PORT = 8765;
 let wsUrl = `ws://localhost:${DEFAULT_PORT}`;
 let extToken = '';
+// Nome con cui il server elenca questo browser (parametro `browser` dei tool);
+// vuoto = lo sceglie il server. instanceId distingue una riconnessione dello
+// stesso browser da un secondo browser che si collega.
+let browserName = '';
+let instanceId = null;
 // true solo nella copia unpacked creata dal launch mode (launch.json presente)
 let launchMode = false;
 
@@ -26,32 +36,42 @@ async function loadConfig() {
     if (res.ok) fileCfg = await res.json();
   } catch { /* assente: modalità normale */ }
   launchMode = fileCfg != null;
-  const cfg = await chrome.storage.local.get({ port: DEFAULT_PORT, token: '' });
+  const cfg = await chrome.storage.local.get({ port: DEFAULT_PORT, token: '', browserName: '', instanceId: null });
   wsUrl = `ws://localhost:${fileCfg?.port ?? cfg.port}`;
   extToken = fileCfg?.token ?? cfg.token ?? '';
+  browserName = fileCfg?.name ?? cfg.browserName ?? '';
+  instanceId = cfg.instanceId;
+  if (!instanceId) {
+    instanceId = crypto.randomUUID();
+    await chrome.storage.local.set({ instanceId });
+  }
 }
 
 // --- Instrumentation MAIN-world (console/errori/web vitals/route SPA) ---
 // Registrata dinamicamente: quando il toggle è off non viene iniettata su
 // nessuna pagina, quindi footprint e stack pollution sono azzerati.
 const INSTRUMENTATION_ID = 'chrome-bridge-instrumentation';
+// Il relay degli errori console vive nel mondo ISOLATED: è uno script a sé,
+// registrato e tolto insieme all'instrumentation
+const INSTRUMENTATION_SCRIPTS = [
+  { id: INSTRUMENTATION_ID, js: ['console-capture.js', 'page-instrumentation.js'], world: 'MAIN' },
+  { id: `${INSTRUMENTATION_ID}-relay`, js: ['console-relay.js'], world: 'ISOLATED' },
+];
 
 async function _applyInstrumentation() {
   const { instrument } = await chrome.storage.local.get({ instrument: true });
   try {
-    const existing = await chrome.scripting.getRegisteredContentScripts({ ids: [INSTRUMENTATION_ID] });
-    const isReg = existing.some((s) => s.id === INSTRUMENTATION_ID);
-    if (instrument && !isReg) {
-      await chrome.scripting.registerContentScripts([{
-        id: INSTRUMENTATION_ID,
-        js: ['console-capture.js', 'page-instrumentation.js'],
-        matches: ['<all_urls>'],
-        runAt: 'document_start',
-        world: 'MAIN',
-        persistAcrossSessions: true,
-      }]);
-    } else if (!instrument && isReg) {
-      await chrome.scripting.unregisterContentScripts({ ids: [INSTRUMENTATION_ID] });
+    const ids = INSTRUMENTATION_SCRIPTS.map((s) => s.id);
+    const registered = new Set((await chrome.scripting.getRegisteredContentScripts({ ids })).map((s) => s.id));
+    if (instrument) {
+      const missing = INSTRUMENTATION_SCRIPTS.filter((s) => !registered.has(s.id));
+      if (missing.length) {
+        await chrome.scripting.registerContentScripts(missing.map((s) => ({
+          ...s, matches: ['<all_urls>'], runAt: 'document_start', persistAcrossSessions: true,
+        })));
+      }
+    } else if (registered.size) {
+      await chrome.scripting.unregisterContentScripts({ ids: [...registered] });
     }
   } catch (err) {
     console.error('[chrome-bridge] applyInstrumentation error:', err.message);
@@ -87,6 +107,7 @@ let reconnectDelay = RECONNECT_BASE_MS;
 let connectionState = 'disconnected'; // 'connected' | 'connecting' | 'disconnected'
 
 let serverVersion = null;
+let assignedName = null; // nome dato dal server in ext_init_ok
 let sessionStats = { toolCallCount: 0, lastTool: null, lastToolTs: null, recentErrors: [] };
 // Il SW MV3 muore e rinasce: ripristina i contatori di sessione
 chrome.storage.session.get({ sessionStats: null }).then(({ sessionStats: saved }) => {
@@ -97,7 +118,7 @@ function persistStats() {
 }
 
 // Boot del service worker: MV3 lo termina e lo rianima, azzerando ogni stato
-// in RAM (browserNetLog, mainFrameHeaders, diffBaselines, httpAuthCreds). La
+// in RAM (browserNetLog, mainFrameHeaders, httpAuthCreds). La
 // perdita era indistinguibile da "nessun dato": esporre il boot permette ai
 // tool di dire `log_since` invece di un `count: 0` ambiguo.
 const swBootedAt = Date.now();
@@ -129,6 +150,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         instrument: cfg.instrument,
         extensionVersion: chrome.runtime.getManifest().version,
         serverVersion,
+        browserName: assignedName,
         stats: sessionStats,
       });
     })();
@@ -145,6 +167,37 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     sendResponse({ ok: true });
     return;
   }
+  if (msg.type === 'pageEvent' && msg.event === 'console' && sender.tab) {
+    sendPageEvent('console', { tab_id: sender.tab.id, frame_id: sender.frameId, url: sender.url, ...msg.data });
+    return;
+  }
+  if (msg.type === 'recorderStep') {
+    // Solo dalla scheda che si sta registrando (lo stato può essere ancora
+    // in lettura se il messaggio ha appena risvegliato il SW)
+    humanRecReady.then(() => {
+      if (humanRec && sender.tab?.id === humanRec.tabId && sender.frameId === 0) pushHumanStep(msg.step);
+    });
+    return;
+  }
+  if (msg.type === 'getApprovals') {
+    sendResponse({ approvals: approvalList() });
+    return;
+  }
+  if (msg.type === 'approvalDecision') {
+    const entry = pendingApprovals.get(msg.id);
+    // Parametri troppo grandi per essere letti: il sì non vale, anche se arriva
+    const approved = msg.approved === true && entry?.request.reviewable === true;
+    entry?.decide({ approved, reason: approved ? null : entry.request.reviewable ? 'denied' : 'too_large' });
+    sendResponse({ ok: true });
+    return;
+  }
+  if (msg.type === 'recorderStart' || msg.type === 'recorderStop' || msg.type === 'recorderStatus') {
+    const run = msg.type === 'recorderStart' ? startHumanRecording(msg.name)
+      : msg.type === 'recorderStop' ? stopHumanRecording() : Promise.resolve();
+    run.then(() => sendResponse({ ok: true, ...recorderState() }))
+      .catch((e) => sendResponse({ ok: false, error: e.message, ...recorderState() }));
+    return true;
+  }
 });
 
 // --- WebSocket connection ---
@@ -170,7 +223,13 @@ function connect() {
 
   ws.onopen = () => {
     console.log('[chrome-bridge] Connected to MCP server');
-    const init = { type: 'ext_init', version: chrome.runtime.getManifest().version };
+    const init = {
+      type: 'ext_init',
+      version: chrome.runtime.getManifest().version,
+      instance_id: instanceId,
+      headless: navigator.userAgent.includes('HeadlessChrome'),
+    };
+    if (browserName) init.name = browserName;
     if (extToken) init.token = extToken;
     ws.send(JSON.stringify(init));
     setConnectionState('connected');
@@ -182,6 +241,10 @@ function connect() {
     console.log('[chrome-bridge] Disconnected from MCP server');
     ws = null;
     serverVersion = null;
+    assignedName = null;
+    // Nessun server, nessuna sessione che abbia chiesto il debugger: la barra
+    // "sta eseguendo il debug" non deve restare per sempre
+    cdpDetachAll();
     setConnectionState('disconnected');
     scheduleReconnect();
   };
@@ -209,6 +272,8 @@ function connect() {
     // Handshake: il server dichiara la sua versione
     if (msg.type === 'ext_init_ok') {
       serverVersion = msg.version || null;
+      assignedName = msg.browser || null;
+      if (Array.isArray(msg.sessions)) releaseStaleSessions(msg.sessions);
       return;
     }
 
@@ -218,6 +283,7 @@ function connect() {
 
     // Esegui il comando e rispondi
     try {
+      await awaitApproval(msg);
       const result = await executeCommand(msg);
       sendMessage({
         id: msg.id,
@@ -233,6 +299,8 @@ function connect() {
         id: msg.id,
         type: 'error',
         error: err.message || String(err),
+        // Errori strutturati (approval_denied): il server li passa al client
+        ...(err.code ? { code: err.code, details: err.details ?? null } : {}),
         timestamp: Date.now(),
       });
     }
@@ -256,6 +324,27 @@ function sendMessage(obj) {
   }
 }
 
+// Eventi spontanei verso il server ({ type: 'event' }): errori console,
+// richieste fallite, navigazioni, schede scartate o andate in crash. Tetto globale per secondo: oltre, si scartano e il
+// conteggio parte col primo evento della finestra successiva.
+const PAGE_EVENTS_PER_SECOND = 30;
+const pageEventWindow = { start: 0, sent: 0, dropped: 0 };
+
+function sendPageEvent(event, data) {
+  const now = Date.now();
+  const w = pageEventWindow;
+  if (now - w.start >= 1000) {
+    if (w.dropped) data = { ...data, dropped_before: w.dropped };
+    Object.assign(w, { start: now, sent: 0, dropped: 0 });
+  }
+  if (w.sent >= PAGE_EVENTS_PER_SECOND) { w.dropped++; return; }
+  w.sent++;
+  // Scheda di una sessione relay: il primary inoltra l'evento solo a lei
+  const owner = tabSessions.get(data.tab_id);
+  if (owner) data = { ...data, session: owner };
+  if (ws && ws.readyState === WebSocket.OPEN) sendMessage({ type: 'event', event, data, timestamp: now });
+}
+
 function setConnectionState(state) {
   connectionState = state;
   // Broadcast al popup
@@ -316,10 +405,578 @@ async function getPageInfo() {
   return { available: true, title: tab.title || '', stack, consoleErrors, vitals };
 }
 
+// --- Locator ---
+
+// Parametri che accettano un selettore, e quindi anche un locator
+const SELECTOR_KEYS = ['selector', 'submit_selector', 'selector1', 'selector2', 'source_selector', 'target_selector'];
+
+function usesLocator(params) {
+  return SELECTOR_KEYS.some((k) => isLocator(params[k]))
+    || (Array.isArray(params.fields) && params.fields.some((f) => isLocator(f?.selector)));
+}
+
+// La sintassi dei locator gira nella pagina: la si installa (idempotente) nel
+// frame del comando prima di eseguirlo. Solo quando serve: i selettori CSS
+// non pagano un'iniezione in più.
+async function ensureLocator({ tab_id, frame_id }) {
+  const tabId = await resolveTabId(tab_id);
+  await chrome.scripting.executeScript({
+    target: scriptTarget(tabId, frame_id),
+    func: installLocator,
+    args: [null],
+    world: 'MAIN',
+  });
+}
+
+// --- Chrome DevTools Protocol (chrome.debugger, opt-in) ---
+
+// Il permesso `debugger` è opzionale: lo concede l'utente dal popup (⚙), e
+// finché non c'è chrome.debugger non esiste. Una sessione lo accende con
+// `cdp enable`; da lì il server marca i suoi comandi con backend: 'cdp' e
+// quelli di CDP_COMMANDS passano dal debugger invece che dalle patch.
+//
+// Ogni scheda agganciata tiene chi l'ha chiesta (sessione relay, '' per il
+// primary, più il client MCP dopo #): `cdp disable` di una sessione non
+// stacca le emulazioni di un'altra, nemmeno tra due client HTTP dello stesso
+// server. Chrome mostra la barra di debug finché resta agganciata.
+const cdpTabs = new Map(); // tabId → { owners: Set, domains: Set, net: log|null, bodies, conditions }
+let cdpListening = false;
+// L'utente ha chiuso la barra di debug: niente riaggancio finché una sessione
+// non richiede esplicitamente `cdp enable`
+let cdpRefused = false;
+
+const CDP_PERMISSION_HELP = 'The debugger permission is not granted: tick "Allow DevTools Protocol" in the chrome-bridge popup (⚙)';
+
+/** Chiave di chi aggancia: sessione relay ('' = primary) e client MCP che manda il comando. */
+function cdpOwner({ session, cdp_client } = {}) {
+  return cdp_client ? `${session ?? ''}#${cdp_client}` : (session ?? '');
+}
+
+function cdpListen() {
+  if (cdpListening || !chrome.debugger) return;
+  cdpListening = true;
+  chrome.debugger.onDetach.addListener(({ tabId }, reason) => {
+    cdpTabs.delete(tabId);
+    if (reason === 'canceled_by_user') cdpRefused = true;
+  });
+  chrome.debugger.onEvent.addListener(({ tabId }, method, params) => {
+    const state = cdpTabs.get(tabId);
+    // Una richiesta in pausa senza stato (SW riavviato, condizioni tolte) va
+    // lasciata andare comunque: altrimenti resta appesa per sempre
+    if (method === 'Fetch.requestPaused') {
+      pausedRequest(tabId, state, params);
+      return;
+    }
+    if (!state) return;
+    if (!state.net || !method.startsWith('Network.')) return;
+    const done = state.net.handle(method, params);
+    if (done && state.bodies?.enabled) cdpResponseBody(tabId, done, state.bodies);
+  });
+}
+cdpListen();
+chrome.permissions.onAdded.addListener(cdpListen);
+
+async function cdpAttach(tabId, owner = '') {
+  let state = cdpTabs.get(tabId);
+  if (!state) {
+    if (!chrome.debugger) throw new Error(CDP_PERMISSION_HELP);
+    if (cdpRefused) throw new Error('The DevTools Protocol debugging bar was closed in Chrome: run cdp enable to attach again');
+    cdpListen();
+    try {
+      await chrome.debugger.attach({ tabId }, CDP_VERSION);
+    } catch (err) {
+      // Un altro client (DevTools aperti, un'altra estensione) ha già la scheda
+      throw new Error(`Cannot attach the debugger to tab ${tabId}: ${err.message} — close DevTools on that tab and retry`);
+    }
+    state = { owners: new Set(), domains: new Set(), net: null, bodies: null, conditions: null };
+    cdpTabs.set(tabId, state);
+  }
+  state.owners.add(owner);
+  return state;
+}
+
+async function cdpSend(tabId, method, params = {}, owner = '') {
+  await cdpAttach(tabId, owner);
+  return chrome.debugger.sendCommand({ tabId }, method, params);
+}
+
+/** Attiva un dominio una volta per aggancio (Network, Page…). */
+async function cdpEnable(tabId, domain, params = {}, owner = '') {
+  const state = await cdpAttach(tabId, owner);
+  if (state.domains.has(domain)) return state;
+  await chrome.debugger.sendCommand({ tabId }, `${domain}.enable`, params);
+  state.domains.add(domain);
+  return state;
+}
+
+/**
+ * Toglie owner e stacca le schede rimaste senza nessuno; owner null = tutte.
+ * Un nome di sessione senza # comprende tutti i suoi client.
+ */
+async function cdpRelease(owner = null) {
+  const detached = [];
+  const mine = (o) => o === owner || (!owner?.includes('#') && o.startsWith(`${owner}#`));
+  for (const [tabId, state] of cdpTabs) {
+    if (owner !== null) {
+      for (const o of [...state.owners]) if (mine(o)) state.owners.delete(o);
+      // Le condizioni di chi se ne va non restano su una scheda che nessun
+      // altro può più resettare
+      if (state.conditions && mine(state.conditions.owner)) await clearConditions(tabId, state);
+    }
+    if (owner !== null && state.owners.size) continue;
+    cdpTabs.delete(tabId);
+    await chrome.debugger.detach({ tabId }).catch(() => {});
+    detached.push(tabId);
+  }
+  return detached;
+}
+
+/** Toglie owner da una sola scheda, e la stacca se non la usa più nessuno. */
+async function cdpDetachTab(tabId, owner) {
+  const state = cdpTabs.get(tabId);
+  if (!state) return;
+  state.owners.delete(owner);
+  if (state.owners.size) return;
+  cdpTabs.delete(tabId);
+  await chrome.debugger.detach({ tabId }).catch(() => {});
+}
+
+function cdpDetachAll() {
+  if (cdpTabs.size) cdpRelease(null).catch(() => {});
+}
+
+// Body della risposta per monitor_network(capture_bodies): best effort, la
+// voce è già nel log e il body la raggiunge quando arriva.
+async function cdpResponseBody(tabId, entry, { filter, max }) {
+  if (filter) {
+    const isRe = filter.length > 2 && filter.startsWith('/') && filter.endsWith('/');
+    try {
+      if (isRe ? !new RegExp(filter.slice(1, -1)).test(entry.url) : !entry.url.includes(filter)) return;
+    } catch { return; }
+  }
+  try {
+    const { body, base64Encoded } = await chrome.debugger.sendCommand({ tabId }, 'Network.getResponseBody', { requestId: entry._id });
+    const limit = max > 0 ? max : 65536;
+    entry.responseBody = { mimeType: entry.mimeType ?? '', size: body.length, text: body.length > limit ? body.slice(0, limit) : body };
+    if (base64Encoded) entry.responseBody.encoding = 'base64';
+    if (body.length > limit) entry.responseBody.truncated = true;
+  } catch { /* risposta già scartata dal renderer (redirect, navigazione): niente body */ }
+}
+
+async function cmdCdp({ action = 'send', method, params = {}, tab_id, ...routing }) {
+  const owner = cdpOwner(routing);
+  if (action === 'disable') return { enabled: false, detached: await cdpRelease(owner) };
+  const permitted = !!chrome.debugger && await chrome.permissions.contains({ permissions: ['debugger'] });
+  if (action === 'status') {
+    return { permission: permitted, attached: [...cdpTabs].map(([id, s]) => ({ tab_id: id, sessions: [...s.owners].map((o) => (o && !o.startsWith('#') ? o : `primary${o}`)), domains: [...s.domains] })) };
+  }
+  if (!permitted) throw new Error(CDP_PERMISSION_HELP);
+  const tabId = await resolveTabId(tab_id);
+  if (action === 'enable') {
+    cdpRefused = false;
+    await cdpAttach(tabId, owner);
+    return { enabled: true, tab_id: tabId, commands: [...CDP_COMMANDS] };
+  }
+  if (action !== 'send') throw new Error(`Unknown action: ${action}`);
+  if (!method) throw new Error('Missing required parameter: method');
+  return { method, result: await cdpSend(tabId, method, params ?? {}, owner) };
+}
+
+// --- network_conditions (Network + Fetch) ---
+
+// Latenza e banda per tutta la scheda da Network.emulateNetworkConditions;
+// con regole per URL anche Fetch, che mette in pausa le richieste dei loro
+// glob: quelle che la regex non prende ripartono subito, le altre dopo il
+// ritardo o con un errore di rete. Come print_pdf basta il permesso: una scheda agganciata solo per
+// questo si stacca a reset, e con lei spariscono le condizioni.
+
+async function cmdNetworkConditions({ action = 'set', tab_id, session, cdp_client, rules = [], ...params }) {
+  const owner = cdpOwner({ session, cdp_client });
+  const tabId = await resolveTabId(tab_id);
+  const state = cdpTabs.get(tabId);
+  if (action === 'status') {
+    const c = state?.conditions;
+    return c ? { tab_id: tabId, active: true, preset: c.preset, conditions: c.emulated, rules: ruleStats(c.rules) } : { tab_id: tabId, active: false };
+  }
+  // Le condizioni sono di chi le ha messe: un altro client non le toglie né
+  // le sostituisce sotto i suoi test
+  if (action !== 'status' && state?.conditions && state.conditions.owner !== owner) {
+    throw new Error(`Network conditions on tab ${tabId} were set by another MCP client — ${action} refused; they are removed when that client resets them or disconnects`);
+  }
+  if (action === 'reset') {
+    const c = state?.conditions;
+    if (!c) return { tab_id: tabId, reset: false, note: 'No network conditions on this tab' };
+    await clearConditions(tabId, state);
+    if (c.borrowed) await cdpDetachTab(tabId, c.owner);
+    return { tab_id: tabId, reset: true, rules: ruleStats(c.rules) };
+  }
+  if (action !== 'set') throw new Error(`Unknown action: ${action}`);
+
+  const emulated = networkConditions(params);
+  const compiled = compileRules(rules);
+  const permitted = !!chrome.debugger && await chrome.permissions.contains({ permissions: ['debugger'] });
+  if (!permitted) throw new Error(CDP_PERMISSION_HELP);
+  // Un set dopo l'altro (dello stesso client) sostituisce le regole, ma
+  // ricorda chi ha agganciato
+  const borrowed = state?.conditions ? state.conditions.borrowed : !state?.owners.has(owner);
+  const tab = await cdpEnable(tabId, 'Network', {}, owner);
+  await chrome.debugger.sendCommand({ tabId }, 'Network.emulateNetworkConditions', emulated);
+  if (compiled.length) {
+    // Fetch.enable di nuovo sostituisce i pattern: ogni set porta i suoi
+    await chrome.debugger.sendCommand({ tabId }, 'Fetch.enable', { patterns: fetchPatterns(compiled) });
+    tab.domains.add('Fetch');
+  } else if (tab.domains.delete('Fetch')) {
+    await chrome.debugger.sendCommand({ tabId }, 'Fetch.disable').catch(() => {});
+  }
+  tab.conditions = { preset: params.preset ?? 'none', emulated, rules: compiled, owner, borrowed };
+  return { tab_id: tabId, preset: tab.conditions.preset, conditions: emulated, rules: ruleStats(compiled), backend: 'cdp' };
+}
+
+/** Rete normale e niente Fetch sulla scheda, debugger ancora agganciato. */
+async function clearConditions(tabId, state) {
+  state.conditions = null;
+  await chrome.debugger.sendCommand({ tabId }, 'Network.emulateNetworkConditions', networkConditions()).catch(() => {});
+  if (state.domains.delete('Fetch')) await chrome.debugger.sendCommand({ tabId }, 'Fetch.disable').catch(() => {});
+}
+
+// Richiesta trattenuta da Fetch: la decide la prima regola che combacia
+function pausedRequest(tabId, state, { requestId, request }) {
+  const verdict = state?.conditions ? decide(state.conditions.rules, request.url) : null;
+  const release = () => {
+    const [method, args] = verdict?.reason
+      ? ['Fetch.failRequest', { requestId, errorReason: verdict.reason }]
+      : ['Fetch.continueRequest', { requestId }];
+    // Scheda chiusa o Fetch disattivato nel frattempo: la richiesta non c'è più
+    chrome.debugger.sendCommand({ tabId }, method, args).catch(() => {});
+  };
+  if (verdict?.delay) setTimeout(release, verdict.delay);
+  else release();
+}
+
+/**
+ * I comandi di CDP_COMMANDS con il backend acceso; undefined = nessuna strada
+ * CDP per questi parametri (iframe, source=browser) o comando di input, che
+ * passa da trustedInput.
+ */
+async function executeCdp(type, params) {
+  if (params.frame_id) return undefined;
+  const owner = cdpOwner(params);
+  const tabId = await resolveTabId(params.tab_id);
+  switch (type) {
+    case 'execute_js': {
+      if (!params.code) throw new Error('Missing required parameter: code');
+      // replMode: await al livello più alto e redichiarazioni, come in console
+      const res = await cdpSend(tabId, 'Runtime.evaluate', {
+        expression: params.code, awaitPromise: true, returnByValue: true, userGesture: true, replMode: true,
+      }, owner);
+      return { result: evaluateResult(res), backend: 'cdp' };
+    }
+    case 'emulate_media': {
+      if (params.reset) {
+        await cdpSend(tabId, 'Emulation.setEmulatedMedia', { media: '', features: [] }, owner);
+        await cdpSend(tabId, 'Emulation.setUserAgentOverride', { userAgent: '' }, owner);
+        return { reset: true, backend: 'cdp' };
+      }
+      const media = emulatedMedia(params);
+      await cdpSend(tabId, 'Emulation.setEmulatedMedia', media, owner);
+      // Con il debugger lo user agent cambia anche nell'header delle richieste
+      if (params.user_agent) await cdpSend(tabId, 'Emulation.setUserAgentOverride', { userAgent: params.user_agent }, owner);
+      return { emulated: { ...media, ...(params.user_agent && { user_agent: params.user_agent }) }, backend: 'cdp' };
+    }
+    case 'set_geolocation': {
+      if (params.reset) {
+        await cdpSend(tabId, 'Emulation.clearGeolocationOverride', {}, owner);
+        return { reset: true, backend: 'cdp' };
+      }
+      if (params.latitude == null || params.longitude == null) throw new Error('Missing required parameters: latitude, longitude');
+      const coords = { latitude: params.latitude, longitude: params.longitude, accuracy: params.accuracy ?? 10 };
+      await cdpSend(tabId, 'Emulation.setGeolocationOverride', coords, owner);
+      return { emulated: coords, backend: 'cdp' };
+    }
+    case 'monitor_network': {
+      if (params.source === 'browser') return undefined;
+      const state = await cdpEnable(tabId, 'Network', {}, owner);
+      state.net ??= createNetworkLog();
+      if (params.capture_bodies != null) {
+        state.bodies = { enabled: params.capture_bodies === true, filter: params.body_filter || null, max: params.max_body_bytes ?? 65536 };
+      }
+      const all = state.net.entries;
+      const limit = params.limit ?? 0;
+      const shown = limit > 0 ? all.slice(-limit) : [...all];
+      const count = all.length;
+      if (params.clear && shown.length) state.net.drop(shown);
+      return { count, requests: shown, backend: 'cdp' };
+    }
+    default:
+      return undefined;
+  }
+}
+
+// --- Input trusted (Input domain) ---
+
+// Gli eventi sintetici hanno isTrusted false: le pagine di login che lo
+// controllano, i <select> nativi, i file picker, fullscreen e clipboard li
+// ignorano. Con `input: 'trusted'` (o il backend CDP acceso) click, type_text
+// e press_key passano da Input.dispatch*, come una tastiera e un mouse veri.
+// Senza debugger (permesso negato, DevTools aperti, barra chiusa) si torna
+// agli eventi sintetici e il risultato dice perché.
+
+function wantsTrusted(type, params) {
+  if (!TRUSTED_INPUT_COMMANDS.has(type)) return false;
+  return params.input === 'trusted' || (params.input == null && params.backend === 'cdp');
+}
+
+/** { result } con input trusted, oppure { fallback: motivo }. */
+async function trustedInput(type, params) {
+  // Le coordinate di Input sono del frame principale: un click in un iframe
+  // andrebbe traslato dell'offset del frame, che da qui non si conosce
+  if (type === 'click' && params.frame_id) return { fallback: 'frame_id: trusted clicks target the main frame only' };
+  const tabId = await resolveTabId(params.tab_id);
+  const owner = cdpOwner(params);
+  // Senza `cdp enable` l'aggancio è in prestito per questo comando: poi si
+  // stacca, come per print_pdf, e la barra di debug non resta sulla scheda
+  const borrowed = !cdpTabs.get(tabId)?.owners.has(owner);
+  try {
+    await cdpAttach(tabId, owner);
+  } catch (err) {
+    return { fallback: err.message };
+  }
+  try {
+    return await trustedDispatch(type, params, tabId, owner);
+  } finally {
+    if (borrowed) await cdpDetachTab(tabId, owner);
+  }
+}
+
+/** Click, type_text o press_key dal dominio Input, con il debugger già agganciato. */
+async function trustedDispatch(type, params, tabId, owner) {
+  const dispatchKeys = async (events) => {
+    for (const ev of events) await cdpSend(tabId, 'Input.dispatchKeyEvent', ev, owner);
+  };
+
+  if (type === 'click') {
+    if (!params.selector) throw new Error('Missing required parameter: selector');
+    const target = await clickPoint(tabId, params.selector, params.force === true);
+    if (!target.point) return { result: target };
+    for (const ev of mouseClicks(target.point.x, target.point.y, { button: params.button, count: params.count })) {
+      await cdpSend(tabId, 'Input.dispatchMouseEvent', ev, owner);
+    }
+    const { point: _p, ...info } = target;
+    return { result: { clicked: true, button: params.button ?? 'left', count: Math.max(1, Number(params.count) || 1), ...info, input: 'trusted' } };
+  }
+
+  if (type === 'type_text') {
+    if (!params.selector) throw new Error('Missing required parameter: selector');
+    if (params.text === undefined) throw new Error('Missing required parameter: text');
+    const mode = params.mode ?? 'set';
+    const { tagName } = await focusForInput(tabId, params.frame_id, params.selector, mode === 'set');
+    // set: il contenuto è selezionato, il testo inserito lo sostituisce in un
+    // colpo solo (beforeinput/input trusted); vuoto = Delete sulla selezione
+    if (mode === 'set') {
+      if (params.text === '') await dispatchKeys(keyEvents('Delete'));
+      else await cdpSend(tabId, 'Input.insertText', { text: params.text }, owner);
+    } else {
+      for (const ch of params.text) await dispatchKeys(keyEvents(ch === '\n' ? 'Enter' : ch));
+    }
+    // change arriva quando il campo perde il fuoco, come con una persona
+    return { result: { typed: true, tagName, mode, input: 'trusted' } };
+  }
+
+  // press_key
+  if (!params.key) throw new Error('Missing required parameter: key');
+  const events = keyEvents(params.key, params);
+  const { tagName } = await focusForInput(tabId, params.frame_id, params.selector ?? null, false);
+  await dispatchKeys(events);
+  return {
+    result: {
+      key: params.key,
+      target: tagName,
+      modifiers: ['ctrl', 'shift', 'alt', 'meta'].filter((m) => params[m] === true),
+      input: 'trusted',
+    },
+  };
+}
+
+// Fuoco sull'elemento prima dei tasti trusted: Input.dispatchKeyEvent va a
+// chi ha il fuoco, non a un selettore. selectAll prepara la sostituzione di
+// type_text mode=set. Senza selettore resta l'elemento attivo.
+async function focusForInput(tabId, frame_id, selector, selectAll) {
+  const results = await chrome.scripting.executeScript({
+    target: scriptTarget(tabId, frame_id),
+    func: (sel, select) => {
+      function deepQuery(sel) {
+        // Locator (role=…, text=…): installato da ensureLocator prima del comando
+        const loc = window.__chromeBridge_locator;
+        if (loc?.isLocator(sel)) return loc.query(sel);
+        if (!sel.includes('>>>')) return document.querySelector(sel);
+        const parts = sel.split('>>>').map((s) => s.trim());
+        let ctx = document;
+        for (let i = 0; i < parts.length; i++) {
+          const found = ctx.querySelector(parts[i]);
+          if (!found) return null;
+          if (i === parts.length - 1) return found;
+          if (!found.shadowRoot) return null;
+          ctx = found.shadowRoot;
+        }
+        return null;
+      }
+      let el = document.activeElement || document.body;
+      if (sel) {
+        el = deepQuery(sel);
+        if (!el) throw new Error(`Element not found: ${sel}`);
+        el.scrollIntoView({ block: 'center', inline: 'center' });
+        el.focus();
+      }
+      if (select) {
+        if (typeof el.select === 'function') {
+          el.select();
+        } else if (el.isContentEditable) {
+          const range = document.createRange();
+          range.selectNodeContents(el);
+          const s = getSelection();
+          s.removeAllRanges();
+          s.addRange(range);
+        }
+      }
+      return { tagName: el.tagName.toLowerCase() };
+    },
+    args: [selector, selectAll],
+    world: 'MAIN',
+  });
+  return results?.[0]?.result ?? {};
+}
+
+// Centro dell'elemento per un click CDP, dopo averlo portato nel viewport.
+// Stesso controllo di occlusione di cmdClick: un evento trusted su un overlay
+// cliccherebbe l'overlay.
+async function clickPoint(tabId, selector, force) {
+  const results = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: (sel, forceClick) => {
+      function deepQuery(sel) {
+        // Locator (role=…, text=…): installato da ensureLocator prima del comando
+        const loc = window.__chromeBridge_locator;
+        if (loc?.isLocator(sel)) return loc.query(sel);
+        if (!sel.includes('>>>')) return document.querySelector(sel);
+        const parts = sel.split('>>>').map((s) => s.trim());
+        let ctx = document;
+        for (let i = 0; i < parts.length; i++) {
+          const found = ctx.querySelector(parts[i]);
+          if (!found) return null;
+          if (i === parts.length - 1) return found;
+          if (!found.shadowRoot) return null;
+          ctx = found.shadowRoot;
+        }
+        return null;
+      }
+      const el = deepQuery(sel);
+      if (!el) throw new Error(`Element not found: ${sel}`);
+      el.scrollIntoView({ block: 'center', inline: 'center' });
+      const rect = el.getBoundingClientRect();
+      const cx = rect.left + rect.width / 2;
+      const cy = rect.top + rect.height / 2;
+      if (cx < 0 || cy < 0 || cx > innerWidth || cy > innerHeight) {
+        throw new Error(`Element is outside the viewport after scrolling: ${sel}`);
+      }
+      if (!forceClick) {
+        const top = document.elementFromPoint(cx, cy);
+        if (top && top !== el && !el.contains(top) && !top.contains(el)) {
+          const occluderSel = top.id ? `#${top.id}` : top.tagName.toLowerCase() + (typeof top.className === 'string' && top.className.trim() ? `.${top.className.trim().split(/\s+/)[0]}` : '');
+          return { clicked: false, occluded: true, occluder: { selector: occluderSel, tag: top.tagName.toLowerCase(), text: (top.textContent || '').trim().substring(0, 80) } };
+        }
+      }
+      return { point: { x: Math.round(cx), y: Math.round(cy) }, tagName: el.tagName, text: el.textContent?.substring(0, 100) };
+    },
+    args: [selector, force],
+    world: 'MAIN',
+  });
+  return results?.[0]?.result ?? {};
+}
+
+// --- Approvazione umana dei comandi distruttivi ---
+
+// Con la modalità approvazione attiva (popup, ⚙) i comandi di needsApproval()
+// si fermano qui finché una persona non risponde nel popup. Il server riceve
+// subito un evento `approval` (allunga il timeout del comando in attesa) e,
+// se la risposta è no o non arriva, un errore con code approval_denied.
+const APPROVAL_TIMEOUT_MS = 120000;
+const pendingApprovals = new Map(); // id comando → { request, decide }
+
+function approvalList() {
+  return [...pendingApprovals.values()].map((p) => p.request);
+}
+
+function approvalsChanged() {
+  const n = pendingApprovals.size;
+  chrome.action.setBadgeText({ text: n ? String(n) : '' }).catch(() => {});
+  chrome.action.setBadgeBackgroundColor({ color: '#d93025' }).catch(() => {});
+  chrome.action.setTitle({ title: n ? `Chrome Bridge — ${n} action(s) waiting for approval` : 'Chrome Bridge' }).catch(() => {});
+  chrome.runtime.sendMessage({ type: 'approvalsChanged', approvals: approvalList() }).catch(() => {});
+}
+
+async function awaitApproval(msg) {
+  const params = msg.params ?? {};
+  if (!needsApproval(msg.type, params)) return;
+  const { approvalMode } = await chrome.storage.local.get({ approvalMode: false });
+  if (!approvalMode) return;
+
+  // La scheda che il comando toccherebbe: chi approva deve vedere dove
+  let tab = null;
+  if (msg.type !== 'http_request') {
+    tab = await resolveTabId(params.tab_id).then((id) => chrome.tabs.get(id)).catch(() => null);
+  }
+  const request = {
+    id: msg.id,
+    command: msg.type,
+    ...approvalParams(params),
+    tab: tab ? { id: tab.id, url: tab.url, title: tab.title } : null,
+    requested_at: Date.now(),
+    expires_at: Date.now() + APPROVAL_TIMEOUT_MS,
+  };
+  sendMessage({
+    type: 'event',
+    event: 'approval',
+    data: { id: msg.id, state: 'pending', command: msg.type, tab_id: tab?.id ?? null, url: tab?.url ?? null, timeout_ms: APPROVAL_TIMEOUT_MS },
+    timestamp: Date.now(),
+  });
+
+  const verdict = await new Promise((resolve) => {
+    const timer = setTimeout(() => resolve({ approved: false, reason: 'timeout' }), APPROVAL_TIMEOUT_MS);
+    pendingApprovals.set(msg.id, { request, decide: (v) => { clearTimeout(timer); resolve(v); } });
+    approvalsChanged();
+    // Chrome ≥127 apre il popup anche senza gesto, se la finestra ha il focus
+    chrome.action.openPopup?.().catch(() => {});
+  });
+  pendingApprovals.delete(msg.id);
+  approvalsChanged();
+  if (verdict.approved) return;
+
+  const err = new Error(verdict.reason === 'timeout'
+    ? `Not approved: nobody answered the chrome-bridge popup within ${APPROVAL_TIMEOUT_MS / 1000}s (${msg.type})`
+    : verdict.reason === 'too_large'
+      ? `Denied: the ${msg.type} parameters (${request.size} chars) are too large to review in the chrome-bridge popup — split the command into smaller ones`
+      : `Denied by the user in the chrome-bridge popup: ${msg.type}${tab ? ` on ${tab.url}` : ''}`);
+  err.code = 'approval_denied';
+  err.details = { command: msg.type, reason: verdict.reason, tab_id: tab?.id ?? null, url: tab?.url ?? null };
+  throw err;
+}
+
 // --- Command dispatcher ---
 
 async function executeCommand(msg) {
   const { type, params = {} } = msg;
+  if (usesLocator(params)) await ensureLocator(params);
+  if (params.backend === 'cdp' && CDP_COMMANDS.has(type)) {
+    const viaCdp = await executeCdp(type, params);
+    if (viaCdp !== undefined) return viaCdp;
+  }
+  if (wantsTrusted(type, params)) {
+    const trusted = await trustedInput(type, params);
+    if (trusted.result) return trusted.result;
+    // Input sintetico al posto di quello trusted chiesto: il risultato lo dice
+    const result = await executeCommand({ type, params: { ...params, input: 'synthetic' } });
+    return { ...result, input: 'synthetic', trusted_unavailable: trusted.fallback };
+  }
 
   switch (type) {
     case 'get_tabs':
@@ -430,6 +1087,12 @@ async function executeCommand(msg) {
       return await cmdManageDownloads(params);
     case 'save_page':
       return await cmdSavePage(params);
+    case 'print_pdf':
+      return await cmdPrintPdf(params);
+    case 'network_conditions':
+      return await cmdNetworkConditions(params);
+    case 'fake_clock':
+      return await cmdFakeClock(params);
     case 'wait_for_text':
       return await cmdWaitForText(params);
     case 'http_request':
@@ -446,6 +1109,12 @@ async function executeCommand(msg) {
       return await cmdWaitForFunction(params);
     case 'scroll_until':
       return await cmdScrollUntil(params);
+    case 'element_locators':
+      return await cmdElementLocators(params);
+    case 'end_session':
+      return await cmdEndSession(params);
+    case 'cdp':
+      return await cmdCdp(params);
     default:
       throw new Error(`Unknown command type: ${type}`);
   }
@@ -650,14 +1319,23 @@ async function bitmapToBase64Capped(bitmap, maxSide = MAX_IMAGE_SIDE) {
 
 // --- Implementazione comandi ---
 
-async function cmdGetTabs({ include_windows = false } = {}) {
-  const tabs = await chrome.tabs.query({});
+async function cmdGetTabs({ include_windows = false, all = false, session } = {}) {
+  await sessionsReady;
+  let tabs = await chrome.tabs.query({});
+  // Un relay vede solo le schede della sua sessione: le altre sono di un
+  // altro agente, e il loro id era un invito a cliccarci dentro.
+  if (session && !all) tabs = tabs.filter((t) => tabSessions.get(t.id) === session);
+  // `active` c'è in ogni finestra; `current` è la scheda che un comando senza
+  // tab_id colpirebbe (resolveTabId), quella che la policy del server controlla
+  const [current] = await chrome.tabs.query({ active: true, currentWindow: true });
   const list = tabs.map((t) => ({
     id: t.id,
     url: t.url,
     title: t.title,
     active: t.active,
+    ...(t.id === current?.id ? { current: true } : {}),
     windowId: t.windowId,
+    ...(tabSessions.has(t.id) ? { session: tabSessions.get(t.id) } : {}),
   }));
   if (!include_windows) return list;
 
@@ -682,7 +1360,7 @@ async function cmdGetTabs({ include_windows = false } = {}) {
   return { tabs: list, windows };
 }
 
-async function cmdNavigate({ url, tab_id }) {
+async function cmdNavigate({ url, tab_id, session }) {
   if (!url) throw new Error('Missing required parameter: url');
 
   // Senza tab_id esplicito: apri SEMPRE in una nuova scheda (attiva) per non
@@ -690,6 +1368,11 @@ async function cmdNavigate({ url, tab_id }) {
   // quella scheda specifica.
   if (!tab_id) {
     const newTab = await chrome.tabs.create({ url, active: true });
+    // Come create_tab: è il modo più comune in cui un agente apre una pagina
+    if (session) {
+      await sessionsReady;
+      await claimTab(session, newTab);
+    }
     // Se la pagina è già 'complete' (es. cache) non aspettare il listener
     if (newTab.status !== 'complete') {
       await waitForComplete(newTab.id);
@@ -760,6 +1443,9 @@ async function cmdClick({ selector, tab_id, frame_id, force = false, button = 'l
     target: scriptTarget(tabId, frame_id),
     func: (sel, forceClick, btn, times) => {
       function deepQuery(sel) {
+        // Locator (role=…, text=…): installato da ensureLocator prima del comando
+        const loc = window.__chromeBridge_locator;
+        if (loc?.isLocator(sel)) return loc.query(sel);
         if (!sel.includes('>>>')) return document.querySelector(sel);
         const parts = sel.split('>>>').map((s) => s.trim());
         let ctx = document;
@@ -823,6 +1509,9 @@ async function cmdTypeText({ selector, text, mode = 'set', tab_id, frame_id }) {
     target: scriptTarget(tabId, frame_id),
     func: async (sel, txt, typeMode) => {
       function deepQuery(sel) {
+        // Locator (role=…, text=…): installato da ensureLocator prima del comando
+        const loc = window.__chromeBridge_locator;
+        if (loc?.isLocator(sel)) return loc.query(sel);
         if (!sel.includes('>>>')) return document.querySelector(sel);
         const parts = sel.split('>>>').map((s) => s.trim());
         let ctx = document;
@@ -910,21 +1599,36 @@ async function cmdReadPage({ mode = 'text', tab_id, frame_id }) {
   }
 
   if (mode === 'accessibility') {
-    // Ritorna una struttura semplificata dell'a11y tree
+    // Ruolo e nome accessibile vengono dal modulo dei locator: ciò che questa
+    // vista mostra come "[button] Save" si ritrova con role=button[name="Save"].
+    const target = scriptTarget(tabId, frame_id);
+    await chrome.scripting.executeScript({ target, func: installLocator, args: [null], world: 'MAIN' });
     const results = await chrome.scripting.executeScript({
-      target: scriptTarget(tabId, frame_id),
+      target,
       func: () => {
-        function walk(el, depth = 0) {
-          if (depth > 10) return '';
-          const role = el.getAttribute('role') || el.tagName.toLowerCase();
-          const label = el.getAttribute('aria-label') || el.textContent?.substring(0, 50)?.trim() || '';
-          let output = `${'  '.repeat(depth)}[${role}] ${label}\n`;
-          for (const child of el.children) {
-            output += walk(child, depth + 1);
+        const loc = window.__chromeBridge_locator;
+        const SKIP = new Set(['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT']);
+        let lines = 0;
+        // Gli elementi senza ruolo (div, span…) sono trasparenti: i figli
+        // salgono al livello del genitore, come nell'albero di Chrome
+        function walk(el, depth) {
+          let out = '';
+          for (const child of [...el.children, ...(el.shadowRoot ? el.shadowRoot.children : [])]) {
+            if (lines >= 2000 || SKIP.has(child.tagName) || child.getAttribute('aria-hidden') === 'true') continue;
+            const role = loc.role(child);
+            if (role && role !== 'presentation' && role !== 'none' && depth <= 30) {
+              const level = loc.level(child);
+              const name = loc.name(child).substring(0, 80);
+              out += `${'  '.repeat(depth)}[${role}${level ? ` level=${level}` : ''}]${name ? ` ${name}` : ''}\n`;
+              lines++;
+              out += walk(child, depth + 1);
+            } else {
+              out += walk(child, depth);
+            }
           }
-          return output;
+          return out;
         }
-        return walk(document.body);
+        return walk(document.body, 0);
       },
       world: 'MAIN',
     });
@@ -940,9 +1644,104 @@ async function cmdReadPage({ mode = 'text', tab_id, frame_id }) {
   return results?.[0]?.result ?? '';
 }
 
+// --- Sessioni: più agenti (relay) sullo stesso browser ---
+
+// Il primary marca i comandi di ogni relay con params.session. Le schede che
+// una sessione apre le appartengono e finiscono nel suo gruppo (o nella sua
+// finestra): get_tabs mostra solo quelle, tab_action close rifiuta le altrui.
+// La mappa vive in storage.session: il SW muore, le schede restano.
+let tabSessions = new Map();   // tabId → nome sessione
+let sessionGroups = new Map(); // nome sessione → groupId
+const sessionsReady = chrome.storage.session.get({ tabSessions: [], sessionGroups: [] })
+  .then((saved) => {
+    tabSessions = new Map([...saved.tabSessions, ...tabSessions]);
+    sessionGroups = new Map([...saved.sessionGroups, ...sessionGroups]);
+  })
+  .catch(() => {});
+
+function persistSessions() {
+  chrome.storage.session.set({ tabSessions: [...tabSessions], sessionGroups: [...sessionGroups] }).catch(() => {});
+}
+
+const GROUP_COLORS = ['blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+function sessionColor(session) {
+  let h = 0;
+  for (const ch of session) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+  return GROUP_COLORS[h % GROUP_COLORS.length];
+}
+
+/**
+ * Assegna una scheda alla sessione. Con `group` la mette nel gruppo della
+ * sessione in quella finestra (creandolo se serve): best-effort, senza gruppi
+ * resta comunque la proprietà, che è ciò che fa da barriera.
+ */
+async function claimTab(session, tab, { group = true } = {}) {
+  tabSessions.set(tab.id, session);
+  persistSessions();
+  if (!group || !chrome.tabGroups) return null;
+  try {
+    let groupId = sessionGroups.get(session);
+    if (groupId != null) {
+      const g = await chrome.tabGroups.get(groupId).catch(() => null);
+      if (!g || g.windowId !== tab.windowId) groupId = null;
+    }
+    groupId = await chrome.tabs.group(groupId != null
+      ? { groupId, tabIds: [tab.id] }
+      : { tabIds: [tab.id], createProperties: { windowId: tab.windowId } });
+    await chrome.tabGroups.update(groupId, { title: session, color: sessionColor(session) });
+    sessionGroups.set(session, groupId);
+    persistSessions();
+    return groupId;
+  } catch {
+    return null;
+  }
+}
+
+/** Rifiuta un'azione su una scheda di un'altra sessione (il primary non ne ha: vale anche per lui). */
+function assertTabSession(tabId, session, action) {
+  const owner = tabSessions.get(tabId);
+  if (owner && owner !== session) {
+    throw new Error(`Tab ${tabId} belongs to session "${owner}" — ${action} refused; use get_tabs to list your own tabs`);
+  }
+}
+
+function releaseSession(session) {
+  let released = 0;
+  for (const [tabId, owner] of tabSessions) {
+    if (owner === session) { tabSessions.delete(tabId); released++; }
+  }
+  sessionGroups.delete(session);
+  persistSessions();
+  return released;
+}
+
+/** Alla (ri)connessione: le sessioni che il primary non conosce sono di relay spariti. */
+async function releaseStaleSessions(alive) {
+  await sessionsReady;
+  const owners = new Set([...tabSessions.values(), ...sessionGroups.keys()]);
+  for (const s of owners) if (!alive.includes(s)) releaseSession(s);
+}
+
+async function cmdEndSession({ session }) {
+  if (!session) throw new Error('Missing required parameter: session');
+  await sessionsReady;
+  // Le schede restano aperte: è l'utente a decidere se chiuderle. Il debugger
+  // no: agganciato per una sessione finita, terrebbe la barra e le emulazioni
+  return { session, released: releaseSession(session), detached: await cdpRelease(session) };
+}
+
+// Popup e target=_blank aperti da una scheda di sessione restano della sessione
+chrome.tabs.onCreated.addListener(async (tab) => {
+  if (tab.openerTabId == null) return;
+  await sessionsReady;
+  const owner = tabSessions.get(tab.openerTabId);
+  if (owner && !tabSessions.has(tab.id)) claimTab(owner, tab, { group: false });
+});
+
 // --- create_tab ---
 
-async function cmdCreateTab({ url, active = true, new_window = false, left, top, width, height }) {
+async function cmdCreateTab({ url, active = true, new_window = false, left, top, width, height, session }) {
   if (new_window) {
     // windows.create con i bounds apre direttamente sul monitor scelto: left è
     // la coordinata sulla scrivania virtuale, quindi è ciò che sceglie lo schermo.
@@ -953,6 +1752,8 @@ async function cmdCreateTab({ url, active = true, new_window = false, left, top,
     }
     const win = await chrome.windows.create(winOpts);
     const tab = (win.tabs || [])[0];
+    // Una finestra propria isola già: niente gruppo
+    if (session && tab) await claimTab(session, tab, { group: false });
     if (url && tab) {
       await waitForComplete(tab.id);
       const updated = await chrome.tabs.get(tab.id);
@@ -963,6 +1764,10 @@ async function cmdCreateTab({ url, active = true, new_window = false, left, top,
   const opts = { active };
   if (url) opts.url = url;
   const tab = await chrome.tabs.create(opts);
+  if (session) {
+    await sessionsReady;
+    await claimTab(session, tab);
+  }
   // Attendi caricamento se c'è un URL
   if (url) {
     await waitForComplete(tab.id);
@@ -1138,11 +1943,13 @@ async function cmdMoveTab({ tab_id, window_id, new_window = false, window_type,
   };
 }
 
-async function cmdTabAction({ action, tab_id, bypass_cache = false }) {
+async function cmdTabAction({ action, tab_id, bypass_cache = false, session }) {
   if (!action) throw new Error('Missing required parameter: action');
   const tabId = await resolveTabId(tab_id);
 
   if (action === 'close') {
+    await sessionsReady;
+    assertTabSession(tabId, session, 'close');
     await chrome.tabs.remove(tabId);
     return { action, closed: tabId };
   }
@@ -1159,6 +1966,12 @@ async function cmdTabAction({ action, tab_id, bypass_cache = false }) {
   }
   if (action === 'duplicate') {
     const d = await chrome.tabs.duplicate(tabId);
+    // Non da openerTabId: il duplicato non sempre lo porta, e la sessione
+    // che lo chiede ne è comunque la proprietaria
+    if (session) {
+      await sessionsReady;
+      await claimTab(session, d);
+    }
     return { action, source: tabId, duplicated: d.id, window_id: d.windowId };
   }
   if (action === 'activate') {
@@ -1361,6 +2174,8 @@ async function cmdQueryDom({ selector, properties, limit = 50, tab_id, frame_id
     target: scriptTarget(tabId, frame_id),
     func: (sel, props, lim) => {
       function deepQueryAll(sel) {
+        const loc = window.__chromeBridge_locator;
+        if (loc?.isLocator(sel)) return loc.queryAll(sel);
         if (!sel.includes('>>>')) return [...document.querySelectorAll(sel)];
         const parts = sel.split('>>>').map((s) => s.trim());
         const last = parts.pop();
@@ -1419,7 +2234,7 @@ async function cmdModifyDom({ selector, action, name, value, className, tab_id,
   const results = await chrome.scripting.executeScript({
     target: scriptTarget(tabId, frame_id),
     func: (sel, act, attrName, attrValue, cls) => {
-      const el = document.querySelector(sel);
+      const el = window.__chromeBridge_locator ? window.__chromeBridge_locator.query(sel) : document.querySelector(sel);
       if (!el) throw new Error(`Element not found: ${sel}`);
       switch (act) {
         case 'setAttribute':
@@ -1518,10 +2333,15 @@ async function cmdReadConsole({ clear = false, level = 'all', limit = 0, tab_id
 // invece fuori sincrono con la navigazione (il tab veniva rimosso su
 // 'loading', reinserito da un'iniezione risolta contro il documento morente,
 // e il nuovo documento restava senza hook con `count: 0` silenzioso).
-async function ensureNetworkHook(tabId) {
+//
+// `bodies` (opzionale) aggiorna la configurazione della cattura dei body anche
+// su un hook già installato: { enabled, filter, max }. Senza, resta quella in
+// vigore — wait_for_network_idle e scroll_until non la toccano.
+async function ensureNetworkHook(tabId, bodies) {
   await chrome.scripting.executeScript({
     target: { tabId },
-    func: () => {
+    func: (bodyCfg) => {
+      if (bodyCfg) window.__chromeBridge_netBodies = bodyCfg;
       if (window.__chromeBridge_networkHooked) return;
       window.__chromeBridge_networkHooked = true;
       window.__chromeBridge_networkRequests = [];
@@ -1529,6 +2349,114 @@ async function ensureNetworkHook(tabId) {
       window.__chromeBridge_lastNetActivity = Date.now();
       const MAX = 1000;
 
+      // --- Cattura body (opt-in) ---
+      // Tutto best-effort e mai bloccante: la risposta torna alla pagina subito,
+      // il body si legge da un clone e arriva nell'entry quando è pronto. Un
+      // errore qui non deve mai arrivare al codice della pagina.
+      const TEXTUAL = /^text\/|json|xml|javascript|ecmascript|x-www-form-urlencoded|graphql|csv|yaml/i;
+      const wantBody = (url) => {
+        const cfg = window.__chromeBridge_netBodies;
+        if (!cfg || !cfg.enabled) return null;
+        const f = cfg.filter;
+        if (f) {
+          // Stessa convenzione di assert: "/.../" = regex, altrimenti substring
+          const isRe = f.length > 2 && f.startsWith('/') && f.endsWith('/');
+          try {
+            if (isRe ? !new RegExp(f.slice(1, -1)).test(url) : !String(url).includes(f)) return null;
+          } catch { return null; }
+        }
+        return cfg.max > 0 ? cfg.max : 65536;
+      };
+      const toBase64 = (bytes) => {
+        let bin = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+          bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(bin);
+      };
+      // Testo dai primi byte di un body tagliato a un numero di byte: `stream`
+      // lascia fuori il carattere spezzato a metà dal taglio, che decodificato
+      // da solo diventava un U+FFFD in fondo al testo
+      const decodeHead = (bytes, cut) => new TextDecoder().decode(bytes, { stream: cut });
+      // Byte già letti → { mimeType, size, text, encoding?, truncated? }
+      const fromBytes = (bytes, size, mimeType, max) => {
+        const kept = bytes.length > max ? bytes.subarray(0, max) : bytes;
+        const out = { mimeType: mimeType || '', size };
+        if (!mimeType || TEXTUAL.test(mimeType)) {
+          out.text = decodeHead(kept, size > kept.length);
+        } else {
+          out.text = toBase64(kept);
+          out.encoding = 'base64';
+        }
+        if (size > kept.length) out.truncated = true;
+        return out;
+      };
+      // size e max in byte UTF-8 come per i body binari: s.length conta le
+      // unità UTF-16 e sottostimava un body con accenti o emoji
+      const fromText = (text, mimeType, max) => {
+        const s = String(text);
+        const bytes = new TextEncoder().encode(s);
+        const out = { mimeType: mimeType || '', size: bytes.length, text: bytes.length > max ? decodeHead(bytes.subarray(0, max), true) : s };
+        if (bytes.length > max) out.truncated = true;
+        return out;
+      };
+      // Body di richiesta nelle forme che fetch e XHR accettano
+      const describeRequestBody = async (body, mimeType, max) => {
+        if (body == null) return null;
+        if (typeof body === 'string') return fromText(body, mimeType || 'text/plain', max);
+        if (body instanceof URLSearchParams) return fromText(body.toString(), 'application/x-www-form-urlencoded', max);
+        if (body instanceof FormData) {
+          // Il boundary multipart lo sceglie il browser: qui una vista leggibile
+          const parts = [];
+          for (const [k, v] of body.entries()) {
+            parts.push(typeof v === 'string' ? `${k}=${v}` : `${k}=<file ${v.name || 'blob'}, ${v.size} bytes, ${v.type || 'unknown type'}>`);
+          }
+          return fromText(parts.join('\n'), 'multipart/form-data', max);
+        }
+        if (body instanceof Blob) {
+          const bytes = new Uint8Array(await body.slice(0, max).arrayBuffer());
+          return fromBytes(bytes, body.size, body.type || mimeType, max);
+        }
+        if (body instanceof ArrayBuffer) return fromBytes(new Uint8Array(body), body.byteLength, mimeType, max);
+        if (ArrayBuffer.isView(body)) {
+          return fromBytes(new Uint8Array(body.buffer, body.byteOffset, body.byteLength), body.byteLength, mimeType, max);
+        }
+        return null; // ReadableStream: leggerlo lo consumerebbe
+      };
+      // Legge al massimo `max` byte dallo stream e poi lo cancella: uno stream
+      // infinito (SSE) o un download enorme non restano in memoria per intero.
+      const readCapped = async (stream, max) => {
+        const reader = stream.getReader();
+        const chunks = [];
+        let size = 0;
+        let more = true;
+        while (size <= max) {
+          const { done, value } = await reader.read();
+          if (done) { more = false; break; }
+          chunks.push(value);
+          size += value.length;
+        }
+        if (more) reader.cancel().catch(() => {});
+        const bytes = new Uint8Array(size);
+        let off = 0;
+        for (const c of chunks) { bytes.set(c, off); off += c.length; }
+        return { bytes, size, more };
+      };
+      const headerList = (headers) => {
+        const list = [];
+        headers.forEach((value, name) => list.push({ name, value }));
+        return list;
+      };
+      const push = (entry) => {
+        // Ring buffer: scarta le più VECCHIE, non le nuove. Scartare le nuove
+        // faceva consegnare al modello le richieste dei primi secondi di vita
+        // della pagina etichettate come "most recent".
+        window.__chromeBridge_networkRequests.push(entry);
+        if (window.__chromeBridge_networkRequests.length > MAX) {
+          window.__chromeBridge_networkRequests.shift();
+        }
+      };
+
       // --- Patch fetch ---
       const origFetch = window.fetch.bind(window);
       window.fetch = async (...args) => {
@@ -1536,32 +2464,52 @@ async function ensureNetworkHook(tabId) {
         const url = typeof req === 'string' ? req : req?.url || String(req);
         const method = (args[1]?.method || (req?.method) || 'GET').toUpperCase();
         const entry = { type: 'fetch', method, url, startTime: Date.now(), status: null, duration: null, error: null };
+        const max = wantBody(url);
+        // La cattura del body corre accanto alla richiesta: attenderla prima
+        // di origFetch ritardava ogni chiamata della pagina di una lettura.
+        if (max) {
+          try {
+            const init = args[1] || {};
+            let captured = null;
+            if (init.body != null) {
+              captured = describeRequestBody(init.body, new Headers(init.headers || {}).get('content-type'), max);
+            } else if (req instanceof Request && req.body) {
+              // Il clone va fatto adesso: origFetch consuma il body di req
+              const body = req.clone().body;
+              const ct = req.headers.get('content-type');
+              captured = readCapped(body, max).then(({ bytes, size }) => fromBytes(bytes, size, ct, max));
+            }
+            captured?.then((b) => { if (b) entry.requestBody = b; }).catch(() => {});
+          } catch {}
+        }
         window.__chromeBridge_inflight += 1;
         window.__chromeBridge_lastNetActivity = Date.now();
         try {
           const resp = await origFetch(...args);
           entry.status = resp.status;
           entry.duration = Date.now() - entry.startTime;
-          // Ring buffer: scarta le più VECCHIE, non le nuove. Scartare le nuove
-          // faceva consegnare al modello le richieste dei primi secondi di vita
-          // della pagina etichettate come "most recent".
-          window.__chromeBridge_networkRequests.push(entry);
-          if (window.__chromeBridge_networkRequests.length > MAX) {
-            window.__chromeBridge_networkRequests.shift();
+          if (max) {
+            try {
+              entry.responseHeaders = headerList(resp.headers);
+              const ct = resp.headers.get('content-type') || '';
+              if (resp.body && !/event-stream/i.test(ct)) {
+                // Il clone si legge dopo aver restituito la risposta alla pagina
+                const clone = resp.clone();
+                readCapped(clone.body, max).then(({ bytes, size, more }) => {
+                  entry.responseBody = fromBytes(bytes, size, ct, max);
+                  if (more) entry.responseBody.truncated = true;
+                }).catch(() => {});
+              }
+            } catch {}
           }
+          push(entry);
           window.__chromeBridge_inflight -= 1;
           window.__chromeBridge_lastNetActivity = Date.now();
           return resp;
         } catch (err) {
           entry.error = err.message;
           entry.duration = Date.now() - entry.startTime;
-          // Ring buffer: scarta le più VECCHIE, non le nuove. Scartare le nuove
-          // faceva consegnare al modello le richieste dei primi secondi di vita
-          // della pagina etichettate come "most recent".
-          window.__chromeBridge_networkRequests.push(entry);
-          if (window.__chromeBridge_networkRequests.length > MAX) {
-            window.__chromeBridge_networkRequests.shift();
-          }
+          push(entry);
           window.__chromeBridge_inflight -= 1;
           window.__chromeBridge_lastNetActivity = Date.now();
           throw err;
@@ -1572,34 +2520,53 @@ async function ensureNetworkHook(tabId) {
       const OrigXHR = window.XMLHttpRequest;
       const origOpen = OrigXHR.prototype.open;
       const origSend = OrigXHR.prototype.send;
+      const origSetHeader = OrigXHR.prototype.setRequestHeader;
       OrigXHR.prototype.open = function (method, url, ...rest) {
         this.__cb_method = method;
         this.__cb_url = url;
+        this.__cb_contentType = null;
         return origOpen.call(this, method, url, ...rest);
       };
+      OrigXHR.prototype.setRequestHeader = function (name, value) {
+        if (String(name).toLowerCase() === 'content-type') this.__cb_contentType = value;
+        return origSetHeader.call(this, name, value);
+      };
       OrigXHR.prototype.send = function (...args) {
         const entry = { type: 'xhr', method: (this.__cb_method || 'GET').toUpperCase(), url: this.__cb_url || '', startTime: Date.now(), status: null, duration: null, error: null };
+        const max = wantBody(entry.url);
+        if (max && args[0] != null) {
+          describeRequestBody(args[0], this.__cb_contentType, max)
+            .then((b) => { if (b) entry.requestBody = b; })
+            .catch(() => {});
+        }
         this.addEventListener('load', () => {
           entry.status = this.status;
           entry.duration = Date.now() - entry.startTime;
-          // Ring buffer: scarta le più VECCHIE, non le nuove. Scartare le nuove
-          // faceva consegnare al modello le richieste dei primi secondi di vita
-          // della pagina etichettate come "most recent".
-          window.__chromeBridge_networkRequests.push(entry);
-          if (window.__chromeBridge_networkRequests.length > MAX) {
-            window.__chromeBridge_networkRequests.shift();
+          if (max) {
+            try {
+              entry.responseHeaders = this.getAllResponseHeaders().trim().split(/\r?\n/).filter(Boolean).map((line) => {
+                const i = line.indexOf(':');
+                return { name: line.slice(0, i).trim(), value: line.slice(i + 1).trim() };
+              });
+              const ct = this.getResponseHeader('content-type') || '';
+              const rt = this.responseType;
+              if (rt === '' || rt === 'text') entry.responseBody = fromText(this.responseText, ct, max);
+              else if (rt === 'json') entry.responseBody = fromText(JSON.stringify(this.response), ct, max);
+              else if (rt === 'arraybuffer' && this.response) entry.responseBody = fromBytes(new Uint8Array(this.response), this.response.byteLength, ct, max);
+              else if (rt === 'blob' && this.response) {
+                const blob = this.response;
+                blob.slice(0, max).arrayBuffer().then((buf) => {
+                  entry.responseBody = fromBytes(new Uint8Array(buf), blob.size, ct || blob.type, max);
+                }).catch(() => {});
+              }
+            } catch {}
           }
+          push(entry);
         });
         this.addEventListener('error', () => {
           entry.error = 'Network error';
           entry.duration = Date.now() - entry.startTime;
-          // Ring buffer: scarta le più VECCHIE, non le nuove. Scartare le nuove
-          // faceva consegnare al modello le richieste dei primi secondi di vita
-          // della pagina etichettate come "most recent".
-          window.__chromeBridge_networkRequests.push(entry);
-          if (window.__chromeBridge_networkRequests.length > MAX) {
-            window.__chromeBridge_networkRequests.shift();
-          }
+          push(entry);
         });
         // loadend copre load, error e abort: traccia sempre la fine dell'in-flight
         this.addEventListener('loadend', () => {
@@ -1611,11 +2578,12 @@ async function ensureNetworkHook(tabId) {
         return origSend.apply(this, args);
       };
     },
+    args: [bodies ?? null],
     world: 'MAIN',
   });
 }
 
-async function cmdMonitorNetwork({ clear = false, source = 'page', limit = 0, tab_id }) {
+async function cmdMonitorNetwork({ clear = false, source = 'page', limit = 0, capture_bodies, body_filter, max_body_bytes, tab_id }) {
   const tabId = await resolveTabId(tab_id);
 
   if (source === 'browser') {
@@ -1625,7 +2593,12 @@ async function cmdMonitorNetwork({ clear = false, source = 'page', limit = 0, ta
     return { count: all.length, requests: shown, log_since: swBootedAt };
   }
 
-  await ensureNetworkHook(tabId);
+  // capture_bodies non passato = configurazione invariata: una lettura
+  // successiva non deve spegnere una cattura accesa prima.
+  const bodies = capture_bodies === undefined || capture_bodies === null
+    ? undefined
+    : { enabled: capture_bodies === true, filter: body_filter || null, max: max_body_bytes ?? 65536 };
+  await ensureNetworkHook(tabId, bodies);
 
   // Taglio e clear in pagina: il WebSocket non trasporta 1000 voci (~154 KB)
   // per consegnarne 100, e clear non distrugge ciò che nessuno ha letto.
@@ -1664,6 +2637,9 @@ async function cmdWaitForElement({ selector, timeout = 10000, interval = 200, vi
     target: scriptTarget(tabId, frame_id),
     func: (sel, tout, intv, vis) => {
       function deepQuery(sel) {
+        // Locator (role=…, text=…): installato da ensureLocator prima del comando
+        const loc = window.__chromeBridge_locator;
+        if (loc?.isLocator(sel)) return loc.query(sel);
         if (!sel.includes('>>>')) return document.querySelector(sel);
         const parts = sel.split('>>>').map((s) => s.trim());
         let ctx = document;
@@ -1725,7 +2701,7 @@ async function cmdScrollTo({ selector, x, y, behavior = 'auto', offset_y = 0, ta
     target: scriptTarget(tabId, frame_id),
     func: (sel, sx, sy, beh, offY) => {
       if (sel) {
-        const el = document.querySelector(sel);
+        const el = window.__chromeBridge_locator ? window.__chromeBridge_locator.query(sel) : document.querySelector(sel);
         if (!el) throw new Error(`Element not found: ${sel}`);
         const rect = el.getBoundingClientRect();
         const targetY = rect.top + window.scrollY - offY;
@@ -1827,7 +2803,7 @@ async function cmdFillForm({ fields, submit_selector, tab_id, frame_id }) {
       const report = [];
       for (const { selector, value } of flds) {
         try {
-          const el = document.querySelector(selector);
+          const el = window.__chromeBridge_locator ? window.__chromeBridge_locator.query(selector) : document.querySelector(selector);
           if (!el) { report.push({ selector, success: false, error: 'Element not found' }); continue; }
           const tag = el.tagName.toLowerCase();
           const type = (el.type || '').toLowerCase();
@@ -1877,7 +2853,7 @@ async function cmdFillForm({ fields, submit_selector, tab_id, frame_id }) {
       }
 
       if (submitSel) {
-        const btn = document.querySelector(submitSel);
+        const btn = window.__chromeBridge_locator ? window.__chromeBridge_locator.query(submitSel) : document.querySelector(submitSel);
         if (btn) btn.click();
       }
 
@@ -2070,7 +3046,7 @@ async function cmdElementScreenshot({ selector, tab_id }) {
     const res = await chrome.scripting.executeScript({
       target: { tabId },
       func: (sel) => {
-        const el = document.querySelector(sel);
+        const el = window.__chromeBridge_locator ? window.__chromeBridge_locator.query(sel) : document.querySelector(sel);
         if (!el) throw new Error(`Element not found: ${sel}`);
         el.scrollIntoView({ behavior: 'instant', block: 'center', inline: 'center' });
         const r = el.getBoundingClientRect();
@@ -2118,7 +3094,7 @@ async function cmdHighlightElements({ selector, color = 'rgba(255,0,0,0.3)', bor
         return { removed: existing.length, highlighted: 0 };
       }
 
-      const els = [...document.querySelectorAll(sel)].slice(0, 100);
+      const els = (window.__chromeBridge_locator ? window.__chromeBridge_locator.queryAll(sel) : [...document.querySelectorAll(sel)]).slice(0, 100);
       let count = 0;
       for (const el of els) {
         const rect = el.getBoundingClientRect();
@@ -2335,8 +3311,8 @@ async function cmdMeasureSpacing({ selector1, selector2, tab_id }) {
   const results = await chrome.scripting.executeScript({
     target: { tabId },
     func: (sel1, sel2) => {
-      const el1 = document.querySelector(sel1);
-      const el2 = document.querySelector(sel2);
+      const el1 = window.__chromeBridge_locator ? window.__chromeBridge_locator.query(sel1) : document.querySelector(sel1);
+      const el2 = window.__chromeBridge_locator ? window.__chromeBridge_locator.query(sel2) : document.querySelector(sel2);
       if (!el1) throw new Error(`Element not found: ${sel1}`);
       if (!el2) throw new Error(`Element not found: ${sel2}`);
 
@@ -2597,6 +3573,9 @@ async function cmdHover({ selector, tab_id, frame_id }) {
     target: scriptTarget(tabId, frame_id),
     func: (sel) => {
       function deepQuery(sel) {
+        // Locator (role=…, text=…): installato da ensureLocator prima del comando
+        const loc = window.__chromeBridge_locator;
+        if (loc?.isLocator(sel)) return loc.query(sel);
         if (!sel.includes('>>>')) return document.querySelector(sel);
         const parts = sel.split('>>>').map((s) => s.trim());
         let ctx = document;
@@ -2640,6 +3619,9 @@ async function cmdPressKey({ key, selector, ctrl = false, shift = false, alt = f
     target: scriptTarget(tabId, frame_id),
     func: (k, sel, mods) => {
       function deepQuery(sel) {
+        // Locator (role=…, text=…): installato da ensureLocator prima del comando
+        const loc = window.__chromeBridge_locator;
+        if (loc?.isLocator(sel)) return loc.query(sel);
         if (!sel.includes('>>>')) return document.querySelector(sel);
         const parts = sel.split('>>>').map((s) => s.trim());
         let ctx = document;
@@ -2720,7 +3702,7 @@ async function cmdUploadFile({ selector, name, mime_type, content_b64, tab_id })
   const results = await chrome.scripting.executeScript({
     target: { tabId },
     func: (sel, fname, mime, b64) => {
-      const el = document.querySelector(sel);
+      const el = window.__chromeBridge_locator ? window.__chromeBridge_locator.query(sel) : document.querySelector(sel);
       if (!el) throw new Error(`Element not found: ${sel}`);
       if (!(el instanceof HTMLInputElement) || el.type !== 'file') throw new Error('Element is not an input[type=file]');
       const bytes = Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
@@ -2980,7 +3962,10 @@ async function cmdFindText({ text, case_sensitive = false, max_results = 20, tab
 // --- network_rules (declarativeNetRequest) ---
 // Nota: le regole dinamiche sono globali per il browser, non per-tab.
 
-async function cmdNetworkRules({ action, url_filter, redirect_url, header, header_value, header_target = 'request', resource_types }) {
+async function cmdNetworkRules({
+  action, url_filter, redirect_url, header, header_value, header_target = 'request', resource_types,
+  regex_filter, regex_substitution, request_methods, excluded_domains, rule_ids,
+}) {
   if (!action) throw new Error('Missing required parameter: action');
 
   if (action === 'list') {
@@ -2989,26 +3974,32 @@ async function cmdNetworkRules({ action, url_filter, redirect_url, header, heade
   }
 
   if (action === 'clear') {
-    const rules = await chrome.declarativeNetRequest.getDynamicRules();
-    await chrome.declarativeNetRequest.updateDynamicRules({
-      removeRuleIds: rules.map((r) => r.id),
-    });
-    return { cleared: rules.length };
+    // rule_ids: solo quelle (il server ricarica i mock senza toccare le altre)
+    const ids = Array.isArray(rule_ids)
+      ? rule_ids
+      : (await chrome.declarativeNetRequest.getDynamicRules()).map((r) => r.id);
+    await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds: ids });
+    return { cleared: ids.length };
   }
 
-  if (!url_filter) throw new Error('Missing required parameter: url_filter');
+  if (!url_filter && !regex_filter) throw new Error('Missing required parameter: url_filter');
   const existing = await chrome.declarativeNetRequest.getDynamicRules();
   const nextId = existing.reduce((m, r) => Math.max(m, r.id), 0) + 1;
   const types = resource_types && resource_types.length > 0 ? resource_types : undefined;
-  const condition = { urlFilter: url_filter };
+  // regex_filter/regex_substitution: usati dai mock del server, che hanno
+  // bisogno dell'URL originale nel redirect (urlFilter non sa sostituire)
+  const condition = regex_filter ? { regexFilter: regex_filter } : { urlFilter: url_filter };
   if (types) condition.resourceTypes = types;
+  if (request_methods?.length) condition.requestMethods = request_methods;
+  if (excluded_domains?.length) condition.excludedRequestDomains = excluded_domains;
 
   let rule;
   if (action === 'block') {
     rule = { id: nextId, priority: 1, action: { type: 'block' }, condition };
   } else if (action === 'redirect') {
-    if (!redirect_url) throw new Error('Missing required parameter: redirect_url');
-    rule = { id: nextId, priority: 1, action: { type: 'redirect', redirect: { url: redirect_url } }, condition };
+    if (!redirect_url && !regex_substitution) throw new Error('Missing required parameter: redirect_url');
+    const redirect = regex_substitution && regex_filter ? { regexSubstitution: regex_substitution } : { url: redirect_url };
+    rule = { id: nextId, priority: 1, action: { type: 'redirect', redirect }, condition };
   } else if (action === 'modify_header') {
     if (!header) throw new Error('Missing required parameter: header');
     const op = header_value === undefined || header_value === null || header_value === ''
@@ -3031,140 +4022,157 @@ async function cmdNetworkRules({ action, url_filter, redirect_url, header, heade
 }
 
 // --- screenshot_diff (regressione visiva) ---
-// Baseline in memoria del service worker: persa se il SW viene sospeso.
+// Le baseline vivono su disco lato server (server/baselines.js): qui solo la
+// cattura, a piena risoluzione, con il contesto che finisce nei metadati e
+// le regioni da ignorare risolte in rettangoli dell'immagine.
 // NOTA: la logica capture+crop duplica cmdElementScreenshot — candidata a refactor futuro.
 
-const MAX_DIFF_BASELINES = 10;
-const diffBaselines = new Map(); // name → { bitmapData: ImageData, width, height, capturedAt, selector }
-
-async function captureForDiff(tabId, selector) {
-  const { cropRect, dataUrl } = await withTabVisible(tabId, async (tab) => {
-    let cropRect = null;
-    if (selector) {
-      const res = await chrome.scripting.executeScript({
-        target: { tabId },
-        func: (sel) => {
-          const el = document.querySelector(sel);
+async function captureForDiff(tabId, selector, ignoreSelectors = []) {
+  const { info, dataUrl } = await withTabVisible(tabId, async (tab) => {
+    const res = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: (sel, ignore) => {
+        let crop = null;
+        if (sel) {
+          const el = window.__chromeBridge_locator ? window.__chromeBridge_locator.query(sel) : document.querySelector(sel);
           if (!el) throw new Error(`Element not found: ${sel}`);
           el.scrollIntoView({ block: 'center', inline: 'center', behavior: 'instant' });
           const r = el.getBoundingClientRect();
-          return { x: r.x, y: r.y, width: r.width, height: r.height, dpr: window.devicePixelRatio };
-        },
-        args: [selector],
-        world: 'MAIN',
-      });
-      cropRect = res?.[0]?.result;
-      if (!cropRect || cropRect.width === 0 || cropRect.height === 0) throw new Error('Element has no visible area');
-    }
+          crop = { x: r.x, y: r.y, width: r.width, height: r.height };
+        }
+        const rects = [];
+        for (const s of ignore) {
+          for (const el of document.querySelectorAll(s)) {
+            const r = el.getBoundingClientRect();
+            if (r.width && r.height) rects.push({ x: r.x, y: r.y, width: r.width, height: r.height });
+          }
+        }
+        return {
+          crop, rects, url: location.href, dpr: window.devicePixelRatio,
+          viewport: { width: window.innerWidth, height: window.innerHeight },
+        };
+      },
+      args: [selector || null, ignoreSelectors],
+      world: 'MAIN',
+    });
+    const info = res?.[0]?.result;
+    if (!info) throw new Error('Cannot read the page (restricted URL?)');
+    if (info.crop && (info.crop.width === 0 || info.crop.height === 0)) throw new Error('Element has no visible area');
 
     await new Promise((r) => setTimeout(r, 300));
     const dataUrl = await captureVisible(tab.windowId);
-    return { cropRect, dataUrl };
+    return { info, dataUrl };
   });
   const bitmap = await dataUrlToBitmap(dataUrl);
 
+  const dpr = info.dpr;
   let sx = 0, sy = 0, sw = bitmap.width, sh = bitmap.height;
-  if (cropRect) {
-    const dpr = cropRect.dpr;
-    sx = Math.max(0, Math.round(cropRect.x * dpr));
-    sy = Math.max(0, Math.round(cropRect.y * dpr));
-    sw = Math.min(Math.round(cropRect.width * dpr), bitmap.width - sx);
-    sh = Math.min(Math.round(cropRect.height * dpr), bitmap.height - sy);
+  if (info.crop) {
+    sx = Math.max(0, Math.round(info.crop.x * dpr));
+    sy = Math.max(0, Math.round(info.crop.y * dpr));
+    sw = Math.min(Math.round(info.crop.width * dpr), bitmap.width - sx);
+    sh = Math.min(Math.round(info.crop.height * dpr), bitmap.height - sy);
     if (sw <= 0 || sh <= 0) throw new Error('Element is outside the visible viewport');
   }
 
   const canvas = new OffscreenCanvas(sw, sh);
-  const ctx = canvas.getContext('2d');
-  ctx.drawImage(bitmap, sx, sy, sw, sh, 0, 0, sw, sh);
-  return { canvas, ctx, width: sw, height: sh };
+  canvas.getContext('2d').drawImage(bitmap, sx, sy, sw, sh, 0, 0, sw, sh);
+  return {
+    canvas, width: sw, height: sh,
+    url: info.url, dpr, viewport: info.viewport,
+    // In pixel dell'immagine ritagliata: è lì che il server applica la maschera
+    ignore_rects: info.rects.map((r) => ({
+      x: Math.round(r.x * dpr) - sx, y: Math.round(r.y * dpr) - sy,
+      width: Math.round(r.width * dpr), height: Math.round(r.height * dpr),
+    })),
+  };
 }
 
-async function cmdScreenshotDiff({ action, name = 'default', selector, threshold = 10, tab_id }) {
-  if (!action) throw new Error('Missing required parameter: action');
-
-  if (action === 'list') {
-    return {
-      baselines: [...diffBaselines.entries()].map(([n, b]) => ({
-        name: n, width: b.width, height: b.height, capturedAt: b.capturedAt, selector: b.selector,
-      })),
-    };
-  }
-
-  if (action === 'clear') {
-    const n = diffBaselines.size;
-    diffBaselines.clear();
-    return { cleared: n };
-  }
-
-  const tabId = await resolveTabId(tab_id);
-
-  if (action === 'baseline') {
-    if (!diffBaselines.has(name) && diffBaselines.size >= MAX_DIFF_BASELINES) {
-      throw new Error(`Too many stored baselines (max ${MAX_DIFF_BASELINES}) — use action: clear to free memory`);
-    }
-    const { ctx, width, height } = await captureForDiff(tabId, selector);
-    // Ricontrolla dopo l'await: due baseline concorrenti possono aver
-    // superato entrambe il check iniziale
-    if (!diffBaselines.has(name) && diffBaselines.size >= MAX_DIFF_BASELINES) {
-      throw new Error(`Too many stored baselines (max ${MAX_DIFF_BASELINES}) — use action: clear to free memory`);
+/**
+ * Pagina intera a piena risoluzione, per i confronti: le stesse passate di
+ * scroll di full_page_screenshot, ma cucite in un'unica immagine non ridotta
+ * (full_page_screenshot rimpicciolisce a 1568px, inadatto a un diff). Le
+ * regioni da ignorare si misurano prima dello scroll, in coordinate documento.
+ */
+async function captureFullPageForDiff(tabId, ignoreSelectors = [], maxScrolls = 20) {
+  const { info, shots } = await withTabVisible(tabId, async (tab) => {
+    const res = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: (ignore) => {
+        const rects = [];
+        for (const s of ignore) {
+          for (const el of document.querySelectorAll(s)) {
+            const r = el.getBoundingClientRect();
+            if (r.width && r.height) rects.push({ x: r.x + window.scrollX, y: r.y + window.scrollY, width: r.width, height: r.height });
+          }
+        }
+        return {
+          rects, url: location.href, dpr: window.devicePixelRatio,
+          viewport: { width: window.innerWidth, height: window.innerHeight },
+          scrollHeight: document.documentElement.scrollHeight, originalScrollY: window.scrollY,
+        };
+      },
+      args: [ignoreSelectors],
+      world: 'MAIN',
+    });
+    const info = res?.[0]?.result;
+    if (!info) throw new Error('Cannot read the page (restricted URL?)');
+    const vh = info.viewport.height;
+    const steps = Math.min(Math.ceil(info.scrollHeight / vh), maxScrolls);
+    const shots = [];
+    for (let i = 0; i < steps; i++) {
+      const target = Math.min(i * vh, Math.max(0, info.scrollHeight - vh));
+      const sRes = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: (sy) => { window.scrollTo(0, sy); return window.scrollY; },
+        args: [target],
+        world: 'MAIN',
+      });
+      const y = sRes?.[0]?.result ?? target;
+      // Quota di captureVisibleTab: 2 al secondo
+      await new Promise((r) => setTimeout(r, 500));
+      shots.push({ dataUrl: await captureVisible(tab.windowId), y });
+      if (y + vh >= info.scrollHeight) break;
     }
-    diffBaselines.set(name, {
-      bitmapData: ctx.getImageData(0, 0, width, height),
-      width, height,
-      capturedAt: Date.now(),
-      selector: selector || null,
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: (sy) => window.scrollTo(0, sy),
+      args: [info.originalScrollY],
+      world: 'MAIN',
     });
-    return { baseline: name, width, height, selector: selector || null };
-  }
-
-  if (action === 'compare') {
-    const base = diffBaselines.get(name);
-    if (!base) throw new Error(`No baseline named "${name}" — capture one first with action: baseline (note: baselines are lost if the extension service worker restarts)`);
+    return { info, shots };
+  });
 
-    const { ctx, width, height } = await captureForDiff(tabId, selector ?? base.selector ?? undefined);
-    if (width !== base.width || height !== base.height) {
-      return {
-        match: false,
-        reason: 'size_mismatch',
-        baseline: { width: base.width, height: base.height },
-        current: { width, height },
-      };
-    }
+  const { dpr } = info;
+  const bitmaps = [];
+  for (const s of shots) bitmaps.push({ bitmap: await dataUrlToBitmap(s.dataUrl), y: s.y });
+  const last = shots[shots.length - 1];
+  const width = bitmaps[0].bitmap.width;
+  const height = Math.min(Math.round((last.y + info.viewport.height) * dpr), Math.round(info.scrollHeight * dpr));
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  for (const { bitmap, y } of bitmaps) ctx.drawImage(bitmap, 0, Math.round(y * dpr));
+  return {
+    canvas, width, height,
+    url: info.url, dpr, viewport: info.viewport,
+    ignore_rects: info.rects.map((r) => ({
+      x: Math.round(r.x * dpr), y: Math.round(r.y * dpr), width: Math.round(r.width * dpr), height: Math.round(r.height * dpr),
+    })),
+    ...(last.y + info.viewport.height < info.scrollHeight ? { truncated: true } : {}),
+  };
+}
 
-    const cur = ctx.getImageData(0, 0, width, height);
-    const a = base.bitmapData.data;
-    const b = cur.data;
-    const diffCanvas = new OffscreenCanvas(width, height);
-    const diffCtx = diffCanvas.getContext('2d');
-    const out = diffCtx.createImageData(width, height);
-    let changed = 0;
-    for (let i = 0; i < a.length; i += 4) {
-      const delta = Math.abs(a[i] - b[i]) + Math.abs(a[i + 1] - b[i + 1]) + Math.abs(a[i + 2] - b[i + 2]);
-      if (delta > threshold * 3) {
-        changed++;
-        out.data[i] = 255; out.data[i + 1] = 0; out.data[i + 2] = 0; out.data[i + 3] = 255;
-      } else {
-        // Base sbiadita per contesto
-        const gray = (a[i] + a[i + 1] + a[i + 2]) / 3;
-        out.data[i] = gray; out.data[i + 1] = gray; out.data[i + 2] = gray; out.data[i + 3] = 80;
-      }
-    }
-    diffCtx.putImageData(out, 0, 0);
-    const totalPixels = width * height;
-    const diffPercent = (changed / totalPixels) * 100;
-    // L'immagine è allegata solo se c'è qualcosa da guardare, e passa dal cap
-    // a 1568px come ogni altro screenshot: un diff a 2560x1440 DPR2 sono 14,7 MP
-    // spediti contro 1,38 MP che sopravvivono al ridimensionamento lato client.
-    return {
-      match: changed === 0,
-      diff_percent: Math.round(diffPercent * 100) / 100,
-      changed_pixels: changed,
-      total_pixels: totalPixels,
-      ...(changed === 0 ? {} : { diff_image: await canvasToBase64Capped(diffCanvas) }),
-    };
+async function cmdScreenshotDiff({ action, selector, full_page = false, ignore_selectors = [], tab_id }) {
+  if (action !== 'capture') {
+    // Server precedente a questa estensione: le baseline non stanno più qui
+    throw new Error(`screenshot_diff action "${action}" is handled by the chrome-bridge server — update the server to ${chrome.runtime.getManifest().version}`);
   }
-
-  throw new Error(`Unknown action: ${action}`);
+  const tabId = await resolveTabId(tab_id);
+  const ignore = [].concat(ignore_selectors || []);
+  const { canvas, ...shot } = full_page && !selector
+    ? await captureFullPageForDiff(tabId, ignore)
+    : await captureForDiff(tabId, selector, ignore);
+  return { ...shot, selector: selector || null, full_page: full_page && !selector, image: await canvasToBase64(canvas) };
 }
 
 // --- web_vitals ---
@@ -3554,9 +4562,9 @@ async function cmdDragAndDrop({ source_selector, target_selector, mode = 'html5'
   const results = await chrome.scripting.executeScript({
     target: scriptTarget(tabId, frame_id),
     func: async (srcSel, tgtSel, dndMode) => {
-      const src = document.querySelector(srcSel);
+      const src = window.__chromeBridge_locator ? window.__chromeBridge_locator.query(srcSel) : document.querySelector(srcSel);
       if (!src) throw new Error(`Source element not found: ${srcSel}`);
-      const tgt = document.querySelector(tgtSel);
+      const tgt = window.__chromeBridge_locator ? window.__chromeBridge_locator.query(tgtSel) : document.querySelector(tgtSel);
       if (!tgt) throw new Error(`Target element not found: ${tgtSel}`);
       src.scrollIntoView({ block: 'center', behavior: 'instant' });
       const sr = src.getBoundingClientRect();
@@ -3831,7 +4839,7 @@ async function cmdWaitForText({ text, selector, timeout = 10000, interval = 200,
       const started = Date.now();
       const wanted = String(needle).toLowerCase();
       const check = () => {
-        const root = scopeSel ? document.querySelector(scopeSel) : document.body;
+        const root = scopeSel ? (window.__chromeBridge_locator ? window.__chromeBridge_locator.query(scopeSel) : document.querySelector(scopeSel)) : document.body;
         const haystack = (root?.innerText || '').toLowerCase();
         const at = haystack.indexOf(wanted);
         if (at !== -1) {
@@ -3870,6 +4878,82 @@ async function cmdSavePage({ tab_id }) {
   return { mhtml_b64: await blobToBase64(blob), size: blob.size };
 }
 
+// --- print_pdf (Page.printToPDF) ---
+
+// L'unica strada per un PDF è il debugger: pageCapture fa solo MHTML e
+// window.print() apre un dialogo. Serve il permesso, non `cdp enable`: se la
+// scheda non era già agganciata lo si fa per la sola stampa, poi si stacca,
+// così la barra di debug non resta lì.
+async function cmdPrintPdf(params) {
+  const options = pdfOptions(params);
+  const permitted = !!chrome.debugger && await chrome.permissions.contains({ permissions: ['debugger'] });
+  if (!permitted) throw new Error(CDP_PERMISSION_HELP);
+  const tabId = await resolveTabId(params.tab_id);
+  const owner = cdpOwner(params);
+  const borrowed = !cdpTabs.get(tabId)?.owners.has(owner);
+  try {
+    const { data } = await cdpSend(tabId, 'Page.printToPDF', options, owner);
+    return { pdf_b64: data, size: Math.floor(data.length * 3 / 4) - (data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0) };
+  } finally {
+    if (borrowed) await cdpDetachTab(tabId, owner);
+  }
+}
+
+// --- fake_clock (Date, timer e casualità deterministici) ---
+
+// clock-control.js fa il lavoro nella pagina. Registrato a document_start la
+// prima volta che serve, riprende dopo ogni reload l'orologio salvato in
+// sessionStorage: senza configurazione non tocca niente.
+//
+// Resta registrato finché una scheda ha l'orologio fermo: con l'ultimo reset,
+// o l'ultima di quelle schede chiusa, si toglie, e le pagine di tutti gli
+// altri siti smettono di ricevere window.__cbClock. Le schede stanno in
+// storage.session: il SW muore, gli orologi restano.
+const CLOCK_SCRIPT_ID = 'chrome-bridge-clock';
+let clockTabsChain = Promise.resolve();
+
+/** Aggiorna le schede con l'orologio fermo; senza più nessuna toglie lo script. */
+function updateClockTabs(change) {
+  clockTabsChain = clockTabsChain.then(async () => {
+    const { clockTabs } = await chrome.storage.session.get({ clockTabs: [] });
+    const tabs = new Set(clockTabs);
+    // delete che non trova la scheda: niente da salvare né da togliere
+    if (change(tabs) === false) return;
+    await chrome.storage.session.set({ clockTabs: [...tabs] });
+    if (!tabs.size) await chrome.scripting.unregisterContentScripts({ ids: [CLOCK_SCRIPT_ID] }).catch(() => {});
+  }).catch(() => {});
+  return clockTabsChain;
+}
+
+async function ensureClockScript() {
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [CLOCK_SCRIPT_ID] });
+  if (registered.length) return;
+  await chrome.scripting.registerContentScripts([{
+    id: CLOCK_SCRIPT_ID, js: ['clock-control.js'], matches: ['<all_urls>'], runAt: 'document_start', world: 'MAIN',
+  }]).catch((err) => {
+    // Due freeze ravvicinati: l'altro ha già registrato
+    if (!/Duplicate script ID/i.test(err.message)) throw err;
+  });
+}
+
+async function cmdFakeClock({ action, time, ms, seed, timers, tab_id }) {
+  if (!action) throw new Error('Missing required parameter: action');
+  const tabId = await resolveTabId(tab_id);
+  if (action === 'freeze') {
+    await updateClockTabs((tabs) => tabs.add(tabId));
+    await ensureClockScript();
+  }
+  await chrome.scripting.executeScript({ target: { tabId }, files: ['clock-control.js'], world: 'MAIN' });
+  const results = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: (act, params) => window.__cbClock.control(window, act, params),
+    args: [action, { time, ms, seed, timers }],
+    world: 'MAIN',
+  });
+  if (action === 'reset') await updateClockTabs((tabs) => tabs.delete(tabId));
+  return results?.[0]?.result ?? {};
+}
+
 // --- set_zoom ---
 
 async function cmdSetZoom({ factor, reset = false, tab_id }) {
@@ -3895,13 +4979,114 @@ function pushNetEntry(tabId, entry) {
   arr.push(entry);
 }
 
+// Una richiesta attraversa più eventi webRequest (inizio, header inviati,
+// header ricevuti, redirect, completamento): li si accumula per requestId e
+// l'entry entra nel log solo a fine corsa, completa di header e tempi per
+// l'export HAR. Dopo un restart del SW le richieste già in volo arrivano a
+// onCompleted senza pending: restano entry minime, come prima.
+const pendingNet = new Map(); // requestId → entry parziale
+const NET_FILTER = { urls: ['<all_urls>'] };
+// extraHeaders: senza, Chrome nasconde Cookie e Set-Cookie ai listener
+const NET_EXTRA = (kind) => [kind, 'extraHeaders'];
+
+function headerPairs(headers) {
+  return (headers || []).map((h) => ({ name: h.name, value: h.value ?? '' }));
+}
+
+function netEntry(d) {
+  return {
+    source: 'browser', type: d.type, method: d.method, url: d.url,
+    status: null, startTime: d.timeStamp, duration: null,
+    initiator: d.initiator || null, marks: { start: d.timeStamp },
+  };
+}
+
+// Chiude l'entry: durata e ripartizione dei tempi in stile HAR. send va
+// dall'inizio all'invio degli header, wait fino agli header di risposta,
+// receive fino alla fine; un passaggio mancante (cache, SW riavviato) vale -1
+// e il suo tempo confluisce in wait.
+function finishNetEntry(entry, d) {
+  const m = entry.marks;
+  delete entry.marks;
+  entry.duration = Math.max(0, Math.round(d.timeStamp - entry.startTime));
+  const send = m.sent != null ? Math.max(0, m.sent - m.start) : 0;
+  const head = m.headers ?? m.responded;
+  const wait = head != null ? Math.max(0, head - (m.sent ?? m.start)) : Math.max(0, d.timeStamp - (m.sent ?? m.start));
+  const receive = head != null ? Math.max(0, d.timeStamp - head) : 0;
+  entry.timings = { send: Math.round(send), wait: Math.round(wait), receive: Math.round(receive) };
+  return entry;
+}
+
+function takePending(d) {
+  const entry = pendingNet.get(d.requestId) ?? netEntry(d);
+  pendingNet.delete(d.requestId);
+  return entry;
+}
+
+chrome.webRequest.onBeforeRequest.addListener((d) => {
+  if (d.tabId < 0) return;
+  // Tetto di sicurezza: richieste che non arrivano mai a onCompleted/onErrorOccurred
+  if (pendingNet.size > 2000) pendingNet.clear();
+  pendingNet.set(d.requestId, netEntry(d));
+}, NET_FILTER);
+
+chrome.webRequest.onSendHeaders.addListener((d) => {
+  const entry = pendingNet.get(d.requestId);
+  if (!entry) return;
+  entry.requestHeaders = headerPairs(d.requestHeaders);
+  entry.marks.sent = d.timeStamp;
+}, NET_FILTER, NET_EXTRA('requestHeaders'));
+
+chrome.webRequest.onHeadersReceived.addListener((d) => {
+  const entry = pendingNet.get(d.requestId);
+  if (!entry) return;
+  entry.responseHeaders = headerPairs(d.responseHeaders);
+  entry.statusLine = d.statusLine || null;
+  entry.marks.headers = d.timeStamp;
+}, NET_FILTER, NET_EXTRA('responseHeaders'));
+
+chrome.webRequest.onResponseStarted.addListener((d) => {
+  const entry = pendingNet.get(d.requestId);
+  if (entry) entry.marks.responded = d.timeStamp;
+}, NET_FILTER);
+
+// Ogni salto di una catena di redirect diventa un'entry a sé con redirectURL,
+// come negli HAR di DevTools; il salto successivo riparte da onBeforeRequest
+// con lo stesso requestId.
+chrome.webRequest.onBeforeRedirect.addListener((d) => {
+  if (d.tabId < 0) return;
+  const entry = takePending(d);
+  Object.assign(entry, {
+    status: d.statusCode, statusLine: d.statusLine || entry.statusLine || null,
+    redirectURL: d.redirectUrl, fromCache: d.fromCache, ip: d.ip || null,
+  });
+  if (d.responseHeaders) entry.responseHeaders = headerPairs(d.responseHeaders);
+  pushNetEntry(d.tabId, finishNetEntry(entry, d));
+}, NET_FILTER, NET_EXTRA('responseHeaders'));
+
 chrome.webRequest.onCompleted.addListener((d) => {
-  pushNetEntry(d.tabId, { source: 'browser', type: d.type, method: d.method, url: d.url, status: d.statusCode, startTime: d.timeStamp, duration: null, fromCache: d.fromCache, ip: d.ip || null });
-}, { urls: ['<all_urls>'] });
+  if (d.tabId < 0) return;
+  const entry = takePending(d);
+  Object.assign(entry, {
+    status: d.statusCode, statusLine: d.statusLine || entry.statusLine || null,
+    fromCache: d.fromCache, ip: d.ip || null,
+  });
+  pushNetEntry(d.tabId, finishNetEntry(entry, d));
+  if (d.statusCode >= 400) pushFailedRequest(d, { status: d.statusCode });
+}, NET_FILTER);
 
 chrome.webRequest.onErrorOccurred.addListener((d) => {
-  pushNetEntry(d.tabId, { source: 'browser', type: d.type, method: d.method, url: d.url, status: 0, startTime: d.timeStamp, duration: null, error: d.error });
-}, { urls: ['<all_urls>'] });
+  if (d.tabId < 0) return;
+  const entry = takePending(d);
+  Object.assign(entry, { status: 0, error: d.error, fromCache: d.fromCache, ip: d.ip || null });
+  pushNetEntry(d.tabId, finishNetEntry(entry, d));
+  // ERR_ABORTED è la pagina che cambia strada (navigazione, fetch annullato), non un guasto
+  if (d.error !== 'net::ERR_ABORTED') pushFailedRequest(d, { status: 0, error: d.error });
+}, NET_FILTER);
+
+function pushFailedRequest(d, outcome) {
+  sendPageEvent('network', { tab_id: d.tabId, method: d.method, url: d.url, type: d.type, ...outcome });
+}
 
 // --- Cattura header risposta main_frame (per security_headers) ---
 const mainFrameHeaders = new Map(); // tabId → { url, status, headers: {name(lc): value}, capturedAt }
@@ -3959,13 +5144,149 @@ async function cmdHttpAuth({ action, username, password }) {
   throw new Error(`Unknown action: ${action}`);
 }
 
+// --- Recorder umano (popup) ---
+
+// L'utente registra un flusso a mano: lib/recorder.js cattura click, testo,
+// select e tasti nella pagina, qui si aggiungono le navigazioni e tutto va al
+// server come eventi `recorder`, che lo scrive nella cartella dei recording
+// (server/human-recorder.js). Lo stato sopravvive al riavvio del SW.
+let humanRec = null; // { name, tabId, steps }
+const humanRecReady = chrome.storage.session.get({ humanRec: null })
+  .then((saved) => { humanRec = humanRec ?? saved.humanRec; })
+  .catch(() => {});
+
+function recorderState() {
+  return { recording: humanRec ? { name: humanRec.name, steps: humanRec.steps } : null, connected: connectionState === 'connected' };
+}
+
+function sendRecorderEvent(data) {
+  sendMessage({ type: 'event', event: 'recorder', data, timestamp: Date.now() });
+}
+
+function pushHumanStep(step) {
+  if (!humanRec || typeof step?.command !== 'string') return;
+  humanRec.steps++;
+  chrome.storage.session.set({ humanRec }).catch(() => {});
+  sendRecorderEvent({ action: 'step', name: humanRec.name, step });
+  chrome.runtime.sendMessage({ type: 'recorderState', ...recorderState() }).catch(() => {});
+}
+
+// Mondo ISOLATED: il recorder usa chrome.runtime e la pagina non lo tocca
+async function injectRecorder(tabId) {
+  const target = { tabId };
+  await chrome.scripting.executeScript({ target, func: installLocator, args: [null] });
+  await chrome.scripting.executeScript({ target, func: installRecorder });
+}
+
+async function startHumanRecording(name) {
+  await humanRecReady;
+  if (humanRec) throw new Error(`Registrazione "${humanRec.name}" già in corso`);
+  if (connectionState !== 'connected') throw new Error('Server non collegato: il recording viene scritto dal server');
+  const d = new Date();
+  const stamp = `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, '0')}${String(d.getDate()).padStart(2, '0')}-`
+    + `${String(d.getHours()).padStart(2, '0')}${String(d.getMinutes()).padStart(2, '0')}${String(d.getSeconds()).padStart(2, '0')}`;
+  const recName = name?.trim() || `manual-${stamp}`;
+  if (!/^[\w-]+$/.test(recName)) throw new Error('Nome: solo lettere, cifre, _ e -');
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  if (!tab?.id) throw new Error('Nessuna scheda attiva');
+  await injectRecorder(tab.id); // prima dello start: su chrome:// fallisce qui
+  humanRec = { name: recName, tabId: tab.id, steps: 0 };
+  sendRecorderEvent({ action: 'start', name: recName });
+  // Il replay parte dalla pagina in cui è iniziata la registrazione
+  pushHumanStep({ command: 'navigate', params: { url: tab.url } });
+}
+
+async function stopHumanRecording() {
+  await humanRecReady;
+  if (!humanRec) return;
+  sendRecorderEvent({ action: 'stop', name: humanRec.name });
+  humanRec = null;
+  chrome.storage.session.set({ humanRec: null }).catch(() => {});
+  chrome.runtime.sendMessage({ type: 'recorderState', ...recorderState() }).catch(() => {});
+}
+
+// Navigazioni fatte dall'utente. Quelle nate da un click o da un submit
+// (link, form_submit, redirect lato client) sono già lo step che le ha
+// causate: registrarle le ripeterebbe nel replay.
+const TYPED_TRANSITIONS = new Set(['typed', 'auto_bookmark', 'generated', 'keyword', 'keyword_generated']);
+chrome.webNavigation.onCommitted.addListener(async (d) => {
+  await humanRecReady;
+  if (!humanRec || d.tabId !== humanRec.tabId || d.frameId !== 0) return;
+  const q = d.transitionQualifiers || [];
+  if (q.includes('client_redirect')) return;
+  if (q.includes('forward_back')) pushHumanStep({ command: 'navigate', params: { url: d.url } });
+  else if (d.transitionType === 'reload') pushHumanStep({ command: 'tab_action', params: { action: 'reload' } });
+  else if (TYPED_TRANSITIONS.has(d.transitionType)) pushHumanStep({ command: 'navigate', params: { url: d.url } });
+});
+
+// Ogni pagina nuova della scheda registrata riceve di nuovo lo script
+chrome.webNavigation.onDOMContentLoaded.addListener(async (d) => {
+  await humanRecReady;
+  if (!humanRec || d.tabId !== humanRec.tabId || d.frameId !== 0) return;
+  injectRecorder(d.tabId).catch(() => {});
+});
+
 // --- Tab lifecycle: cleanup injection state ---
 
 chrome.tabs.onRemoved.addListener((tabId) => {
   browserNetLog.delete(tabId);
   mainFrameHeaders.delete(tabId);
+  if (tabSessions.delete(tabId)) persistSessions();
+  if (humanRec?.tabId === tabId) stopHumanRecording();
+  lastMainNavigation.delete(tabId);
+  pagePorts.delete(tabId);
+  updateClockTabs((tabs) => tabs.delete(tabId));
 });
 
+// --- Eventi di scheda per il server: navigazioni, discard, crash ---
+
+// Solo il frame principale: gli iframe pubblicitari navigano di continuo
+chrome.webNavigation.onCommitted.addListener((d) => {
+  if (d.frameId !== 0) return;
+  sendPageEvent('navigation', { tab_id: d.tabId, url: d.url, transition: d.transitionType });
+});
+chrome.webNavigation.onHistoryStateUpdated.addListener((d) => {
+  if (d.frameId !== 0) return;
+  sendPageEvent('navigation', { tab_id: d.tabId, url: d.url, transition: 'history' });
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.discarded === true) sendPageEvent('tab', { tab_id: tabId, state: 'discarded', url: tab.url });
+});
+
+// Crash del renderer: chrome.tabs non lo espone (senza debugger). La porta
+// aperta da console-relay.js cade con la pagina; se intanto la scheda non ha
+// navigato, non è stata chiusa né scartata e nessuna pagina nuova si è
+// ricollegata, la pagina è morta da sola. Serve l'instrumentation attiva.
+const CRASH_GRACE_MS = 1500;
+const lastMainNavigation = new Map(); // tabId → ms dell'ultimo onBeforeNavigate
+const pagePorts = new Map(); // tabId → porte aperte
+
+chrome.webNavigation.onBeforeNavigate.addListener((d) => {
+  if (d.frameId === 0) lastMainNavigation.set(d.tabId, Date.now());
+});
+
+chrome.runtime.onConnect.addListener((port) => {
+  const tabId = port.sender?.tab?.id;
+  if (port.name !== 'chrome-bridge-page' || tabId == null) return;
+  pagePorts.set(tabId, (pagePorts.get(tabId) ?? 0) + 1);
+  port.onDisconnect.addListener(() => {
+    const left = (pagePorts.get(tabId) ?? 1) - 1;
+    if (left > 0) pagePorts.set(tabId, left);
+    else pagePorts.delete(tabId);
+    const goneAt = Date.now();
+    setTimeout(() => checkCrashed(tabId, goneAt), CRASH_GRACE_MS);
+  });
+});
+
+async function checkCrashed(tabId, goneAt) {
+  if (pagePorts.has(tabId)) return; // una pagina nuova si è già ricollegata
+  if ((lastMainNavigation.get(tabId) ?? 0) >= goneAt - CRASH_GRACE_MS) return;
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  if (!tab || tab.discarded) return;
+  sendPageEvent('tab', { tab_id: tabId, state: 'crashed', url: tab.url });
+}
+
 // --- get_interactives ---
 
 async function cmdGetInteractives({ scope, limit = 100, visible_only = true, tab_id, frame_id }) {
@@ -4035,6 +5356,30 @@ async function cmdGetInteractives({ scope, limit = 100, visible_only = true, tab
   return results?.[0]?.result ?? { count: 0, elements: [] };
 }
 
+// --- element_locators ---
+
+// Bundle di strategie per l'elemento che un comando registrato sta per
+// toccare: session_record lo salva accanto allo step, replay lo usa quando il
+// selettore originale non trova più niente.
+async function cmdElementLocators({ selector, tab_id, frame_id }) {
+  if (!selector) throw new Error('Missing required parameter: selector');
+  const tabId = await resolveTabId(tab_id);
+  const target = scriptTarget(tabId, frame_id);
+  await chrome.scripting.executeScript({ target, func: installLocator, args: [null], world: 'MAIN' });
+  const results = await chrome.scripting.executeScript({
+    target,
+    func: (sel) => {
+      const loc = window.__chromeBridge_locator;
+      let el = null;
+      try { el = loc.query(sel); } catch { /* selettore non valido: nessun bundle */ }
+      return el ? loc.bundle(el, sel) : null;
+    },
+    args: [selector],
+    world: 'MAIN',
+  });
+  return results?.[0]?.result ?? null;
+}
+
 // --- wait_for_function ---
 
 async function cmdWaitForFunction({ expression, timeout = 10000, polling_ms = 100, tab_id, frame_id }) {
@@ -4091,7 +5436,7 @@ async function cmdScrollUntil({ until = 'no_new_content', selector, max_scrolls
         const step = stepPx || window.innerHeight;
         for (scrolls = 0; scrolls < maxScrolls; scrolls++) {
           if (mode === 'element' && sel) {
-            const el = document.querySelector(sel);
+            const el = window.__chromeBridge_locator ? window.__chromeBridge_locator.query(sel) : document.querySelector(sel);
             if (el) {
               const r = el.getBoundingClientRect();
               const vis = r.width > 0 && r.height > 0 && getComputedStyle(el).visibility !== 'hidden';
@@ -0,0 +1,269 @@
+/**
+ * Baseline di screenshot_diff su disco, lato server.
+ *
+ * Nel service worker le baseline morivano con lui (MV3 lo sospende dopo
+ * pochi secondi di inattività) ed erano al massimo 10: inutilizzabili tra una
+ * sessione e l'altra e in CI. Qui ogni baseline è una coppia di file in una
+ * directory (default ~/.config/chrome-bridge/baselines, o `dir` per averle nel
+ * repository del progetto):
+ *
+ *   <name>.png          l'immagine di riferimento
+ *   <name>.json         URL, viewport, DPR, selettore, regioni ignorate, soglie
+ *   <name>.actual.png   ultima cattura che non combaciava (in attesa di approve)
+ *   <name>.diff.png     il suo diff
+ *
+ * L'estensione si limita a catturare (action=capture) e a risolvere i
+ * selettori da ignorare in rettangoli; decodifica, maschere e confronto
+ * avvengono qui. Condivisa tra tool MCP e CLI, come assertions.js.
+ */
+
+import { mkdir, readdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+import { MessageType } from './protocol.js';
+import { decodePng, encodePng, scaleDown } from './png.js';
+import { DEFAULT_THRESHOLDS, diffImages, maskFromRects } from './image-diff.js';
+
+export const BASELINES_DIR = process.env.CHROME_BRIDGE_BASELINE_DIR
+  || join(homedir(), '.config', 'chrome-bridge', 'baselines');
+
+// Come ogni altro screenshot: i client LLM riducono comunque a ~1568px
+const MAX_IMAGE_SIDE = 1568;
+// Le regioni oltre queste restano nel conteggio ma non nell'elenco
+const MAX_REGIONS = 20;
+
+/** Percorsi dei file di una baseline (esistano o no). */
+export function baselineFiles(dir, name) {
+  return {
+    png: join(dir, `${name}.png`),
+    meta: join(dir, `${name}.json`),
+    actual: join(dir, `${name}.actual.png`),
+    diff: join(dir, `${name}.diff.png`),
+  };
+}
+
+async function readMeta(f, name, dir) {
+  try {
+    return JSON.parse(await readFile(f.meta, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new Error(`No baseline named "${name}" in ${dir} — capture one first with action: baseline`);
+    throw err;
+  }
+}
+
+const list = (v) => (v == null ? [] : [].concat(v));
+
+/** Rettangoli in px CSS (relativi all'area catturata) → px dell'immagine. */
+function scaleRects(rects, dpr) {
+  return rects.map((r) => ({ x: r.x * dpr, y: r.y * dpr, width: r.width * dpr, height: r.height * dpr }));
+}
+
+async function capture(send, { selector, fullPage, ignoreSelectors, tab_id }) {
+  const shot = await send(MessageType.SCREENSHOT_DIFF, {
+    action: 'capture', selector, full_page: fullPage || undefined, ignore_selectors: ignoreSelectors, tab_id,
+  });
+  return { ...shot, png: Buffer.from(shot.image, 'base64') };
+}
+
+/** Differenze di contesto che spiegano un diff prima ancora di guardarlo. */
+function contextWarnings(meta, shot) {
+  const w = [];
+  if (meta.url && shot.url && meta.url !== shot.url) w.push(`url differs: baseline ${meta.url}, now ${shot.url}`);
+  const vb = meta.viewport, vn = shot.viewport;
+  if (vb && vn && (vb.width !== vn.width || vb.height !== vn.height)) {
+    w.push(`viewport differs: baseline ${vb.width}x${vb.height}, now ${vn.width}x${vn.height}`);
+  }
+  if (meta.dpr && shot.dpr && meta.dpr !== shot.dpr) w.push(`devicePixelRatio differs: baseline ${meta.dpr}, now ${shot.dpr}`);
+  if (shot.truncated) w.push('page longer than 20 viewports: full-page capture truncated');
+  return w;
+}
+
+async function writeBaseline(f, png, meta) {
+  await writeFile(f.png, png);
+  // File per umani (e per la review in un PR): pretty-print
+  await writeFile(f.meta, JSON.stringify(meta, null, 2) + '\n');
+  await rm(f.actual, { force: true });
+  await rm(f.diff, { force: true });
+}
+
+function metaFrom(name, shot, settings, previous = null) {
+  const now = new Date().toISOString();
+  return {
+    name,
+    url: shot.url ?? null,
+    viewport: shot.viewport ?? null,
+    dpr: shot.dpr ?? 1,
+    selector: shot.selector ?? null,
+    full_page: shot.full_page === true,
+    width: shot.width,
+    height: shot.height,
+    ...settings,
+    created_at: previous?.created_at ?? now,
+    updated_at: now,
+  };
+}
+
+/**
+ * Esegue screenshot_diff. Azioni:
+ * - baseline: cattura e salva (sovrascrive)
+ * - compare:  confronta con la baseline; se non combacia lascia .actual/.diff
+ * - approve:  accetta l'ultima cattura non combaciante come nuova baseline
+ * - update:   ricattura con le impostazioni salvate (ed eventuali modifiche)
+ * - list / clear (clear senza name le toglie tutte dalla directory)
+ *
+ * @param {(type: string, params?: object) => Promise<object>} send
+ * @param {object} params - parametri del tool
+ * @returns {Promise<object>} risultato; `diff_image` (base64) se c'è un diff da mostrare
+ */
+export async function screenshotDiff(send, params) {
+  const { action, dir = BASELINES_DIR, tab_id } = params;
+  if (!action) throw new Error('Missing required parameter: action');
+
+  if (action === 'list') {
+    let names = [];
+    try { names = await readdir(dir); } catch (err) { if (err.code !== 'ENOENT') throw err; }
+    const baselines = [];
+    for (const file of names.filter((n) => n.endsWith('.json')).sort()) {
+      const name = file.slice(0, -5);
+      try {
+        const m = JSON.parse(await readFile(join(dir, file), 'utf8'));
+        baselines.push({
+          name, url: m.url, selector: m.selector, width: m.width, height: m.height,
+          algorithm: m.algorithm ?? 'pixel', threshold: m.threshold, max_diff_percent: m.max_diff_percent, updated_at: m.updated_at,
+          pending_approval: names.includes(`${name}.actual.png`),
+        });
+      } catch { /* json estraneo nella directory: non è una baseline */ }
+    }
+    return { dir, baselines };
+  }
+
+  if (action === 'clear') {
+    let names = [];
+    try { names = await readdir(dir); } catch (err) { if (err.code !== 'ENOENT') throw err; }
+    const targets = params.name
+      ? [params.name]
+      : names.filter((n) => n.endsWith('.json')).map((n) => n.slice(0, -5));
+    let cleared = 0;
+    for (const n of targets) {
+      const f = baselineFiles(dir, n);
+      if (!names.includes(`${n}.json`)) continue;
+      await Promise.all(Object.values(f).map((p) => rm(p, { force: true })));
+      cleared++;
+    }
+    return { dir, cleared };
+  }
+
+  const name = params.name ?? 'default';
+  if (!/^[\w-]+$/.test(name)) throw new Error('name must match [\\w-]+');
+  const f = baselineFiles(dir, name);
+
+  // Impostazioni esplicite della chiamata; quelle omesse restano le salvate
+  const given = {};
+  if (params.algorithm != null) given.algorithm = params.algorithm;
+  if (params.threshold != null) given.threshold = params.threshold;
+  if (params.max_diff_percent != null) given.max_diff_percent = params.max_diff_percent;
+  if (params.ignore_selectors != null || params.ignore_rects != null) {
+    given.ignore = { selectors: list(params.ignore_selectors), rects: list(params.ignore_rects) };
+  }
+
+  if (action === 'baseline') {
+    const algorithm = given.algorithm ?? 'perceptual';
+    const settings = {
+      algorithm, threshold: DEFAULT_THRESHOLDS[algorithm], max_diff_percent: 0, ignore: { selectors: [], rects: [] }, ...given,
+    };
+    const shot = await capture(send, {
+      selector: params.selector, fullPage: params.full_page, ignoreSelectors: settings.ignore.selectors, tab_id,
+    });
+    await mkdir(dir, { recursive: true });
+    const meta = metaFrom(name, shot, settings);
+    await writeBaseline(f, shot.png, meta);
+    return { baseline: name, file: f.png, width: shot.width, height: shot.height, url: meta.url, selector: meta.selector };
+  }
+
+  const meta = await readMeta(f, name, dir);
+
+  if (action === 'approve') {
+    let png;
+    try { png = await readFile(f.actual); } catch {
+      throw new Error(`Nothing to approve for "${name}" — approve accepts the capture of the last failed compare`);
+    }
+    const { width, height } = decodePng(png);
+    const updated = { ...meta, width, height, ...given, updated_at: new Date().toISOString() };
+    await rename(f.actual, f.png);
+    await writeFile(f.meta, JSON.stringify(updated, null, 2) + '\n');
+    await rm(f.diff, { force: true });
+    return { approved: name, file: f.png, width, height };
+  }
+
+  // Baseline senza `algorithm` sono nate col delta per canale: restano tali
+  const saved = { algorithm: meta.algorithm ?? 'pixel', threshold: meta.threshold };
+  // Cambiare algoritmo senza dare la soglia: quella salvata è in un'altra scala
+  if (given.algorithm && given.algorithm !== saved.algorithm) saved.threshold = DEFAULT_THRESHOLDS[given.algorithm];
+  const settings = { ...saved, max_diff_percent: meta.max_diff_percent, ignore: meta.ignore, ...given };
+  const selector = params.selector ?? meta.selector ?? undefined;
+  const fullPage = params.full_page ?? meta.full_page ?? false;
+  const shot = await capture(send, { selector, fullPage, ignoreSelectors: settings.ignore?.selectors ?? [], tab_id });
+
+  if (action === 'update') {
+    const updated = metaFrom(name, shot, settings, meta);
+    await writeBaseline(f, shot.png, updated);
+    return { updated: name, file: f.png, width: shot.width, height: shot.height, url: updated.url };
+  }
+
+  if (action !== 'compare') throw new Error(`Unknown action: ${action}`);
+
+  const warnings = contextWarnings(meta, shot);
+  const base = decodePng(await readFile(f.png));
+  const cur = decodePng(shot.png);
+  const dpr = shot.dpr ?? 1;
+  const rects = [...(shot.ignore_rects ?? []), ...scaleRects(settings.ignore?.rects ?? [], dpr)];
+  const maxPercent = settings.max_diff_percent ?? 0;
+  const r = diffImages(base, cur, {
+    algorithm: settings.algorithm,
+    threshold: settings.threshold,
+    mask: maskFromRects(cur.width, cur.height, rects),
+  });
+  const diffPercent = Math.round(r.percent * 100) / 100;
+  const match = !r.size_mismatch && (r.changed === 0 || diffPercent <= maxPercent);
+  // Regioni in px CSS: sono le coordinate con cui l'agente ragiona sulla pagina
+  const css = (v) => Math.round(v / dpr);
+  const result = {
+    match,
+    ...(r.size_mismatch ? {
+      reason: 'size_mismatch',
+      baseline: { width: base.width, height: base.height },
+      current: { width: cur.width, height: cur.height },
+    } : {}),
+    diff_percent: diffPercent,
+    changed_pixels: r.changed,
+    total_pixels: r.total,
+    ...(r.antialiased ? { antialiased_pixels: r.antialiased } : {}),
+    ...(r.masked ? { ignored_pixels: r.masked } : {}),
+    ssim: Math.round(r.ssim * 10000) / 10000,
+    algorithm: r.algorithm,
+    threshold: r.threshold,
+    max_diff_percent: maxPercent,
+    ...(r.regions.length ? {
+      regions: r.regions.slice(0, MAX_REGIONS).map((g) => ({
+        x: css(g.x), y: css(g.y), width: Math.max(1, css(g.width)), height: Math.max(1, css(g.height)), pixels: g.pixels,
+      })),
+    } : {}),
+    ...(r.regions.length > MAX_REGIONS ? { regions_omitted: r.regions.length - MAX_REGIONS } : {}),
+    ...(warnings.length ? { warnings } : {}),
+  };
+  if (match) {
+    await rm(f.actual, { force: true });
+    await rm(f.diff, { force: true });
+    return result;
+  }
+  const diffPng = encodePng(r.diff);
+  await writeFile(f.actual, shot.png);
+  await writeFile(f.diff, diffPng);
+  const preview = scaleDown(r.diff, MAX_IMAGE_SIDE);
+  return {
+    ...result,
+    actual: f.actual,
+    diff: f.diff,
+    diff_image: (preview === r.diff ? diffPng : encodePng(preview)).toString('base64'),
+  };
+}
@@ -11,26 +11,34 @@
  *   chrome-bridge read_console --tab-id 42 | grep -i error | head -5
  *   chrome-bridge js --code 'document.title'
  *   chrome-bridge screenshot --out /tmp/shot.png
+ *   chrome-bridge print_pdf --paper a4 --margin 1cm --out invoice.pdf
  */
 
 import WebSocket from 'ws';
+import { stringify as stringifyYaml } from 'yaml';
 import { readFile, writeFile } from 'node:fs/promises';
-import { basename, extname } from 'node:path';
+import { basename, dirname, extname, resolve } from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { DEFAULT_PORT, MessageType, createCommand, getTimeout } from './protocol.js';
-import { consoleLines, networkLines, interactivesLines, linksLines } from './formatters.js';
+import { DEFAULT_PORT, INTERNAL_TYPES, MessageType, createCommand, getTimeout } from './protocol.js';
+import { consoleLines, networkLines, interactivesLines, linksLines, pdfPageCount } from './formatters.js';
 import { runAssert } from './assertions.js';
+import { BASELINES_DIR, screenshotDiff } from './baselines.js';
+import {
+  jsonReport, junitReport, parseReplayFile, parseTestSuite, recordingToSuite, runHealingStep, runTestSuite, summarizeTests, tapReport,
+} from './test-suite.js';
+import { junitXml, parseSuite, runSuite, summarize, writeHtmlReport } from './visual-suite.js';
 import { checkLinksBatch } from './link-checker.js';
 import { evaluateSecurityHeaders } from './security-headers.js';
 import { toHar } from './har.js';
+import { substituteVars } from './templating.js';
+import { parseMocks } from './mocks.js';
+import { installMocks, installHar, mockStats, mockRuleIds, stopStubServer } from './stub-server.js';
+import { exportRecording } from './export-recording.js';
 
-const INTERNAL_TYPES = new Set([
-  MessageType.RESULT, MessageType.ERROR, MessageType.PING, MessageType.PONG,
-  MessageType.EXT_INIT, MessageType.RELAY_INIT,
-]);
+export { substituteVars, parseReplayFile };
 
 // Comandi virtuali: logica lato CLI (come i corrispondenti tool MCP lato server)
-const VIRTUAL_COMMANDS = new Set(['status', 'check_links', 'security_headers', 'replay', 'assert']);
+const VIRTUAL_COMMANDS = new Set(['status', 'check_links', 'security_headers', 'replay', 'assert', 'visual', 'test', 'export']);
 
 const ALIASES = { tabs: 'get_tabs', js: 'execute_js', console: 'read_console', network: 'monitor_network', interactives: 'get_interactives' };
 
@@ -51,12 +59,14 @@ const NUMERIC_KEYS = new Set([
   'max_rows', 'max_items', 'max_scrolls', 'max_segments', 'segment_offset', 'max_selectors',
   'delay', 'offset', 'scan_rows', 'width', 'height', 'x', 'y', 'level_num',
   'status', 'zoom', 'depth', 'count', 'index', 'port', 'threshold', 'scale',
-  'latitude', 'longitude', 'accuracy', 'step_px', 'settle_ms', 'repeat',
+  'latitude', 'longitude', 'accuracy', 'step_px', 'settle_ms', 'repeat', 'max_body_bytes',
+  'duration', 'max_diff_percent', 'latency_ms', 'download_kbps', 'upload_kbps', 'ms', 'seed',
 ]);
 const BOOLEAN_KEYS = new Set([
   'clear', 'stop', 'force', 'visible', 'visible_only', 'stitch', 'reset',
   'attributes', 'childList', 'characterData', 'subtree', 'print_mode',
   'include_cross_origin', 'headless', 'active', 'submit', 'accept', 'include_rect',
+  'capture_bodies', 'match_body', 'update', 'landscape', 'background',
 ]);
 
 function coerce(raw, key) {
@@ -183,45 +193,27 @@ async function writeImages(images, outBase) {
 
 // ─── Replay ──────────────────────────────────────────────────────
 
-/** Sostituisce i placeholder {{key}} nelle stringhe di un albero di params. */
-export function substituteVars(value, vars) {
-  if (typeof value === 'string') {
-    return value.replace(/\{\{(\w+)\}\}/g, (m, key) => (key in vars ? String(vars[key]) : m));
-  }
-  if (Array.isArray(value)) return value.map((v) => substituteVars(v, vars));
-  if (value && typeof value === 'object') {
-    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, substituteVars(v, vars)]));
-  }
-  return value;
-}
-
-/** Legge un recording jsonl e ritorna gli step {command, params}. */
-export function parseReplayFile(content) {
-  return content.split('\n').filter((l) => l.trim()).map((line, i) => {
-    let step;
-    try { step = JSON.parse(line); } catch { throw new Error(`Invalid JSON at line ${i + 1}`); }
-    if (!step.command) throw new Error(`Missing "command" at line ${i + 1}`);
-    return { command: step.command, params: step.params ?? {} };
-  });
-}
+// --vars '{"user":"jane"}' dalla riga di comando, o già oggetto via --json
+const parseVars = (v) => (v ? (typeof v === 'string' ? JSON.parse(v) : v) : {});
 
 async function replay(client, params) {
   if (!params.file) throw new Error('replay requires --file /path/to/flow.jsonl');
-  const vars = params.vars ? (typeof params.vars === 'string' ? JSON.parse(params.vars) : params.vars) : {};
+  const vars = parseVars(params.vars);
   const delay = params.delay ?? 0;
   const stopOnError = params.stop_on_error ?? true;
   const steps = parseReplayFile(await readFile(params.file, 'utf8'));
   const out = [];
   let failed = 0;
+  let healed = 0;
   for (let i = 0; i < steps.length; i++) {
-    const { command, params: stepParams } = steps[i];
+    const { command, params: stepParams, locators } = steps[i];
     try {
-      const p = substituteVars(stepParams, vars);
-      const data = command === 'assert'
-        ? await runAssert(client.sendCommand, p)
-        : await client.sendCommand(command, p);
-      const summary = JSON.stringify(data);
-      out.push(`${i + 1} ${command} ok ${summary.length > 120 ? summary.slice(0, 120) + '…' : summary}`);
+      const res = await runHealingStep(client.sendCommand, { command, params: substituteVars(stepParams, vars), locators });
+      const summary = JSON.stringify(res.data);
+      // Uno step riparato passa, ma il recording va aggiornato: la riga lo dice
+      const heal = res.healed ? ` HEALED via ${res.healed.strategy}: ${res.healed.selector} (was ${stepParams.selector})` : '';
+      if (res.healed) healed++;
+      out.push(`${i + 1} ${command} ok${heal} ${summary.length > 120 ? summary.slice(0, 120) + '…' : summary}`);
     } catch (err) {
       failed++;
       out.push(`${i + 1} ${command} ERR ${err.message}`);
@@ -229,17 +221,150 @@ async function replay(client, params) {
     }
     if (delay && i < steps.length - 1) await new Promise((r) => setTimeout(r, delay));
   }
-  out.push(`replay ${params.file}: ${out.length - failed}/${steps.length} ok${failed ? `, ${failed} failed` : ''}`);
+  out.push(`replay ${params.file}: ${out.length - failed}/${steps.length} ok${failed ? `, ${failed} failed` : ''}`
+    + (healed ? `, ${healed} healed — update the recording with the selectors above` : ''));
   if (failed) process.exitCode = 1;
   return out.join('\n');
 }
 
+// ─── Suite di test ────────────────────────────────────────────────
+
+/**
+ * `test --file suite.yaml`: esegue la suite (test-suite.js) e stampa il report
+ * nel formato di --format (tap, default; junit; json), o lo scrive in --out
+ * stampando il riepilogo. `test --from-recording rec.jsonl` converte invece un
+ * recording di session_record in una suite YAML. Exit code 1 se un test fallisce.
+ */
+async function testSuite(client, params, opts) {
+  if (params.from_recording) {
+    const name = basename(params.from_recording, extname(params.from_recording));
+    const yaml = stringifyYaml(recordingToSuite(await readFile(params.from_recording, 'utf8'), name));
+    if (!opts.out) return yaml.trimEnd();
+    await writeFile(opts.out, yaml);
+    return `saved ${opts.out}`;
+  }
+  if (!params.file) throw new Error('test requires --file /path/to/suite.yaml (or --from-recording rec.jsonl)');
+  const suite = parseTestSuite(await readFile(params.file, 'utf8'), params.file);
+  const format = opts.format ?? 'tap';
+  const results = await runTestSuite(client.sendCommand, suite, {
+    vars: parseVars(params.vars),
+    tags: params.tags ? String(params.tags).split(',').map((t) => t.trim()).filter(Boolean) : undefined,
+    grep: params.grep,
+    onResult: (r) => {
+      if (opts.out) process.stderr.write(`${r.status.padEnd(7)} ${r.name}${r.error ? ` — ${r.failed_step}: ${r.error}` : ''}\n`);
+    },
+  });
+  const s = summarizeTests(results);
+  if (s.failed) process.exitCode = 1;
+  let report;
+  if (format === 'junit') report = junitReport(suite.name, results);
+  else if (format === 'json') report = jsonReport(suite.name, results);
+  else if (format === 'tap' || format === 'lines') report = tapReport(results);
+  else throw new Error(`Unknown format for test: ${format} (tap, junit or json)`);
+  if (!opts.out) return report;
+  await writeFile(opts.out, report.endsWith('\n') ? report : report + '\n');
+  return `test ${params.file}: ${s.passed}/${s.total - s.skipped} passed${s.failed ? `, ${s.failed} failed` : ''}${s.skipped ? `, ${s.skipped} skipped` : ''} — ${format} report ${opts.out}`;
+}
+
+// ─── Export dei recording ─────────────────────────────────────────
+
+/**
+ * export: recording → test Playwright o script Puppeteer. Non parla col
+ * browser, quindi gira anche senza server. --vars riempie i segnaposto
+ * noti; quelli rimasti diventano process.env nel sorgente.
+ */
+async function exportFile(params, opts) {
+  if (!params.file) throw new Error('export requires --file /path/to/flow.jsonl');
+  const steps = substituteVars(parseReplayFile(await readFile(params.file, 'utf8')), parseVars(params.vars));
+  const source = exportRecording(steps, {
+    target: params.to ?? 'playwright',
+    name: params.name ?? basename(params.file, extname(params.file)),
+  });
+  if (!opts.out) return source.trimEnd();
+  await writeFile(opts.out, source);
+  return `saved ${opts.out}`;
+}
+
+// ─── Suite visiva ─────────────────────────────────────────────────
+
+/**
+ * `visual --file suite.yaml`: esegue la suite (visual-suite.js), stampa una
+ * riga per caso e scrive a richiesta JUnit XML (--junit) e report HTML
+ * (--report DIR). Esce con 1 se un confronto fallisce o un caso va in errore;
+ * le baseline nuove non sono fallimenti, ma vanno committate.
+ */
+async function visual(client, params) {
+  if (!params.file) throw new Error('visual requires --file /path/to/suite.yaml');
+  const suite = parseSuite(await readFile(params.file, 'utf8'), params.file);
+  // baseline_dir è relativa al file della suite: la suite vive nel repo con le sue baseline
+  const dir = params.dir ?? (suite.baselineDir ? resolve(dirname(params.file), suite.baselineDir) : BASELINES_DIR);
+  const results = await runSuite(client.sendCommand, suite, {
+    dir, update: params.update === true, filter: params.filter,
+    onResult: (r) => {
+      // Una riga per caso su stderr man mano: una suite lunga non resta muta
+      process.stderr.write(`${r.status.padEnd(7)} ${r.id}${r.message ? ` — ${r.message}` : ''}${r.files?.diff ? ` (${r.files.diff})` : ''}\n`);
+    },
+  });
+  const s = summarize(results);
+  if (params.junit) await writeFile(params.junit, junitXml(suite.name, results));
+  const report = params.report ? await writeHtmlReport(params.report, suite.name, results) : null;
+  const summary = `visual ${params.file}: ${s.passed}/${s.total} passed${s.failed ? `, ${s.failed} failed` : ''}${s.errors ? `, ${s.errors} errors` : ''}`
+    + `${s.created ? `, ${s.created} new` : ''}${s.updated ? `, ${s.updated} updated` : ''}${report ? ` — report ${report}` : ''}`;
+  if (s.failed || s.errors) process.exitCode = 1;
+  return summary;
+}
+
+// ─── Mock ─────────────────────────────────────────────────────────
+
+/**
+ * `network_rules --action load_mocks|load_har --file …`: lo stub server vive
+ * in questo processo, quindi la CLI resta in piedi a servire i mock finché
+ * non riceve Ctrl-C (o scade --duration ms), poi toglie le sue regole e
+ * stampa chiamate per route e richieste senza route. Un replay HAR con miss
+ * esce con 1: in CI una richiesta non registrata è una regressione da vedere.
+ */
+async function serveMocks(client, params) {
+  const har = params.action === 'load_har';
+  if (!params.file) throw new Error(`${params.action} requires --file /path/to/${har ? 'session.har' : 'mocks.yaml'}`);
+  const content = await readFile(params.file, 'utf8');
+  const installed = har
+    ? await installHar(client.sendCommand, JSON.parse(content), params.file, { matchBody: params.match_body === true })
+    : await installMocks(client.sendCommand, parseMocks(content, params.file), params.file);
+  process.stdout.write(JSON.stringify(installed) + '\n');
+  const count = typeof installed.routes === 'number' ? installed.routes : installed.routes.length;
+  process.stderr.write(`serving ${count} mock route(s)${params.duration ? ` for ${params.duration}ms` : ''} — Ctrl-C to stop\n`);
+  await new Promise((resolve) => {
+    const done = () => {
+      process.off('SIGINT', done);
+      process.off('SIGTERM', done);
+      resolve();
+    };
+    process.on('SIGINT', done);
+    process.on('SIGTERM', done);
+    if (params.duration) setTimeout(done, params.duration);
+  });
+  const stats = mockStats();
+  await client.sendCommand(MessageType.NETWORK_RULES, { action: 'clear', rule_ids: mockRuleIds() });
+  await stopStubServer();
+  if (har && stats?.miss_count) process.exitCode = 1;
+  return JSON.stringify(stats);
+}
+
 // ─── Dispatch ────────────────────────────────────────────────────
 
 async function run(client, command, params, opts) {
+  if (command === 'network_rules' && (params.action === 'load_mocks' || params.action === 'load_har')) {
+    return serveMocks(client, params);
+  }
   if (command === 'replay') {
     return replay(client, params);
   }
+  if (command === 'visual') {
+    return visual(client, params);
+  }
+  if (command === 'test') {
+    return testSuite(client, params, opts);
+  }
   if (command === 'assert') {
     return JSON.stringify(await runAssert(client.sendCommand, params));
   }
@@ -282,8 +407,18 @@ async function run(client, command, params, opts) {
     await writeFile(opts.out, Buffer.from(data.mhtml_b64, 'base64'));
     return JSON.stringify({ saved: opts.out, size: data.size });
   }
+  if (command === 'print_pdf') {
+    const data = await client.sendCommand(MessageType.PRINT_PDF, params);
+    const bytes = Buffer.from(data.pdf_b64 ?? '', 'base64');
+    const path = opts.out ?? `chrome-bridge-print-${Date.now()}.pdf`;
+    await writeFile(path, bytes);
+    const pages = pdfPageCount(bytes);
+    return `saved ${path} (${bytes.length} bytes${pages ? `, ${pages} pages` : ''})`;
+  }
 
-  const data = await client.sendCommand(command, params);
+  const data = command === 'screenshot_diff'
+    ? await screenshotDiff(client.sendCommand, params)
+    : await client.sendCommand(command, params);
 
   // Comandi che restituiscono immagini → file su disco
   if (command === 'screenshot' || command === 'element_screenshot') {
@@ -332,13 +467,13 @@ Usage:
   chrome-bridge <command> [--flag value ...] [--json '{...}']
 
 Options:
-  --out PATH        Output file for screenshot/save_page commands
-  --format FMT      lines (default) | json | har (monitor_network)
+  --out PATH        Output file for screenshot/save_page/print_pdf commands
+  --format FMT      lines (default) | json | har (monitor_network) | tap | junit (test)
   --max-chars N     Truncate output at N chars (default 20000, 0 = unlimited)
   --json '{...}'    Merge raw JSON into command params
 
 Flags map to command params: --tab-id 42 → tab_id, --visible-only false, --force.
-Requires a running chrome-bridge server (MCP session or npm start); connects as relay.
+Requires a running chrome-bridge server (MCP session or npm start); connects as relay. export works offline.
 
 Aliases: ${Object.entries(ALIASES).map(([a, c]) => `${a}→${c}`).join(', ')}
 
@@ -351,8 +486,15 @@ Examples:
   chrome-bridge read_console --tab-id 42 --level error | head -20
   chrome-bridge js --code 'document.title'
   chrome-bridge screenshot --out /tmp/shot.png
+  chrome-bridge print_pdf --paper a4 --margin 1cm --background --out invoice.pdf
   chrome-bridge check_links --scope same-origin
   chrome-bridge replay --file ~/.config/chrome-bridge/recordings/login.jsonl --vars '{"user":"jane"}'
+  chrome-bridge test --file checkout.yaml --tags smoke --format junit --out junit.xml
+  chrome-bridge test --from-recording ~/.config/chrome-bridge/recordings/login.jsonl --out login.yaml
+  chrome-bridge export --file ~/.config/chrome-bridge/recordings/login.jsonl --to playwright --out login.spec.ts   (or --to puppeteer)
+  chrome-bridge visual --file visual.yaml --junit junit.xml --report visual-report   (--update rewrites baselines)
+  chrome-bridge network_rules --action load_mocks --file mocks.yaml   (serves until Ctrl-C)
+  chrome-bridge network_rules --action load_har --file session.har --duration 60000
 `);
 }
 
@@ -363,6 +505,10 @@ async function main() {
     return;
   }
   const { command, params, opts } = parseCliArgs(argv);
+  if (command === 'export') {
+    printResult(await exportFile(params, opts), opts);
+    return;
+  }
   const port = parseInt(process.env.CHROME_BRIDGE_PORT || DEFAULT_PORT, 10);
   const client = await connect(port);
   try {
@@ -0,0 +1,490 @@
+/**
+ * Export di un recording di session_record in un test Playwright
+ * (`@playwright/test`) o in uno script Puppeteer.
+ *
+ * Il recording resta la fonte: l'export è un punto di partenza da mettere nel
+ * repo del progetto, non un formato da cui tornare indietro. Ogni step
+ * diventa l'API idiomatica del framework:
+ *
+ *   navigate              → page.goto
+ *   click / hover         → locator.click / hover
+ *   type_text             → fill (mode=keys: pressSequentially / page.type)
+ *   fill_form             → fill, selectOption, setChecked + click sul submit
+ *   press_key             → press con le combinazioni (Control+K)
+ *   wait_for*, assert     → expect(...) web-first / waitForSelector, waitForFunction
+ *
+ * I locator (role=, text=, label=, placeholder=, testid=, nth=) diventano
+ * getByRole/getByText/… in Playwright e ::-p-aria/::-p-text in Puppeteer.
+ * Dove un framework non ha un equivalente (tile_windows, le audit, i
+ * selettori regex in Puppeteer) resta un commento TODO con lo step
+ * originale: meglio un buco visibile che un test che fa altro in silenzio.
+ *
+ * I segnaposto {{var}} rimasti dopo --vars diventano process.env.VAR, così
+ * le password dei recording del popup non finiscono nel sorgente.
+ */
+
+import { parseLocator } from '../extension/lib/locator.js';
+
+export const EXPORT_TARGETS = ['playwright', 'puppeteer'];
+
+const ASSERT_TIMEOUT = 5000; // default di assert, uguale a quello di expect in Playwright
+
+const WAIT_COMMANDS = {
+  element: 'wait_for_element',
+  text: 'wait_for_text',
+  function: 'wait_for_function',
+  navigation: 'wait_for_navigation',
+  network_idle: 'wait_for_network_idle',
+};
+
+// ─── Letterali JS ────────────────────────────────────────────────
+
+const quote = (s) => `'${String(s).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+const envName = (key) => key.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+
+/** Stringa → letterale; i {{var}} diventano process.env.VAR. */
+function str(s) {
+  s = String(s ?? '');
+  const whole = s.match(/^\{\{([\w.-]+)\}\}$/);
+  if (whole) return `process.env.${envName(whole[1])}`;
+  if (!/\{\{[\w.-]+\}\}/.test(s)) return quote(s);
+  const body = s.split(/\{\{([\w.-]+)\}\}/).map((chunk, i) => (i % 2
+    ? `\${process.env.${envName(chunk)}}`
+    : chunk.replace(/[\\`]|\$\{/g, (c) => `\\${c}`).replace(/\n/g, '\\n'))).join('');
+  return `\`${body}\``;
+}
+
+const REGEX = /^\/(.+)\/([a-z]*)$/s;
+const regexLiteral = (source, flags = '') => new RegExp(source, flags).toString();
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+/**
+ * Pattern di assert ("/…/" = regex, altrimenti sottostringa) → regex
+ * letterale: toHaveURL/toHaveTitle con una stringa vogliono l'uguaglianza.
+ */
+function patternRegex(p) {
+  const s = String(p);
+  if (s.length > 2 && s.startsWith('/') && s.endsWith('/')) return regexLiteral(s.slice(1, -1));
+  return regexLiteral(escapeRegex(s));
+}
+
+/** Valore di un locator (virgolette = esatto, /re/ = regex, altrimenti sottostringa). */
+function locatorValue(raw) {
+  const v = String(raw ?? '').trim();
+  const re = v.match(REGEX);
+  if (re) return { regex: regexLiteral(re[1], re[2]) };
+  const q = v.match(/^(["'])(.*)\1$/s);
+  if (q) return { text: q[2].replace(/\\(.)/g, '$1'), exact: true };
+  return { text: v };
+}
+
+const todo = (target, step) => `// TODO: no ${target} equivalent for chrome-bridge "${step.command}" ${JSON.stringify(step.params ?? {})}`;
+
+// ─── Playwright ──────────────────────────────────────────────────
+
+const ROLE_STATES = ['checked', 'disabled', 'expanded', 'pressed', 'selected'];
+
+/** Argomenti di getByText/getByLabel/…: stringa, { exact } o regex. */
+function pwTextArgs(value) {
+  if (value.regex) return value.regex;
+  return value.exact ? `${str(value.text)}, { exact: true }` : str(value.text);
+}
+
+function pwRoleArgs({ role, opts }) {
+  const o = [];
+  if (opts.name != null) {
+    const v = locatorValue(opts.name);
+    o.push(`name: ${v.regex ?? str(v.text)}`);
+    if (v.exact) o.push('exact: true');
+  }
+  if (opts.level != null) o.push(`level: ${Number(opts.level)}`);
+  for (const k of ROLE_STATES) {
+    if (opts[k] == null) continue;
+    const v = opts[k] === true || opts[k] === 'true' ? 'true' : opts[k] === 'false' ? 'false' : quote(opts[k]);
+    o.push(`${k}: ${v}`);
+  }
+  return o.length ? `${quote(role)}, { ${o.join(', ')} }` : quote(role);
+}
+
+const PW_GETTERS = { text: 'getByText', label: 'getByLabel', placeholder: 'getByPlaceholder', testid: 'getByTestId' };
+
+/** Selettore di chrome-bridge → espressione locator di Playwright. */
+export function playwrightLocator(sel, base = 'page') {
+  let expr = base;
+  for (const part of parseLocator(String(sel))) {
+    if (part.engine === 'css') {
+      // Il CSS di Playwright attraversa già gli shadow root aperti
+      expr += `.locator(${quote(part.value.replace(/\s*>>>\s*/g, ' '))})`;
+    } else if (part.engine === 'nth') {
+      expr += part.index === -1 ? '.last()' : part.index === 0 ? '.first()' : `.nth(${part.index})`;
+    } else if (part.engine === 'role') {
+      expr += `.getByRole(${pwRoleArgs(part)})`;
+    } else {
+      const value = part.match.exact ? { text: part.match.text, exact: true } : locatorValue(part.match.text);
+      // getByTestId confronta sempre l'attributo intero
+      expr += `.${PW_GETTERS[part.engine]}(${part.engine === 'testid' ? value.regex ?? str(value.text) : pwTextArgs(value)})`;
+    }
+  }
+  return expr;
+}
+
+const PW_KEYS = { ctrl: 'Control', shift: 'Shift', alt: 'Alt', meta: 'Meta' };
+const keyCombo = (p) => [...Object.keys(PW_KEYS).filter((m) => p[m]).map((m) => PW_KEYS[m]), p.key].join('+');
+const timeoutOpt = (t, def) => (t != null && t !== def ? `{ timeout: ${Number(t)} }` : '');
+const withOpt = (opt) => (opt ? `, ${opt}` : '');
+
+/**
+ * Tipo di campo per fill_form: dal ruolo nei locator dello step (il recorder
+ * del popup li salva per le <select>, un campo per step) o dal selettore.
+ */
+function fieldKind(selector, locators) {
+  const role = [selector, locators?.role].find((s) => typeof s === 'string' && s.startsWith('role='));
+  const r = role?.match(/^role=([a-z]+)/)?.[1];
+  if (r === 'checkbox' || r === 'radio' || r === 'switch') return 'check';
+  if (r === 'combobox' || r === 'listbox') return 'select';
+  if (/(^|[\s>+~])select([#.[:\s]|$)/i.test(selector)) return 'select';
+  if (/type=["']?(checkbox|radio)/i.test(selector)) return 'check';
+  return 'fill';
+}
+
+function playwrightStep(step) {
+  const p = step.params ?? {};
+  const L = (sel) => playwrightLocator(sel);
+  switch (step.command) {
+    case 'navigate':
+      return [`await page.goto(${str(p.url)});`];
+    case 'click': {
+      if (p.selector == null && p.x != null) return [`await page.mouse.click(${p.x}, ${p.y});`];
+      if (p.selector == null) return [todo('Playwright', step)];
+      const o = [];
+      if (p.button && p.button !== 'left') o.push(`button: ${quote(p.button)}`);
+      if (p.count > 1) o.push(`clickCount: ${p.count}`);
+      if (p.force) o.push('force: true');
+      return [`await ${L(p.selector)}.${p.count === 2 && o.length === 1 ? 'dblclick()' : `click(${o.length ? `{ ${o.join(', ')} }` : ''})`};`];
+    }
+    case 'hover':
+      return [`await ${L(p.selector)}.hover();`];
+    case 'type_text':
+      return p.mode === 'keys'
+        ? [`await ${L(p.selector)}.pressSequentially(${str(p.text)});`]
+        : [`await ${L(p.selector)}.fill(${str(p.text)});`];
+    case 'fill_form': {
+      const lines = (p.fields ?? []).map((f) => {
+        const kind = fieldKind(f.selector, p.fields.length === 1 ? step.locators : null);
+        if (kind === 'select') return `await ${L(f.selector)}.selectOption(${str(f.value)});`;
+        if (kind === 'check') return `await ${L(f.selector)}.setChecked(${f.value === 'true' || f.value === '1'});`;
+        return `await ${L(f.selector)}.fill(${str(f.value)});`;
+      });
+      if (p.submit_selector) lines.push(`await ${L(p.submit_selector)}.click();`);
+      return lines;
+    }
+    case 'press_key':
+      return p.selector
+        ? [`await ${L(p.selector)}.press(${quote(keyCombo(p))});`]
+        : [`await page.keyboard.press(${quote(keyCombo(p))});`];
+    case 'scroll_to':
+      if (p.selector) return [`await ${L(p.selector)}.scrollIntoViewIfNeeded();`];
+      if (p.x != null || p.y != null) return [`await page.evaluate(() => window.scrollTo(${p.x ?? 0}, ${p.y ?? 0}));`];
+      return [todo('Playwright', step)];
+    case 'upload_file':
+      // Il recording porta il contenuto, non il percorso d'origine
+      return [`await ${L(p.selector)}.setInputFiles(${str(p.name ?? 'file')}); // TODO: path of the uploaded file`];
+    case 'drag_and_drop':
+      return [`await ${L(p.source_selector)}.dragTo(${L(p.target_selector)});`];
+    case 'tab_action':
+      if (p.action === 'reload') return ['await page.reload();'];
+      if (p.action === 'back') return ['await page.goBack();'];
+      if (p.action === 'forward') return ['await page.goForward();'];
+      return [todo('Playwright', step)];
+    case 'wait_for':
+      return playwrightStep({ command: WAIT_COMMANDS[p.condition ?? 'element'] ?? step.command, params: p });
+    case 'wait_for_element': {
+      const opt = timeoutOpt(p.timeout);
+      return p.visible
+        ? [`await expect(${L(p.selector)}.first()).toBeVisible(${opt});`]
+        : [`await ${L(p.selector)}.first().waitFor({ state: 'attached'${p.timeout != null ? `, timeout: ${p.timeout}` : ''} });`];
+    }
+    case 'wait_for_text': {
+      const scope = p.selector ? L(p.selector) : 'page';
+      return [`await expect(${scope}.getByText(${str(p.text)}).first()).toBeVisible(${timeoutOpt(p.timeout)});`];
+    }
+    case 'wait_for_function':
+      return [`await page.waitForFunction(${str(p.expression)}${withOpt(timeoutOpt(p.timeout))});`];
+    case 'wait_for_navigation':
+      return [`await page.waitForLoadState('load'${withOpt(timeoutOpt(p.timeout))});`];
+    case 'wait_for_network_idle':
+      return [`await page.waitForLoadState('networkidle'${withOpt(timeoutOpt(p.timeout))});`];
+    case 'assert':
+      return playwrightAssert(p);
+    case 'screenshot_diff': {
+      const name = quote(`${p.name ?? 'default'}.png`);
+      return p.selector
+        ? [`await expect(${L(p.selector)}).toHaveScreenshot(${name});`]
+        : [`await expect(page).toHaveScreenshot(${name});`];
+    }
+    default:
+      return [todo('Playwright', step)];
+  }
+}
+
+function playwrightAssert(p) {
+  const opt = timeoutOpt(p.timeout, ASSERT_TIMEOUT);
+  const lines = [];
+  if (p.url != null) lines.push(`await expect(page).toHaveURL(${patternRegex(p.url)}${withOpt(opt)});`);
+  if (p.title != null) lines.push(`await expect(page).toHaveTitle(${patternRegex(p.title)}${withOpt(opt)});`);
+  if (p.selector != null) {
+    let L = playwrightLocator(p.selector);
+    if (p.count != null) lines.push(`await expect(${L}).toHaveCount(${p.count}${withOpt(opt)});`);
+    if (p.text != null) L += `.filter({ hasText: ${REGEX.test(p.text) ? patternRegex(p.text) : str(p.text)} })`;
+    if (p.count == null || p.text != null || p.state === 'visible') {
+      lines.push(`await expect(${L}.first()).${p.state === 'visible' ? 'toBeVisible' : 'toBeAttached'}(${opt});`);
+    }
+  } else if (p.text != null) {
+    lines.push(`await expect(page.getByText(${str(p.text)}).first()).toBeVisible(${opt});`);
+  }
+  return lines;
+}
+
+// ─── Puppeteer ───────────────────────────────────────────────────
+
+const cssString = (s) => `"${String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * Selettore di chrome-bridge → { selector, nth, notes, unsupported } di
+ * Puppeteer. Le catene diventano discendenti CSS; nth= si applica solo in
+ * fondo, sulla lista di page.$$. Le approssimazioni (nome parziale, filtri di
+ * ruolo) finiscono nelle note; le regex non hanno un equivalente e rendono il
+ * selettore unsupported: lo step resta commentato invece di agire a caso.
+ */
+export function puppeteerSelector(sel) {
+  const parts = [];
+  const notes = [];
+  let nth = null;
+  let unsupported = false;
+  const chain = parseLocator(String(sel));
+  chain.forEach((part, i) => {
+    if (part.engine === 'nth') {
+      if (i === chain.length - 1) nth = part.index;
+      else notes.push(`nth=${part.index} in the middle of "${sel}" is ignored`);
+      return;
+    }
+    if (part.engine === 'css') { parts.push(part.value); return; }
+    if (part.engine === 'role') {
+      const v = part.opts.name != null ? locatorValue(part.opts.name) : null;
+      if (v && !v.regex) {
+        parts.push(`::-p-aria([name=${cssString(v.text)}][role=${cssString(part.role)}])`);
+        if (!v.exact) notes.push(`aria name "${v.text}" was a case-insensitive substring; Puppeteer matches it whole`);
+      } else {
+        parts.push(`::-p-aria([role=${cssString(part.role)}])`);
+        if (v) {
+          notes.push(`role name ${v.regex} has no Puppeteer equivalent`);
+          unsupported = true;
+        }
+      }
+      const other = Object.keys(part.opts).filter((k) => k !== 'name');
+      if (other.length) notes.push(`role filters ${other.join(', ')} are not checked`);
+      return;
+    }
+    const m = part.match;
+    if (REGEX.test(m.text) && !m.exact) {
+      notes.push(`${part.engine}=${m.text} has no Puppeteer equivalent`);
+      unsupported = true;
+      parts.push(part.engine);
+      return;
+    }
+    if (part.engine === 'text') parts.push(`::-p-text(${cssString(m.text)})`);
+    else if (part.engine === 'label') parts.push(`::-p-aria(${cssString(m.text)})`);
+    else {
+      const name = part.engine === 'testid' ? 'data-testid' : 'placeholder';
+      parts.push(m.exact ? `[${name}=${cssString(m.text)}]` : `[${name}*=${cssString(m.text)} i]`);
+    }
+  });
+  return { selector: parts.join(' '), nth, notes, unsupported };
+}
+
+function puppeteerStep(step) {
+  const p = step.params ?? {};
+  const notes = [];
+  let unsupported = false;
+  const sel = (s, { nth = true } = {}) => {
+    const r = puppeteerSelector(s);
+    notes.push(...r.notes);
+    if (!nth && r.nth != null) notes.push(`nth=${r.nth} of "${s}" is not applied to this check`);
+    unsupported ||= r.unsupported;
+    return r;
+  };
+  // Senza nth page.locator (attende e riprova); con nth l'handle dalla lista
+  const handle = (s) => {
+    const r = sel(s);
+    return r.nth == null ? `(await page.waitForSelector(${str(r.selector)}))` : `(await page.$$(${str(r.selector)})).at(${r.nth})`;
+  };
+  const act = (s, method, ...args) => {
+    const r = sel(s);
+    if (r.nth == null) return `await page.locator(${str(r.selector)}).${method}(${args.join(', ')});`;
+    return `await (await page.$$(${str(r.selector)})).at(${r.nth}).${method === 'fill' ? 'type' : method}(${args.join(', ')});`;
+  };
+  const keys = (key, modifiers) => [
+    ...modifiers.map((m) => `await page.keyboard.down('${m}');`),
+    `await page.keyboard.press(${quote(key)});`,
+    ...[...modifiers].reverse().map((m) => `await page.keyboard.up('${m}');`),
+  ];
+  const timeout = (t) => (t != null ? `timeout: ${Number(t)}` : null);
+  const opts = (...o) => (o.filter(Boolean).length ? `, { ${o.filter(Boolean).join(', ')} }` : '');
+
+  let lines;
+  switch (step.command) {
+    case 'navigate':
+      lines = [`await page.goto(${str(p.url)});`];
+      break;
+    case 'click':
+      if (p.selector == null && p.x != null) lines = [`await page.mouse.click(${p.x}, ${p.y});`];
+      else if (p.selector == null) lines = [todo('Puppeteer', step)];
+      else {
+        const o = [p.button && p.button !== 'left' && `button: ${quote(p.button)}`, p.count > 1 && `count: ${p.count}`].filter(Boolean);
+        lines = [act(p.selector, 'click', ...(o.length ? [`{ ${o.join(', ')} }`] : []))];
+      }
+      break;
+    case 'hover':
+      lines = [act(p.selector, 'hover')];
+      break;
+    case 'type_text':
+      lines = p.mode === 'keys'
+        ? [`await ${handle(p.selector)}.type(${str(p.text)});`]
+        : [act(p.selector, 'fill', str(p.text))];
+      break;
+    case 'fill_form':
+      lines = (p.fields ?? []).map((f) => {
+        const kind = fieldKind(f.selector, p.fields.length === 1 ? step.locators : null);
+        if (kind === 'select') return `await ${handle(f.selector)}.select(${str(f.value)});`;
+        if (kind === 'check') {
+          return `await ${handle(f.selector)}.evaluate((el, on) => { if (el.checked !== on) el.click(); }, ${f.value === 'true' || f.value === '1'});`;
+        }
+        return act(f.selector, 'fill', str(f.value));
+      });
+      if (p.submit_selector) lines.push(act(p.submit_selector, 'click'));
+      break;
+    case 'press_key': {
+      const mods = Object.keys(PW_KEYS).filter((m) => p[m]).map((m) => PW_KEYS[m]);
+      lines = [...(p.selector ? [`await ${handle(p.selector)}.focus();`] : []), ...keys(p.key, mods)];
+      break;
+    }
+    case 'scroll_to':
+      if (p.selector) lines = [`await ${handle(p.selector)}.scrollIntoView();`];
+      else if (p.x != null || p.y != null) lines = [`await page.evaluate(() => window.scrollTo(${p.x ?? 0}, ${p.y ?? 0}));`];
+      else lines = [todo('Puppeteer', step)];
+      break;
+    case 'upload_file':
+      lines = [`await ${handle(p.selector)}.uploadFile(${str(p.name ?? 'file')}); // TODO: path of the uploaded file`];
+      break;
+    case 'tab_action':
+      lines = { reload: ['await page.reload();'], back: ['await page.goBack();'], forward: ['await page.goForward();'] }[p.action]
+        ?? [todo('Puppeteer', step)];
+      break;
+    case 'wait_for':
+      return puppeteerStep({ command: WAIT_COMMANDS[p.condition ?? 'element'] ?? step.command, params: p });
+    case 'wait_for_element': {
+      const r = sel(p.selector, { nth: false });
+      lines = [`await page.waitForSelector(${str(r.selector)}${opts(p.visible && 'visible: true', timeout(p.timeout))});`];
+      break;
+    }
+    case 'wait_for_text': {
+      const scope = p.selector ? `${sel(p.selector, { nth: false }).selector} ` : '';
+      lines = [`await page.waitForSelector(${str(`${scope}::-p-text(${cssString(p.text)})`)}${opts(timeout(p.timeout))});`];
+      break;
+    }
+    case 'wait_for_function':
+      lines = [`await page.waitForFunction(${str(p.expression)}${opts(timeout(p.timeout))});`];
+      break;
+    case 'wait_for_navigation':
+      lines = [`await page.waitForNavigation(${opts(timeout(p.timeout)).slice(2)});`];
+      break;
+    case 'wait_for_network_idle':
+      lines = [`await page.waitForNetworkIdle(${opts(p.idle_ms != null && `idleTime: ${p.idle_ms}`, timeout(p.timeout)).slice(2)});`];
+      break;
+    case 'assert': {
+      const t = timeout(p.timeout ?? ASSERT_TIMEOUT);
+      lines = [];
+      if (p.url != null) lines.push(`await page.waitForFunction(() => ${patternRegex(p.url)}.test(location.href)${opts(t)});`);
+      if (p.title != null) lines.push(`await page.waitForFunction(() => ${patternRegex(p.title)}.test(document.title)${opts(t)});`);
+      if (p.selector != null) {
+        const r = sel(p.selector, { nth: false });
+        if (p.count != null) {
+          if (p.count > 0) lines.push(`await page.waitForSelector(${str(r.selector)}${opts(t)});`);
+          lines.push(`assert.equal((await page.$$(${str(r.selector)})).length, ${p.count});`);
+        }
+        if (p.text != null || p.count == null) {
+          let s = r.selector;
+          if (p.text != null) {
+            if (REGEX.test(p.text)) {
+              notes.push(`text ${p.text} has no Puppeteer equivalent`);
+              unsupported = true;
+            } else s += ` ::-p-text(${cssString(p.text)})`;
+          }
+          lines.push(`await page.waitForSelector(${str(s)}${opts(p.state === 'visible' && 'visible: true', t)});`);
+        }
+      } else if (p.text != null) {
+        lines.push(`await page.waitForSelector(${str(`::-p-text(${cssString(p.text)})`)}${opts('visible: true', t)});`);
+      }
+      break;
+    }
+    default:
+      lines = [todo('Puppeteer', step)];
+  }
+  if (unsupported) lines = lines.map((l) => `// ${l}`);
+  return [...notes.map((n) => `// TODO: ${n}`), ...lines];
+}
+
+// ─── Export ──────────────────────────────────────────────────────
+
+/** Variabili {{var}} rimaste negli step: il test le legge da process.env. */
+function envVars(steps) {
+  const found = new Set();
+  JSON.stringify(steps.map((s) => s.params)).replace(/\{\{([\w.-]+)\}\}/g, (_, key) => found.add(envName(key)));
+  return [...found];
+}
+
+/**
+ * Step di un recording (parseReplayFile) → sorgente del test.
+ *
+ * @param {{command: string, params?: object, locators?: object}[]} steps
+ * @param {{target?: 'playwright'|'puppeteer', name?: string}} [opts]
+ * @returns {string}
+ */
+export function exportRecording(steps, { target = 'playwright', name = 'recording' } = {}) {
+  if (!EXPORT_TARGETS.includes(target)) throw new Error(`Unknown export target: ${target} (use ${EXPORT_TARGETS.join(' or ')})`);
+  const env = envVars(steps);
+  const header = [
+    `// Exported by chrome-bridge from the "${name}" recording.`,
+    ...(env.length ? [`// Set ${env.join(', ')} in the environment before running.`] : []),
+  ];
+  const indent = (lines) => lines.map((l) => `  ${l}`);
+
+  if (target === 'playwright') {
+    const body = steps.flatMap((s) => playwrightStep(s));
+    return [
+      ...header,
+      "import { test, expect } from '@playwright/test';",
+      '',
+      `test(${quote(name)}, async ({ page }) => {`,
+      ...indent(body),
+      '});',
+      '',
+    ].join('\n');
+  }
+
+  const body = steps.flatMap((s) => puppeteerStep(s));
+  return [
+    ...header,
+    ...(body.some((l) => l.startsWith('assert.')) ? ["import assert from 'node:assert/strict';"] : []),
+    "import puppeteer from 'puppeteer';",
+    '',
+    'const browser = await puppeteer.launch();',
+    'const page = await browser.newPage();',
+    'try {',
+    ...indent(body),
+    '} finally {',
+    '  await browser.close();',
+    '}',
+    '',
+  ].join('\n');
+}
@@ -33,3 +33,17 @@ export function linksLines(results, { total, broken, anchors }) {
   const lines = results.map((r) => `${r.status}\t${r.url}${r.error ? `\t${r.error}` : ''}`);
   return `links total=${total} checked=${results.length} broken=${broken} anchors=${anchors}\n${lines.join('\n')}`;
 }
+
+/** Testo sicuro dentro attributi e nodi XML/HTML (report JUnit e HTML). */
+export function escapeXml(s) {
+  return String(s ?? '').replace(/[<>&"']/g, (ch) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[ch]));
+}
+
+/**
+ * Pagine di un PDF stampato da Chrome, contando gli oggetti /Type /Page
+ * (Skia non li comprime in object stream). Best effort: null se non ne trova.
+ */
+export function pdfPageCount(bytes) {
+  const n = (Buffer.from(bytes).toString('latin1').match(/\/Type\s*\/Page(?![a-zA-Z])/g) ?? []).length;
+  return n || null;
+}
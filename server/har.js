@@ -1,22 +1,157 @@
 /**
  * Conversione delle richieste catturate in formato HAR 1.2.
+ *
+ * Accetta sia le entry dell'hook fetch/XHR (source=page) sia quelle del log
+ * webRequest (source=browser), che portano header, statusLine, IP, tempi e
+ * redirect. Ciò che una sorgente non conosce resta al valore "sconosciuto"
+ * della spec (-1, stringa vuota) invece di essere inventato.
  */
 
 import { VERSION } from './protocol.js';
 
+// Tipi webRequest → _resourceType degli HAR di DevTools
+const RESOURCE_TYPES = {
+  main_frame: 'document', sub_frame: 'document', stylesheet: 'stylesheet', script: 'script',
+  image: 'image', font: 'font', xmlhttprequest: 'xhr', media: 'media', websocket: 'websocket',
+  ping: 'ping', csp_report: 'csp-violation-report', object: 'other', other: 'other',
+  fetch: 'fetch', xhr: 'xhr',
+};
+
+function header(headers, name) {
+  const h = (headers || []).find((x) => x.name.toLowerCase() === name);
+  return h ? h.value : undefined;
+}
+
+function queryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+// "Cookie: a=1; b=2" → [{name, value}]
+function requestCookies(headers) {
+  const raw = (headers || []).filter((h) => h.name.toLowerCase() === 'cookie').map((h) => h.value).join('; ');
+  return raw.split(/;\s*/).filter(Boolean).map((pair) => {
+    const i = pair.indexOf('=');
+    return i < 0 ? { name: pair, value: '' } : { name: pair.slice(0, i), value: pair.slice(i + 1) };
+  });
+}
+
+// Set-Cookie, uno per header: con extraHeaders Chrome li consegna separati,
+// ma un server può anche accorparli su righe diverse dello stesso valore.
+function responseCookies(headers) {
+  return (headers || [])
+    .filter((h) => h.name.toLowerCase() === 'set-cookie')
+    .flatMap((h) => h.value.split('\n'))
+    .filter(Boolean)
+    .map((line) => {
+      const [pair, ...attrs] = line.split(/;\s*/);
+      const i = pair.indexOf('=');
+      const cookie = i < 0 ? { name: pair, value: '' } : { name: pair.slice(0, i), value: pair.slice(i + 1) };
+      for (const attr of attrs) {
+        const j = attr.indexOf('=');
+        const key = (j < 0 ? attr : attr.slice(0, j)).toLowerCase();
+        const val = j < 0 ? '' : attr.slice(j + 1);
+        if (key === 'path') cookie.path = val;
+        else if (key === 'domain') cookie.domain = val;
+        else if (key === 'expires') {
+          const d = new Date(val);
+          if (!Number.isNaN(d.getTime())) cookie.expires = d.toISOString();
+        } else if (key === 'httponly') cookie.httpOnly = true;
+        else if (key === 'secure') cookie.secure = true;
+        else if (key === 'samesite') cookie.sameSite = val;
+      }
+      return cookie;
+    });
+}
+
+// "HTTP/1.1 301 Moved Permanently" → { httpVersion, statusText }
+function parseStatusLine(line) {
+  const m = /^(\S+)\s+\d+\s*(.*)$/.exec(line || '');
+  return m ? { httpVersion: m[1], statusText: m[2] } : { httpVersion: '', statusText: '' };
+}
+
+// Il log webRequest dà solo l'origine di chi ha avviato la richiesta: il tipo
+// si deduce dalla risorsa, come fa DevTools (navigazione = other, fetch/XHR =
+// script, il resto arriva dal parser del documento).
+function initiator(r) {
+  const type = r.type === 'main_frame' || r.type === 'other' ? 'other'
+    : ['fetch', 'xhr', 'xmlhttprequest', 'ping', 'websocket'].includes(r.type) ? 'script'
+      : 'parser';
+  return { type, ...(r.initiator ? { url: r.initiator } : {}) };
+}
+
+// Body catturato dall'hook (monitor_network capture_bodies) → postData HAR.
+// HAR non prevede encoding per postData: il base64 dei body binari resta
+// segnalato nel campo custom `_encoding` (i campi con "_" sono ammessi dalla spec).
+function postData(body) {
+  if (!body) return undefined;
+  return {
+    mimeType: body.mimeType || '',
+    text: body.text ?? '',
+    ...(body.encoding ? { _encoding: body.encoding } : {}),
+    ...(body.truncated ? { comment: `truncated (${body.size} bytes total)` } : {}),
+  };
+}
+
+function content(body, headers) {
+  if (!body) {
+    const length = Number(header(headers, 'content-length'));
+    return { size: Number.isFinite(length) ? length : -1, mimeType: header(headers, 'content-type') || '' };
+  }
+  return {
+    size: body.size ?? -1,
+    mimeType: body.mimeType || '',
+    text: body.text ?? '',
+    ...(body.encoding ? { encoding: body.encoding } : {}),
+    ...(body.truncated ? { comment: `truncated (${body.size} bytes total)` } : {}),
+  };
+}
+
+function timings(r) {
+  if (r.timings) return { blocked: -1, dns: -1, connect: -1, ...r.timings, ssl: -1 };
+  return { send: 0, wait: r.duration ?? 0, receive: 0 };
+}
+
 export function toHar(requests) {
   return {
     log: {
       version: '1.2',
       creator: { name: 'chrome-bridge', version: VERSION },
-      entries: requests.map((r) => ({
-        startedDateTime: new Date(r.startTime).toISOString(),
-        time: r.duration ?? 0,
-        request: { method: r.method || 'GET', url: r.url, httpVersion: '', headers: [], queryString: [], cookies: [], headersSize: -1, bodySize: -1 },
-        response: { status: r.status ?? 0, statusText: r.error || '', httpVersion: '', headers: [], cookies: [], content: { size: -1, mimeType: '' }, redirectURL: '', headersSize: -1, bodySize: -1 },
-        cache: {},
-        timings: { send: 0, wait: r.duration ?? 0, receive: 0 },
-      })),
+      entries: requests.map((r) => {
+        const post = postData(r.requestBody);
+        const reqHeaders = r.requestHeaders ?? [];
+        const resHeaders = r.responseHeaders ?? [];
+        const { httpVersion, statusText } = parseStatusLine(r.statusLine);
+        const t = timings(r);
+        return {
+          startedDateTime: new Date(r.startTime).toISOString(),
+          // HAR: time = somma delle fasi note, non la durata misurata a parte
+          time: r.timings ? t.send + t.wait + t.receive : (r.duration ?? 0),
+          request: {
+            method: r.method || 'GET', url: r.url, httpVersion,
+            headers: reqHeaders, queryString: queryString(r.url), cookies: requestCookies(reqHeaders),
+            ...(post ? { postData: post } : {}),
+            headersSize: -1, bodySize: r.requestBody?.size ?? -1,
+          },
+          response: {
+            status: r.status ?? 0, statusText: r.error || statusText, httpVersion,
+            headers: resHeaders, cookies: responseCookies(resHeaders),
+            content: content(r.responseBody, resHeaders),
+            redirectURL: r.redirectURL || header(resHeaders, 'location') || '',
+            headersSize: -1, bodySize: r.responseBody?.size ?? -1,
+          },
+          cache: {},
+          timings: t,
+          ...(r.ip ? { serverIPAddress: r.ip } : {}),
+          _initiator: initiator(r),
+          _resourceType: RESOURCE_TYPES[r.type] || 'other',
+          // webRequest.fromCache = servita dalla cache su disco (la memory cache non passa di lì)
+          ...(r.fromCache ? { _fromCache: 'disk' } : {}),
+        };
+      }),
     },
   };
 }
@@ -0,0 +1,159 @@
+/**
+ * Trasporto MCP Streamable HTTP (POST + stream SSE) per più client su un
+ * solo processo bridge.
+ *
+ * Con stdio ogni client MCP lancia il proprio processo e i secondi in poi
+ * finiscono in relay sulla porta WebSocket, con la promozione a primary
+ * quando il primo se ne va. Un bridge avviato una volta con --http serve
+ * invece tutti i client (IDE, agenti remoti dietro un tunnel) sullo stesso
+ * WSManager.
+ *
+ * Ogni sessione MCP (header mcp-session-id) ha il proprio McpServer creato
+ * da createServer, che riceve l'id: stato dei tool separato (tab di
+ * sessione, recording) ed estensione condivisa. Tenere separate anche le
+ * schede nell'estensione tocca a createServer (in index.js una sessione del
+ * WSManager per id, come per un relay).
+ *
+ * Autenticazione: `Authorization: Bearer <CHROME_BRIDGE_TOKEN>`. Senza token
+ * l'endpoint accetta solo Host di loopback, così una pagina web non può
+ * raggiungerlo con un DNS rebinding; fuori dal loopback il token è
+ * obbligatorio.
+ */
+
+import { createServer as createHttpServer } from 'node:http';
+import { randomUUID, timingSafeEqual } from 'node:crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+export const MCP_PATH = '/mcp';
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const LOOPBACK = new Set(['127.0.0.1', 'localhost', '::1']);
+
+function sameToken(header, token) {
+  const m = /^Bearer\s+(.+)$/i.exec(header ?? '');
+  if (!m) return false;
+  const a = Buffer.from(m[1].trim());
+  const b = Buffer.from(token);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/** Errore JSON-RPC senza id: il formato che i client MCP sanno mostrare. */
+function replyError(res, status, message, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32000, message }, id: null }));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (c) => {
+      size += c.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error(`Body too large (max ${MAX_BODY_BYTES} bytes)`));
+        req.destroy();
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on('end', () => {
+      try { resolve(JSON.parse(Buffer.concat(chunks).toString('utf8'))); } catch { reject(new Error('Parse error: invalid JSON')); }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Avvia l'endpoint HTTP.
+ *
+ * @param {object} opts
+ * @param {(sessionId: string) => import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} opts.createServer - un server per sessione
+ * @param {number} [opts.port=0]
+ * @param {string} [opts.host='127.0.0.1']
+ * @param {string|null} [opts.token] - default CHROME_BRIDGE_TOKEN
+ * @returns {Promise<{ port: number, url: string, sessions: () => number, close: () => Promise<void> }>}
+ */
+export async function startHttpTransport({ createServer, port = 0, host = '127.0.0.1', token = process.env.CHROME_BRIDGE_TOKEN ?? null }) {
+  if (!token && !LOOPBACK.has(host)) {
+    throw new Error(`MCP over HTTP on ${host} requires CHROME_BRIDGE_TOKEN (without it only loopback is allowed)`);
+  }
+  const sessions = new Map(); // sessionId → transport
+
+  const http = createHttpServer(async (req, res) => {
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname !== MCP_PATH) return replyError(res, 404, `Not found: use ${MCP_PATH}`);
+      if (token && !sameToken(req.headers.authorization, token)) {
+        return replyError(res, 401, 'Unauthorized: send Authorization: Bearer <CHROME_BRIDGE_TOKEN>', { 'WWW-Authenticate': 'Bearer' });
+      }
+
+      const sid = req.headers['mcp-session-id'];
+      let transport = sid ? sessions.get(sid) : null;
+      if (sid && !transport) return replyError(res, 404, `Session not found: ${sid}`);
+
+      let fresh = null;
+      let body;
+      if (req.method === 'POST') {
+        try { body = await readJson(req); } catch (err) { return replyError(res, 400, err.message); }
+      }
+
+      if (!transport) {
+        const init = Array.isArray(body) ? body.some(isInitializeRequest) : isInitializeRequest(body);
+        if (!init) return replyError(res, 400, 'Bad Request: no mcp-session-id; start with an initialize request');
+        const bound = http.address().port;
+        // L'id serve già a createServer, prima che il trasporto lo mandi al client
+        const id = randomUUID();
+        transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => id,
+          onsessioninitialized: (id) => {
+            sessions.set(id, transport);
+            console.error(`[chrome-bridge] HTTP session ${id} opened (${sessions.size} active)`);
+          },
+          // Il token basta contro il DNS rebinding; senza, solo Host di loopback
+          enableDnsRebindingProtection: !token,
+          allowedHosts: [`127.0.0.1:${bound}`, `localhost:${bound}`, `[::1]:${bound}`],
+        });
+        // Prima di connect: il Protocol dell'SDK concatena il proprio onclose
+        transport.onclose = () => {
+          if (transport.sessionId && sessions.delete(transport.sessionId)) {
+            console.error(`[chrome-bridge] HTTP session ${transport.sessionId} closed (${sessions.size} active)`);
+          }
+        };
+        fresh = createServer(id);
+        await fresh.connect(transport);
+      }
+      try {
+        await transport.handleRequest(req, res, body);
+      } finally {
+        // Initialize respinto dal trasporto (Accept, Content-Type, Host): la
+        // sessione non è nata, ma il server e i suoi ascoltatori di eventi sì
+        if (fresh && !transport.sessionId) await fresh.close().catch(() => {});
+      }
+    } catch (err) {
+      console.error('[chrome-bridge] HTTP transport error:', err.message);
+      if (!res.headersSent) replyError(res, 500, 'Internal server error');
+      else res.end();
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    http.once('error', reject);
+    http.listen(port, host, resolve);
+  });
+  const bound = http.address().port;
+  const shownHost = host.includes(':') ? `[${host}]` : host;
+
+  return {
+    port: bound,
+    url: `http://${shownHost}:${bound}${MCP_PATH}`,
+    sessions: () => sessions.size,
+    async close() {
+      for (const t of [...sessions.values()]) {
+        try { await t.close(); } catch {}
+      }
+      // Gli stream SSE restano aperti: senza chiuderli close() non ritorna
+      http.closeAllConnections?.();
+      await new Promise((resolve) => http.close(() => resolve()));
+    },
+  };
+}
@@ -0,0 +1,62 @@
+/**
+ * Recording fatti a mano: dal popup dell'estensione l'utente avvia una
+ * registrazione e usa la pagina; lo script di cattura trasforma click,
+ * digitazione, select, tasti e navigazioni negli stessi step jsonl di
+ * session_record, e il service worker li manda qui come eventi `recorder`.
+ *
+ *   { type: 'event', event: 'recorder', data: { action: 'start', name } }
+ *   { type: 'event', event: 'recorder', data: { action: 'step', name, step } }
+ *   { type: 'event', event: 'recorder', data: { action: 'stop', name } }
+ *
+ * Il file finisce accanto a quelli di session_record, così `session_record
+ * list`, `replay` e `test --from-recording` lo trovano senza altro.
+ */
+
+import { appendFile, mkdir, writeFile } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+
+export const RECORDINGS_DIR = process.env.CHROME_BRIDGE_RECORD_DIR || join(homedir(), '.config', 'chrome-bridge', 'recordings');
+
+const NAME_RE = /^[\w-]+$/;
+
+/**
+ * Scrive su disco i recording che arrivano dai browser. Le scritture di un
+ * recording sono in catena: gli step restano nell'ordine in cui l'utente li
+ * ha fatti anche se appendFile ne completa uno dopo l'altro.
+ */
+export function attachHumanRecorder(wsManager, { dir = RECORDINGS_DIR, log = console.error } = {}) {
+  const chains = new Map(); // nome → Promise dell'ultima scrittura
+
+  const queue = (name, write) => {
+    // Step senza start (server riavviato a metà registrazione): il file si
+    // crea al primo append
+    const prev = chains.get(name) ?? mkdir(dir, { recursive: true });
+    const next = prev.then(write).catch((err) => log(`[chrome-bridge] Recording "${name}" write failed:`, err.message));
+    chains.set(name, next);
+    return next;
+  };
+
+  const off = wsManager.onEvent((msg, browser) => {
+    // In relay lo stesso evento arriva inoltrato: il file lo scrive il primary
+    if (msg.event !== 'recorder' || wsManager.mode === 'relay') return;
+    const { action, name, step } = msg.data ?? {};
+    if (typeof name !== 'string' || !NAME_RE.test(name)) return;
+    const file = join(dir, `${name}.jsonl`);
+    if (action === 'start') {
+      queue(name, () => writeFile(file, ''));
+      log(`[chrome-bridge] Recording "${name}" started in browser "${browser ?? 'default'}"`);
+    } else if (action === 'step' && typeof step?.command === 'string') {
+      queue(name, () => appendFile(file, JSON.stringify(step) + '\n'));
+    } else if (action === 'stop') {
+      const done = queue(name, () => log(`[chrome-bridge] Recording "${name}" saved: ${file}`));
+      done.then(() => { if (chains.get(name) === done) chains.delete(name); });
+    }
+  });
+
+  return {
+    off,
+    /** Attende le scritture in corso (per i test e per lo shutdown). */
+    flush: () => Promise.all(chains.values()),
+  };
+}
@@ -0,0 +1,317 @@
+/**
+ * Confronto tra due immagini RGBA (vedi png.js). Funzioni pure: baselines.js
+ * le usa per screenshot_diff, i test le chiamano su immagini costruite a mano.
+ *
+ * Due algoritmi:
+ * - perceptual (default): differenza di colore nello spazio YIQ, pesata come
+ *   la vede l'occhio, con riconoscimento dei pixel di anti-aliasing alla
+ *   maniera di pixelmatch. Un testo ri-rasterizzato con mezzo pixel di
+ *   spostamento non colora più di rosso l'intero paragrafo.
+ * - pixel: delta assoluto per canale, la regola storica.
+ *
+ * Oltre al conteggio: lo SSIM (somiglianza strutturale, 1 = identiche) e le
+ * regioni cambiate raggruppate in rettangoli, così l'agente sa dove guardare
+ * senza aprire l'immagine di diff.
+ */
+
+export const DEFAULT_THRESHOLDS = { perceptual: 0.1, pixel: 10 };
+
+// Delta YIQ massimo possibile (nero contro bianco): la soglia 0-1 ne è una frazione
+const MAX_YIQ_DELTA = 35215;
+
+/**
+ * Maschera booleana delle regioni ignorate, in pixel dell'immagine. I
+ * rettangoli fuori dai bordi vengono tagliati.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {{ x: number, y: number, width: number, height: number }[]} rects
+ * @returns {Uint8Array | null} 1 = ignorato; null se non c'è nulla da ignorare
+ */
+export function maskFromRects(width, height, rects = []) {
+  if (!rects.length) return null;
+  const mask = new Uint8Array(width * height);
+  for (const r of rects) {
+    const x0 = Math.max(0, Math.floor(r.x)), y0 = Math.max(0, Math.floor(r.y));
+    const x1 = Math.min(width, Math.ceil(r.x + r.width)), y1 = Math.min(height, Math.ceil(r.y + r.height));
+    for (let y = y0; y < y1; y++) mask.fill(1, y * width + x0, Math.max(y * width + x0, y * width + x1));
+  }
+  return mask;
+}
+
+/** Porta l'immagine a width×height aggiungendo pixel trasparenti a destra e in basso. */
+export function padImage(img, width, height) {
+  if (img.width === width && img.height === height) return img;
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < img.height; y++) {
+    data.set(img.data.subarray(y * img.width * 4, (y + 1) * img.width * 4), y * width * 4);
+  }
+  return { width, height, data };
+}
+
+// --- YIQ ---
+
+const blend = (c, a) => 255 + (c - 255) * a;
+const rgb2y = (r, g, b) => r * 0.29889531 + g * 0.58662247 + b * 0.11448223;
+const rgb2i = (r, g, b) => r * 0.59597799 - g * 0.27417610 - b * 0.32180189;
+const rgb2q = (r, g, b) => r * 0.21147017 - g * 0.52261711 + b * 0.31114694;
+
+/** Componenti [r, g, b] composte su bianco: la trasparenza conta come il browser la mostra. */
+function rgbAt(data, k) {
+  const a = data[k + 3];
+  if (a === 255) return [data[k], data[k + 1], data[k + 2]];
+  const f = a / 255;
+  return [blend(data[k], f), blend(data[k + 1], f), blend(data[k + 2], f)];
+}
+
+/**
+ * Differenza percettiva tra il pixel k di d1 e il pixel m di d2. Con yOnly
+ * solo la luminanza, col segno (positiva se il primo è più chiaro).
+ */
+function colorDelta(d1, d2, k, m, yOnly = false) {
+  if (d1[k] === d2[m] && d1[k + 1] === d2[m + 1] && d1[k + 2] === d2[m + 2] && d1[k + 3] === d2[m + 3]) return 0;
+  const [r1, g1, b1] = rgbAt(d1, k);
+  const [r2, g2, b2] = rgbAt(d2, m);
+  const y = rgb2y(r1, g1, b1) - rgb2y(r2, g2, b2);
+  if (yOnly) return y;
+  const i = rgb2i(r1, g1, b1) - rgb2i(r2, g2, b2);
+  const q = rgb2q(r1, g1, b1) - rgb2q(r2, g2, b2);
+  return 0.5053 * y * y + 0.299 * i * i + 0.1957 * q * q;
+}
+
+function samePixel(data, k, m) {
+  return data[k] === data[m] && data[k + 1] === data[m + 1] && data[k + 2] === data[m + 2] && data[k + 3] === data[m + 3];
+}
+
+/** Almeno 3 vicini identici: il pixel sta dentro una campitura, non su un bordo sfumato. */
+function hasManySiblings(img, x1, y1) {
+  const { width, height, data } = img;
+  const x0 = Math.max(x1 - 1, 0), y0 = Math.max(y1 - 1, 0);
+  const x2 = Math.min(x1 + 1, width - 1), y2 = Math.min(y1 + 1, height - 1);
+  const k = (y1 * width + x1) * 4;
+  let zeroes = x1 === x0 || x1 === x2 || y1 === y0 || y1 === y2 ? 1 : 0;
+  for (let x = x0; x <= x2; x++) {
+    for (let y = y0; y <= y2; y++) {
+      if (x === x1 && y === y1) continue;
+      if (samePixel(data, k, (y * width + x) * 4) && ++zeroes > 2) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Il pixel (x1, y1) di img è anti-aliasing? Lo è se sta tra un vicino più
+ * chiaro e uno più scuro, con pochi vicini uguali a lui, e almeno uno dei due
+ * estremi è una campitura piena in entrambe le immagini.
+ */
+function antialiased(img, x1, y1, other) {
+  const { width, height, data } = img;
+  const x0 = Math.max(x1 - 1, 0), y0 = Math.max(y1 - 1, 0);
+  const x2 = Math.min(x1 + 1, width - 1), y2 = Math.min(y1 + 1, height - 1);
+  const k = (y1 * width + x1) * 4;
+  let zeroes = x1 === x0 || x1 === x2 || y1 === y0 || y1 === y2 ? 1 : 0;
+  let min = 0, max = 0, minX = 0, minY = 0, maxX = 0, maxY = 0;
+  for (let x = x0; x <= x2; x++) {
+    for (let y = y0; y <= y2; y++) {
+      if (x === x1 && y === y1) continue;
+      const delta = colorDelta(data, data, k, (y * width + x) * 4, true);
+      if (delta === 0) {
+        if (++zeroes > 2) return false;
+      } else if (delta < min) {
+        min = delta; minX = x; minY = y;
+      } else if (delta > max) {
+        max = delta; maxX = x; maxY = y;
+      }
+    }
+  }
+  if (min === 0 || max === 0) return false;
+  return (hasManySiblings(img, minX, minY) && hasManySiblings(other, minX, minY))
+    || (hasManySiblings(img, maxX, maxY) && hasManySiblings(other, maxX, maxY));
+}
+
+// --- SSIM ---
+
+function lumaPlane(img) {
+  const out = new Float64Array(img.width * img.height);
+  for (let p = 0; p < out.length; p++) {
+    const [r, g, b] = rgbAt(img.data, p * 4);
+    out[p] = rgb2y(r, g, b);
+  }
+  return out;
+}
+
+/**
+ * SSIM medio su finestre 8×8 della luminanza. Le regioni ignorate prendono
+ * il valore della baseline in entrambe: non spostano il punteggio.
+ *
+ * @returns {number} tra -1 e 1, 1 = strutturalmente identiche
+ */
+export function ssim(a, b, mask = null) {
+  const { width, height } = a;
+  const la = lumaPlane(a);
+  const lb = lumaPlane(b);
+  if (mask) for (let p = 0; p < lb.length; p++) if (mask[p]) lb[p] = la[p];
+  const C1 = (0.01 * 255) ** 2, C2 = (0.03 * 255) ** 2;
+  const win = Math.min(8, width, height);
+  let sum = 0, windows = 0;
+  for (let wy = 0; wy + win <= height; wy += win) {
+    for (let wx = 0; wx + win <= width; wx += win) {
+      let ma = 0, mb = 0;
+      for (let y = wy; y < wy + win; y++) {
+        for (let x = wx; x < wx + win; x++) { ma += la[y * width + x]; mb += lb[y * width + x]; }
+      }
+      const n = win * win;
+      ma /= n; mb /= n;
+      let va = 0, vb = 0, cov = 0;
+      for (let y = wy; y < wy + win; y++) {
+        for (let x = wx; x < wx + win; x++) {
+          const da = la[y * width + x] - ma, db = lb[y * width + x] - mb;
+          va += da * da; vb += db * db; cov += da * db;
+        }
+      }
+      va /= n - 1 || 1; vb /= n - 1 || 1; cov /= n - 1 || 1;
+      sum += ((2 * ma * mb + C1) * (2 * cov + C2)) / ((ma * ma + mb * mb + C1) * (va + vb + C2));
+      windows++;
+    }
+  }
+  return windows ? sum / windows : 1;
+}
+
+// --- Regioni ---
+
+/**
+ * Raggruppa i pixel cambiati in rettangoli: celle di `gap` px con almeno un
+ * cambiamento, unite se adiacenti (anche in diagonale), poi il rettangolo
+ * stretto attorno ai pixel davvero cambiati. Ordinati dal più grande.
+ *
+ * @param {Uint8Array} changed - 1 = pixel cambiato
+ * @returns {{ x: number, y: number, width: number, height: number, pixels: number }[]}
+ */
+export function clusterRegions(changed, width, height, gap = 16) {
+  const cw = Math.ceil(width / gap), ch = Math.ceil(height / gap);
+  const cells = new Map(); // indice cella → { x0, y0, x1, y1, n }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!changed[y * width + x]) continue;
+      const c = Math.floor(y / gap) * cw + Math.floor(x / gap);
+      const cell = cells.get(c);
+      if (!cell) cells.set(c, { x0: x, y0: y, x1: x, y1: y, n: 1 });
+      else {
+        cell.x0 = Math.min(cell.x0, x); cell.x1 = Math.max(cell.x1, x);
+        cell.y1 = y; cell.n++;
+      }
+    }
+  }
+  const seen = new Set();
+  const regions = [];
+  for (const start of cells.keys()) {
+    if (seen.has(start)) continue;
+    seen.add(start);
+    const r = { x0: Infinity, y0: Infinity, x1: -1, y1: -1, n: 0 };
+    const stack = [start];
+    while (stack.length) {
+      const c = stack.pop();
+      const cell = cells.get(c);
+      r.x0 = Math.min(r.x0, cell.x0); r.y0 = Math.min(r.y0, cell.y0);
+      r.x1 = Math.max(r.x1, cell.x1); r.y1 = Math.max(r.y1, cell.y1);
+      r.n += cell.n;
+      const cx = c % cw, cy = Math.floor(c / cw);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = cx + dx, ny = cy + dy;
+          if (nx < 0 || ny < 0 || nx >= cw || ny >= ch) continue;
+          const nc = ny * cw + nx;
+          if (cells.has(nc) && !seen.has(nc)) { seen.add(nc); stack.push(nc); }
+        }
+      }
+    }
+    regions.push({ x: r.x0, y: r.y0, width: r.x1 - r.x0 + 1, height: r.y1 - r.y0 + 1, pixels: r.n });
+  }
+  return regions.sort((p, q) => q.pixels - p.pixels);
+}
+
+// --- Confronto ---
+
+/**
+ * Confronta baseline e cattura attuale e disegna l'immagine di diff: cambiati
+ * in rosso, anti-aliasing in giallo (non conteggiati), area presente in una
+ * sola delle due in magenta, regioni ignorate in blu tenue, il resto è la
+ * baseline sbiadita. Misure diverse non sono più un vicolo cieco: entrambe
+ * vengono allargate alla misura maggiore e l'area in più conta come cambiata.
+ * Le regioni ignorate escono dal totale: la percentuale è sull'area
+ * davvero confrontata.
+ *
+ * @param {{ width: number, height: number, data: Uint8Array }} a - baseline
+ * @param {{ width: number, height: number, data: Uint8Array }} b - cattura attuale
+ * @param {{ algorithm?: 'perceptual' | 'pixel', threshold?: number, mask?: Uint8Array | null }} [options]
+ *   threshold: 0-1 per perceptual, tolleranza per canale 0-255 per pixel
+ */
+export function diffImages(a, b, { algorithm = 'perceptual', threshold, mask = null } = {}) {
+  const width = Math.max(a.width, b.width), height = Math.max(a.height, b.height);
+  const sizeMismatch = a.width !== b.width || a.height !== b.height;
+  const pa = padImage(a, width, height), pb = padImage(b, width, height);
+  const t = threshold ?? DEFAULT_THRESHOLDS[algorithm];
+  const maxDelta = MAX_YIQ_DELTA * t * t;
+  // La maschera viene dalla cattura attuale: fuori misura non copre nulla
+  const maskW = b.width;
+  const out = new Uint8Array(width * height * 4);
+  const changedMask = new Uint8Array(width * height);
+  let changed = 0, aa = 0, masked = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x, i = p * 4;
+      if (mask && x < maskW && y < b.height && mask[y * maskW + x]) {
+        masked++;
+        out[i] = 80; out[i + 1] = 120; out[i + 2] = 255; out[i + 3] = 60;
+        continue;
+      }
+      if (x >= a.width || y >= a.height || x >= b.width || y >= b.height) {
+        changed++;
+        changedMask[p] = 1;
+        out[i] = 255; out[i + 1] = 0; out[i + 2] = 255; out[i + 3] = 255;
+        continue;
+      }
+      let differs;
+      if (algorithm === 'pixel') {
+        const delta = Math.abs(pa.data[i] - pb.data[i]) + Math.abs(pa.data[i + 1] - pb.data[i + 1]) + Math.abs(pa.data[i + 2] - pb.data[i + 2]);
+        differs = delta > t * 3;
+      } else {
+        differs = colorDelta(pa.data, pb.data, i, i) > maxDelta;
+        if (differs && (antialiased(pa, x, y, pb) || antialiased(pb, x, y, pa))) {
+          aa++;
+          out[i] = 255; out[i + 1] = 210; out[i + 2] = 0; out[i + 3] = 255;
+          continue;
+        }
+      }
+      if (differs) {
+        changed++;
+        changedMask[p] = 1;
+        out[i] = 255; out[i + 1] = 0; out[i + 2] = 0; out[i + 3] = 255;
+      } else {
+        const gray = (pa.data[i] + pa.data[i + 1] + pa.data[i + 2]) / 3;
+        out[i] = gray; out[i + 1] = gray; out[i + 2] = gray; out[i + 3] = 80;
+      }
+    }
+  }
+  const total = width * height - masked;
+  const paddedMask = mask && sizeMismatch ? padMask(mask, b.width, b.height, width, height) : mask;
+  return {
+    algorithm,
+    threshold: t,
+    size_mismatch: sizeMismatch,
+    changed,
+    antialiased: aa,
+    total,
+    masked,
+    percent: total ? (changed / total) * 100 : 0,
+    ssim: ssim(pa, pb, paddedMask),
+    regions: changed ? clusterRegions(changedMask, width, height) : [],
+    diff: { width, height, data: out },
+  };
+}
+
+function padMask(mask, w, h, width, height) {
+  const out = new Uint8Array(width * height);
+  for (let y = 0; y < h; y++) out.set(mask.subarray(y * w, (y + 1) * w), y * width);
+  return out;
+}
@@ -6,14 +6,20 @@
  * Entry point che avvia:
  * 1. Il server WebSocket (per comunicare con l'estensione Chrome)
  * 2. Il server MCP (per comunicare con Claude Code via stdio)
+ * 3. Opzionale (--http): l'endpoint MCP Streamable HTTP per più client
  */
 
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { startHttpTransport } from './http-transport.js';
 import { WSManager } from './ws-manager.js';
-import { registerTools } from './tools.js';
+import { registerTools, TOOL_ANNOTATIONS } from './tools.js';
+import { loadPolicy } from './policy.js';
+import { registerResources } from './resources.js';
+import { attachPageEvents } from './page-events.js';
+import { attachHumanRecorder } from './human-recorder.js';
 import { launchBrowser } from './launcher.js';
-import { DEFAULT_PORT, VERSION } from './protocol.js';
+import { DEFAULT_HTTP_PORT, DEFAULT_PORT, MessageType, VERSION } from './protocol.js';
 
 // Launch mode: browser dedicato (profilo effimero + estensione unpacked).
 // Porta effimera di default: zero conflitti con un bridge già attivo.
@@ -23,11 +29,26 @@ function argValue(flag) {
   const i = process.argv.indexOf(flag);
   return i !== -1 ? process.argv[i + 1] : undefined;
 }
+// --launch-names admin,customer: un browser (profilo effimero) per nome, tutti
+// sulla stessa porta, indirizzabili col parametro `browser` dei tool.
+const LAUNCH_NAMES = argValue('--launch-names')?.split(',').map((s) => s.trim()).filter(Boolean);
 // Bind: loopback di default, 0.0.0.0 solo su richiesta esplicita (Crostini).
 const HOST = argValue('--host') ?? process.env.CHROME_BRIDGE_HOST ?? '127.0.0.1';
 const PORT = process.env.CHROME_BRIDGE_PORT
   ? parseInt(process.env.CHROME_BRIDGE_PORT, 10)
   : (LAUNCH ? 0 : DEFAULT_PORT);
+// --http [--http-port N] o CHROME_BRIDGE_HTTP_PORT: endpoint MCP HTTP sullo
+// stesso host, per più client su un processo solo. --no-stdio per il bridge
+// avviato come servizio, senza un client che gli parli su stdin.
+const HTTP_PORT_RAW = argValue('--http-port') ?? process.env.CHROME_BRIDGE_HTTP_PORT;
+const HTTP = process.argv.includes('--http') || HTTP_PORT_RAW !== undefined;
+const HTTP_PORT = HTTP_PORT_RAW !== undefined ? parseInt(HTTP_PORT_RAW, 10) : DEFAULT_HTTP_PORT;
+const STDIO = !process.argv.includes('--no-stdio');
+// CHROME_BRIDGE_DIGEST=off: gli eventi del browser restano notifiche di
+// logging, senza il riepilogo in coda ai risultati dei tool. all: riepilogo
+// di tutte le schede, non solo di quelle aperte o usate dalla sessione
+const DIGEST = process.env.CHROME_BRIDGE_DIGEST !== 'off';
+const DIGEST_SCOPE = process.env.CHROME_BRIDGE_DIGEST === 'all' ? 'all' : 'session';
 
 // Capability: default = solo set core (30 tool). --caps audits,visual o
 // CHROME_BRIDGE_CAPS attivano i gruppi opt-in; "all" registra tutto.
@@ -37,40 +58,68 @@ function parseCaps() {
   return process.env.CHROME_BRIDGE_CAPS || 'core';
 }
 
+// instructions: dette una volta qui invece che ripetute in ogni descrizione
+// tool — pesano ~1 volta nel contesto del client anziché ~50.
+const INSTRUCTIONS = [
+  'Selector parameters on DOM tools support shadow-DOM piercing with ">>>" (e.g. "my-app >>> button.save").',
+  'They also take locators, sturdier than generated CSS: role=button[name="Save"], text="Sign in", label=Email, placeholder=Search, testid=cart; chain with " >> ", pick with nth=N.',
+  'tab_id omitted = the tab last navigated/created in this session, else the active tab. frame_id omitted = main frame (list frames with get_frames).',
+  'Prefer get_interactives over read_page(html) to discover targets; its refs (n1, n2…) work as the ref param of click/type_text/hover.',
+  // Il costo dominante sono i TURNI, non i byte: un turno vale ~15-30 volte
+  // un KB di output risparmiato. Queste due clausole si pagano una volta
+  // qui e valgono più di qualunque ottimizzazione di schema.
+  'For more than one field use fill_form once (with submit_selector to submit in the same call) instead of repeated type_text: one turn instead of N.',
+  'When the next steps are known in advance (navigate, click, wait_for, assert…), send them as one batch call.',
+  'A tool result may end with since_last_call: browser events (console errors, failed requests, crashes, navigations) since the previous result.',
+  'For tables use extract_table (server-side where/columns filtering) or extract, never read_page: read_page on a big table costs tens of thousands of tokens for data you filter anyway.',
+].join(' ');
+
+/**
+ * Un McpServer con tool e risorse registrati. Uno per trasporto: stdio ne ha
+ * uno, l'endpoint HTTP uno per sessione (lo stato di sessione dei tool, le
+ * sottoscrizioni e il riepilogo eventi restano separati per client).
+ */
+function createMcpServer(wsManager, policy) {
+  const server = new McpServer(
+    { name: 'chrome-bridge', version: VERSION },
+    { instructions: INSTRUCTIONS, capabilities: { logging: {} } },
+  );
+  const pageEvents = attachPageEvents(server, wsManager, { digest: DIGEST, scope: DIGEST_SCOPE, policy });
+  registerTools(server, wsManager, parseCaps(), { pageEvents, policy });
+  registerResources(server, wsManager, { policy });
+  return server;
+}
+
 async function main() {
-  // 1. Crea il server MCP
-  // instructions: dette una volta qui invece che ripetute in ogni descrizione
-  // tool — pesano ~1 volta nel contesto del client anziché ~50.
-  const mcpServer = new McpServer({
-    name: 'chrome-bridge',
-    version: VERSION,
-  }, {
-    instructions: [
-      'Selector parameters on DOM tools support shadow-DOM piercing with ">>>" (e.g. "my-app >>> button.save").',
-      'tab_id omitted = the tab last navigated/created in this session, else the active tab. frame_id omitted = main frame (list frames with get_frames).',
-      'Prefer get_interactives over read_page(html) to discover targets; its refs (n1, n2…) work as the ref param of click/type_text/hover.',
-      // Il costo dominante sono i TURNI, non i byte: un turno vale ~15-30 volte
-      // un KB di output risparmiato. Queste due clausole si pagano una volta
-      // qui e valgono più di qualunque ottimizzazione di schema.
-      'For more than one field use fill_form once (with submit_selector to submit in the same call) instead of repeated type_text: one turn instead of N.',
-      'For tables use extract_table (server-side where/columns filtering) or extract, never read_page: read_page on a big table costs tens of thousands of tokens for data you filter anyway.',
-    ].join(' '),
+  if (!STDIO && !HTTP) throw new Error('--no-stdio needs --http: no MCP transport left');
+  // Prima di tutto il resto: una policy illeggibile ferma il bridge invece
+  // di lasciarlo partire senza restrizioni
+  const policy = await loadPolicy(undefined, {
+    toolNames: new Set([...Object.keys(TOOL_ANNOTATIONS), ...Object.values(MessageType)]),
   });
+  if (policy) console.error(`[chrome-bridge] Policy loaded from ${policy.source}`);
 
-  // 2. Avvia il WebSocket server
+  // 1. Avvia il WebSocket server
   const wsManager = new WSManager(PORT, { host: HOST });
   await wsManager.start();
+  // Recording fatti a mano dal popup: arrivano come eventi al primary
+  attachHumanRecorder(wsManager);
 
-  // 2b. Launch mode: browser dedicato che si connette alla nostra porta.
+  // 1b. Launch mode: browser dedicato che si connette alla nostra porta.
   // Gli handler di shutdown sono registrati PRIMA del launch: registrarli dopo
   // lasciava Chromium e il profilo temporaneo orfani a ogni segnale ricevuto
   // durante l'avvio (osservate 3 directory residue, una da 122 MB).
-  let browser = null;
+  const browsers = [];
+  let stdioServer = null;
+  let http = null;
   const shutdown = async () => {
     console.error('[chrome-bridge] Shutting down...');
-    try { if (browser) await browser.stop(); } catch {}
+    for (const b of browsers) {
+      try { await b.stop(); } catch {}
+    }
     try { await wsManager.stop(); } catch {}
-    try { await mcpServer.close(); } catch {}
+    try { await http?.close(); } catch {}
+    try { await stdioServer?.close(); } catch {}
     process.exit(0);
   };
   process.on('SIGINT', shutdown);
@@ -87,18 +136,39 @@ async function main() {
     if (wsManager.mode !== 'primary') {
       throw new Error(`--launch requires a dedicated port, but ${wsManager.port} is owned by another chrome-bridge. Unset CHROME_BRIDGE_PORT (ephemeral) or pick a free one.`);
     }
-    browser = await launchBrowser({ port: wsManager.port, headless: HEADLESS });
+    for (const name of LAUNCH_NAMES?.length ? LAUNCH_NAMES : [undefined]) {
+      browsers.push(await launchBrowser({ port: wsManager.port, headless: HEADLESS, name }));
+    }
   }
 
-  // 3. Registra i tool MCP (filtrati per capability)
-  registerTools(mcpServer, wsManager, parseCaps());
-
-  // 4. Avvia il trasporto stdio MCP
-  const transport = new StdioServerTransport();
-  await mcpServer.connect(transport);
-
-  console.error(`[chrome-bridge] MCP server ready (stdio + WebSocket, mode: ${wsManager.mode})`);
+  // 2. Trasporti MCP, ciascuno col proprio server (tool filtrati per capability)
+  const transports = [];
+  if (HTTP) {
+    http = await startHttpTransport({
+      // Una sessione del WSManager per client: schede separate nell'estensione
+      // come per un relay, liberate quando il client se ne va
+      createServer: (id) => {
+        const session = wsManager.openSession(`http-${id.slice(0, 8)}`);
+        const server = createMcpServer(session, policy);
+        const prevClose = server.server.onclose;
+        server.server.onclose = () => {
+          prevClose?.();
+          session.end();
+        };
+        return server;
+      },
+      port: HTTP_PORT,
+      host: HOST,
+    });
+    transports.push(`http ${http.url}`);
+  }
+  if (STDIO) {
+    stdioServer = createMcpServer(wsManager, policy);
+    await stdioServer.connect(new StdioServerTransport());
+    transports.push('stdio');
+  }
 
+  console.error(`[chrome-bridge] MCP server ready (${transports.join(' + ')} + WebSocket, mode: ${wsManager.mode})`);
 }
 
 main().catch((err) => {
@@ -37,14 +37,18 @@ export function findBrowser() {
   return found;
 }
 
-/** Prepara dir temporanee: copia estensione + launch.json, profilo con dev mode. */
-export async function prepareLaunch(port) {
+/**
+ * Prepara dir temporanee: copia estensione + launch.json, profilo con dev mode.
+ * `name` arriva all'estensione via launch.json: è il nome con cui il server
+ * elenca il browser, da usare nel parametro `browser` dei tool.
+ */
+export async function prepareLaunch(port, name) {
   const base = await mkdtemp(join(tmpdir(), 'chrome-bridge-launch-'));
   const extDir = join(base, 'ext');
   const profileDir = join(base, 'profile');
 
   await cp(EXTENSION_SRC, extDir, { recursive: true });
-  await writeFile(join(extDir, 'launch.json'), JSON.stringify({ port }));
+  await writeFile(join(extDir, 'launch.json'), JSON.stringify(name ? { port, name } : { port }));
 
   // Dev mode pre-abilitato: su Chrome 135-137 sblocca chrome.userScripts;
   // su versioni successive execute_js usa comunque il fallback new Function.
@@ -59,9 +63,9 @@ export async function prepareLaunch(port) {
  * Avvia il browser. Ritorna { pid, stop } — stop() termina il processo e
  * rimuove le directory temporanee.
  */
-export async function launchBrowser({ port, headless = false }) {
+export async function launchBrowser({ port, headless = false, name }) {
   const browser = findBrowser();
-  const { base, extDir, profileDir } = await prepareLaunch(port);
+  const { base, extDir, profileDir } = await prepareLaunch(port, name);
 
   const args = [
     `--user-data-dir=${profileDir}`,
@@ -92,6 +96,6 @@ export async function launchBrowser({ port, headless = false }) {
     await rm(base, { recursive: true, force: true }).catch(() => {});
   };
 
-  console.error(`[chrome-bridge] launched ${browser}${headless ? ' (headless)' : ''} pid=${proc.pid}, ws port ${port}`);
+  console.error(`[chrome-bridge] launched ${browser}${headless ? ' (headless)' : ''}${name ? ` as "${name}"` : ''} pid=${proc.pid}, ws port ${port}`);
   return { pid: proc.pid, stop };
 }
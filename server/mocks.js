@@ -0,0 +1,235 @@
+/**
+ * File di mock per network_rules action=load_mocks (e `chrome-bridge
+ * network_rules --action load_mocks`).
+ *
+ * Un file JSON o YAML descrive le route: metodo, glob sull'URL, query attese,
+ * header di risposta, latenza, sequenze di risposte ("prima 500, poi 200") e
+ * body con segnaposto {{request.*}} che riecheggiano la richiesta. Il browser
+ * arriva allo stub server via redirect declarativeNetRequest; qui vive solo la
+ * logica pura (parsing, match, rendering), testabile senza browser. Anche il
+ * replay di un HAR (action=load_har) passa di qui: routesFromHar ne ricava
+ * route dello stesso formato.
+ *
+ *   routes:
+ *     - name: ordini-instabili
+ *       method: POST
+ *       url: "https://api.example.com/orders/*"
+ *       query: { dry_run: "1" }
+ *       latency: 300
+ *       responses:
+ *         - status: 500
+ *           body: { error: "boom" }
+ *         - status: 201
+ *           body: { id: "{{request.json.id}}", via: "{{request.method}}" }
+ */
+
+import { parse as parseYaml } from 'yaml';
+import { substituteVars } from './templating.js';
+
+const escapeRe = (s) => s.replace(/[.+^${}()|[\]\\?]/g, '\\$&');
+
+/**
+ * Glob URL → sorgente regex (senza ancore). `**` attraversa gli slash, `*` no.
+ * Il `?` resta letterale: negli URL separa la query, non è un jolly. La stessa
+ * sorgente vale per RegExp e per il RE2 di declarativeNetRequest.
+ */
+export function globSource(glob) {
+  return glob.split('**').map((part) => part.split('*').map(escapeRe).join('[^/]*')).join('.*');
+}
+
+/** regexFilter DNR per una route: l'URL senza query deve combaciare col glob. */
+export function dnrRegexFilter(glob) {
+  return `^${globSource(glob)}(?:[?].*)?$`;
+}
+
+function normalizeResponse(r, where) {
+  if (!r || typeof r !== 'object') throw new Error(`${where}: response must be an object`);
+  if (r.status != null && !Number.isInteger(r.status)) throw new Error(`${where}: status must be an integer`);
+  if (r.latency != null && !(typeof r.latency === 'number' && r.latency >= 0)) {
+    throw new Error(`${where}: latency must be a number of ms`);
+  }
+  return {
+    status: r.status ?? 200,
+    body: r.body ?? '',
+    content_type: r.content_type
+      ?? (r.body != null && typeof r.body === 'object' ? 'application/json' : 'text/plain'),
+    headers: r.headers ?? {},
+    latency: r.latency ?? null,
+  };
+}
+
+/**
+ * Legge e valida un file di mock. Accetta `{ routes: [...] }` o l'array nudo.
+ * YAML se l'estensione è .yaml/.yml, altrimenti JSON.
+ *
+ * @param {string} content
+ * @param {string} [path] - solo per scegliere il formato e per i messaggi
+ */
+export function parseMocks(content, path = '') {
+  let doc;
+  const yaml = /\.ya?ml$/i.test(path);
+  try {
+    doc = yaml ? parseYaml(content) : JSON.parse(content);
+  } catch (err) {
+    throw new Error(`Invalid ${yaml ? 'YAML' : 'JSON'} in mock file${path ? ` ${path}` : ''}: ${err.message}`);
+  }
+  const list = Array.isArray(doc) ? doc : doc?.routes;
+  if (!Array.isArray(list) || !list.length) throw new Error('Mock file must define a non-empty "routes" list');
+
+  return list.map((r, i) => {
+    const where = `routes[${i}]${r?.name ? ` (${r.name})` : ''}`;
+    if (!r || typeof r.url !== 'string' || !r.url) throw new Error(`${where}: "url" glob is required`);
+    const methods = r.method == null ? null : [].concat(r.method).map((m) => String(m).toUpperCase());
+    if (r.query != null && (typeof r.query !== 'object' || Array.isArray(r.query))) {
+      throw new Error(`${where}: query must be an object of name → value`);
+    }
+    if (r.responses != null && !(Array.isArray(r.responses) && r.responses.length)) {
+      throw new Error(`${where}: responses must be a non-empty list`);
+    }
+    // Sequenza esplicita (latency e headers della route fanno da default) o
+    // risposta singola scritta direttamente sulla route
+    const responses = r.responses
+      ? r.responses.map((x, j) => normalizeResponse({ latency: r.latency, headers: r.headers, ...x }, `${where}.responses[${j}]`))
+      : [normalizeResponse(r, where)];
+    return {
+      name: r.name ?? `route-${i + 1}`,
+      methods,
+      url: r.url,
+      urlRe: new RegExp(`^${globSource(r.url)}$`, 'i'),
+      query: r.query ? Object.fromEntries(Object.entries(r.query).map(([k, v]) => [k, String(v)])) : null,
+      responses,
+      cycle: r.cycle === true,
+      calls: 0,
+    };
+  });
+}
+
+/**
+ * Prima route che accetta la richiesta, o null. I valori di query attesi sono
+ * glob anch'essi (`"*"` = parametro presente con qualsiasi valore). Le route
+ * nate da un HAR confrontano invece l'URL completo (`fullUrl`) ed
+ * eventualmente il body (`requestBody`).
+ *
+ * @param {object[]} routes - da parseMocks o routesFromHar
+ * @param {{ method: string, url: string, body?: string }} req - url originale completo
+ */
+export function matchRoute(routes, req) {
+  let u;
+  try { u = new URL(req.url); } catch { return null; }
+  const base = `${u.protocol}//${u.host}${u.pathname}`;
+  return routes.find((r) => {
+    if (r.methods && !r.methods.includes(req.method.toUpperCase())) return false;
+    if (r.fullUrl) {
+      if (r.fullUrl !== u.href) return false;
+      return r.requestBody == null || r.requestBody === (req.body ?? '');
+    }
+    if (!r.urlRe.test(base)) return false;
+    if (r.query) {
+      for (const [k, v] of Object.entries(r.query)) {
+        if (!u.searchParams.has(k)) return false;
+        if (!new RegExp(`^${globSource(v)}$`).test(u.searchParams.get(k))) return false;
+      }
+    }
+    return true;
+  }) ?? null;
+}
+
+/** Risposta del turno corrente: la sequenza avanza a ogni chiamata, poi ripete l'ultima (o ricomincia con cycle). */
+export function nextResponse(route) {
+  const n = route.calls++;
+  const list = route.responses;
+  return list[route.cycle ? n % list.length : Math.min(n, list.length - 1)];
+}
+
+/**
+ * Contesto dei segnaposto: {{request.method}}, {{request.url}},
+ * {{request.path}}, {{request.query.x}}, {{request.headers.x-y}} (nome in
+ * minuscolo), {{request.body}} e {{request.json.campo.annidato}}.
+ */
+export function requestContext({ method, url, headers = {}, body = '' }) {
+  let u;
+  try { u = new URL(url); } catch { u = null; }
+  let json = {};
+  try { json = body ? JSON.parse(body) : {}; } catch { /* body non JSON: json resta vuoto */ }
+  return {
+    request: {
+      method,
+      url,
+      path: u ? u.pathname : '',
+      query: u ? Object.fromEntries(u.searchParams) : {},
+      headers: Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v)])),
+      body,
+      json,
+    },
+  };
+}
+
+/**
+ * Body finale: i segnaposto si risolvono sull'albero, poi gli oggetti
+ * diventano JSON. Le risposte registrate (raw) passano intatte: un bundle JS
+ * può contenere `{{...}}` che non sono nostri.
+ */
+export function renderBody(body, ctx, raw = false) {
+  if (raw || Buffer.isBuffer(body)) return body;
+  const out = substituteVars(body, ctx);
+  return typeof out === 'string' ? out : JSON.stringify(out);
+}
+
+// Header che non valgono più una volta che il body è già decodificato, più
+// gli pseudo-header HTTP/2 (":status") che gli HAR di Chrome riportano.
+const HAR_SKIP_HEADERS = new Set(['content-encoding', 'content-length', 'transfer-encoding', 'connection', 'keep-alive']);
+
+/**
+ * Route di replay da un HAR 1.2: una per richiesta distinta (metodo + URL
+ * completo, più il body con matchBody), con le risposte registrate in ordine
+ * come sequenza — la stessa chiamata ripetuta nel flusso riceve la risposta
+ * del suo turno. Le entry senza risposta (status 0) restano fuori: a replay
+ * diventano miss, come erano fallite in registrazione.
+ *
+ * @param {object} har - HAR già parsato
+ * @param {{ matchBody?: boolean }} [options]
+ * @returns {{ routes: object[], origins: string[] }}
+ */
+export function routesFromHar(har, { matchBody = false } = {}) {
+  const entries = har?.log?.entries;
+  if (!Array.isArray(entries)) throw new Error('Not a HAR file: missing log.entries');
+  const byKey = new Map();
+  const origins = new Set();
+  for (const e of entries) {
+    const status = e.response?.status ?? 0;
+    if (!status || !e.request?.url) continue;
+    let u;
+    try { u = new URL(e.request.url); } catch { continue; }
+    if (!/^https?:$/.test(u.protocol)) continue;
+    const method = (e.request.method || 'GET').toUpperCase();
+    const body = matchBody ? (e.request.postData?.text ?? '') : null;
+    const key = `${method} ${u.href}${matchBody ? ` ${body}` : ''}`;
+    let route = byKey.get(key);
+    if (!route) {
+      route = {
+        name: `${method} ${u.href.length > 100 ? `${u.href.slice(0, 100)}…` : u.href}`,
+        methods: [method], url: u.href, fullUrl: u.href, requestBody: body,
+        responses: [], cycle: false, calls: 0,
+      };
+      byKey.set(key, route);
+    }
+    origins.add(u.origin);
+    const headers = {};
+    for (const h of e.response.headers ?? []) {
+      const name = h.name.toLowerCase();
+      if (name.startsWith(':') || HAR_SKIP_HEADERS.has(name)) continue;
+      headers[name] = name in headers ? [].concat(headers[name], h.value) : h.value;
+    }
+    const content = e.response.content ?? {};
+    route.responses.push({
+      status,
+      body: content.encoding === 'base64' ? Buffer.from(content.text ?? '', 'base64') : (content.text ?? ''),
+      content_type: content.mimeType || headers['content-type'] || 'application/octet-stream',
+      headers,
+      latency: null,
+      raw: true,
+    });
+  }
+  if (!byKey.size) throw new Error('HAR has no replayable entries (http/https with a response)');
+  return { routes: [...byKey.values()], origins: [...origins] };
+}
@@ -0,0 +1,153 @@
+/**
+ * Eventi spontanei del browser verso il client MCP, senza polling.
+ *
+ * Ogni evento dell'estensione (errore console o promise rifiutata, richiesta
+ * 4xx/5xx o fallita, scheda in crash o scartata, navigazione) diventa:
+ *  - una notifications/message (logging MCP) per i client che le mostrano;
+ *  - una riga del riepilogo "since last call" in coda al prossimo risultato
+ *    di tool, per i modelli che le notifiche non le vedono mai.
+ *
+ * Il riepilogo resta corto: righe uguali contate (×N), navigazioni ridotte
+ * all'ultima per scheda, al massimo maxLines righe. Le navigazioni durante
+ * una chiamata sono quelle dell'agente stesso (navigate, un click su un
+ * link) e il risultato le racconta già: nel riepilogo solo le altre.
+ *
+ * Il riepilogo riguarda le schede della sessione: quelle che ha aperto o su
+ * cui ha agito (claim, da tools.js) e, in relay, quelle che l'estensione le
+ * assegna. Con più client sullo stesso bridge (HTTP, relay) gli errori della
+ * scheda di un altro agente non finiscono nei risultati di questo.
+ */
+
+const LOGGER = 'chrome-bridge';
+const MAX_LINES = 20;
+const clip = (s, n) => (s.length > n ? `${s.slice(0, n - 1)}…` : s);
+
+/**
+ * Riga compatta e livello MCP di un evento; null per gli eventi che non
+ * riguardano una scheda (richieste del service worker, tabId -1) o non noti.
+ *
+ * @param {{ event: string, data?: object }} msg
+ * @returns {{ level: string, line: string, tabId: number } | null}
+ */
+export function describePageEvent(msg) {
+  const d = msg.data ?? {};
+  const tabId = d.tab_id;
+  if (!Number.isInteger(tabId) || tabId < 0) return null;
+  const tab = `tab ${tabId}`;
+  switch (msg.event) {
+    case 'console':
+      return { level: 'error', tabId, line: `console.error\t${tab}\t${clip(String(d.text ?? ''), 300)}` };
+    case 'network': {
+      const what = d.status ? `http ${d.status}` : String(d.error ?? 'failed');
+      const level = d.status >= 400 && d.status < 500 ? 'warning' : 'error';
+      return { level, tabId, line: `${what}\t${tab}\t${d.method ?? 'GET'} ${clip(String(d.url ?? ''), 200)}` };
+    }
+    case 'tab':
+      if (d.state !== 'crashed' && d.state !== 'discarded') return null;
+      return { level: d.state === 'crashed' ? 'critical' : 'warning', tabId, line: `${d.state}\t${tab}\t${clip(String(d.url ?? ''), 200)}` };
+    case 'navigation':
+      return { level: 'info', tabId, line: `navigated\t${tab}\t${clip(String(d.url ?? ''), 200)}` };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Collega gli eventi del WSManager a un McpServer: logging MCP subito,
+ * riepilogo per i risultati dei tool con wrap().
+ *
+ * Il server va creato con `capabilities: { logging: {} }`: senza, l'SDK
+ * scarta le notifiche e non risponde a logging/setLevel.
+ *
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server
+ * @param {object} wsManager - onEvent, ownSession
+ * @param {object} [opts]
+ * @param {boolean} [opts.digest=true] - false: solo notifiche, risultati intatti
+ * @param {'session'|'all'} [opts.scope='session'] - all: riepilogo di tutte le schede, non solo di quelle della sessione
+ * @param {number} [opts.maxLines=20]
+ * @param {object} [opts.policy] - policy.js: gli eventi delle origini negate non escono
+ * @returns {{ wrap: Function, digest: () => string|null, claim: (tabId: number) => void, off: () => void }}
+ */
+export function attachPageEvents(server, wsManager, { digest: withDigest = true, scope = 'session', maxLines = MAX_LINES, policy = null } = {}) {
+  let pending = new Map(); // riga → { count, tabId, mine }
+  let navigations = new Map(); // tabId → { line, mine } dell'ultima navigazione
+  const claimed = new Set(); // schede aperte o usate da questa sessione
+  let dropped = 0; // scartati dal tetto dell'estensione
+  let active = 0; // chiamate di tool in corso
+
+  const off = wsManager.onEvent((msg, browser) => {
+    const ev = describePageEvent(msg);
+    if (!ev) return;
+    if (policy && msg.data.url && !policy.allows(msg.data.url)) return;
+    // Scheda di un'altra sessione relay: né notifica né riepilogo
+    const own = wsManager.ownSession ?? null;
+    if (msg.data.session != null && msg.data.session !== own) return;
+    const mine = own != null && msg.data.session === own;
+    if (server.isConnected()) {
+      const { tab_id: _t, session: _s, ...data } = msg.data;
+      server.server.sendLoggingMessage({
+        level: ev.level,
+        logger: LOGGER,
+        data: { message: ev.line.replaceAll('\t', ' '), event: msg.event, tab_id: ev.tabId, ...data, ...(browser && { browser }) },
+      }, server.server.transport?.sessionId).catch(() => {});
+    }
+    if (!withDigest) return;
+    dropped += Number(msg.data.dropped_before) || 0;
+    if (msg.event === 'navigation') {
+      if (!active) navigations.set(ev.tabId, { line: ev.line, mine });
+      return;
+    }
+    const seen = pending.get(ev.line);
+    if (seen) seen.count++;
+    else pending.set(ev.line, { count: 1, tabId: ev.tabId, mine });
+  });
+
+  // Filtrato quando esce e non quando arriva: la scheda aperta da navigate
+  // logga i suoi errori prima che la risposta la consegni a claim
+  const inScope = (tabId, mine) => scope === 'all' || mine || claimed.has(tabId);
+
+  /** Il riepilogo accumulato (e lo azzera); null se non è successo niente. */
+  const digest = () => {
+    const lines = [...pending]
+      .filter(([, e]) => inScope(e.tabId, e.mine))
+      .map(([line, e]) => (e.count > 1 ? `${line}\t×${e.count}` : line))
+      .concat([...navigations].filter(([tabId, n]) => inScope(tabId, n.mine)).map(([, n]) => n.line));
+    const extra = dropped;
+    pending = new Map();
+    navigations = new Map();
+    dropped = 0;
+    if (!lines.length && !extra) return null;
+    const shown = lines.slice(0, maxLines);
+    const more = lines.length - shown.length;
+    const head = `since_last_call events=${lines.length}${more ? ` shown=${shown.length}` : ''}${extra ? ` dropped=${extra}` : ''}`;
+    return [head, ...shown].join('\n');
+  };
+
+  /** Handler di tool che si porta in coda il riepilogo. */
+  const wrap = (handler) => async (...args) => {
+    active++;
+    let result;
+    try {
+      result = await handler(...args);
+    } finally {
+      active--;
+    }
+    const text = withDigest ? digest() : null;
+    if (!text || !Array.isArray(result?.content)) return result;
+    return { ...result, content: [...result.content, { type: 'text', text }] };
+  };
+
+  // Sessione chiusa (HTTP): l'ascoltatore non deve sopravvivere al server
+  const prevClose = server.server.onclose;
+  server.server.onclose = () => {
+    off();
+    prevClose?.();
+  };
+
+  /** Una scheda aperta o usata dalla sessione: i suoi eventi entrano nel riepilogo. */
+  const claim = (tabId) => {
+    if (Number.isInteger(tabId)) claimed.add(tabId);
+  };
+
+  return { wrap, digest, claim, off };
+}
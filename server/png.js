@@ -0,0 +1,175 @@
+/**
+ * PNG minimo in puro Node (zlib di sistema, nessuna dipendenza): quanto basta
+ * per i confronti visivi lato server. Legge i PNG 8 bit non interlacciati che
+ * escono da captureVisibleTab e dagli strumenti più comuni (grigio, RGB,
+ * palette, con o senza alfa) e scrive RGBA.
+ *
+ * Le immagini circolano come { width, height, data } con `data` RGBA a 8 bit,
+ * la stessa forma di ImageData nel browser.
+ */
+
+import { deflateSync, inflateSync } from 'node:zlib';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * @param {Buffer} buf - file PNG
+ * @returns {{ width: number, height: number, data: Uint8Array }} RGBA
+ */
+export function decodePng(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 8 || !buf.subarray(0, 8).equals(SIGNATURE)) {
+    throw new Error('Not a PNG file');
+  }
+  let width = 0, height = 0, depth = 0, colorType = 0, interlace = 0;
+  let palette = null, trns = null;
+  const idat = [];
+  for (let off = 8; off + 8 <= buf.length;) {
+    const len = buf.readUInt32BE(off);
+    const type = buf.toString('latin1', off + 4, off + 8);
+    const body = buf.subarray(off + 8, off + 8 + len);
+    off += 12 + len;
+    if (type === 'IHDR') {
+      width = body.readUInt32BE(0);
+      height = body.readUInt32BE(4);
+      depth = body[8];
+      colorType = body[9];
+      interlace = body[12];
+    } else if (type === 'PLTE') palette = body;
+    else if (type === 'tRNS') trns = body;
+    else if (type === 'IDAT') idat.push(body);
+    else if (type === 'IEND') break;
+  }
+  if (!width || !height) throw new Error('PNG without IHDR');
+  if (depth !== 8 || interlace || !(colorType in CHANNELS)) {
+    throw new Error(`Unsupported PNG (bit depth ${depth}, color type ${colorType}${interlace ? ', interlaced' : ''}) — only 8-bit non-interlaced images`);
+  }
+
+  const channels = CHANNELS[colorType];
+  const stride = width * channels;
+  const raw = inflateSync(Buffer.concat(idat));
+  if (raw.length < (stride + 1) * height) throw new Error('Truncated PNG data');
+  const px = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const row = y * stride;
+    const up = row - stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= channels ? px[row + x - channels] : 0;
+      const b = y ? px[up + x] : 0;
+      const c = y && x >= channels ? px[up + x - channels] : 0;
+      let v = raw[src + x];
+      if (filter === 1) v += a;
+      else if (filter === 2) v += b;
+      else if (filter === 3) v += (a + b) >> 1;
+      else if (filter === 4) v += paeth(a, b, c);
+      px[row + x] = v & 0xff;
+    }
+  }
+
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0, j = 0; i < width * height; i++, j += channels) {
+    const o = i * 4;
+    if (colorType === 6) {
+      data[o] = px[j]; data[o + 1] = px[j + 1]; data[o + 2] = px[j + 2]; data[o + 3] = px[j + 3];
+    } else if (colorType === 2) {
+      data[o] = px[j]; data[o + 1] = px[j + 1]; data[o + 2] = px[j + 2]; data[o + 3] = 255;
+    } else if (colorType === 3) {
+      const k = px[j];
+      data[o] = palette[k * 3]; data[o + 1] = palette[k * 3 + 1]; data[o + 2] = palette[k * 3 + 2];
+      data[o + 3] = trns && k < trns.length ? trns[k] : 255;
+    } else {
+      data[o] = data[o + 1] = data[o + 2] = px[j];
+      data[o + 3] = colorType === 4 ? px[j + 1] : 255;
+    }
+  }
+  return { width, height, data };
+}
+
+function chunk(type, body) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(body.length, 0);
+  head.write(type, 4, 'latin1');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), body])), 0);
+  return Buffer.concat([head, body, crc]);
+}
+
+/**
+ * @param {{ width: number, height: number, data: Uint8Array }} img - RGBA
+ * @returns {Buffer}
+ */
+export function encodePng({ width, height, data }) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 6;
+  // Filtro "Sub" su ogni riga: sulle immagini di diff (grandi campiture
+  // uniformi) comprime molto meglio di nessun filtro, ed è banale da scrivere.
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const dst = y * (stride + 1);
+    raw[dst] = 1;
+    for (let x = 0; x < stride; x++) {
+      const v = data[y * stride + x];
+      raw[dst + 1 + x] = (v - (x >= 4 ? data[y * stride + x - 4] : 0)) & 0xff;
+    }
+  }
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', ihdr),
+    chunk('IDAT', deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * Riduce l'immagine perché il lato lungo non superi `maxSide`, mediando i
+ * pixel di ogni blocco. Sotto il limite la restituisce intatta.
+ */
+export function scaleDown(img, maxSide) {
+  const scale = Math.min(1, maxSide / Math.max(img.width, img.height));
+  if (scale === 1) return img;
+  const w = Math.max(1, Math.round(img.width * scale));
+  const h = Math.max(1, Math.round(img.height * scale));
+  const data = new Uint8Array(w * h * 4);
+  for (let y = 0; y < h; y++) {
+    const y0 = Math.floor(y / scale), y1 = Math.max(y0 + 1, Math.min(img.height, Math.floor((y + 1) / scale)));
+    for (let x = 0; x < w; x++) {
+      const x0 = Math.floor(x / scale), x1 = Math.max(x0 + 1, Math.min(img.width, Math.floor((x + 1) / scale)));
+      const sum = [0, 0, 0, 0];
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const o = (sy * img.width + sx) * 4;
+          sum[0] += img.data[o]; sum[1] += img.data[o + 1]; sum[2] += img.data[o + 2]; sum[3] += img.data[o + 3];
+        }
+      }
+      const n = (y1 - y0) * (x1 - x0);
+      const o = (y * w + x) * 4;
+      for (let k = 0; k < 4; k++) data[o + k] = Math.round(sum[k] / n);
+    }
+  }
+  return { width: w, height: h, data };
+}
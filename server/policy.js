@@ -0,0 +1,286 @@
+/**
+ * Policy di sicurezza: cosa un client MCP può toccare nel Chrome condiviso.
+ *
+ * Il token del WebSocket dice chi può parlare col bridge, i gruppi di
+ * capability quali tool esistono; nessuno dei due dice "su staging sì, sulla
+ * banca aperta nella scheda accanto no". Lo dice questo file:
+ *
+ *   {
+ *     "allow_origins": ["https://*.staging.example.com", "http://localhost"],
+ *     "deny_origins": ["*.mybank.com"],
+ *     "forbidden_tools": { "*.mybank.com": ["execute_js", "clipboard", "get_storage"], "*": ["http_auth"] },
+ *     "read_only": false,
+ *     "max_tabs": 5,
+ *     "allow_cdp_send": false
+ *   }
+ *
+ * Un'origine è `[schema://]host[:porta]`: host esatto, `*.dominio` (dominio
+ * e sottodomini) o `*`; senza schema valgono http e https, senza porta ogni
+ * porta. deny vince su allow; con allow_origins non vuoto tutto il resto è
+ * negato. Le schede vuote (about:blank, chrome://newtab) restano permesse:
+ * ogni scheda nuova nasce lì.
+ *
+ * Due tool scavalcano il controllo per scheda e li guarda la policy stessa:
+ * le regole di network_rules valgono per ogni richiesta che combacia col
+ * filtro, quindi il filtro deve restare dentro le origini permesse; cdp send
+ * chiama qualunque metodo del protocollo (Page.navigate, Network.getCookies,
+ * Runtime.evaluate), quindi con origini ristrette serve allow_cdp_send.
+ *
+ * Un file che non si legge non viene ignorato: una policy di sicurezza che
+ * fallisce aperta è peggio di nessuna, quindi loadPolicy lancia e il bridge
+ * non parte.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+
+export const POLICY_FILE = process.env.CHROME_BRIDGE_POLICY
+  || join(homedir(), '.config', 'chrome-bridge', 'policy.json');
+
+const KEYS = new Set(['allow_origins', 'deny_origins', 'forbidden_tools', 'read_only', 'max_tabs', 'allow_cdp_send']);
+const BLANK_URLS = new Set(['', 'about:blank', 'chrome://newtab/', 'chrome://new-tab-page/']);
+const DEFAULT_PORTS = { http: '80', https: '443' };
+
+/**
+ * Un pattern di origine → funzione url → boolean.
+ * @param {string} pattern
+ */
+function originMatcher(pattern) {
+  const m = /^(?:(\*|[a-z][a-z0-9+.-]*):\/\/)?(\*|(?:\*\.)?[^/:*\s]*)(?::(\*|\d+))?\/?$/i.exec(String(pattern).trim());
+  if (!m || (!m[2] && m[1]?.toLowerCase() !== 'file')) {
+    throw new Error(`origin "${pattern}" is not [scheme://]host[:port] (host, *.domain or *)`);
+  }
+  const scheme = m[1]?.toLowerCase();
+  const host = (m[2] || '*').toLowerCase();
+  const port = m[3];
+  const match = (url) => {
+    const proto = url.protocol.slice(0, -1);
+    if (scheme ? scheme !== '*' && scheme !== proto : proto !== 'http' && proto !== 'https') return false;
+    const h = url.hostname.toLowerCase();
+    if (host !== '*') {
+      if (host.startsWith('*.')) {
+        const base = host.slice(2);
+        if (h !== base && !h.endsWith(`.${base}`)) return false;
+      } else if (h !== host) return false;
+    }
+    return !port || port === '*' || port === (url.port || DEFAULT_PORTS[proto]);
+  };
+  // Per i filtri di network_rules, che non hanno un URL ma un dominio intero
+  match.origin = { scheme, host, port };
+  return match;
+}
+
+/**
+ * Fin dove arriva il filtro di una regola di network_rules: { urls } se è
+ * ancorato a un'origine esatta, { domain } per un dominio coi sottodomini,
+ * null se può combaciare con qualunque host. Si riconoscono solo le forme
+ * che il bridge stesso produce (|https://host/, ||host^ e la regex di
+ * dnrRegexFilter); tutto il resto è null, e con origini ristrette si rifiuta.
+ */
+function filterScope({ url_filter, regex_filter }) {
+  if (regex_filter != null) {
+    // Un | nella regex è un'alternativa che può uscire dall'ancora
+    if (String(regex_filter).includes('|')) return null;
+    const m = /^\^(https\\?\?|https?):\/\/((?:[a-z0-9-]|\\\.)+)(?::(\d+))?(?:\/|\\\/)/i.exec(regex_filter);
+    if (!m) return null;
+    const host = m[2].replace(/\\\./g, '.');
+    const schemes = m[1].endsWith('?') ? ['http', 'https'] : [m[1]];
+    return { urls: schemes.map((s) => `${s}://${host}${m[3] ? `:${m[3]}` : ''}/`) };
+  }
+  if (url_filter == null) return null;
+  const exact = /^\|([a-z][a-z0-9+.-]*):\/\/([a-z0-9.-]+)(?::(\d+))?\//i.exec(url_filter);
+  if (exact) return { urls: [`${exact[1]}://${exact[2]}${exact[3] ? `:${exact[3]}` : ''}/`] };
+  const domain = /^\|\|([a-z0-9.-]+)[\^/]/i.exec(url_filter);
+  return domain ? { domain: domain[1].toLowerCase() } : null;
+}
+
+// Il pattern di un'origine tocca il dominio d o uno dei suoi sottodomini?
+function reaches({ host }, d) {
+  if (host === '*') return true;
+  const base = host.startsWith('*.') ? host.slice(2) : host;
+  if (base === d || base.endsWith(`.${d}`)) return true;
+  return host.startsWith('*.') && d.endsWith(`.${base}`);
+}
+
+// Il pattern copre tutto il dominio d, sottodomini, schemi e porte compresi?
+function covers({ scheme, host, port }, d) {
+  if (scheme && scheme !== '*') return false;
+  if (port && port !== '*') return false;
+  if (host === '*') return true;
+  return host.startsWith('*.') && (d === host.slice(2) || d.endsWith(host.slice(1)));
+}
+
+function toUrl(url, base) {
+  try {
+    return new URL(url, base);
+  } catch {
+    throw new Error(`Blocked by policy: cannot tell the origin of "${url}"`);
+  }
+}
+
+/**
+ * Valida e compila una policy già letta.
+ *
+ * @param {object} raw - il JSON del file
+ * @param {object} [opts]
+ * @param {string} [opts.source] - per i messaggi d'errore
+ * @param {Set<string>} [opts.toolNames] - nomi validi in forbidden_tools: un refuso non deve permettere in silenzio
+ */
+export function parsePolicy(raw, { source = 'policy', toolNames = null } = {}) {
+  const fail = (msg) => { throw new Error(`Invalid policy ${source}: ${msg}`); };
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) fail('expected a JSON object');
+  for (const k of Object.keys(raw)) {
+    if (!KEYS.has(k)) fail(`unknown key "${k}" (known: ${[...KEYS].join(', ')})`);
+  }
+  const compile = (list, key) => {
+    if (list == null) return [];
+    if (!Array.isArray(list)) fail(`${key} must be an array of origins`);
+    return list.map((p) => {
+      try { return { pattern: p, match: originMatcher(p) }; } catch (err) { return fail(`${key}: ${err.message}`); }
+    });
+  };
+  const allow = compile(raw.allow_origins, 'allow_origins');
+  const deny = compile(raw.deny_origins, 'deny_origins');
+
+  const forbidden = [];
+  if (raw.forbidden_tools != null) {
+    if (typeof raw.forbidden_tools !== 'object' || Array.isArray(raw.forbidden_tools)) fail('forbidden_tools must map an origin to a list of tools');
+    for (const [pattern, tools] of Object.entries(raw.forbidden_tools)) {
+      if (!Array.isArray(tools)) fail(`forbidden_tools["${pattern}"] must be an array of tool names`);
+      const unknown = toolNames ? tools.filter((t) => !toolNames.has(t)) : [];
+      if (unknown.length) fail(`forbidden_tools["${pattern}"]: unknown tool ${unknown.join(', ')}`);
+      let match = null; // '*': ogni origine, anche i comandi senza scheda
+      if (pattern !== '*') {
+        try { match = originMatcher(pattern); } catch (err) { fail(`forbidden_tools: ${err.message}`); }
+      }
+      forbidden.push({ pattern, match, tools: new Set(tools) });
+    }
+  }
+
+  if (raw.read_only != null && typeof raw.read_only !== 'boolean') fail('read_only must be true or false');
+  if (raw.max_tabs != null && !(Number.isInteger(raw.max_tabs) && raw.max_tabs >= 0)) fail('max_tabs must be a non-negative integer');
+  if (raw.allow_cdp_send != null && typeof raw.allow_cdp_send !== 'boolean') fail('allow_cdp_send must be true or false');
+  const restricted = allow.length > 0 || deny.length > 0;
+
+  /** Motivo del rifiuto di un URL, o null se permesso. */
+  const denial = (url) => {
+    if (BLANK_URLS.has(url.href)) return null;
+    const d = deny.find((x) => x.match(url));
+    if (d) return `${url.origin === 'null' ? url.href : url.origin} matches deny_origins "${d.pattern}"`;
+    if (allow.length && !allow.some((x) => x.match(url))) return `${url.origin === 'null' ? url.href : url.origin} is not in allow_origins`;
+    return null;
+  };
+
+  return {
+    source,
+    readOnly: raw.read_only === true,
+    maxTabs: raw.max_tabs ?? null,
+
+    /** Vero se l'URL è fuori da deny e, con allow_origins, dentro. */
+    allows(url) {
+      try { return !denial(new URL(url)); } catch { return BLANK_URLS.has(url ?? ''); }
+    },
+
+    /** Lancia se l'URL (risolto su base) è fuori dalle origini permesse. */
+    checkUrl(url, base) {
+      if (BLANK_URLS.has(url ?? '')) return;
+      const why = denial(toUrl(url, base));
+      if (why) throw new Error(`Blocked by policy: ${why}`);
+    },
+
+    /**
+     * Lancia se uno dei nomi (tool e comando) è vietato su quell'URL; senza
+     * URL contano solo le regole "*".
+     */
+    checkTools(names, url) {
+      const u = url && !BLANK_URLS.has(url) ? toUrl(url) : null;
+      for (const rule of forbidden) {
+        if (rule.match && !(u && rule.match(u))) continue;
+        const hit = names.find((n) => rule.tools.has(n));
+        if (hit) throw new Error(`Blocked by policy: ${hit} is forbidden on ${rule.match ? u.origin : 'every origin'} (forbidden_tools "${rule.pattern}")`);
+      }
+    },
+
+    /**
+     * Lancia se una regola di network_rules può toccare un'origine negata o
+     * uscire da allow_origins, o se reindirizza fuori. own è l'origine dello
+     * stub server del bridge: i suoi /__stub__/ e /__mock__/ restano permessi.
+     */
+    checkNetworkRule(rule, { own = null } = {}) {
+      if (!restricted) return;
+      const field = rule.regex_filter != null ? 'regex_filter' : 'url_filter';
+      const label = `${field} "${rule[field] ?? ''}"`;
+      const scope = filterScope(rule);
+      if (!scope) {
+        throw new Error(`Blocked by policy: ${label} can match any host — anchor it to an allowed origin, e.g. |https://app.example.com/`);
+      }
+      if (scope.urls) {
+        for (const u of scope.urls) {
+          const why = denial(new URL(u));
+          if (why) throw new Error(`Blocked by policy: ${label}: ${why}`);
+        }
+      } else {
+        const d = deny.find((x) => reaches(x.match.origin, scope.domain));
+        if (d) throw new Error(`Blocked by policy: ${label} can reach deny_origins "${d.pattern}"`);
+        if (allow.length && !allow.some((x) => covers(x.match.origin, scope.domain))) {
+          throw new Error(`Blocked by policy: ${label} covers ${scope.domain} and its subdomains, not all in allow_origins — use |https://host/ for one origin`);
+        }
+      }
+      const target = rule.redirect_url ?? rule.regex_substitution;
+      if (target == null) return;
+      // Dopo il primo \ la sostituzione è un gruppo della regex: conta solo
+      // la parte fissa, che deve arrivare almeno allo slash dopo l'host
+      const fixed = String(target).split('\\')[0];
+      if (own && (fixed.startsWith(`${own}/__stub__/`) || fixed.startsWith(`${own}/__mock__/`))) return;
+      if (!/^[a-z][a-z0-9+.-]*:\/\/[^/]+\//i.test(fixed)) {
+        throw new Error(`Blocked by policy: redirect target "${target}" does not start with a fixed origin`);
+      }
+      const why = denial(toUrl(fixed));
+      if (why) throw new Error(`Blocked by policy: redirect target: ${why}`);
+    },
+
+    /** Lancia se cdp send non è permesso: con origini ristrette serve allow_cdp_send. */
+    checkCdpSend() {
+      if (restricted && raw.allow_cdp_send !== true) {
+        throw new Error('Blocked by policy: cdp send can reach any origin past allow_origins/deny_origins — set "allow_cdp_send": true in the policy to permit it');
+      }
+    },
+
+    /** Per get_status: cosa vale, senza ripetere il file intero. */
+    summary() {
+      return {
+        file: source,
+        allow_origins: allow.map((x) => x.pattern),
+        deny_origins: deny.map((x) => x.pattern),
+        forbidden_tools: Object.fromEntries(forbidden.map((r) => [r.pattern, [...r.tools]])),
+        read_only: raw.read_only === true,
+        max_tabs: raw.max_tabs ?? null,
+        allow_cdp_send: raw.allow_cdp_send === true,
+      };
+    },
+  };
+}
+
+/**
+ * Legge la policy; null se il file non esiste (nessuna restrizione).
+ *
+ * @param {string} [file=POLICY_FILE]
+ * @param {object} [opts] - come parsePolicy
+ */
+export async function loadPolicy(file = POLICY_FILE, opts = {}) {
+  let text;
+  try {
+    text = await readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw new Error(`Cannot read policy ${file}: ${err.message}`);
+  }
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid policy ${file}: ${err.message}`);
+  }
+  return parsePolicy(raw, { source: file, ...opts });
+}
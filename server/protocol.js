@@ -61,6 +61,7 @@ export const MessageType = Object.freeze({
   SET_GEOLOCATION:       'set_geolocation',
   MANAGE_DOWNLOADS:      'manage_downloads',
   SAVE_PAGE:             'save_page',
+  PRINT_PDF:             'print_pdf',
   HTTP_REQUEST:          'http_request',
   SET_ZOOM:              'set_zoom',
   HTTP_AUTH:             'http_auth',
@@ -69,6 +70,10 @@ export const MessageType = Object.freeze({
   WAIT_FOR_FUNCTION:     'wait_for_function',
   SCROLL_UNTIL:          'scroll_until',
   DISMISS_OVERLAYS:      'dismiss_overlays',
+  ELEMENT_LOCATORS:      'element_locators',
+  CDP:                   'cdp',
+  NETWORK_CONDITIONS:    'network_conditions',
+  FAKE_CLOCK:            'fake_clock',
 
   // Risposte (extension → server)
   RESULT: 'result',
@@ -81,13 +86,27 @@ export const MessageType = Object.freeze({
   // Handshake identificazione connessione
   EXT_INIT:   'ext_init',
   RELAY_INIT: 'relay_init',
+
+  // Un relay si è scollegato: l'estensione libera le schede della sua sessione
+  END_SESSION: 'end_session',
+
+  // Evento spontaneo dell'estensione, senza id né risposta:
+  // { type: 'event', event: 'recorder', data }
+  EVENT: 'event',
 });
 
+// Messaggi di trasporto, non comandi: né la CLI né batch li accettano come step
+export const INTERNAL_TYPES = new Set([
+  MessageType.RESULT, MessageType.ERROR, MessageType.PING, MessageType.PONG,
+  MessageType.EXT_INIT, MessageType.RELAY_INIT, MessageType.END_SESSION, MessageType.EVENT,
+]);
+
 // Versione
 export const VERSION               = '1.15.0';
 
 // Configurazione
 export const DEFAULT_PORT          = 8765;
+export const DEFAULT_HTTP_PORT     = 8766;   // MCP Streamable HTTP (--http)
 export const COMMAND_TIMEOUT_MS    = 30000;  // 30s per comandi normali
 export const SCREENSHOT_TIMEOUT_MS = 10000;  // 10s per screenshot
 export const PING_INTERVAL_MS      = 15000;  // 15s heartbeat
@@ -124,9 +143,10 @@ export function createCommand(type, params = {}) {
  */
 export function getTimeout(type) {
   if (type === MessageType.SCREENSHOT
-    || type === MessageType.ELEMENT_SCREENSHOT
-    || type === MessageType.SCREENSHOT_DIFF) return SCREENSHOT_TIMEOUT_MS;
-  if (type === MessageType.FULL_PAGE_SCREENSHOT) return 120000;
+    || type === MessageType.ELEMENT_SCREENSHOT) return SCREENSHOT_TIMEOUT_MS;
+  // screenshot_diff con full_page scorre e cattura come full_page_screenshot
+  if (type === MessageType.FULL_PAGE_SCREENSHOT
+    || type === MessageType.SCREENSHOT_DIFF) return 120000;
   if (type === MessageType.WAIT_FOR_ELEMENT
     || type === MessageType.WAIT_FOR_NAVIGATION
     || type === MessageType.WAIT_FOR_NETWORK_IDLE
@@ -134,6 +154,7 @@ export function getTimeout(type) {
     || type === MessageType.UPLOAD_FILE
     || type === MessageType.MANAGE_DOWNLOADS
     || type === MessageType.SAVE_PAGE
+    || type === MessageType.PRINT_PDF
     || type === MessageType.HTTP_REQUEST
     || type === MessageType.TILE_WINDOWS
     || type === MessageType.WAIT_FOR_FUNCTION
@@ -0,0 +1,200 @@
+/**
+ * Risorse MCP: log e file del bridge leggibili senza un turno di tool.
+ *
+ *   chrome-bridge://tab/{id}/console     ultimi messaggi console della scheda
+ *   chrome-bridge://tab/{id}/network     ultime richieste (log webRequest)
+ *   chrome-bridge://recordings/{name}    recording jsonl di session_record/popup
+ *   chrome-bridge://fixtures/{name}      fixture di session_fixture
+ *   chrome-bridge://baselines/{name}     baseline PNG di screenshot_diff
+ *
+ * Un client che supporta le risorse le allega al contesto quando servono,
+ * invece di far chiamare read_console o monitor_network al modello.
+ *
+ * resources/subscribe: gli eventi spontanei dell'estensione (errori console,
+ * richieste 4xx/5xx o fallite, passi del recorder) diventano
+ * notifications/resources/updated per le URI sottoscritte. Le notifiche di
+ * una stessa URI sono raggruppate (debounce): una pagina che logga cento
+ * errori produce una notifica, non cento.
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { SubscribeRequestSchema, UnsubscribeRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { MessageType } from './protocol.js';
+import { consoleLines, networkLines } from './formatters.js';
+import { RECORDINGS_DIR } from './human-recorder.js';
+import { BASELINES_DIR } from './baselines.js';
+import { SESSIONS_DIR } from './tools.js';
+
+const NAME_RE = /^[\w-]+$/;
+// Quanto di un log entra in una lettura: la coda, come nei tool
+const LOG_LIMIT = 200;
+const DEBOUNCE_MS = 500;
+
+export const resourceUri = {
+  console: (tabId) => `chrome-bridge://tab/${tabId}/console`,
+  network: (tabId) => `chrome-bridge://tab/${tabId}/network`,
+  recording: (name) => `chrome-bridge://recordings/${name}`,
+};
+
+async function filesIn(dir, ext) {
+  try {
+    return (await readdir(dir)).filter((f) => f.endsWith(ext)).map((f) => f.slice(0, -ext.length));
+  } catch {
+    return [];
+  }
+}
+
+function checkName(name) {
+  if (!NAME_RE.test(String(name))) throw new Error(`Invalid resource name: ${name}`);
+  return String(name);
+}
+
+/**
+ * Registra risorse e sottoscrizioni su un McpServer (prima di connect: la
+ * capability subscribe si dichiara all'handshake).
+ *
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server
+ * @param {object} wsManager - sendCommand + onEvent
+ * @param {object} [opts] - cartelle e debounce sovrascrivibili (test), policy (policy.js)
+ * @returns {{ off: () => void, subscriptions: Set<string> }}
+ */
+export function registerResources(server, wsManager, {
+  recordingsDir = RECORDINGS_DIR,
+  fixturesDir = SESSIONS_DIR,
+  baselinesDir = BASELINES_DIR,
+  debounceMs = DEBOUNCE_MS,
+  policy = null,
+} = {}) {
+  // Le schede si elencano solo con un browser collegato: senza, lista vuota
+  // invece di un errore che alcuni client mostrano come server guasto.
+  const tabs = async () => {
+    if (!wsManager.isConnected()) return [];
+    try {
+      const list = await wsManager.sendCommand(MessageType.GET_TABS, {});
+      return Array.isArray(list) ? list : [];
+    } catch {
+      return [];
+    }
+  };
+  // Console e richieste di una scheda sono della sessione che la possiede: un
+  // relay legge solo le sue, il primary quelle senza sessione
+  const ownTab = (tab) => (tab.session ?? null) === (wsManager.ownSession ?? null);
+  // Le schede fuori policy non si elencano né si leggono, come in get_tabs
+  const listed = async () => {
+    const list = (await tabs()).filter(ownTab);
+    return policy ? list.filter((t) => policy.allows(t.url)) : list;
+  };
+  const tabId = async (vars) => {
+    const id = Number(vars.id);
+    if (!Number.isInteger(id)) throw new Error(`Invalid tab id: ${vars.id}`);
+    const all = await wsManager.sendCommand(MessageType.GET_TABS, { all: true });
+    const tab = Array.isArray(all) ? all.find((t) => t.id === id) : null;
+    if (tab && !ownTab(tab)) {
+      throw new Error(`Tab ${id} belongs to ${tab.session ? `session "${tab.session}"` : 'the primary session'} — read refused; list your own tabs with resources/list`);
+    }
+    if (tab && policy) policy.checkUrl(tab.url);
+    return id;
+  };
+
+  server.registerResource(
+    'tab-console',
+    new ResourceTemplate(resourceUri.console('{id}'), {
+      list: async () => ({
+        resources: (await listed()).map((t) => ({ uri: resourceUri.console(t.id), name: `Console: ${t.title || t.url}`, mimeType: 'text/plain' })),
+      }),
+    }),
+    { description: 'Latest console messages and uncaught errors of a tab', mimeType: 'text/plain' },
+    async (uri, vars) => {
+      const data = await wsManager.sendCommand(MessageType.READ_CONSOLE, { tab_id: await tabId(vars), limit: LOG_LIMIT });
+      const messages = data?.messages ?? [];
+      const text = (data?.note ? `note=${data.note}\n` : '') + consoleLines(messages, data?.count ?? messages.length);
+      return { contents: [{ uri: uri.href, mimeType: 'text/plain', text }] };
+    },
+  );
+
+  server.registerResource(
+    'tab-network',
+    new ResourceTemplate(resourceUri.network('{id}'), {
+      list: async () => ({
+        resources: (await listed()).map((t) => ({ uri: resourceUri.network(t.id), name: `Network: ${t.title || t.url}`, mimeType: 'text/plain' })),
+      }),
+    }),
+    { description: 'Latest requests of a tab, static assets included, with status and timing', mimeType: 'text/plain' },
+    async (uri, vars) => {
+      const data = await wsManager.sendCommand(MessageType.MONITOR_NETWORK, { tab_id: await tabId(vars), source: 'browser', limit: LOG_LIMIT });
+      const requests = data?.requests ?? [];
+      return { contents: [{ uri: uri.href, mimeType: 'text/plain', text: networkLines(requests, data?.count ?? requests.length) }] };
+    },
+  );
+
+  const fileResource = (kind, dir, ext, mimeType, description) => server.registerResource(
+    kind,
+    new ResourceTemplate(`chrome-bridge://${kind}/{name}`, {
+      list: async () => ({
+        resources: (await filesIn(dir, ext))
+          .filter((n) => NAME_RE.test(n))
+          .map((n) => ({ uri: `chrome-bridge://${kind}/${n}`, name: n, mimeType })),
+      }),
+    }),
+    { description, mimeType },
+    async (uri, vars) => {
+      const file = join(dir, `${checkName(vars.name)}${ext}`);
+      if (mimeType === 'image/png') {
+        return { contents: [{ uri: uri.href, mimeType, blob: (await readFile(file)).toString('base64') }] };
+      }
+      return { contents: [{ uri: uri.href, mimeType, text: await readFile(file, 'utf8') }] };
+    },
+  );
+  fileResource('recordings', recordingsDir, '.jsonl', 'application/x-ndjson', 'A recorded flow, one step per line, as replay reads it');
+  fileResource('fixtures', fixturesDir, '.json', 'application/json', 'A session_fixture snapshot: storage and cookies of one origin');
+  // name.actual/name.diff accanto alle baseline non passano NAME_RE: restano fuori
+  fileResource('baselines', baselinesDir, '.png', 'image/png', 'A screenshot_diff baseline image');
+
+  // --- sottoscrizioni ---
+  const subscriptions = new Set();
+  const timers = new Map(); // uri → timer del debounce
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+  server.server.setRequestHandler(SubscribeRequestSchema, async ({ params }) => {
+    subscriptions.add(params.uri);
+    return {};
+  });
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async ({ params }) => {
+    subscriptions.delete(params.uri);
+    return {};
+  });
+
+  const touch = (uri) => {
+    if (!subscriptions.has(uri) || timers.has(uri)) return;
+    const timer = setTimeout(() => {
+      timers.delete(uri);
+      server.server.sendResourceUpdated({ uri }).catch(() => {});
+    }, debounceMs);
+    timer.unref?.();
+    timers.set(uri, timer);
+  };
+
+  const off = wsManager.onEvent((msg) => {
+    const data = msg.data ?? {};
+    if (data.tab_id != null && !ownTab(data)) return;
+    if (msg.event === 'console' && data.tab_id != null) touch(resourceUri.console(data.tab_id));
+    else if (msg.event === 'network' && data.tab_id != null) touch(resourceUri.network(data.tab_id));
+    else if (msg.event === 'recorder' && typeof data.name === 'string' && NAME_RE.test(data.name)) {
+      // Un recording nuovo cambia l'elenco; i passi aggiornano il file
+      if (data.action === 'start' && server.isConnected()) server.sendResourceListChanged();
+      touch(resourceUri.recording(data.name));
+    }
+  });
+
+  // Sessione chiusa (HTTP): l'ascoltatore non deve sopravvivere al server
+  const prevClose = server.server.onclose;
+  server.server.onclose = () => {
+    off();
+    for (const t of timers.values()) clearTimeout(t);
+    timers.clear();
+    prevClose?.();
+  };
+
+  return { off, subscriptions };
+}
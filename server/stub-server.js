@@ -8,22 +8,94 @@
  * Nota mixed-content: da pagine HTTPS il browser blocca redirect verso
  * http:// non-trustworthy. 127.0.0.1 è trattato come sicuro; su ChromeOS
  * (host penguin.linux.test) gli stub valgono per pagine http/dev server.
+ *
+ * Oltre agli stub singoli serve i mock caricati da file (load_mocks): il
+ * redirect porta l'URL originale nel path, /__mock__/<url originale>, così il
+ * match su metodo, glob e query avviene qui e non nel RE2 del browser.
  */
 
 import { createServer } from 'node:http';
 import { hostname } from 'node:os';
+import { MessageType } from './protocol.js';
+import { dnrRegexFilter, matchRoute, nextResponse, renderBody, requestContext, routesFromHar } from './mocks.js';
 
 const stubs = new Map();
 let server = null;
 let port = null;
 let seq = 0;
 
+// Mock attivi: uno solo alla volta, ricaricare sostituisce
+let mocks = null; // { file, routes, har, ruleIds, hits, missCount, misses }
+const MAX_MISSES = 50;
+const MAX_MOCK_BODY = 1024 * 1024;
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (c) => {
+      size += c.length;
+      if (size <= MAX_MOCK_BODY) chunks.push(c);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', () => resolve(''));
+  });
+}
+
+// Un documento servito in replay ha origine http://host:porta/__mock__/…: i
+// suoi URL relativi alla radice ("/app.js") arrivano qui senza prefisso e
+// vanno ricondotti all'origine registrata, ricavata dal Referer.
+function originalUrl(req) {
+  const path = req.url || '';
+  if (path.startsWith('/__stub__/')) return null;
+  if (path.startsWith('/__mock__/')) return path.slice('/__mock__/'.length);
+  const ref = /\/__mock__\/(https?:\/\/[^/?#]+)/.exec(req.headers.referer || '');
+  return ref ? ref[1] + path : null;
+}
+
+async function serveMock(req, res, cors, url) {
+  // url = URL originale; la query resta quella della richiesta
+  const body = await readBody(req);
+  const route = mocks ? matchRoute(mocks.routes, { method: req.method, url, body }) : null;
+  if (!route) {
+    if (mocks) {
+      mocks.missCount++;
+      mocks.misses.push({ method: req.method, url, at: Date.now() });
+      if (mocks.misses.length > MAX_MISSES) mocks.misses.shift();
+    }
+    res.writeHead(404, { ...cors, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'no mock route matched', method: req.method, url }));
+    return;
+  }
+  mocks.hits++;
+  const r = nextResponse(route);
+  const out = renderBody(r.body, requestContext({ method: req.method, url, headers: req.headers, body }), r.raw);
+  if (r.latency) await new Promise((done) => setTimeout(done, r.latency));
+  res.writeHead(r.status, mergeHeaders(cors, { 'content-type': r.content_type }, r.headers));
+  res.end(out);
+}
+
+// Nomi in minuscolo, l'ultimo vince: "Content-Type" di default e
+// "content-type" registrato nell'HAR partivano come due header distinti.
+function mergeHeaders(...sets) {
+  const out = {};
+  for (const set of sets) {
+    for (const [name, value] of Object.entries(set ?? {})) out[name.toLowerCase()] = value;
+  }
+  return out;
+}
+
 /** Host raggiungibile dal browser: override env, poi euristica Crostini. */
 export function stubHost() {
   if (process.env.CHROME_BRIDGE_STUB_HOST) return process.env.CHROME_BRIDGE_STUB_HOST;
   return hostname() === 'penguin' ? 'penguin.linux.test' : '127.0.0.1';
 }
 
+/** Origine dello stub server se è in ascolto: la policy lascia passare i redirect verso di lui. */
+export function stubOrigin() {
+  return port == null ? null : `http://${stubHost()}:${port}`;
+}
+
 export async function ensureStubServer() {
   if (server) return port;
   server = createServer((req, res) => {
@@ -37,6 +109,14 @@ export async function ensureStubServer() {
       res.end();
       return;
     }
+    const mockUrl = mocks ? originalUrl(req) : null;
+    if (mockUrl) {
+      serveMock(req, res, cors, mockUrl).catch((err) => {
+        if (!res.headersSent) res.writeHead(500, { ...cors, 'Content-Type': 'text/plain' });
+        res.end(`mock error: ${err.message}`);
+      });
+      return;
+    }
     const id = (req.url || '').replace(/^\/__stub__\//, '').split('?')[0];
     const stub = stubs.get(id);
     if (!stub) {
@@ -65,6 +145,102 @@ export function addStub({ body, status = 200, content_type = 'application/json'
 
 export function clearStubs() {
   stubs.clear();
+  mocks = null;
+}
+
+/**
+ * Installa le route di un file di mock: una regola redirect DNR per route
+ * (regexFilter dal glob, metodi se dichiarati) verso /__mock__/<URL>. Le
+ * regole del caricamento precedente vengono rimosse prima, così ricaricare
+ * il file dopo una modifica non accumula redirect.
+ *
+ * Il replay HAR passa `redirect`: una regola per origine registrata invece
+ * che per route (le regex DNR sono limitate a 1000, un HAR ha migliaia di
+ * entry) e i resource type da redirigere, documento incluso.
+ *
+ * @param {(type: string, params?: object) => Promise<object>} send
+ * @param {object[]} routes - da parseMocks o routesFromHar
+ * @param {string} file
+ * @param {{ redirect?: { url: string, methods?: string[] }[], resource_types?: string[] }} [options]
+ */
+export async function installMocks(send, routes, file, { redirect, resource_types } = {}) {
+  const p = await ensureStubServer();
+  const host = stubHost();
+  if (mocks?.ruleIds.length) {
+    await send(MessageType.NETWORK_RULES, { action: 'clear', rule_ids: mocks.ruleIds });
+  }
+  mocks = { file, routes, har: Boolean(redirect), ruleIds: [], hits: 0, missCount: 0, misses: [] };
+  const installed = [];
+  for (const target of redirect ?? routes) {
+    const data = await send(MessageType.NETWORK_RULES, {
+      action: 'redirect',
+      regex_filter: dnrRegexFilter(target.url),
+      // \0 = URL intero: lo stub server lo rilegge dal path
+      regex_substitution: `http://${host}:${p}/__mock__/\\0`,
+      request_methods: target.methods?.map((m) => m.toLowerCase()),
+      // Senza, un glob largo (**/api/**) ricatturerebbe il redirect stesso
+      excluded_domains: [host],
+      resource_types,
+    });
+    if (data?.added?.id != null) mocks.ruleIds.push(data.added.id);
+    installed.push({
+      ...(target.name ? { name: target.name } : {}),
+      method: target.methods?.join(',') ?? '*', url: target.url, rule_id: data?.added?.id ?? null,
+    });
+  }
+  const key = redirect ? 'redirects' : 'routes';
+  return {
+    loaded: file, mock_base: `http://${host}:${p}/__mock__/`, [key]: installed,
+    ...(redirect ? { routes: routes.length } : {}),
+  };
+}
+
+// Replay HAR: tutto tranne i WebSocket, che un redirect http non può servire.
+// main_frame incluso, altrimenti la pagina stessa andrebbe in rete.
+const HAR_RESOURCE_TYPES = [
+  'main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font', 'object',
+  'xmlhttprequest', 'ping', 'csp_report', 'media', 'other',
+];
+
+/**
+ * Replay di un HAR registrato: le route vengono da routesFromHar, i redirect
+ * coprono ogni origine presente nel file. Ciò che il file non contiene
+ * risponde 404 e finisce tra i miss — offline, nessuna richiesta esce.
+ *
+ * @param {(type: string, params?: object) => Promise<object>} send
+ * @param {object} har - HAR già parsato
+ * @param {string} file
+ * @param {{ matchBody?: boolean }} [options]
+ */
+export async function installHar(send, har, file, { matchBody = false } = {}) {
+  const { routes, origins } = routesFromHar(har, { matchBody });
+  return installMocks(send, routes, file, {
+    redirect: origins.map((o) => ({ url: `${o}/**` })),
+    resource_types: HAR_RESOURCE_TYPES,
+  });
+}
+
+/** Stato dei mock per list e per il riepilogo della CLI. */
+export function mockStats() {
+  if (!mocks) return null;
+  const calls = (list) => list.map((r) => ({ name: r.name, calls: r.calls }));
+  return {
+    file: mocks.file,
+    hits: mocks.hits,
+    miss_count: mocks.missCount,
+    // Un file di mock resta com'era: tutte le route con le chiamate. Le route
+    // non chiamate di un HAR sono centinaia: il numero e solo quelle usate,
+    // come nel risultato di load_har.
+    ...(mocks.har
+      ? { routes: mocks.routes.length, called: calls(mocks.routes.filter((r) => r.calls > 0)) }
+      : { routes: calls(mocks.routes) }),
+    misses: mocks.misses,
+  };
+}
+
+/** Regole DNR dei mock correnti, per rimuoverle alla fine di una sessione CLI. */
+export function mockRuleIds() {
+  return mocks ? [...mocks.ruleIds] : [];
 }
 
 export function listStubs() {
@@ -73,6 +249,7 @@ export function listStubs() {
 
 export async function stopStubServer() {
   stubs.clear();
+  mocks = null;
   if (server) {
     await new Promise((r) => server.close(r));
     server = null;
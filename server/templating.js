@@ -0,0 +1,35 @@
+/**
+ * Segnaposto {{chiave}} negli alberi di parametri.
+ * Condiviso da replay (variabili --vars) e dai file di mock (contesto
+ * {{request.*}}): una sola sintassi per tutto ciò che chrome-bridge riempie.
+ */
+
+// Chiave piatta prima ("a.b" come nome unico), poi percorso puntato
+function lookup(vars, key) {
+  if (key in vars) return { found: true, value: vars[key] };
+  let cur = vars;
+  for (const part of key.split('.')) {
+    if (cur == null || typeof cur !== 'object' || !(part in cur)) return { found: false };
+    cur = cur[part];
+  }
+  return { found: true, value: cur };
+}
+
+/**
+ * Sostituisce i placeholder {{key}} (anche {{a.b.c}}) nelle stringhe di un
+ * albero di params. Chiavi ignote restano intatte; gli oggetti diventano JSON.
+ */
+export function substituteVars(value, vars) {
+  if (typeof value === 'string') {
+    return value.replace(/\{\{([\w.-]+)\}\}/g, (m, key) => {
+      const { found, value: v } = lookup(vars, key);
+      if (!found || v === undefined) return m;
+      return v !== null && typeof v === 'object' ? JSON.stringify(v) : String(v);
+    });
+  }
+  if (Array.isArray(value)) return value.map((v) => substituteVars(v, vars));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, substituteVars(v, vars)]));
+  }
+  return value;
+}
@@ -0,0 +1,331 @@
+/**
+ * Suite di test sopra replay: `chrome-bridge test --file checkout.yaml`.
+ *
+ * Un recording di session_record è una lista piatta di step; una suite li
+ * organizza in test con nome, hook, tabelle di dati, tag, retry e timeout,
+ * e produce report che una CI sa leggere (TAP, JUnit XML, JSON):
+ *
+ *   name: shop
+ *   vars: { base: https://shop.test }
+ *   timeout: 30000                 # default per step (ms)
+ *   beforeEach:
+ *     - { command: session_fixture, params: { action: restore, name: logged-out } }
+ *   tests:
+ *     - name: "login as {{user}}"
+ *       tags: [smoke, auth]
+ *       retries: 1                 # riesegue l'intero test (hook compresi)
+ *       data:                      # un'istanza del test per riga
+ *         - { user: jane, pass: s3cret }
+ *         - { user: joe, pass: hunter2 }
+ *       steps:
+ *         - navigate: { url: "{{base}}/login" }
+ *         - { command: fill_form, params: { fields: [...] }, timeout: 5000 }
+ *         - { command: click, params: { selector: "#go" }, retries: 2 }
+ *         - assert: { selector: "#welcome", text: "{{user}}" }
+ *
+ * Uno step è `{ command, params }` come una riga di recording, oppure la forma
+ * breve `{ <command>: params }`; `timeout` e `retries` valgono per lo step.
+ * I `locators` di una riga registrata restano nello step: se il selettore non
+ * trova più l'elemento, lo step si ripara come in `chrome-bridge replay`.
+ * Le variabili: `vars` della suite, poi --vars, poi la riga di `data`.
+ */
+
+import { parse as parseYaml } from 'yaml';
+import { runAssert } from './assertions.js';
+import { screenshotDiff } from './baselines.js';
+import { escapeXml } from './formatters.js';
+import { substituteVars } from './templating.js';
+
+const STEP_OPTIONS = new Set(['timeout', 'retries', 'locators']);
+const DEFAULT_STEP_TIMEOUT = 30000;
+// Pausa tra un tentativo e il successivo: uno step instabile di solito
+// aspetta qualcosa che la pagina sta ancora facendo
+const RETRY_DELAY_MS = 500;
+
+/** Recording jsonl di session_record → step `{ command, params, locators? }`. */
+export function parseReplayFile(content) {
+  return content.split('\n').filter((l) => l.trim()).map((line, i) => {
+    let step;
+    try { step = JSON.parse(line); } catch { throw new Error(`Invalid JSON at line ${i + 1}`); }
+    if (!step.command) throw new Error(`Missing "command" at line ${i + 1}`);
+    return { command: step.command, params: step.params ?? {}, ...(step.locators && { locators: step.locators }) };
+  });
+}
+
+/**
+ * Esegue un comando di replay. assert e screenshot_diff sono logica lato
+ * server (come nei tool MCP); un confronto visivo fallito è un errore, come
+ * un assert fallito.
+ */
+export async function runStep(send, command, params) {
+  if (command === 'assert') return runAssert(send, params);
+  if (command === 'screenshot_diff') {
+    const data = await screenshotDiff(send, params);
+    if (data.match === false) {
+      throw new Error(`screenshot_diff "${params.name ?? 'default'}" differs: ${data.reason ?? `${data.diff_percent}% changed`}${data.diff ? ` (${data.diff})` : ''}`);
+    }
+    delete data.diff_image;
+    return data;
+  }
+  return send(command, params);
+}
+
+// Strategie di un bundle di session_record, nell'ordine in cui si ritentano:
+// dalla più precisa (il CSS registrato) alla più fragile (la posizione)
+export const HEAL_ORDER = ['css', 'testid', 'role', 'text', 'position'];
+const NOT_FOUND = /Element not found|not found within/;
+
+/**
+ * runStep con riparazione: se lo step ha un bundle di locator e il selettore
+ * non trova più l'elemento, prova le altre strategie. Ne usa una solo se oggi
+ * trova esattamente un elemento — meglio fallire che cliccare il bottone
+ * sbagliato. Ritorna `{ data, healed? }`, healed = `{ strategy, selector }`.
+ */
+export async function runHealingStep(send, { command, params, locators }) {
+  try {
+    return { data: await runStep(send, command, params) };
+  } catch (err) {
+    if (!locators || typeof params.selector !== 'string' || !NOT_FOUND.test(err.message)) throw err;
+    for (const strategy of HEAL_ORDER) {
+      const selector = locators[strategy];
+      if (!selector || selector === params.selector) continue;
+      const probe = await send('query_dom', { selector, limit: 2, frame_id: params.frame_id }).catch(() => null);
+      if (probe?.count !== 1) continue;
+      return { data: await runStep(send, command, { ...params, selector }), healed: { strategy, selector } };
+    }
+    throw err;
+  }
+}
+
+function parseStep(raw, where) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`${where}: a step is an object`);
+  const opts = { timeout: raw.timeout, retries: raw.retries, ...(raw.locators && { locators: raw.locators }) };
+  if (raw.command) return { command: raw.command, params: raw.params ?? {}, ...opts };
+  const keys = Object.keys(raw).filter((k) => !STEP_OPTIONS.has(k));
+  if (keys.length !== 1) throw new Error(`${where}: use { command, params } or a single { <command>: params } key`);
+  return { command: keys[0], params: raw[keys[0]] ?? {}, ...opts };
+}
+
+const steps = (list, where) => {
+  if (list == null) return [];
+  if (!Array.isArray(list)) throw new Error(`${where} must be a list of steps`);
+  return list.map((s, i) => parseStep(s, `${where}[${i}]`));
+};
+
+/**
+ * Legge e valida una suite (YAML se .yaml/.yml, altrimenti JSON).
+ *
+ * @param {string} content
+ * @param {string} [path] - solo per scegliere il formato e per i messaggi
+ */
+export function parseTestSuite(content, path = '') {
+  let doc;
+  const yaml = /\.ya?ml$/i.test(path);
+  try {
+    doc = yaml ? parseYaml(content) : JSON.parse(content);
+  } catch (err) {
+    throw new Error(`Invalid ${yaml ? 'YAML' : 'JSON'} in test suite${path ? ` ${path}` : ''}: ${err.message}`);
+  }
+  if (!Array.isArray(doc?.tests) || !doc.tests.length) throw new Error('Test suite must define a non-empty "tests" list');
+  const tests = doc.tests.map((t, i) => {
+    const where = `tests[${i}]${t?.name ? ` (${t.name})` : ''}`;
+    if (!t?.name) throw new Error(`${where}: "name" is required`);
+    if (t.data != null && (!Array.isArray(t.data) || t.data.some((row) => !row || typeof row !== 'object'))) {
+      throw new Error(`${where}: "data" must be a list of objects`);
+    }
+    return {
+      name: String(t.name),
+      tags: [].concat(t.tags ?? []).map(String),
+      skip: t.skip === true,
+      retries: t.retries ?? 0,
+      timeout: t.timeout ?? null,
+      data: t.data ?? null,
+      steps: steps(t.steps, `${where}.steps`),
+    };
+  });
+  return {
+    name: doc.name ?? 'chrome-bridge',
+    vars: doc.vars ?? {},
+    timeout: doc.timeout ?? DEFAULT_STEP_TIMEOUT,
+    beforeEach: steps(doc.beforeEach, 'beforeEach'),
+    afterEach: steps(doc.afterEach, 'afterEach'),
+    tests,
+  };
+}
+
+/**
+ * Un recording di session_record come suite con un solo test, da rifinire a
+ * mano (tag, dati, hook). Le righe restano identiche, locator compresi: la
+ * suite rifà lo stesso replay di `chrome-bridge replay`, riparazioni incluse.
+ */
+export function recordingToSuite(content, name) {
+  return { name, tests: [{ name, tags: [], steps: parseReplayFile(content) }] };
+}
+
+/** Istanze da eseguire: una per riga di `data`, il nome riempito con la riga. */
+function expand(test) {
+  if (!test.data) return [{ ...test, row: {} }];
+  return test.data.map((row, i) => {
+    const name = substituteVars(test.name, row);
+    return { ...test, row, name: name === test.name ? `${test.name} [${i + 1}]` : name };
+  });
+}
+
+function matches(test, { tags, grep }) {
+  if (test.skip) return 'skip: true';
+  if (tags?.length && !test.tags.some((t) => tags.includes(t))) return `tags ${tags.join(',')}`;
+  if (grep && !new RegExp(grep, 'i').test(test.name)) return `grep ${grep}`;
+  return null;
+}
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const expired = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+const pause = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function runSteps(send, list, { phase, vars, timeout, retryDelay, log }) {
+  for (let i = 0; i < list.length; i++) {
+    const s = list[i];
+    const limit = s.timeout ?? timeout;
+    const tries = (s.retries ?? 0) + 1;
+    const started = Date.now();
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const step = { command: s.command, params: substituteVars(s.params, vars), locators: s.locators };
+        const { data, healed } = await withTimeout(runHealingStep(send, step), limit, `${s.command}`);
+        log.push({ phase, index: i + 1, command: s.command, status: 'ok', attempts: attempt, time_ms: Date.now() - started, data, ...(healed && { healed }) });
+        break;
+      } catch (err) {
+        if (attempt < tries) { await pause(retryDelay); continue; }
+        log.push({ phase, index: i + 1, command: s.command, status: 'failed', attempts: attempt, time_ms: Date.now() - started, error: err.message });
+        throw err;
+      }
+    }
+  }
+}
+
+/**
+ * Esegue la suite. afterEach gira sempre, anche dopo un fallimento; un suo
+ * errore fa fallire un test altrimenti passato.
+ *
+ * @param {(type: string, params?: object) => Promise<object>} send
+ * @param {object} suite - da parseTestSuite
+ * @param {{ vars?: object, tags?: string[], grep?: string, retryDelay?: number, onResult?: (r: object) => void }} [options]
+ * @returns {Promise<object[]>} un risultato per istanza di test
+ */
+export async function runTestSuite(send, suite, { vars = {}, tags, grep, retryDelay = RETRY_DELAY_MS, onResult = () => {} } = {}) {
+  const results = [];
+  for (const test of suite.tests.flatMap(expand)) {
+    const base = { name: test.name, tags: test.tags };
+    const skipped = matches(test, { tags, grep });
+    if (skipped) {
+      const r = { ...base, status: 'skipped', reason: skipped, attempts: 0, time_ms: 0, steps: [] };
+      results.push(r);
+      onResult(r);
+      continue;
+    }
+    const scope = { ...suite.vars, ...vars, ...test.row };
+    const opts = { vars: scope, timeout: test.timeout ?? suite.timeout, retryDelay };
+    const started = Date.now();
+    let r;
+    for (let attempt = 1; attempt <= test.retries + 1; attempt++) {
+      const log = [];
+      let error = null;
+      try {
+        await runSteps(send, suite.beforeEach, { ...opts, phase: 'beforeEach', log });
+        await runSteps(send, test.steps, { ...opts, phase: 'test', log });
+      } catch (err) {
+        error = err;
+      }
+      try {
+        await runSteps(send, suite.afterEach, { ...opts, phase: 'afterEach', log });
+      } catch (err) {
+        error ??= err;
+      }
+      const failedStep = log.find((l) => l.status === 'failed');
+      r = {
+        ...base,
+        status: error ? 'failed' : 'passed',
+        attempts: attempt,
+        time_ms: Date.now() - started,
+        steps: log,
+        ...(error ? { error: error.message, failed_step: `${failedStep.phase} #${failedStep.index} ${failedStep.command}` } : {}),
+      };
+      if (!error) break;
+      if (attempt <= test.retries) await pause(retryDelay);
+    }
+    results.push(r);
+    onResult(r);
+  }
+  return results;
+}
+
+export function summarizeTests(results) {
+  const count = (s) => results.filter((r) => r.status === s).length;
+  return { total: results.length, passed: count('passed'), failed: count('failed'), skipped: count('skipped') };
+}
+
+const short = (data) => {
+  const s = JSON.stringify(data) ?? '';
+  return s.length > 120 ? s.slice(0, 120) + '…' : s;
+};
+
+/** TAP version 13, con un blocco YAML di diagnostica per i test falliti. */
+export function tapReport(results) {
+  const out = ['TAP version 13', `1..${results.length}`];
+  results.forEach((r, i) => {
+    const n = i + 1;
+    if (r.status === 'skipped') {
+      out.push(`ok ${n} - ${r.name} # SKIP ${r.reason}`);
+      return;
+    }
+    out.push(`${r.status === 'passed' ? 'ok' : 'not ok'} ${n} - ${r.name}`);
+    if (r.status === 'failed') {
+      out.push('  ---', `  message: ${JSON.stringify(r.error)}`, `  step: ${JSON.stringify(r.failed_step)}`, `  attempts: ${r.attempts}`, `  duration_ms: ${r.time_ms}`, '  ...');
+    }
+  });
+  const s = summarizeTests(results);
+  out.push(`# pass ${s.passed}`, `# fail ${s.failed}`, `# skip ${s.skipped}`);
+  return out.join('\n');
+}
+
+/** JUnit XML: nel corpo della failure il log degli step, per capire senza rieseguire. */
+export function junitReport(suiteName, results) {
+  const s = summarizeTests(results);
+  const time = (ms) => (ms / 1000).toFixed(3);
+  const total = results.reduce((n, r) => n + r.time_ms, 0);
+  const cases = results.map((r) => {
+    const head = `    <testcase classname="${escapeXml(suiteName)}" name="${escapeXml(r.name)}" time="${time(r.time_ms)}">`;
+    if (r.status === 'skipped') return `${head}\n      <skipped message="${escapeXml(r.reason)}"/>\n    </testcase>`;
+    if (r.status === 'passed') return `${head}</testcase>`;
+    const log = r.steps.map((l) => `${l.phase} #${l.index} ${l.command} ${l.status === 'ok' ? `ok ${short(l.data)}` : `ERR ${l.error}`}${l.attempts > 1 ? ` (attempts: ${l.attempts})` : ''}`);
+    if (r.attempts > 1) log.push(`test attempts: ${r.attempts}`);
+    return `${head}\n      <failure type="step" message="${escapeXml(`${r.failed_step}: ${r.error}`)}">${escapeXml(log.join('\n'))}</failure>\n    </testcase>`;
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(suiteName)}" tests="${s.total}" failures="${s.failed}" errors="0" skipped="${s.skipped}" time="${time(total)}">`,
+    `  <testsuite name="${escapeXml(suiteName)}" tests="${s.total}" failures="${s.failed}" errors="0" skipped="${s.skipped}" time="${time(total)}" timestamp="${new Date().toISOString()}">`,
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+/** JSON: risultati completi, con l'output di ogni step accorciato. */
+export function jsonReport(suiteName, results) {
+  return JSON.stringify({
+    suite: suiteName,
+    summary: summarizeTests(results),
+    tests: results.map((r) => ({
+      ...r,
+      steps: r.steps.map(({ data, ...l }) => (data === undefined ? l : { ...l, result: short(data) })),
+    })),
+  });
+}
@@ -6,26 +6,46 @@
  */
 
 import { appendFile, mkdir, readFile, writeFile } from 'node:fs/promises';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
 import { homedir } from 'node:os';
 import { basename, dirname, extname, join } from 'node:path';
 import { parse as parseHtml } from 'node-html-parser';
 import { z } from 'zod';
 import { runAssert } from './assertions.js';
-import { ensureStubServer, addStub, clearStubs, listStubs, stubHost } from './stub-server.js';
-import { MessageType, VERSION } from './protocol.js';
+import { ensureStubServer, addStub, clearStubs, listStubs, stubHost, stubOrigin, installMocks, installHar, mockStats } from './stub-server.js';
+import { dnrRegexFilter, parseMocks } from './mocks.js';
+import { INTERNAL_TYPES, MessageType, VERSION } from './protocol.js';
 import { checkLinksBatch } from './link-checker.js';
 import { toHar } from './har.js';
 import { evaluateSecurityHeaders } from './security-headers.js';
-import { consoleLines, networkLines, interactivesLines, linksLines } from './formatters.js';
-
-const SESSIONS_DIR = join(homedir(), '.config', 'chrome-bridge', 'sessions');
+import { screenshotDiff } from './baselines.js';
+import { parseReplayFile, runStep } from './test-suite.js';
+import { RECORDINGS_DIR } from './human-recorder.js';
+import { EXPORT_TARGETS, exportRecording } from './export-recording.js';
+import { substituteVars } from './templating.js';
+import { consoleLines, networkLines, interactivesLines, linksLines, pdfPageCount } from './formatters.js';
+
+export const SESSIONS_DIR = join(homedir(), '.config', 'chrome-bridge', 'sessions');
 // Sovrascrivibile nei test: i layout sono un file solo, non una directory.
 const LAYOUTS_FILE = process.env.CHROME_BRIDGE_LAYOUTS_FILE
   || join(homedir(), '.config', 'chrome-bridge', 'layouts.json');
-const RECORDINGS_DIR = process.env.CHROME_BRIDGE_RECORD_DIR || join(homedir(), '.config', 'chrome-bridge', 'recordings');
 
 // Comandi rumore per un replay: letture interne (tabSnapshot) o senza effetto
 const RECORD_EXCLUDE = new Set([MessageType.GET_TABS]);
+// Comandi su un elemento: nel recording lo step porta anche il bundle di
+// locator (css, testid, ruolo+nome, testo, posizione) con cui replay ripara
+// lo step quando il selettore originale non trova più l'elemento.
+const LOCATOR_COMMANDS = new Set([
+  MessageType.CLICK, MessageType.TYPE_TEXT, MessageType.HOVER,
+  MessageType.PRESS_KEY, MessageType.SCROLL_TO, MessageType.UPLOAD_FILE,
+]);
+// Comandi che non agiscono su una scheda esistente: per la policy conta
+// l'URL che aprono o chiamano, non l'origine di una scheda.
+const POLICY_UNSCOPED = new Set([
+  MessageType.GET_TABS, MessageType.CREATE_TAB, MessageType.TILE_WINDOWS, MessageType.MANAGE_DOWNLOADS,
+  MessageType.HTTP_AUTH, MessageType.HTTP_REQUEST, MessageType.NETWORK_RULES,
+]);
 
 // `hint` è il parametro REALE del tool chiamante che riduce i dati. Suggerire
 // max_length quando 56 tool su 59 non lo espongono mandava il modello a
@@ -181,11 +201,11 @@ async function applyWaitAfter(send, wait_after, tab_id) {
  */
 export const TOOL_CAPS = {
   audits: ['accessibility_audit', 'seo_audit', 'security_headers', 'check_links', 'unused_css', 'web_vitals', 'get_performance'],
-  visual: ['screenshot_diff', 'highlight_elements', 'inject_css', 'measure_spacing', 'emulate_media', 'viewport_resize', 'set_zoom'],
-  network: ['network_rules', 'monitor_websocket', 'http_auth', 'set_geolocation'],
+  visual: ['screenshot_diff', 'highlight_elements', 'inject_css', 'measure_spacing', 'emulate_media', 'viewport_resize', 'set_zoom', 'fake_clock'],
+  network: ['network_rules', 'network_conditions', 'monitor_websocket', 'http_auth', 'set_geolocation', 'cdp'],
   storage: ['get_storage', 'set_storage', 'session_fixture'],
   dom: ['modify_dom', 'watch_dom', 'list_event_listeners', 'drag_and_drop'],
-  files: ['save_page', 'manage_downloads', 'extract_table', 'session_record'],
+  files: ['save_page', 'print_pdf', 'manage_downloads', 'extract_table', 'session_record'],
 };
 
 // Parametri ubiqui: un solo testo, così `tab_id` non significa una cosa in un
@@ -209,8 +229,14 @@ const waitAfter = z.enum(['none', 'navigation', 'networkidle']).optional().defau
 
 const tabId = z.number().optional()
   .describe('Target tab; omitted = last tab navigated in this session, else the active one');
+const browserField = z.string().optional()
+  .describe('Target browser by name from get_status; omitted = the first one connected');
 const frameId = z.number().optional()
   .describe('Target iframe id from get_frames; omitted = main frame');
+// Input trusted: Input.dispatch* del debugger, per le pagine che scartano gli
+// eventi con isTrusted false. Senza debugger l'estensione ripiega sui sintetici.
+const inputField = z.enum(['synthetic', 'trusted']).optional()
+  .describe('trusted = real OS-level input via the debugger (isTrusted), synthetic if unavailable; omitted = trusted when cdp is on');
 
 const TOOL_TO_CAP = new Map();
 for (const [group, names] of Object.entries(TOOL_CAPS)) {
@@ -262,6 +288,7 @@ export const TOOL_ANNOTATIONS = {
   monitor_network: ro(true),
   monitor_websocket: ro(true),
   query_dom: ro(),
+  print_pdf: ro(),  // come screenshot: save_to scrive solo un file scelto dall'agente
   read_page: ro(),
   screenshot: ro(),
   security_headers: ro(true),
@@ -284,11 +311,15 @@ export const TOOL_ANNOTATIONS = {
   // --- modifica di pagina, tab o resa ---
   dismiss_overlays: rw({ idempotent: true }),
   emulate_media: rw({ idempotent: true }),
+  fake_clock: rw(),  // advance fa scattare i timer della pagina
   handle_dialogs: rw({ idempotent: true }),
   highlight_elements: rw({ idempotent: true }),
   inject_css: rw({ idempotent: true }),
   modify_dom: rw({ idempotent: true }),
-  screenshot_diff: rw({ idempotent: true }),
+  // update sovrascrive la baseline su disco e approve la sostituisce con la
+  // candidata: scritture del server, non della pagina, ma distruttive per chi
+  // ci conta. Il comando all'estensione resta una cattura (niente approvazione)
+  screenshot_diff: rw({ destructive: true }),
   set_zoom: rw({ idempotent: true }),
   viewport_resize: rw({ idempotent: true }),
   create_tab: rw({ open: true }),
@@ -301,10 +332,12 @@ export const TOOL_ANNOTATIONS = {
   // --- rete, identità, posizione ---
   http_auth: rw({ idempotent: true, open: true }),
   network_rules: rw({ idempotent: true, open: true }),
+  network_conditions: rw({ idempotent: true }),
   set_geolocation: rw({ idempotent: true }),
 
   // --- codice arbitrario ---
   execute_js: rw({ destructive: true, open: true }),
+  cdp: rw({ destructive: true, open: true }),  // send arriva a qualunque metodo del protocollo
 
   // http_request non è read-only: un POST cambia lo stato del server remoto, e
   // con save_to scrive un file. destructive perché sovrascrive save_to senza
@@ -317,6 +350,7 @@ export const TOOL_ANNOTATIONS = {
   save_page: rw({ destructive: true, idempotent: true }),         // sovrascrive output_path
   session_fixture: rw({ destructive: true, idempotent: true }),   // restore sovrascrive cookie e storage
   session_record: rw(),
+  batch: rw({ destructive: true, open: true }),                   // gli step possono fare qualunque cosa
   set_storage: rw({ destructive: true, idempotent: true }),
 };
 
@@ -326,8 +360,11 @@ export const TOOL_ANNOTATIONS = {
  * @param {import('@modelcontextprotocol/sdk/server/index.js').McpServer} server - MCP Server
  * @param {import('./ws-manager.js').WSManager} wsManager - WebSocket manager
  * @param {string} [caps='all'] - 'all', 'core', o lista di gruppi "audits,visual"
+ * @param {object} [opts]
+ * @param {{ wrap: Function }} [opts.pageEvents] - riepilogo eventi del browser (page-events.js)
+ * @param {object} [opts.policy] - policy di sicurezza compilata (policy.js)
  */
-export function registerTools(server, wsManager, caps = 'all') {
+export function registerTools(server, wsManager, caps = 'all', { pageEvents = null, policy = null } = {}) {
   const startedAt = Date.now();
   const activeCaps = caps === 'all'
     ? ['core', ...Object.keys(TOOL_CAPS)]
@@ -343,25 +380,61 @@ export function registerTools(server, wsManager, caps = 'all') {
       ? new Set(String(caps).split(',').map((s) => s.trim()).filter(Boolean))
       : null;
     server = {
+      // Il Server di basso livello: la chiusura della sessione libera il debugger
+      server: target.server,
       tool(name, desc, schema, handler) {
         if (enabled) {
           const group = TOOL_TO_CAP.get(name);
           if (group && !enabled.has(group) && !enabled.has('all')) return;
         }
+        // `browser` su ogni tool, aggiunto qui e non in 64 schemi: il wrapper
+        // lo mette nel contesto della chiamata e send() lo inoltra al WSManager,
+        // così nessun handler deve ricordarsi di passarlo.
+        const withBrowser = { ...schema, browser: browserField };
         const annotations = TOOL_ANNOTATIONS[name];
+        let routed = async (args, extra) => {
+          // read_only: le annotations dicono già quali tool cambiano qualcosa
+          if (policy?.readOnly && annotations?.readOnlyHint !== true) {
+            throw new Error(`Blocked by policy: read-only mode, and ${name} can change the page or the browser`);
+          }
+          try {
+            return await callContext.run({ browser: args?.browser ?? null, tool: name }, () => handler(args, extra));
+          } catch (err) {
+            // No dal popup: un risultato che l'agente riconosce senza leggere
+            // la frase, e che non deve ritentare come un timeout qualsiasi.
+            if (err.code !== 'approval_denied') throw err;
+            return {
+              isError: true,
+              content: [{ type: 'text', text: jsonText({ error: 'approval_denied', message: err.message, ...err.details }) }],
+            };
+          }
+        };
+        // In coda al risultato, gli eventi del browser dall'ultima chiamata
+        if (pageEvents) routed = pageEvents.wrap(routed);
         // Un tool senza voce resta registrato (meglio di un crash all'avvio):
         // è il test tool-annotations a segnalarlo.
-        if (annotations) target.tool(name, desc, schema, annotations, handler);
-        else target.tool(name, desc, schema, handler);
+        if (annotations) target.tool(name, desc, withBrowser, annotations, routed);
+        else target.tool(name, desc, withBrowser, routed);
       },
     };
   }
 
+  // Browser della chiamata in corso (parametro `browser`), letto da send().
+  const callContext = new AsyncLocalStorage();
+
   // Ultimo tab toccato da navigate/create_tab in questa sessione: è il default
   // dei comandi senza tab_id esplicito. "Tab attivo" è una landmine quando
   // l'utente usa Chrome durante l'automazione (il comando colpirebbe la pagina
   // che sta guardando lui, non quella navigata dall'agente).
-  let sessionTabId = null;
+  // Uno per browser: gli id dei tab di due browser diversi non si parlano.
+  const sessionTabs = new Map(); // nome browser → tabId
+  const browserKey = () => callContext.getStore()?.browser
+    ?? wsManager.browsers?.find((b) => b.default)?.name ?? '';
+  const sessionTab = () => sessionTabs.get(browserKey()) ?? null;
+  const setSessionTab = (id) => {
+    if (id == null) sessionTabs.delete(browserKey());
+    else sessionTabs.set(browserKey(), id);
+  };
 
   // Recording attivo: { name, file }. I comandi (senza tab_id, che in un
   // replay sarebbe stale) vengono appesi come jsonl replayabile dal CLI.
@@ -371,31 +444,155 @@ export function registerTools(server, wsManager, caps = 'all') {
   // uno step mancante rende un replay silenziosamente sbagliato. La catena
   // serializza le scritture e stop() la attende.
   let recordChain = Promise.resolve();
-  // >0 mentre un tool composito (assert) esegue query interne che nel
-  // recording sarebbero rumore: registra il tool, non le sue query.
-  let recordSuppressed = 0;
+  // Riga di un tool composito (assert, screenshot_diff), scritta fuori da
+  // send(): prende il suo posto nella stessa catena, prima delle query interne.
+  const recordStep = (command, params) => {
+    if (!recording) return;
+    const { tab_id: _tab, ...rest } = params;
+    const { file } = recording;
+    const line = JSON.stringify({ command, params: rest }) + '\n';
+    recordChain = recordChain.then(() => appendFile(file, line)).catch(() => {});
+  };
+  // Query interne di un tool composito (assert), che nel recording sarebbero
+  // rumore: registra il tool, non le sue query. Marcate nel contesto della
+  // chiamata e non in un contatore comune, che zittiva anche un click partito
+  // in parallelo.
+  const unrecorded = (fn) => callContext.run({ ...callContext.getStore(), unrecorded: true }, fn);
+
+  // Backend CDP acceso con `cdp enable`: da lì ogni comando parte con
+  // backend: 'cdp' e l'estensione usa il debugger dove ha una strada per farlo.
+  // Per sessione: un altro client sullo stesso Chrome resta sulle patch.
+  let cdpBackend = false;
+  // Per l'estensione questo client è un proprietario del debugger a sé: due
+  // sessioni HTTP dello stesso server non si staccano le emulazioni a vicenda
+  // con `cdp disable`, e alla chiusura si libera solo ciò che era suo.
+  const cdpClient = randomUUID().slice(0, 8);
+  let cdpUsed = false;
+  const usesDebugger = (type, params) => type === MessageType.CDP || type === MessageType.NETWORK_CONDITIONS
+    || type === MessageType.PRINT_PDF || params.backend === 'cdp' || params.input === 'trusted';
+  // server.server manca solo nei server finti che contano gli schemi
+  if (server.server) {
+    const prevClose = server.server.onclose;
+    server.server.onclose = () => {
+      if (cdpUsed) wsManager.sendCommand(MessageType.CDP, { action: 'disable', cdp_client: cdpClient }).catch(() => {});
+      prevClose?.();
+    };
+  }
+
+  // Schede aperte da questa sessione: max_tabs conta queste, non le schede
+  // personali dell'utente nello stesso Chrome.
+  const openedTabs = new Set();
+  const opensTab = (type, params) => type === MessageType.CREATE_TAB
+    || (type === MessageType.NAVIGATE && params.tab_id == null) // navigate senza scheda ne apre una
+    || (type === MessageType.TAB_ACTION && params.action === 'duplicate');
+
+  /**
+   * Policy sul singolo comando: passa di qui tutto ciò che va all'estensione,
+   * step di batch e query interne comprese. Fissa tab_id sulla scheda
+   * controllata, così il comando non può finire su un'altra (la scheda
+   * attiva cambia sotto i piedi se l'utente clicca).
+   */
+  async function enforcePolicy(type, params) {
+    const names = [...new Set([callContext.getStore()?.tool, type].filter(Boolean))];
+    let tabs = null;
+    const listTabs = async () => {
+      tabs ??= await wsManager.sendCommand(MessageType.GET_TABS, { all: true, ...(params.browser != null && { browser: params.browser }) });
+      return Array.isArray(tabs) ? tabs : [];
+    };
+    if (POLICY_UNSCOPED.has(type) || (type === MessageType.NAVIGATE && params.tab_id == null)) {
+      const url = typeof params.url === 'string' && params.url ? params.url : null;
+      if (url) policy.checkUrl(url);
+      policy.checkTools(names, url);
+      // list e clear non hanno filtro; le altre azioni valgono per ogni URL che combacia
+      if (type === MessageType.NETWORK_RULES && params.action !== 'list' && params.action !== 'clear') {
+        policy.checkNetworkRule(params, { own: stubOrigin() });
+      }
+    } else {
+      const list = await listTabs();
+      const tab = params.tab_id != null
+        ? list.find((t) => t.id === params.tab_id)
+        : list.find((t) => t.current) ?? list.find((t) => t.active);
+      // Scheda sconosciuta: nessuna origine da controllare, l'estensione risponde "No tab with id"
+      if (type === MessageType.CDP && (params.action ?? 'send') === 'send') policy.checkCdpSend();
+      if (tab) {
+        policy.checkUrl(tab.url);
+        policy.checkTools(names, tab.url);
+        if (type === MessageType.NAVIGATE) policy.checkUrl(params.url, tab.url);
+        params = { ...params, tab_id: tab.id };
+      }
+    }
+    if (policy.maxTabs != null && opensTab(type, params)) {
+      const open = new Set((await listTabs()).map((t) => t.id));
+      for (const id of openedTabs) if (!open.has(id)) openedTabs.delete(id);
+      if (openedTabs.size >= policy.maxTabs) {
+        throw new Error(`Blocked by policy: max_tabs is ${policy.maxTabs} and this session has ${openedTabs.size} open; close one with tab_action close`);
+      }
+    }
+    return params;
+  }
 
   const send = async (type, params = {}) => {
-    if (recording && !recordSuppressed && !RECORD_EXCLUDE.has(type)) {
-      const { tab_id: _tab, ...rest } = params;
-      const file = recording.file;
-      const line = JSON.stringify({ command: type, params: rest }) + '\n';
-      recordChain = recordChain.then(() => appendFile(file, line)).catch(() => {});
-    }
-    const implicitTab = params.tab_id == null && sessionTabId != null;
-    if (implicitTab) params = { ...params, tab_id: sessionTabId };
+    const record = recording && !callContext.getStore()?.unrecorded && !RECORD_EXCLUDE.has(type) ? recording : null;
+    const { tab_id: _tab, ...recorded } = params;
+    const implicitTab = params.tab_id == null && sessionTab() != null;
+    if (implicitTab) params = { ...params, tab_id: sessionTab() };
+    const browser = callContext.getStore()?.browser;
+    if (browser != null) params = { ...params, browser };
+    if (cdpBackend) params = { ...params, backend: 'cdp' };
+    if (usesDebugger(type, params)) {
+      params = { ...params, cdp_client: cdpClient };
+      cdpUsed = true;
+    }
+    // Le schede su cui la sessione agisce o che apre: i loro eventi vanno nel
+    // riepilogo since_last_call
+    if (params.tab_id != null) pageEvents?.claim(params.tab_id);
+    const opening = opensTab(type, params);
+    const track = (data) => {
+      const id = data?.id ?? data?.tabId ?? data?.duplicated;
+      if (opening && id != null) {
+        openedTabs.add(id);
+        pageEvents?.claim(id);
+      }
+      return data;
+    };
+    // Il posto nel file si prende prima di ogni await: due comandi in
+    // parallelo non devono scambiarsi di riga mentre aspettano policy e locator.
+    // null = comando bloccato, niente riga.
+    let settle = null;
+    if (record) {
+      const slot = new Promise((resolve) => { settle = resolve; });
+      recordChain = recordChain.then(() => slot).then((line) => line && appendFile(record.file, line)).catch(() => {});
+    }
     try {
-      return await wsManager.sendCommand(type, params);
+      if (policy) params = await enforcePolicy(type, params);
+    } catch (err) {
+      settle?.(null);
+      throw err;
+    }
+    if (record) {
+      const step = { command: type, params: recorded };
+      // Prima del comando: dopo un click l'elemento può non esserci più
+      if (LOCATOR_COMMANDS.has(type) && typeof params.selector === 'string') {
+        const { selector, tab_id, frame_id } = params;
+        const locators = await wsManager.sendCommand(MessageType.ELEMENT_LOCATORS, { selector, tab_id, frame_id, ...(browser != null && { browser }) })
+          .catch(() => null);
+        if (locators) step.locators = locators;
+      }
+      settle(JSON.stringify(step) + '\n');
+    }
+    try {
+      return track(await wsManager.sendCommand(type, params));
     } catch (err) {
       // Se l'utente chiude a mano la tab di sessione, ogni comando successivo
       // fallisce fino al prossimo navigate. Un solo ritentativo sulla tab
       // attiva salva un turno intero al modello.
       const gone = /No tab with id|No active tab|No tab found/i.test(err?.message ?? '');
       if (!gone || !implicitTab) throw err;
-      sessionTabId = null;
-      const { tab_id: _drop, ...retry } = params;
+      setSessionTab(null);
+      let { tab_id: _drop, ...retry } = params;
+      if (policy) retry = await enforcePolicy(type, retry);
       const data = await wsManager.sendCommand(type, retry);
-      return data;
+      return track(data);
     }
   };
 
@@ -403,7 +600,7 @@ export function registerTools(server, wsManager, caps = 'all') {
   // Permette click/type_text/hover per ref (n1, n2…) senza ripetere selettori lunghi.
   const interactivesRefs = new Map();
 
-  const refsKey = (tab_id) => tab_id ?? sessionTabId ?? 'active';
+  const refsKey = (tab_id) => `${browserKey()}:${tab_id ?? sessionTab() ?? 'active'}`;
 
   function resolveTarget(selector, ref, tab_id) {
     if (selector) return selector;
@@ -420,7 +617,7 @@ export function registerTools(server, wsManager, caps = 'all') {
     try {
       const tabs = await send(MessageType.GET_TABS);
       const list = Array.isArray(tabs) ? tabs : [];
-      const eff = tab_id ?? sessionTabId;
+      const eff = tab_id ?? sessionTab();
       const tab = eff != null ? list.find((t) => t.id === eff) : list.find((t) => t.active);
       return tab ? { url: tab.url, title: tab.title } : null;
     } catch { return null; }
@@ -455,7 +652,7 @@ export function registerTools(server, wsManager, caps = 'all') {
   // --- get_status ---
   server.tool(
     'get_status',
-    'Check bridge status: extension connection, server mode (primary/relay), port, version',
+    'Check bridge status: extension connection, server mode (primary/relay), port, version, connected browsers and relay sessions',
     {},
     async () => {
       return {
@@ -468,11 +665,20 @@ export function registerTools(server, wsManager, caps = 'all') {
             port: wsManager.port,
             version: VERSION,
             extension_version: wsManager.extVersion ?? null,
+            // Più browser insieme: i nomi sono i valori del parametro `browser`
+            browsers: wsManager.browsers ?? [],
+            // Relay e sessioni HTTP: questo client è una sessione con le sue
+            // schede; il primary (stdio) vede tutte le schede e non ha sessione.
+            session: wsManager.ownSession ?? null,
+            sessions: wsManager.sessions ?? [],
             // Un agente che non trova accessibility_audit non aveva modo di
             // scoprire che esiste ma è in un gruppo disattivato.
             caps_active: activeCaps,
             caps_available: ['core', ...Object.keys(TOOL_CAPS)],
-            session_tab_id: sessionTabId,
+            session_tab_id: sessionTab(),
+            // Cosa vieta la policy, prima di sbatterci contro
+            policy: policy?.summary() ?? null,
+            cdp_backend: cdpBackend,
             uptime_sec: Math.round((Date.now() - startedAt) / 1000),
           }),
         }],
@@ -486,17 +692,31 @@ export function registerTools(server, wsManager, caps = 'all') {
     'List every open tab with id, url, title and active flag. Read-only. Use it to find a tab_id when the '
       + 'implicit target (last navigated tab, else the active one) is not the tab you mean. '
       + 'include_windows adds the windows themselves with their position, size, state and type — what you need '
-      + 'before moving or tiling anything, and the only way to tell which monitor a window is on.',
+      + 'before moving or tiling anything, and the only way to tell which monitor a window is on. '
+      + 'In a relay session (see get_status) only the tabs that session opened are listed unless all=true.',
     {
       include_windows: z.boolean().optional().default(false)
         .describe('Also return the windows with bounds, state, type and tab count'),
+      all: z.boolean().optional().default(false)
+        .describe('Relay sessions: also list tabs outside this session (marked with their session)'),
     },
-    async ({ include_windows }) => {
-      const data = await send(MessageType.GET_TABS, { include_windows: include_windows === true });
+    async ({ include_windows, all }) => {
+      let data = await send(MessageType.GET_TABS, { include_windows: include_windows === true, all: all === true });
+      // Le schede fuori policy non si elencano: id e titolo della banca non
+      // servono a un agente che non può toccarla
+      let hidden = 0;
+      if (policy) {
+        const visible = (list) => {
+          const kept = (list ?? []).filter((t) => policy.allows(t.url));
+          hidden += (list ?? []).length - kept.length;
+          return kept;
+        };
+        data = Array.isArray(data) ? visible(data) : { ...data, tabs: visible(data?.tabs) };
+      }
       return {
         content: [{
           type: 'text',
-          text: jsonText(data),
+          text: jsonText(data) + (hidden ? `\nhidden_by_policy=${hidden}` : ''),
         }],
       };
     }
@@ -513,7 +733,7 @@ export function registerTools(server, wsManager, caps = 'all') {
     async ({ url, tab_id }) => {
       const data = await send(MessageType.NAVIGATE, { url, tab_id });
       // Il tab navigato diventa il default di sessione per i comandi successivi
-      if (data?.tabId != null) sessionTabId = data.tabId;
+      if (data?.tabId != null) setSessionTab(data.tabId);
       const preview = await interactivesPreview(data?.tabId ?? tab_id);
       return {
         content: [{
@@ -585,19 +805,20 @@ export function registerTools(server, wsManager, caps = 'all') {
       + 'pointer sequence, so it can submit, open a dialog or navigate away — use wait_after to let that settle. '
       + 'Not idempotent, and a click that triggers a native confirm() blocks the bridge: install handle_dialogs first.',
     {
-      selector: z.string().optional().describe('CSS selector; ">>>" pierces shadow DOM. Ignored when ref is given'),
+      selector: z.string().optional().describe('CSS selector or locator (role=button[name="Save"], text=…); ">>>" pierces shadow DOM. Ignored when ref is given'),
       ref:      z.string().optional().describe('From get_interactives, e.g. "n3"'),
       force:    z.boolean().optional().default(false).describe('Click even if occluded'),
       button:   z.enum(['left', 'right']).optional().default('left').describe('right opens the page context menu instead of activating the element'),
       count:    z.number().optional().default(1).describe('2 emits dblclick after the two clicks, which is what selects a word or opens an editor'),
+      input:    inputField,
       wait_after: waitAfter,
       tab_id:   tabId,
       frame_id: frameId,
     },
-    async ({ selector, ref, force, button, count, wait_after, tab_id, frame_id }) => {
+    async ({ selector, ref, force, button, count, input, wait_after, tab_id, frame_id }) => {
       const target = resolveTarget(selector, ref, tab_id);
       const before = await tabSnapshot(tab_id);
-      const data = await send(MessageType.CLICK, { selector: target, force, button: button ?? 'left', count: count ?? 1, frame_id, tab_id });
+      const data = await send(MessageType.CLICK, { selector: target, force, button: button ?? 'left', count: count ?? 1, input, frame_id, tab_id });
       // Niente attesa se il click non è andato a buon fine (es. elemento occluso)
       const waited = data?.occluded ? null : await applyWaitAfter(send, wait_after, tab_id);
       const changed = data?.occluded ? null : pageDelta(before, await tabSnapshot(tab_id));
@@ -620,17 +841,18 @@ export function registerTools(server, wsManager, caps = 'all') {
       + 'keydown/input/keyup per character, which is what autocomplete and masked fields need — slower, so '
       + 'reach for it only when mode=set leaves the field empty or the dropdown never opens.',
     {
-      selector: z.string().optional().describe('CSS selector; ">>>" pierces shadow DOM. Ignored when ref is given'),
+      selector: z.string().optional().describe('CSS selector or locator (role=button[name="Save"], text=…); ">>>" pierces shadow DOM. Ignored when ref is given'),
       ref:      z.string().optional().describe('From get_interactives, e.g. "n3"'),
       text:     z.string().describe('Value to type; empty string clears the field'),
       mode:     z.enum(['set', 'keys']).optional().default('set').describe('set = assign value; keys = per-char events (autocomplete/masked)'),
+      input:    inputField,
       wait_after: waitAfter,
       tab_id:   tabId,
       frame_id: frameId,
     },
-    async ({ selector, ref, text, mode, wait_after, tab_id, frame_id }) => {
+    async ({ selector, ref, text, mode, input, wait_after, tab_id, frame_id }) => {
       const target = resolveTarget(selector, ref, tab_id);
-      const data = await send(MessageType.TYPE_TEXT, { selector: target, text, mode, tab_id, frame_id });
+      const data = await send(MessageType.TYPE_TEXT, { selector: target, text, mode, input, tab_id, frame_id });
       const waited = await applyWaitAfter(send, wait_after, tab_id);
       const out = waited ? { ...data, wait_after: waited } : data;
       return {
@@ -736,7 +958,7 @@ export function registerTools(server, wsManager, caps = 'all') {
     'query_dom',
     'Query DOM elements by CSS selector, returning structure, attributes, bounding rect, and computed styles.',
     {
-      selector: z.string().describe('CSS selector; ">>>" pierces shadow DOM. Matches all, not just the first'),
+      selector: z.string().describe('CSS selector or locator (role=button[name="Save"], text=…); ">>>" pierces shadow DOM. Matches all, not just the first'),
       properties: z.array(z.string()).optional().describe('Computed styles to include, e.g. ["color"]'),
       limit: z.number().optional().default(50).describe('Max elements returned, from the top of the match list'),
       tab_id: tabId,
@@ -760,7 +982,7 @@ export function registerTools(server, wsManager, caps = 'all') {
       + 'setTextContent. Nothing is persisted — the next reload restores the page as the server sends it. '
       + 'For styling many elements at once inject_css is one call instead of N.',
     {
-      selector: z.string().describe('CSS selector; ">>>" pierces shadow DOM. Only the first match is changed'),
+      selector: z.string().describe('CSS selector or locator (role=button[name="Save"], text=…); ">>>" pierces shadow DOM. Only the first match is changed'),
       action: z.enum(['setAttribute', 'removeAttribute', 'addClass', 'removeClass', 'setStyle', 'setTextContent']).describe('setStyle takes a CSS declaration in value; addClass/removeClass take className'),
       name: z.string().optional().describe('Attribute name'),
       value: z.string().optional().describe('Attribute value, style declaration, or text, per action'),
@@ -837,18 +1059,24 @@ export function registerTools(server, wsManager, caps = 'all') {
   // --- monitor_network ---
   server.tool(
     'monitor_network',
-    'Monitor network requests. source=page: XHR/fetch hook (installed on first call); source=browser: all requests incl. static assets. format=har exports HAR 1.2.',
+    'Monitor network requests. source=page: XHR/fetch hook (installed on first call); source=browser: all requests incl. static assets. format=har exports HAR 1.2. '
+      + 'capture_bodies=true (page) also records request bodies, response headers and response bodies for requests made after it.',
     {
       clear: z.boolean().optional().default(false).describe('Clear buffer after read'),
       source: z.enum(['page', 'browser']).optional().default('page').describe('page sees XHR/fetch only; browser also sees static assets'),
-      format: z.enum(['lines', 'json', 'har']).optional().default('lines').describe('har exports HAR 1.2 for external tooling'),
+      format: z.enum(['lines', 'json', 'har']).optional().default('lines').describe('har exports HAR 1.2; with source=browser it carries headers, cookies, timings and redirect hops'),
       limit: z.number().optional().default(100).describe('Most recent; buffer 1000'),
+      capture_bodies: z.boolean().optional().describe('page: start (true) or stop (false) body capture; unset keeps the current setting'),
+      body_filter: z.string().optional().describe('Capture bodies only for URLs containing this, or matching "/regex/"'),
+      max_body_bytes: z.number().optional().describe('Per-body cap, larger bodies are truncated (default 65536)'),
       tab_id: tabId,
     },
-    async ({ clear, source, format, limit, tab_id }) => {
+    async ({ clear, source, format, limit, capture_bodies, body_filter, max_body_bytes, tab_id }) => {
       // limit va all'estensione (taglia in pagina, clear solo del restituito);
       // lo slice qui resta come fallback per estensioni non ancora aggiornate.
-      const data = await send(MessageType.MONITOR_NETWORK, { clear, source, limit, tab_id });
+      const data = await send(MessageType.MONITOR_NETWORK, {
+        clear, source, limit, capture_bodies, body_filter, max_body_bytes, tab_id,
+      });
       const { requests, count, note, ...rest } = data ?? {};
       const all = requests ?? [];
       const tail = all.slice(-(limit ?? 100));
@@ -888,7 +1116,7 @@ export function registerTools(server, wsManager, caps = 'all') {
     },
     async ({ url, active, new_window, left, top, width, height }) => {
       const data = await send(MessageType.CREATE_TAB, { url, active, new_window: new_window === true || undefined, left, top, width, height });
-      if (data?.id != null) sessionTabId = data.id;
+      if (data?.id != null) setSessionTab(data.id);
       return {
         content: [{
           type: 'text',
@@ -1069,7 +1297,7 @@ export function registerTools(server, wsManager, caps = 'all') {
       + 'The cheapest image in the set, because it carries only the box you asked for: '
       + 'a component, a chart, a table cell.',
     {
-      selector: z.string().describe('CSS selector; ">>>" pierces shadow DOM. The element is scrolled into view first'),
+      selector: z.string().describe('CSS selector or locator (role=button[name="Save"], text=…); ">>>" pierces shadow DOM. The element is scrolled into view first'),
       tab_id: tabId,
     },
     async ({ selector, tab_id }) => {
@@ -1138,7 +1366,7 @@ export function registerTools(server, wsManager, caps = 'all') {
       + 'remove=true clears without adding. The overlays are injected DOM nodes: a reload or a navigation drops '
       + 'them, and they sit above the page without altering its layout or its own styles.',
     {
-      selector: z.string().optional().describe('CSS selector; ">>>" pierces shadow DOM. Every match is outlined'),
+      selector: z.string().optional().describe('CSS selector or locator (role=button[name="Save"], text=…); ">>>" pierces shadow DOM. Every match is outlined'),
       color: z.string().optional().default('rgba(255,0,0,0.3)').describe('Any CSS color for the overlay label'),
       border: z.string().optional().default('2px solid red').describe('CSS border shorthand, e.g. "2px solid red"'),
       label: z.boolean().optional().default(false).describe('Show tag.class (WxH) label'),
@@ -1284,12 +1512,33 @@ export function registerTools(server, wsManager, caps = 'all') {
     }
   );
 
+  // --- fake_clock ---
+  server.tool(
+    'fake_clock',
+    'Deterministic time and randomness for stable screenshot_diff and assert: freeze stops Date, performance.now, '
+      + 'timers and requestAnimationFrame at a chosen instant and can seed Math.random, getRandomValues and randomUUID. '
+      + 'advance moves time and fires due timers in order; run_timers fires all queued ones. Survives reloads until reset.',
+    {
+      action: z.enum(['freeze', 'advance', 'run_timers', 'status', 'reset']).describe('reset restores real time and reschedules queued timers on real ones'),
+      time: z.union([z.string(), z.number()]).optional().describe('freeze: start instant, ISO date (2026-01-15T09:30:00Z) or epoch ms; omitted = now. Reloads restart from it'),
+      ms: z.number().min(0).optional().describe('advance: milliseconds to move the clock forward'),
+      seed: z.number().int().optional().describe('freeze: seed for Math.random, crypto.getRandomValues and randomUUID; omitted = real randomness'),
+      timers: z.enum(['fake', 'real']).optional().default('fake').describe('freeze: fake = timers and frames fire only on advance/run_timers; real = they run, time stays put'),
+      tab_id: tabId,
+    },
+    async ({ action, time, ms, seed, timers, tab_id }) => {
+      if (action === 'advance' && ms == null) throw new Error('action=advance requires ms');
+      const data = await send(MessageType.FAKE_CLOCK, { action, time, ms, seed, timers, tab_id });
+      return { content: [{ type: 'text', text: jsonText(data) }] };
+    }
+  );
+
   // --- hover ---
   server.tool(
     'hover',
     'Hover over an element (mouseenter/mouseover), by CSS selector or ref.',
     {
-      selector: z.string().optional().describe('CSS selector; ">>>" pierces shadow DOM. Triggers CSS and JS hover handlers'),
+      selector: z.string().optional().describe('CSS selector or locator (role=button[name="Save"], text=…); ">>>" pierces shadow DOM. Triggers CSS and JS hover handlers'),
       ref: z.string().optional().describe('From get_interactives'),
       tab_id: tabId,
       frame_id: frameId,
@@ -1318,11 +1567,12 @@ export function registerTools(server, wsManager, caps = 'all') {
       shift: z.boolean().optional().default(false).describe('Hold Shift'),
       alt: z.boolean().optional().default(false).describe('Hold Alt'),
       meta: z.boolean().optional().default(false).describe('Hold Meta (Command/Windows)'),
+      input: inputField,
       tab_id: tabId,
       frame_id: frameId,
     },
-    async ({ key, selector, ctrl, shift, alt, meta, tab_id, frame_id }) => {
-      const data = await send(MessageType.PRESS_KEY, { key, selector, ctrl, shift, alt, meta, tab_id, frame_id });
+    async ({ key, selector, ctrl, shift, alt, meta, input, tab_id, frame_id }) => {
+      const data = await send(MessageType.PRESS_KEY, { key, selector, ctrl, shift, alt, meta, input, tab_id, frame_id });
       return {
         content: [{
           type: 'text',
@@ -1361,8 +1611,8 @@ export function registerTools(server, wsManager, caps = 'all') {
     },
     async ({ action, bypass_cache, tab_id }) => {
       const data = await send(MessageType.TAB_ACTION, { action, bypass_cache, tab_id });
-      if (action === 'close' && (tab_id == null || tab_id === sessionTabId)) sessionTabId = null;
-      if (action === 'activate' && tab_id != null) sessionTabId = tab_id;
+      if (action === 'close' && (tab_id == null || tab_id === sessionTab())) setSessionTab(null);
+      if (action === 'activate' && tab_id != null) setSessionTab(tab_id);
       return { content: [{ type: 'text', text: jsonText(data) }] };
     }
   );
@@ -1463,9 +1713,11 @@ export function registerTools(server, wsManager, caps = 'all') {
   // --- network_rules ---
   server.tool(
     'network_rules',
-    'Network interception, browser-wide, survives reloads until cleared: block requests, redirect URLs, set/remove request headers, or stub responses with a synthetic body (served by a local helper; from HTTPS pages the stub host must be trustworthy).',
+    'Network interception, browser-wide, survives reloads until cleared: block requests, redirect URLs, set/remove request headers, or stub responses with a synthetic body (served by a local helper; from HTTPS pages the stub host must be trustworthy). '
+      + 'load_mocks installs a JSON/YAML mock file: routes with method, URL glob, query match, headers, latency, response sequences and {{request.*}} templated bodies. '
+      + 'load_har replays a recorded HAR offline: matching requests get the recorded status, headers and body, the rest 404 and are listed as misses.',
     {
-      action: z.enum(['block', 'redirect', 'modify_header', 'stub', 'list', 'clear']).describe('list and clear inspect and drop the rules already installed'),
+      action: z.enum(['block', 'redirect', 'modify_header', 'stub', 'load_mocks', 'load_har', 'list', 'clear']).describe('list and clear inspect and drop the rules already installed'),
       url_filter: z.string().optional().describe('declarativeNetRequest urlFilter, e.g. "||example.com/api/*"'),
       redirect_url: z.string().optional().describe('Destination for action=redirect'),
       header: z.string().optional().describe('Header name for action=modify_header, e.g. "User-Agent"'),
@@ -1475,8 +1727,26 @@ export function registerTools(server, wsManager, caps = 'all') {
       status: z.number().optional().default(200).describe('action=stub'),
       content_type: z.string().optional().default('application/json').describe('action=stub'),
       resource_types: z.array(z.enum(['main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font', 'object', 'xmlhttprequest', 'ping', 'csp_report', 'media', 'websocket', 'other'])).optional().describe('Limit the rule to these request types; omitted = all of them'),
+      file: z.string().optional().describe('load_mocks: .json/.yaml mock file; load_har: .har file. Loading replaces the previous mocks'),
+      match_body: z.boolean().optional().default(false).describe('load_har: also require the request body to equal the recorded one'),
     },
-    async ({ action, url_filter, redirect_url, header, header_value, header_target, body, status, content_type, resource_types }) => {
+    async ({ action, url_filter, redirect_url, header, header_value, header_target, body, status, content_type, resource_types, file, match_body }) => {
+      if (action === 'load_har') {
+        if (!file) throw new Error('file is required for action=load_har');
+        let har;
+        try { har = JSON.parse(await readFile(file, 'utf8')); } catch (err) {
+          if (err.code) throw err;
+          throw new Error(`Invalid JSON in HAR file ${file}: ${err.message}`);
+        }
+        const data = await installHar(send, har, file, { matchBody: match_body === true });
+        return { content: [{ type: 'text', text: jsonText(data) }] };
+      }
+      if (action === 'load_mocks') {
+        if (!file) throw new Error('file is required for action=load_mocks');
+        const routes = parseMocks(await readFile(file, 'utf8'), file);
+        const data = await installMocks(send, routes, file);
+        return { content: [{ type: 'text', text: jsonText(data) }] };
+      }
       if (action === 'stub') {
         if (!url_filter) throw new Error('url_filter is required for action=stub');
         if (body == null) throw new Error('body is required for action=stub');
@@ -1490,25 +1760,75 @@ export function registerTools(server, wsManager, caps = 'all') {
       const data = await send(MessageType.NETWORK_RULES, { action, url_filter, redirect_url, header, header_value, header_target, resource_types });
       if (action === 'list') {
         const stubsInfo = listStubs();
-        if (stubsInfo.length) return { content: [{ type: 'text', text: jsonText({ ...data, stubs: stubsInfo }) }] };
+        const mocksInfo = mockStats();
+        if (stubsInfo.length || mocksInfo) {
+          const out = { ...data, ...(stubsInfo.length ? { stubs: stubsInfo } : {}), ...(mocksInfo ? { mocks: mocksInfo } : {}) };
+          return { content: [{ type: 'text', text: jsonText(out) }] };
+        }
       }
       return { content: [{ type: 'text', text: jsonText(data) }] };
     }
   );
 
+  // --- network_conditions ---
+  server.tool(
+    'network_conditions',
+    'Slow or offline network for one tab, through the debugger (grant "Allow DevTools Protocol" in the popup): '
+      + 'DevTools presets or custom latency/throughput, plus per-URL rules that add latency or fail a percentage of requests '
+      + 'with a reset, timeout or DNS error. For loading skeletons, retries and offline banners. Stays until reset.',
+    {
+      action: z.enum(['set', 'reset', 'status']).optional().default('set').describe('set replaces the tab\'s conditions; status reports rule hit counts'),
+      preset: z.enum(['none', 'offline', 'slow-3g', 'fast-3g', 'custom']).optional().default('none')
+        .describe('Whole-tab profile; custom uses latency_ms, download_kbps, upload_kbps; none = rules only'),
+      latency_ms: z.number().min(0).optional().describe('preset=custom: added round-trip latency'),
+      download_kbps: z.number().min(0).optional().describe('preset=custom: download throughput in kbit/s; omitted = unlimited'),
+      upload_kbps: z.number().min(0).optional().describe('preset=custom: upload throughput in kbit/s; omitted = unlimited'),
+      rules: z.array(z.object({
+        url: z.string().describe('URL glob, as in mock files: * within a path segment, ** across them; the query is ignored'),
+        latency_ms: z.number().min(0).optional().describe('Hold matching requests this long; with fail=timeout, how long until it fires (default 30000)'),
+        fail: z.enum(['reset', 'timeout', 'refused', 'dns', 'offline', 'failed']).optional().describe('Network error to fail matching requests with'),
+        fail_percent: z.number().min(0).max(100).optional().describe('Share of matching requests that fail, 0-100; default 100'),
+      })).optional().describe('Per-URL rules, first match wins; requests matching none pass untouched'),
+      tab_id: tabId,
+    },
+    async ({ action, preset, latency_ms, download_kbps, upload_kbps, rules, tab_id }) => {
+      const compiled = (rules ?? []).map((r, i) => {
+        if (r.latency_ms == null && !r.fail) throw new Error(`rules[${i}] (${r.url}): set latency_ms, fail, or both`);
+        return { ...r, url_re: dnrRegexFilter(r.url) };
+      });
+      const data = await send(MessageType.NETWORK_CONDITIONS, { action, preset, latency_ms, download_kbps, upload_kbps, rules: compiled, tab_id });
+      return { content: [{ type: 'text', text: jsonText(data) }] };
+    }
+  );
+
   // --- screenshot_diff ---
   server.tool(
     'screenshot_diff',
-    'Visual regression: save a named baseline (viewport or element), compare later — returns changed-pixel % and red-highlighted diff image. Baselines are in-memory (lost on service worker restart).',
+    'Visual regression against named baselines kept on disk (PNG + URL/viewport/DPR/selector): baseline, compare, then approve '
+      + 'the new capture or update it. Perceptual compare skips anti-aliasing; returns changed %, SSIM, changed regions as '
+      + 'rectangles and a diff image (padded on size mismatch). A baseline remembers its threshold and ignore regions.',
     {
-      action: z.enum(['baseline', 'compare', 'list', 'clear']).describe('baseline stores, compare measures against it, clear drops baselines'),
-      name: z.string().optional().default('default').describe('Baseline id: reuse the same one to compare across runs'),
-      selector: z.string().optional().describe('Capture one element (default viewport)'),
-      threshold: z.number().optional().default(10).describe('Per-channel tolerance 0-255'),
+      action: z.enum(['baseline', 'compare', 'approve', 'update', 'list', 'clear'])
+        .describe('approve accepts the last failed compare, update recaptures; clear without name drops them all'),
+      name: z.string().optional().describe('Baseline id ([\\w-]+, default "default"): reuse it to compare across runs'),
+      dir: z.string().optional().describe('Baseline directory (absolute); default ~/.config/chrome-bridge/baselines'),
+      selector: z.string().optional().describe('Capture one element (default viewport); compare reuses the baseline one'),
+      full_page: z.boolean().optional().describe('Capture the whole scrollable page at full resolution instead of the viewport'),
+      algorithm: z.enum(['perceptual', 'pixel']).optional()
+        .describe('perceptual (default): YIQ color delta, ignores anti-aliasing; pixel: raw per-channel delta'),
+      threshold: z.number().optional().describe('Tolerance: 0-1 for perceptual (default 0.1), 0-255 per channel for pixel (default 10)'),
+      max_diff_percent: z.number().optional()
+        .describe('Changed-pixel % still counted as a match (default 0), saved with the baseline'),
+      ignore_selectors: z.array(z.string()).optional().describe('Elements masked before comparing (clocks, ads, avatars)'),
+      ignore_rects: z.array(z.object({
+        x: z.number(), y: z.number(), width: z.number(), height: z.number(),
+      })).optional().describe('Regions masked before comparing, CSS px relative to the captured area'),
       tab_id: tabId,
     },
-    async ({ action, name, selector, threshold, tab_id }) => {
-      const data = await send(MessageType.SCREENSHOT_DIFF, { action, name, selector, threshold, tab_id });
+    async (params) => {
+      // Come assert: nel recording va la chiamata, non la cattura interna
+      if (params.action !== 'list') recordStep('screenshot_diff', params);
+      const data = await unrecorded(() => screenshotDiff(send, params));
       if (data && data.diff_image) {
         const { diff_image, ...rest } = data;
         return {
@@ -1668,6 +1988,27 @@ export function registerTools(server, wsManager, caps = 'all') {
     }
   );
 
+  // --- cdp ---
+  server.tool(
+    'cdp',
+    'Chrome DevTools Protocol through chrome.debugger; the user grants it in the popup. enable makes this session run '
+      + 'execute_js, emulate_media, set_geolocation, monitor_network and trusted click/type_text/press_key on real CDP, '
+      + 'and Chrome shows a debugging bar until disable. send calls any method, e.g. Performance.getMetrics.',
+    {
+      action: z.enum(['enable', 'disable', 'send', 'status']).describe('enable/disable the CDP backend for this session; send one method; status lists attached tabs'),
+      method: z.string().optional().describe('Domain.method for action=send, e.g. DOM.getDocument'),
+      params: z.record(z.string(), z.any()).optional().describe('Method parameters (action=send)'),
+      tab_id: tabId,
+    },
+    async ({ action, method, params, tab_id }) => {
+      if (action === 'send' && !method) throw new Error('action=send requires method, e.g. "Performance.getMetrics"');
+      const data = await send(MessageType.CDP, { action, method, params, tab_id });
+      if (action === 'enable') cdpBackend = true;
+      if (action === 'disable') cdpBackend = false;
+      return { content: [{ type: 'text', text: jsonText({ ...data, session_backend: cdpBackend ? 'cdp' : 'patch' }) }] };
+    }
+  );
+
   // --- manage_downloads ---
   server.tool(
     'manage_downloads',
@@ -1704,6 +2045,38 @@ export function registerTools(server, wsManager, caps = 'all') {
     }
   );
 
+  // --- print_pdf ---
+  server.tool(
+    'print_pdf',
+    'Print the page to PDF the way Chrome prints it (print CSS, page breaks, @page rules), with paper, margins, '
+      + 'orientation, scale, header/footer templates and page ranges. Needs "Allow DevTools Protocol" in the popup, '
+      + 'not cdp enable. Use save_to: without it the PDF comes back as an embedded base64 resource.',
+    {
+      paper:      z.string().optional().describe('a4, a5, a3, letter, legal, tabloid, css (the page\'s @page size) or WIDTHxHEIGHT like 210mmx297mm; omitted = letter'),
+      margin:     z.string().optional().describe('CSS-style lengths, top right bottom left: "1cm", "10mm 15mm", "0.5in 1in 0.5in 1in"; omitted = Chrome default'),
+      landscape:  z.boolean().optional().default(false).describe('Landscape orientation'),
+      scale:      z.number().min(0.1).max(2).optional().describe('Rendering scale, 0.1-2; omitted = 1'),
+      header_template: z.string().optional().describe('HTML header; spans with class date, title, url, pageNumber, totalPages are filled in. Set a font-size'),
+      footer_template: z.string().optional().describe('HTML footer, same classes as header_template, e.g. <span class="pageNumber"></span>/<span class="totalPages"></span>'),
+      page_ranges: z.string().optional().describe('Pages to keep, e.g. "1-3,5"; omitted = all'),
+      background: z.boolean().optional().default(false).describe('Print background colours and images, as the print dialog option does'),
+      tab_id:     tabId,
+      save_to:    saveToField('the PDF'),
+    },
+    async ({ tab_id, save_to, ...options }) => {
+      const data = await send(MessageType.PRINT_PDF, { ...options, tab_id });
+      const bytes = Buffer.from(data.pdf_b64 ?? '', 'base64');
+      const summary = { bytes: bytes.length, pages: pdfPageCount(bytes) };
+      if (save_to) return savedSummary(save_to, bytes, { mimeType: 'application/pdf', pages: summary.pages });
+      return {
+        content: [
+          { type: 'text', text: jsonText(summary) },
+          { type: 'resource', resource: { uri: `chrome-bridge://tab/${tab_id ?? 'current'}/print.pdf`, mimeType: 'application/pdf', blob: data.pdf_b64 ?? '' } },
+        ],
+      };
+    }
+  );
+
   // --- http_request ---
   server.tool(
     'http_request',
@@ -2164,30 +2537,139 @@ export function registerTools(server, wsManager, caps = 'all') {
       tab_id: tabId,
     },
     async ({ selector, state, text, count, url, title, timeout, tab_id }) => {
-      const params = { selector, state, text, count, url, title, timeout, tab_id: tab_id ?? sessionTabId ?? undefined };
-      if (recording) {
-        const { tab_id: _tab, ...rest } = params;
-        appendFile(recording.file, JSON.stringify({ command: 'assert', params: rest }) + '\n').catch(() => {});
+      const params = { selector, state, text, count, url, title, timeout, tab_id: tab_id ?? sessionTab() ?? undefined };
+      recordStep('assert', params);
+      const result = await unrecorded(() => runAssert(send, params));
+      return { content: [{ type: 'text', text: jsonText(result) }] };
+    }
+  );
+
+  // --- batch ---
+  // Comandi del vocabolario dei recording che batch accetta oltre ai
+  // MessageType: wait_for è un tool, non un messaggio, e si traduce qui.
+  const WAIT_TYPES = {
+    element: MessageType.WAIT_FOR_ELEMENT,
+    text: MessageType.WAIT_FOR_TEXT,
+    function: MessageType.WAIT_FOR_FUNCTION,
+    navigation: MessageType.WAIT_FOR_NAVIGATION,
+    network_idle: MessageType.WAIT_FOR_NETWORK_IDLE,
+  };
+  const BATCH_COMMANDS = new Set([
+    ...Object.values(MessageType).filter((t) => !INTERNAL_TYPES.has(t)), 'wait_for', 'assert',
+  ]);
+  // Oltre questa misura il risultato di uno step arriva troncato (save_as lo tiene intero)
+  const BATCH_RESULT_CHARS = 1000;
+
+  // Un'attesa scaduta non solleva (wait_for restituisce found:false): in un
+  // batch proseguire alla cieca dopo un'attesa fallita è l'errore peggiore.
+  function waitFailure(data) {
+    if (data?.found === false) return data.error ?? 'Condition not met within timeout';
+    if (data?.idle === false) return `Network not idle within timeout (${data.inflight ?? '?'} in flight)`;
+    if (data?.navigated === false) return data.note ?? 'No navigation within timeout';
+    return null;
+  }
+
+  async function batchStep(command, params) {
+    if (command === 'wait_for') {
+      const { condition = 'element', ...rest } = params;
+      const type = WAIT_TYPES[condition];
+      if (!type) throw new Error(`Unknown wait_for condition: ${condition}`);
+      const data = await send(type, rest);
+      const failure = waitFailure(data);
+      if (failure) throw new Error(failure);
+      return data;
+    }
+    if (command === 'assert' || command === 'screenshot_diff') {
+      // Compositi: nel recording va lo step, non le sue query interne
+      recordStep(command, params);
+      return unrecorded(() => runStep(send, command, params));
+    }
+    const data = await send(command, params);
+    const failure = command.startsWith('wait_for_') ? waitFailure(data) : null;
+    if (failure) throw new Error(failure);
+    if (command === MessageType.NAVIGATE && data?.tabId != null) setSessionTab(data.tabId);
+    if (command === MessageType.CREATE_TAB && data?.id != null) setSessionTab(data.id);
+    return data;
+  }
+
+  server.tool(
+    'batch',
+    'Run an ordered list of steps in one call, with the command vocabulary of session_record recordings (navigate, click, '
+      + 'type_text, press_key, scroll, wait_for, assert…). Stops at the first failed step unless continue_on_error; a '
+      + 'wait_for that times out counts as failed. Each step result carries page_changed when url/title moved. save_as '
+      + 'keeps a step result as a variable for {{name.field}} placeholders in later steps. Steps act on the page like '
+      + 'the tools they name, so a batch can navigate, submit and close tabs.',
+    {
+      steps: z.array(z.object({
+        command: z.string().describe('Recording command: navigate, click, type_text, press_key, scroll, wait_for, assert…'),
+        params: z.record(z.string(), z.any()).optional().describe('Command params; ref (n3) works like in click; {{var}} placeholders are filled'),
+        save_as: z.string().optional().describe('Variable name that keeps this step result for later steps'),
+      })).min(1).describe('Executed in order, one after the other'),
+      vars: z.record(z.string(), z.any()).optional().describe('Initial values for {{var}} placeholders'),
+      continue_on_error: z.boolean().optional().default(false).describe('Run the remaining steps after a failure instead of stopping'),
+      tab_id: tabId,
+    },
+    async ({ steps, vars, continue_on_error, tab_id }) => {
+      for (const [i, s] of steps.entries()) {
+        if (!BATCH_COMMANDS.has(s.command)) throw new Error(`Step ${i + 1}: unknown command "${s.command}"`);
       }
-      recordSuppressed++;
-      try {
-        const result = await runAssert(send, params);
-        return { content: [{ type: 'text', text: jsonText(result) }] };
-      } finally {
-        recordSuppressed--;
+      const scope = { ...(vars ?? {}) };
+      const results = [];
+      let failed = 0;
+      let before = await tabSnapshot(tab_id);
+      for (const [i, { command, params = {}, save_as }] of steps.entries()) {
+        const started = Date.now();
+        const entry = { step: i + 1, command };
+        try {
+          let p = substituteVars(params, scope);
+          if (tab_id != null && p.tab_id == null) p = { ...p, tab_id };
+          if (p.ref != null) {
+            const { ref, ...rest } = p;
+            p = { ...rest, selector: resolveTarget(rest.selector, ref, rest.tab_id) };
+          }
+          const data = await batchStep(command, p);
+          if (save_as) scope[save_as] = data;
+          const text = JSON.stringify(data) ?? 'null';
+          Object.assign(entry, { ok: true }, text.length > BATCH_RESULT_CHARS
+            ? { result: text.slice(0, BATCH_RESULT_CHARS), truncated: true }
+            : { result: data ?? null });
+        } catch (err) {
+          failed++;
+          Object.assign(entry, { ok: false, error: err.message });
+        }
+        entry.ms = Date.now() - started;
+        const after = await tabSnapshot(tab_id);
+        const changed = pageDelta(before, after);
+        if (changed) entry.page_changed = changed;
+        before = after ?? before;
+        results.push(entry);
+        if (!entry.ok && !continue_on_error) break;
       }
+      const out = {
+        ok: failed === 0,
+        completed: results.filter((r) => r.ok).length,
+        failed,
+        ...(results.length < steps.length ? { skipped: steps.length - results.length } : {}),
+        ...(Object.keys(scope).length ? { vars: Object.keys(scope) } : {}),
+        steps: results,
+      };
+      return { content: [{ type: 'text', text: jsonText(out) }] };
     }
   );
 
   // --- session_record ---
   server.tool(
     'session_record',
-    'Record the commands of this session as a replayable jsonl file (replay with the CLI: chrome-bridge replay --file <path>). tab_id is stripped — replays target the tab they navigate.',
+    'Record the commands of this session as a replayable jsonl file (replay with the CLI: chrome-bridge replay --file <path>). tab_id is stripped — replays target the tab they navigate. '
+      + 'Element steps also store fallback locators that replay uses when the selector breaks. '
+      + 'export turns a saved recording into a Playwright test or a Puppeteer script.',
     {
-      action: z.enum(['start', 'stop', 'status', 'list']).describe('start begins recording, stop writes the file and returns its path'),
-      name: z.string().optional().describe('Required for start'),
+      action: z.enum(['start', 'stop', 'status', 'list', 'export']).describe('start begins recording, stop writes the file and returns its path'),
+      name: z.string().optional().describe('Required for start and export'),
+      to: z.enum(EXPORT_TARGETS).optional().default('playwright').describe('export: target framework'),
+      save_to: saveToField('the exported source'),
     },
-    async ({ action, name }) => {
+    async ({ action, name, to, save_to }) => {
       if (action === 'status') {
         return { content: [{ type: 'text', text: jsonText(recording ? { recording: recording.name, file: recording.file } : { recording: null }) }] };
       }
@@ -2197,6 +2679,13 @@ export function registerTools(server, wsManager, caps = 'all') {
         try { files = (await readdir(RECORDINGS_DIR)).filter((f) => f.endsWith('.jsonl')); } catch {}
         return { content: [{ type: 'text', text: jsonText({ recordings: files.map((f) => join(RECORDINGS_DIR, f)) }) }] };
       }
+      if (action === 'export') {
+        if (!name || !/^[\w-]+$/.test(name)) throw new Error('name is required and must match [\\w-]+');
+        const steps = parseReplayFile(await readFile(join(RECORDINGS_DIR, `${name}.jsonl`), 'utf8'));
+        const source = exportRecording(steps, { target: to, name });
+        if (save_to) return savedSummary(save_to, Buffer.from(source), { target: to, steps: steps.length });
+        return { content: [{ type: 'text', text: source }] };
+      }
       if (action === 'start') {
         if (!name || !/^[\w-]+$/.test(name)) throw new Error('name is required and must match [\\w-]+');
         await mkdir(RECORDINGS_DIR, { recursive: true });
@@ -0,0 +1,276 @@
+/**
+ * Suite di regressione visiva per `chrome-bridge visual --file suite.yaml`.
+ *
+ * Un file elenca pagine da fotografare; ogni test si moltiplica per viewport
+ * e per emulazione media, e ogni combinazione è una baseline di
+ * screenshot_diff (baselines.js) con lo stesso nome tra un run e l'altro:
+ *
+ *   name: storefront
+ *   baseline_dir: ./baselines          # relativa al file della suite
+ *   defaults:
+ *     viewports:
+ *       - { name: desktop, width: 1280, height: 800 }
+ *       - { name: mobile, width: 375, height: 812 }
+ *     full_page: true
+ *     ignore_selectors: [".clock"]
+ *   tests:
+ *     - name: home
+ *       url: https://shop.test/
+ *     - name: cart
+ *       url: https://shop.test/cart
+ *       selector: "#cart"
+ *       media: [{ colorScheme: light }, { colorScheme: dark }]
+ *       ignore_rects: [{ x: 0, y: 0, width: 200, height: 40 }]
+ *       max_diff_percent: 0.5
+ *
+ * Qui il parsing, l'esecuzione e i due report (JUnit XML per la CI, HTML
+ * statico con baseline, cattura e diff affiancati); la CLI li collega.
+ */
+
+import { copyFile, mkdir, writeFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { parse as parseYaml } from 'yaml';
+import { MessageType } from './protocol.js';
+import { baselineFiles, screenshotDiff } from './baselines.js';
+import { escapeXml as xml } from './formatters.js';
+
+// Chiavi di un test che passano tali e quali a screenshot_diff
+const DIFF_KEYS = ['selector', 'full_page', 'ignore_selectors', 'ignore_rects', 'threshold', 'max_diff_percent', 'algorithm'];
+const MEDIA_KEYS = ['colorScheme', 'reducedMotion', 'printMode'];
+
+const slug = (s) => String(s).replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '');
+
+function mediaLabel(m) {
+  if (m.name) return String(m.name);
+  return [m.colorScheme, m.reducedMotion && `motion-${m.reducedMotion}`, m.printMode && 'print'].filter(Boolean).join('-');
+}
+
+/**
+ * Legge e valida una suite (YAML se .yaml/.yml, altrimenti JSON) e la espande
+ * nei casi da eseguire: test × viewport × media.
+ *
+ * @param {string} content
+ * @param {string} [path] - solo per scegliere il formato e per i messaggi
+ * @returns {{ name: string, baselineDir: string | null, cases: object[] }}
+ */
+export function parseSuite(content, path = '') {
+  let doc;
+  const yaml = /\.ya?ml$/i.test(path);
+  try {
+    doc = yaml ? parseYaml(content) : JSON.parse(content);
+  } catch (err) {
+    throw new Error(`Invalid ${yaml ? 'YAML' : 'JSON'} in visual suite${path ? ` ${path}` : ''}: ${err.message}`);
+  }
+  const tests = Array.isArray(doc) ? doc : doc?.tests;
+  if (!Array.isArray(tests) || !tests.length) throw new Error('Visual suite must define a non-empty "tests" list');
+  const defaults = doc?.defaults ?? {};
+
+  const cases = [];
+  const ids = new Set();
+  tests.forEach((raw, i) => {
+    const t = { ...defaults, ...raw };
+    const where = `tests[${i}]${raw?.name ? ` (${raw.name})` : ''}`;
+    if (!raw || typeof t.url !== 'string' || !t.url) throw new Error(`${where}: "url" is required`);
+    const name = slug(t.name ?? `test-${i + 1}`);
+    const viewports = t.viewports ?? (t.viewport ? [t.viewport] : [null]);
+    const medias = t.media == null ? [null] : [].concat(t.media);
+    for (const vp of viewports) {
+      if (vp && !(Number.isInteger(vp.width) && Number.isInteger(vp.height))) {
+        throw new Error(`${where}: each viewport needs integer width and height`);
+      }
+      for (const m of medias) {
+        if (m && (typeof m !== 'object' || Object.keys(m).some((k) => k !== 'name' && !MEDIA_KEYS.includes(k)))) {
+          throw new Error(`${where}: media accepts ${MEDIA_KEYS.join(', ')} (and name)`);
+        }
+        const vpName = vp ? (vp.name ?? `${vp.width}x${vp.height}`) : null;
+        const id = [name, vpName && slug(vpName), m && slug(mediaLabel(m))].filter(Boolean).join('-');
+        if (ids.has(id)) throw new Error(`${where}: duplicate case "${id}" — give tests, viewports or media distinct names`);
+        ids.add(id);
+        const diff = {};
+        for (const k of DIFF_KEYS) if (t[k] != null) diff[k] = t[k];
+        cases.push({
+          id, name, url: t.url, viewport: vp, media: m, diff,
+          wait_for: t.wait_for ?? null, delay: t.delay ?? 0, timeout: t.timeout ?? 15000,
+        });
+      }
+    }
+  });
+  return { name: doc?.name ?? 'visual', baselineDir: doc?.baseline_dir ?? null, cases };
+}
+
+/**
+ * Porta il viewport (non la finestra) alla misura chiesta: viewport_resize
+ * ridimensiona la finestra, quindi si misura lo scarto della cornice del
+ * browser e si corregge una volta.
+ */
+async function setViewport(send, { width, height }, tab_id) {
+  const first = await send(MessageType.VIEWPORT_RESIZE, { width, height, tab_id });
+  const vw = first?.actual?.viewportWidth, vh = first?.actual?.viewportHeight;
+  if (!vw || !vh || (vw === width && vh === height)) return;
+  await send(MessageType.VIEWPORT_RESIZE, {
+    width: first.window.width + (width - vw), height: first.window.height + (height - vh), tab_id,
+  });
+}
+
+/**
+ * Esegue i casi in una finestra dedicata, chiusa alla fine. Un caso senza
+ * baseline la crea (stato "new"); con `update` tutte vengono riscritte.
+ *
+ * @param {(type: string, params?: object) => Promise<object>} send
+ * @param {{ cases: object[] }} suite - da parseSuite
+ * @param {{ dir: string, update?: boolean, filter?: string, onResult?: (r: object) => void }} options
+ * @returns {Promise<object[]>} un risultato per caso
+ */
+export async function runSuite(send, suite, { dir, update = false, filter, onResult = () => {} }) {
+  const cases = filter ? suite.cases.filter((c) => c.id.includes(filter)) : suite.cases;
+  if (!cases.length) throw new Error(`No visual case matches "${filter}"`);
+  const first = cases[0].viewport;
+  const tab = await send(MessageType.CREATE_TAB, {
+    url: 'about:blank', new_window: true, active: true,
+    ...(first ? { width: first.width, height: first.height } : {}),
+  });
+  const tab_id = tab.id;
+  const results = [];
+  try {
+    for (const c of cases) {
+      const started = Date.now();
+      const f = baselineFiles(dir, c.id);
+      const base = { id: c.id, name: c.name, url: c.url, viewport: c.viewport, media: c.media, files: { baseline: f.png } };
+      let r;
+      try {
+        if (c.viewport) await setViewport(send, c.viewport, tab_id);
+        await send(MessageType.NAVIGATE, { url: c.url, tab_id });
+        await send(MessageType.WAIT_FOR_NETWORK_IDLE, { tab_id, timeout: c.timeout });
+        if (c.media) {
+          const { name: _n, ...media } = c.media;
+          await send(MessageType.EMULATE_MEDIA, { ...media, tab_id });
+        }
+        if (c.wait_for) await send(MessageType.WAIT_FOR_ELEMENT, { selector: c.wait_for, timeout: c.timeout, tab_id });
+        if (c.delay) await new Promise((res) => setTimeout(res, c.delay));
+
+        const exists = existsSync(f.meta);
+        if (!exists || update) {
+          await screenshotDiff(send, { action: 'baseline', name: c.id, dir, ...c.diff, tab_id });
+          r = { ...base, status: exists ? 'updated' : 'new' };
+        } else {
+          const { diff_image: _img, ...d } = await screenshotDiff(send, { action: 'compare', name: c.id, dir, ...c.diff, tab_id });
+          r = {
+            ...base,
+            status: d.match ? 'passed' : 'failed',
+            diff_percent: d.diff_percent,
+            ssim: d.ssim,
+            ...(d.regions ? { regions: d.regions } : {}),
+            ...(d.warnings ? { warnings: d.warnings } : {}),
+            ...(d.match ? {} : {
+              message: d.reason === 'size_mismatch'
+                ? `size changed: ${d.baseline.width}x${d.baseline.height} → ${d.current.width}x${d.current.height}`
+                : `${d.diff_percent}% changed (max ${d.max_diff_percent}%)`,
+              files: { baseline: f.png, actual: f.actual, diff: f.diff },
+            }),
+          };
+        }
+      } catch (err) {
+        r = { ...base, status: 'error', message: err.message };
+      }
+      r.time_ms = Date.now() - started;
+      results.push(r);
+      onResult(r);
+    }
+  } finally {
+    await send(MessageType.TAB_ACTION, { action: 'close', tab_id }).catch(() => {});
+  }
+  return results;
+}
+
+/** Riepilogo dei risultati: un caso fallisce se il confronto non combacia o se è andato in errore. */
+export function summarize(results) {
+  const count = (s) => results.filter((r) => r.status === s).length;
+  return {
+    total: results.length, passed: count('passed'), failed: count('failed'), errors: count('error'),
+    created: count('new'), updated: count('updated'),
+  };
+}
+
+/** JUnit XML: il formato che ogni CI sa mostrare. */
+export function junitXml(suiteName, results) {
+  const s = summarize(results);
+  const time = (ms) => (ms / 1000).toFixed(3);
+  const total = results.reduce((n, r) => n + r.time_ms, 0);
+  const cases = results.map((r) => {
+    const head = `    <testcase classname="${xml(suiteName)}" name="${xml(r.id)}" time="${time(r.time_ms)}">`;
+    const out = [`URL: ${r.url}`];
+    if (r.files?.diff) out.push(`diff: ${r.files.diff}`);
+    if (r.regions?.length) out.push(`regions: ${r.regions.map((g) => `${g.x},${g.y} ${g.width}x${g.height}`).join('; ')}`);
+    for (const w of r.warnings ?? []) out.push(`warning: ${w}`);
+    let body = '';
+    if (r.status === 'failed') body = `\n      <failure type="visual" message="${xml(r.message)}">${xml(out.join('\n'))}</failure>`;
+    else if (r.status === 'error') body = `\n      <error type="error" message="${xml(r.message)}"/>`;
+    else if (r.status === 'new' || r.status === 'updated') body = `\n      <system-out>${xml(`baseline ${r.status === 'new' ? 'created' : 'updated'}: ${r.files.baseline}`)}</system-out>`;
+    return body ? `${head}${body}\n    </testcase>` : `${head}</testcase>`;
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="chrome-bridge visual" tests="${s.total}" failures="${s.failed}" errors="${s.errors}" time="${time(total)}">`,
+    `  <testsuite name="${xml(suiteName)}" tests="${s.total}" failures="${s.failed}" errors="${s.errors}" skipped="0" time="${time(total)}" timestamp="${new Date().toISOString()}">`,
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Report HTML statico in `outDir`: index.html più le immagini copiate in
+ * images/, così la cartella si archivia come artefatto della CI e si apre
+ * senza server. I casi falliti mostrano baseline, cattura e diff affiancati.
+ *
+ * @returns {Promise<string>} percorso di index.html
+ */
+export async function writeHtmlReport(outDir, suiteName, results) {
+  const imgDir = join(outDir, 'images');
+  await mkdir(imgDir, { recursive: true });
+  const copy = async (src, name) => {
+    if (!src || !existsSync(src)) return null;
+    await copyFile(src, join(imgDir, name));
+    return `images/${name}`;
+  };
+  const s = summarize(results);
+  const rows = [];
+  for (const r of results) {
+    const imgs = r.status === 'failed'
+      ? [['baseline', await copy(r.files.baseline, `${r.id}.baseline.png`)],
+        ['actual', await copy(r.files.actual, `${r.id}.actual.png`)],
+        ['diff', await copy(r.files.diff, `${r.id}.diff.png`)]]
+      : [['baseline', await copy(r.files?.baseline, `${r.id}.baseline.png`)]];
+    const figures = imgs.filter(([, src]) => src)
+      .map(([label, src]) => `<figure><a href="${xml(src)}"><img src="${xml(src)}" alt="${label}"></a><figcaption>${label}</figcaption></figure>`)
+      .join('');
+    const detail = [
+      r.message && `<p class="msg">${xml(r.message)}</p>`,
+      r.diff_percent != null && `<p>diff ${r.diff_percent}% · SSIM ${r.ssim}</p>`,
+      ...(r.warnings ?? []).map((w) => `<p class="warn">${xml(w)}</p>`),
+    ].filter(Boolean).join('');
+    rows.push(`<section class="${r.status}"><h2><span>${r.status}</span> ${xml(r.id)}</h2>`
+      + `<p class="url"><a href="${xml(r.url)}">${xml(r.url)}</a></p>${detail}<div class="imgs">${figures}</div></section>`);
+  }
+  const html = `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><title>${xml(suiteName)} — visual report</title>
+<style>
+body{font:14px system-ui,sans-serif;margin:2rem;color:#222}
+section{border:1px solid #ddd;border-radius:6px;padding:1rem;margin:1rem 0}
+h2{font-size:1rem;margin:0 0 .5rem}h2 span{display:inline-block;min-width:5rem;text-transform:uppercase;font-size:.75rem}
+.failed,.error{border-color:#d33}.failed h2 span,.error h2 span{color:#d33}.passed h2 span{color:#2a2}
+.new h2 span,.updated h2 span{color:#36c}.msg{font-weight:600}.warn{color:#a60}.url{color:#666;margin:0}
+.imgs{display:flex;gap:1rem;flex-wrap:wrap}figure{margin:0;max-width:32%}img{max-width:100%;border:1px solid #ccc}
+figcaption{text-align:center;color:#666}
+</style></head><body>
+<h1>${xml(suiteName)}</h1>
+<p>${s.passed} passed · ${s.failed} failed · ${s.errors} errors · ${s.created} new · ${s.updated} updated — ${new Date().toISOString()}</p>
+${rows.join('\n')}
+</body></html>
+`;
+  const index = join(outDir, 'index.html');
+  await writeFile(index, html);
+  return index;
+}
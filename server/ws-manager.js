@@ -11,11 +11,38 @@
  * Dall'esterno (tools.js) l'interfaccia è identica in entrambe le modalità:
  * - isConnected() → boolean
  * - sendCommand(type, params) → Promise<data>
+ * - onEvent(handler) → eventi spontanei dell'estensione (in relay, inoltrati dal primary)
+ *
+ * In primary più browser possono essere collegati insieme (es. un Chromium
+ * headless lanciato più il Chrome dell'utente, o due profili admin/cliente),
+ * ognuno con un nome. `params.browser` sceglie il destinatario di un
+ * comando; senza, va al browser collegato da più tempo.
+ *
+ * Ogni relay è una sessione con un nome: il primary marca i suoi comandi con
+ * `params.session` e l'estensione ne tiene separate le schede (gruppo o
+ * finestra propria, get_tabs filtrato, close rifiutato sulle schede altrui).
+ * Il primary stesso non ha sessione: vede tutto, come con un solo agente.
+ * Le sessioni dell'endpoint HTTP vivono nel primary ma hanno ognuna un nome
+ * come un relay (openSession).
  */
 
 import WebSocket, { WebSocketServer } from 'ws';
 import { DEFAULT_PORT, PING_INTERVAL_MS, IDENT_TIMEOUT_MS, PENDING_RELAY_TTL_MS, getTimeout, createCommand, MessageType, VERSION } from './protocol.js';
 
+/**
+ * L'errore di una risposta `error` dell'estensione. code e details (es.
+ * approval_denied) restano sull'Error: i tool li girano al client come
+ * risultato strutturato invece che come frase da interpretare.
+ */
+function extensionError(msg, fallback) {
+  const err = new Error(msg.error || fallback);
+  if (msg.code) {
+    err.code = msg.code;
+    err.details = msg.details ?? null;
+  }
+  return err;
+}
+
 export class WSManager {
   constructor(port = DEFAULT_PORT, opts = {}) {
     this.port = port;
@@ -29,25 +56,59 @@ export class WSManager {
     this.token = opts.token ?? process.env.CHROME_BRIDGE_TOKEN ?? null;
     this.pingIntervalMs = opts.pingInterval ?? PING_INTERVAL_MS;
     this.pongGraceMs = opts.pongGrace ?? 10000;
-    this.lastPong = 0;
     this.stopped = false;
     this.mode = null;            // 'primary' | 'relay'
     this.relayExtConnected = undefined;  // relay mode: stato estensione riportato dal primary
     this.relayExtVersion = null;
-    this._extVersion = null;     // versione estensione da ext_init (primary)
+    this.relayBrowsers = null;   // relay mode: browser collegati al primary
+    this.relaySessions = null;   // relay mode: sessioni attive sul primary
+    // relay mode: nome di sessione. Chiesto con CHROME_BRIDGE_SESSION, assegnato
+    // dal primary, e richiesto di nuovo identico alla riconnessione: le schede
+    // aperte restano della sessione anche se il primary cambia.
+    this.session = opts.session ?? process.env.CHROME_BRIDGE_SESSION ?? null;
 
     // --- primary mode ---
     this.wss = null;
-    this.client = null;          // Connessione Chrome extension
-    this.relayClients = new Set();
-    this.pendingRelay = new Map(); // command id → { ws: relay WebSocket, ts: timestamp }
+    // Browser collegati, in ordine di connessione: il primo è il default.
+    // name → { ws, name, instanceId, version, headless, connectedAt, lastPong }
+    this.clients = new Map();
+    this.relayClients = new Map(); // relay WebSocket → { name, connectedAt }
+    this.localSessions = new Map(); // nome → { name, connectedAt }: sessioni HTTP di questo processo
+    this.pendingRelay = new Map(); // command id → { ws: relay WebSocket, ts: timestamp, browser }
     this.pingTimer = null;
 
     // --- relay mode ---
     this.relaySocket = null;
 
     // --- shared ---
-    this.pending = new Map();    // id → { resolve, reject, timer }
+    this.pending = new Map();    // id → { resolve, reject, timer, browser }
+    this.eventHandlers = new Set(); // (msg, browser) → void, vedi onEvent
+  }
+
+  /**
+   * Ascolta gli eventi spontanei dei browser collegati (i passi del recorder
+   * del popup, errori console e richieste fallite). Il primary inoltra a ogni
+   * relay quelli delle sue schede: le sottoscrizioni MCP di una sessione relay
+   * li vedono lo stesso, quelle delle altre sessioni no.
+   * Ritorna la funzione che toglie l'ascoltatore.
+   */
+  onEvent(handler) {
+    this.eventHandlers.add(handler);
+    return () => this.eventHandlers.delete(handler);
+  }
+
+  /**
+   * WebSocket del browser di default (il primo collegato), o null.
+   * Assegnarlo sostituisce tutti i browser con uno solo chiamato "default":
+   * è la forma a client unico con cui i test costruiscono un manager finto.
+   */
+  get client() {
+    return this._defaultClient()?.ws ?? null;
+  }
+
+  set client(ws) {
+    this.clients.clear();
+    if (ws) this.clients.set('default', { ws, name: 'default', instanceId: null, version: null, headless: false, connectedAt: Date.now(), lastPong: Date.now() });
   }
 
   // ─── Public API ────────────────────────────────────────────────
@@ -81,12 +142,87 @@ export class WSManager {
         && this.relaySocket.readyState === WebSocket.OPEN
         && this.relayExtConnected !== false;
     }
-    return this.client !== null && this.client.readyState === WebSocket.OPEN;
+    return this._defaultClient() !== null;
   }
 
   /** Versione dell'estensione collegata (da ext_init), o null. */
   get extVersion() {
-    return this.mode === 'relay' ? (this.relayExtVersion ?? null) : (this._extVersion ?? null);
+    return this.mode === 'relay' ? (this.relayExtVersion ?? null) : (this._defaultClient()?.version ?? null);
+  }
+
+  /**
+   * Browser collegati: nome, versione estensione, headless, da quando, e quale
+   * riceve i comandi senza `browser`. In relay li riporta il primary.
+   */
+  get browsers() {
+    if (this.mode === 'relay') return this.relayBrowsers ?? [];
+    const def = this._defaultClient();
+    return [...this.clients.values()]
+      .filter((c) => c.ws.readyState === WebSocket.OPEN)
+      .map((c) => ({
+        name: c.name,
+        extension_version: c.version,
+        headless: c.headless,
+        connected_at: new Date(c.connectedAt).toISOString(),
+        default: c === def,
+      }));
+  }
+
+  /** Sessioni attive, relay e HTTP (la propria marcata `self`). In relay le riporta il primary. */
+  get sessions() {
+    const list = this.mode === 'relay'
+      ? (this.relaySessions ?? [])
+      : [...this.relayClients.values(), ...this.localSessions.values()]
+        .map((s) => ({ name: s.name, connected_at: new Date(s.connectedAt).toISOString() }));
+    return list.map((s) => ({ ...s, self: this.mode === 'relay' && s.name === this.session }));
+  }
+
+  /** Sessione di questo processo per l'estensione: il nome in relay, null in primary. */
+  get ownSession() {
+    return this.mode === 'relay' ? this.session : null;
+  }
+
+  /**
+   * Sessione con nome per un client di questo stesso processo (una sessione
+   * dell'endpoint HTTP): senza, tutti i client HTTP sarebbero il primary e
+   * si vedrebbero e chiuderebbero le schede a vicenda. Ritorna una vista del
+   * manager che marca i comandi con `params.session` come il primary fa per
+   * un relay, e filtra gli eventi su quel nome tramite ownSession; end()
+   * libera le schede. In relay il primary impone la sessione del relay, che
+   * resta l'unica per tutti i client del processo.
+   */
+  openSession(wanted) {
+    const session = { name: this._claimSession(wanted), connectedAt: Date.now() };
+    this.localSessions.set(session.name, session);
+    this._broadcastExtState();
+    const own = () => (this.mode === 'relay' ? this.session : session.name);
+    const view = {
+      get ownSession() { return own(); },
+      sendCommand: (type, params = {}) => this.sendCommand(type, this.mode === 'relay' ? params : { ...params, session: session.name }),
+      end: () => {
+        if (this.localSessions.get(session.name) !== session) return;
+        this.localSessions.delete(session.name);
+        this._endSession(session.name);
+        this._broadcastExtState();
+      },
+    };
+    return new Proxy(this, {
+      get: (target, key) => {
+        if (key === 'sessions') return target.sessions.map((s) => ({ ...s, self: s.name === own() }));
+        if (key in view) return view[key];
+        const v = Reflect.get(target, key);
+        return typeof v === 'function' ? v.bind(target) : v;
+      },
+    });
+  }
+
+  /** Dice ai browser collegati che una sessione è finita: le sue schede tornano libere. */
+  _endSession(name) {
+    // La risposta non ha pending e viene scartata
+    for (const c of this.clients.values()) {
+      if (c.ws.readyState !== WebSocket.OPEN) continue;
+      try { c.ws.send(JSON.stringify(createCommand(MessageType.END_SESSION, { session: name }))); } catch {}
+    }
   }
 
   /**
@@ -95,6 +231,17 @@ export class WSManager {
    */
   sendCommand(type, params = {}) {
     return new Promise((resolve, reject) => {
+      // `browser` è instradamento, non un parametro del comando: in primary si
+      // toglie qui, in relay viaggia fino al primary che lo toglie a sua volta.
+      const { browser, ...rest } = params ?? {};
+      let target = null;
+      if (this.mode !== 'relay' && browser != null && this.clients.size) {
+        target = this._findClient(browser);
+        if (!target) {
+          reject(new Error(this._unknownBrowser(browser)));
+          return;
+        }
+      }
       if (!this.isConnected()) {
         // Un errore vago qui costa un turno intero al modello: dice cosa
         // osservare e qual è la prossima azione.
@@ -106,7 +253,8 @@ export class WSManager {
         return;
       }
 
-      const command = createCommand(type, params);
+      if (this.mode !== 'relay') target ??= this._defaultClient();
+      const command = createCommand(type, this.mode === 'relay' ? params : rest);
       // Il timeout di trasporto non può essere più basso di quello chiesto dal
       // chiamante: `wait_for --timeout 90000` moriva a 60 s con un messaggio
       // che il modello leggeva come "l'elemento non è comparso".
@@ -115,18 +263,19 @@ export class WSManager {
         ? Math.max(getTimeout(type), asked + 5000)
         : getTimeout(type);
 
-      const timer = setTimeout(() => {
+      const expire = () => {
         this.pending.delete(command.id);
         reject(new Error(
           `Command ${type} timed out after ${timeout}ms`
           + (params?.tab_id != null ? ` (tab ${params.tab_id})` : '')
           + ' — the tab may be busy, crashed or showing a modal dialog: try tab_action reload, handle_dialogs, or raise the timeout',
         ));
-      }, timeout);
+      };
+      const timer = setTimeout(expire, timeout);
 
-      this.pending.set(command.id, { resolve, reject, timer });
+      this.pending.set(command.id, { resolve, reject, timer, expire, timeout, browser: target?.name ?? null });
 
-      const socket = this.mode === 'relay' ? this.relaySocket : this.client;
+      const socket = this.mode === 'relay' ? this.relaySocket : target.ws;
       socket.send(JSON.stringify(command));
     });
   }
@@ -158,7 +307,7 @@ export class WSManager {
     // mai la callback e il processo MCP non usciva più (SIGKILL necessario).
     this.relayClients.clear();
     this.pendingRelay.clear();
-    this.client = null;
+    this.clients.clear();
 
     if (this.wss) {
       for (const ws of this.wss.clients) {
@@ -247,7 +396,7 @@ export class WSManager {
           ws.terminate();
           return;
         }
-        this._setupRelayClient(ws);
+        this._setupRelayClient(ws, msg);
         return;
       }
 
@@ -269,7 +418,7 @@ export class WSManager {
           ws.terminate();
           return;
         }
-        this._setupChromeClient(ws, msg.version ?? null);
+        this._setupChromeClient(ws, msg);
         return;
       }
 
@@ -281,82 +430,133 @@ export class WSManager {
     ws.on('close', () => clearTimeout(idTimer));
   }
 
-  _setupChromeClient(ws, extVersion = null) {
-    this._extVersion = extVersion;
+  /**
+   * Nome del browser che si sta collegando. Una riconnessione dello stesso
+   * browser (stesso instance_id, o estensione vecchia senza id sullo slot
+   * "default") sostituisce la connessione precedente e ne eredita il nome; un
+   * browser diverso si aggiunge, con suffisso -2, -3… se il nome è già preso.
+   */
+  _claimName(msg) {
+    const instanceId = msg.instance_id ?? null;
+    const previous = [...this.clients.values()].find((c) => (instanceId
+      ? c.instanceId === instanceId
+      : !c.instanceId && c.name === (msg.name || 'default')));
+    if (previous) return { name: previous.name, previous };
+    const base = msg.name || (instanceId ? (msg.headless ? 'headless' : 'chrome') : 'default');
+    let name = base;
+    for (let n = 2; this.clients.has(name); n++) name = `${base}-${n}`;
+    return { name, previous: null };
+  }
+
+  _setupChromeClient(ws, msg = {}) {
+    const extVersion = msg.version ?? null;
+    const { name, previous } = this._claimName(msg);
     // Lo skew server/estensione era invisibile: con la latenza di review del
     // Chrome Web Store è la norma, non l'eccezione.
     if (extVersion && extVersion !== VERSION) {
-      console.error(`[chrome-bridge] Version skew: server ${VERSION}, extension ${extVersion}`);
+      console.error(`[chrome-bridge] Version skew: server ${VERSION}, extension ${extVersion} (browser "${name}")`);
     }
-    console.error(`[chrome-bridge] Chrome extension connected${extVersion ? ` (v${extVersion})` : ''}`);
-    try { ws.send(JSON.stringify({ type: 'ext_init_ok', version: VERSION })); } catch {}
-
-    if (this.client) {
-      console.error('[chrome-bridge] Replacing existing Chrome connection');
-      this._rejectAllPending('Replaced by new extension connection');
-      // Notifica anche i relay in attesa: le risposte ai loro comandi non arriveranno mai
-      for (const [id, entry] of this.pendingRelay) {
-        if (entry.ws.readyState === WebSocket.OPEN) {
-          entry.ws.send(JSON.stringify({
-            id,
-            type: MessageType.ERROR,
-            error: 'Chrome extension reconnected',
-          }));
-        }
-      }
-      this.pendingRelay.clear();
-      this.client.close(1000, 'Replaced by new connection');
+    console.error(`[chrome-bridge] Chrome extension connected as "${name}"${extVersion ? ` (v${extVersion})` : ''}`);
+    // `sessions`: le sessioni ancora vive. L'estensione libera le schede delle
+    // altre, rimaste a nome di relay spariti mentre era scollegata.
+    try { ws.send(JSON.stringify({ type: 'ext_init_ok', version: VERSION, browser: name, sessions: this.sessions.map((x) => x.name) })); } catch {}
+
+    if (previous) {
+      console.error(`[chrome-bridge] Replacing existing connection of browser "${name}"`);
+      this._dropClient(previous, 'Replaced by new extension connection', 'Chrome extension reconnected');
+      previous.ws.close(1000, 'Replaced by new connection');
     }
 
-    this.client = ws;
-    this.lastPong = Date.now();
+    const client = {
+      ws, name, instanceId: msg.instance_id ?? null, version: extVersion,
+      headless: msg.headless === true, connectedAt: Date.now(), lastPong: Date.now(),
+    };
+    this.clients.set(name, client);
     this._broadcastExtState();
 
     ws.on('message', (raw) => {
-      let msg;
+      let m;
       try {
-        msg = JSON.parse(raw.toString());
+        m = JSON.parse(raw.toString());
       } catch {
         console.error('[chrome-bridge] Invalid JSON received');
         return;
       }
-      this._handleChromeMessage(msg);
+      this._handleChromeMessage(m, client);
     });
 
     ws.on('close', () => {
-      console.error('[chrome-bridge] Chrome extension disconnected');
-      if (this.client === ws) {
-        this.client = null;
-        this._extVersion = null;
-        this._broadcastExtState();
-        // Rigetta pending locali
-        this._rejectAllPending('Extension disconnected');
-        // Notifica relay clients
-        for (const [id, entry] of this.pendingRelay) {
-          if (entry.ws.readyState === WebSocket.OPEN) {
-            entry.ws.send(JSON.stringify({
-              id,
-              type: MessageType.ERROR,
-              error: 'Chrome extension disconnected',
-            }));
-          }
-        }
-        this.pendingRelay.clear();
-      }
+      if (this.clients.get(name) !== client) return;
+      console.error(`[chrome-bridge] Chrome extension "${name}" disconnected`);
+      this._dropClient(client, 'Extension disconnected', 'Chrome extension disconnected');
+      this._broadcastExtState();
     });
 
     ws.on('error', (err) => {
-      console.error('[chrome-bridge] Chrome client error:', err.message);
+      console.error(`[chrome-bridge] Chrome client "${name}" error:`, err.message);
     });
   }
 
-  _setupRelayClient(ws) {
-    console.error('[chrome-bridge] Relay client connected');
-    this.relayClients.add(ws);
+  /**
+   * Toglie un browser dalla mappa e fa fallire SOLO i comandi in volo verso
+   * di lui: con due browser collegati, la caduta di uno non deve costare i
+   * comandi dell'altro.
+   */
+  _dropClient(client, localReason, relayReason) {
+    if (this.clients.get(client.name) === client) this.clients.delete(client.name);
+    this._rejectAllPending(localReason, client.name);
+    for (const [id, entry] of this.pendingRelay) {
+      if (entry.browser !== client.name) continue;
+      this.pendingRelay.delete(id);
+      if (entry.ws.readyState === WebSocket.OPEN) {
+        entry.ws.send(JSON.stringify({ id, type: MessageType.ERROR, error: relayReason }));
+      }
+    }
+  }
+
+  /** Browser di default: il primo collegato con socket ancora aperto. */
+  _defaultClient() {
+    for (const c of this.clients.values()) {
+      if (c.ws.readyState === WebSocket.OPEN) return c;
+    }
+    return null;
+  }
+
+  _findClient(name) {
+    const c = this.clients.get(name);
+    return c && c.ws.readyState === WebSocket.OPEN ? c : null;
+  }
+
+  _unknownBrowser(name) {
+    const names = [...this.clients.values()].filter((c) => c.ws.readyState === WebSocket.OPEN).map((c) => c.name);
+    return `Browser "${name}" not connected — connected: ${names.length ? names.join(', ') : 'none'} (see get_status)`;
+  }
+
+  /**
+   * Nome di sessione per un relay: quello chiesto se libero (è la riconnessione
+   * della stessa istanza dopo un cambio di primary), altrimenti relay-N.
+   */
+  _claimSession(wanted) {
+    const taken = new Set([...this.relayClients.values(), ...this.localSessions.values()].map((s) => s.name));
+    if (typeof wanted === 'string' && /^[\w.-]{1,40}$/.test(wanted)) {
+      let name = wanted;
+      for (let n = 2; taken.has(name); n++) name = `${wanted}-${n}`;
+      return name;
+    }
+    let n = 1;
+    while (taken.has(`relay-${n}`)) n++;
+    return `relay-${n}`;
+  }
+
+  _setupRelayClient(ws, init = {}) {
+    const session = { name: this._claimSession(init.session), connectedAt: Date.now() };
+    console.error(`[chrome-bridge] Relay client connected (session "${session.name}")`);
+    this.relayClients.set(ws, session);
     // Ack: senza questo, un relay puntato su un WS server ESTRANEO che occupa
     // la porta dichiarava mode=relay e isConnected()=true, e il primo comando
-    // moriva 30 s dopo con un messaggio che non nominava la causa.
-    this._sendRelayHello(ws);
+    // moriva 30 s dopo con un messaggio che non nominava la causa. Il saluto
+    // va a tutti: gli altri relay imparano la nuova sessione.
+    this._broadcastExtState();
 
     ws.on('message', (raw) => {
       let msg;
@@ -368,22 +568,28 @@ export class WSManager {
       }
 
       // Il relay client invia comandi da inoltrare a Chrome
-      if (!this.client || this.client.readyState !== WebSocket.OPEN) {
+      const browser = msg.params?.browser;
+      const target = browser != null ? this._findClient(browser) : this._defaultClient();
+      if (!target) {
         ws.send(JSON.stringify({
           id: msg.id,
           type: MessageType.ERROR,
-          error: 'Chrome extension not connected',
+          error: browser != null && this.clients.size ? this._unknownBrowser(browser) : 'Chrome extension not connected',
         }));
         return;
       }
-
-      // Traccia quale relay ha inviato questo comando
-      this.pendingRelay.set(msg.id, { ws, ts: Date.now() });
-      this.client.send(JSON.stringify(msg));
+      // La sessione la decide il primary, non il relay: un relay non può
+      // spacciarsi per un altro e chiudergli le schede.
+      const { browser: _b, session: _s, ...rest } = msg.params ?? {};
+      msg = { ...msg, params: { ...rest, session: session.name } };
+
+      // Traccia quale relay ha inviato questo comando, e verso quale browser
+      this.pendingRelay.set(msg.id, { ws, ts: Date.now(), browser: target.name });
+      target.ws.send(JSON.stringify(msg));
     });
 
     ws.on('close', () => {
-      console.error('[chrome-bridge] Relay client disconnected');
+      console.error(`[chrome-bridge] Relay client disconnected (session "${session.name}")`);
       this.relayClients.delete(ws);
       // Pulisci pending relay per questo client
       for (const [id, entry] of this.pendingRelay) {
@@ -391,6 +597,9 @@ export class WSManager {
           this.pendingRelay.delete(id);
         }
       }
+      // Le schede della sessione tornano libere
+      this._endSession(session.name);
+      this._broadcastExtState();
     });
 
     ws.on('error', (err) => {
@@ -402,9 +611,20 @@ export class WSManager {
    * Gestisce un messaggio dall'estensione Chrome.
    * Smista le risposte: ai pending locali o ai relay client.
    */
-  _handleChromeMessage(msg) {
+  _handleChromeMessage(msg, client = null) {
     if (msg.type === MessageType.PONG) {
-      this.lastPong = Date.now();
+      if (client) client.lastPong = Date.now();
+      return;
+    }
+
+    if (msg.type === MessageType.EVENT) {
+      const browser = client?.name ?? null;
+      if (msg.event === 'approval') this._holdForApproval(msg.data);
+      this._dispatchEvent(msg, browser);
+      const forward = JSON.stringify({ ...msg, browser });
+      for (const ws of this._eventTargets(msg)) {
+        if (ws.readyState === WebSocket.OPEN) ws.send(forward);
+      }
       return;
     }
 
@@ -428,30 +648,83 @@ export class WSManager {
     clearTimeout(pending.timer);
 
     if (msg.type === MessageType.ERROR) {
-      pending.reject(new Error(msg.error || 'Unknown error from extension'));
+      pending.reject(extensionError(msg, 'Unknown error from extension'));
     } else {
       pending.resolve(msg.data);
     }
   }
 
+  /**
+   * Un comando fermo nel popup in attesa di approvazione: il timeout di
+   * trasporto riparte con in più l'attesa massima dell'approvazione, altrimenti
+   * un execute_js scadrebbe mentre l'utente legge il codice. Vale per i
+   * comandi locali e per quelli dei relay (la voce in pendingRelay non va
+   * spazzata via prima della risposta).
+   */
+  _holdForApproval(data) {
+    if (data?.state !== 'pending') return;
+    const wait = Number(data.timeout_ms) || 0;
+    const pending = this.pending.get(data.id);
+    if (pending) {
+      clearTimeout(pending.timer);
+      pending.timer = setTimeout(pending.expire, pending.timeout + wait);
+    }
+    const entry = this.pendingRelay.get(data.id);
+    if (entry) entry.ts = Date.now() + wait;
+  }
+
+  /**
+   * Relay a cui inoltrare un evento. Quelli di una scheda vanno solo alla
+   * sessione che la possiede (`data.session`, messo dall'estensione): una
+   * scheda senza sessione è del primary e dell'utente, e un relay non deve
+   * leggerne console e richieste. L'approvazione va al relay del comando; il
+   * resto (recorder del popup) a tutti.
+   */
+  _eventTargets(msg) {
+    const data = msg.data ?? {};
+    if (msg.event === 'approval') {
+      const entry = this.pendingRelay.get(data.id);
+      return entry ? [entry.ws] : [];
+    }
+    if (data.session != null) {
+      return [...this.relayClients].filter(([, s]) => s.name === data.session).map(([ws]) => ws);
+    }
+    if (data.tab_id != null) return [];
+    return [...this.relayClients.keys()];
+  }
+
+  _dispatchEvent(msg, browser) {
+    for (const handler of this.eventHandlers) {
+      try {
+        handler(msg, browser);
+      } catch (err) {
+        console.error(`[chrome-bridge] Event handler error (${msg.event}):`, err.message);
+      }
+    }
+  }
+
   // ─── Relay mode ────────────────────────────────────────────────
 
   /** Ack di identificazione verso un relay client + stato corrente dell'estensione. */
   _sendRelayHello(ws) {
     if (ws.readyState !== WebSocket.OPEN) return;
     try {
+      const def = this._defaultClient();
       ws.send(JSON.stringify({
         type: 'relay_init_ok',
         version: VERSION,
-        ext_connected: this.client !== null && this.client.readyState === WebSocket.OPEN,
-        ext_version: this._extVersion ?? null,
+        ext_connected: def !== null,
+        ext_version: def?.version ?? null,
+        browsers: this.browsers,
+        session: this.relayClients.get(ws)?.name ?? null,
+        sessions: this.sessions,
       }));
     } catch {}
   }
 
   /** Notifica a tutti i relay che lo stato dell'estensione è cambiato. */
   _broadcastExtState() {
-    for (const ws of this.relayClients) this._sendRelayHello(ws);
+    for (const ws of this.relayClients.keys()) this._sendRelayHello(ws);
   }
 
   _startRelay() {
@@ -507,6 +780,7 @@ export class WSManager {
         // Identifica questa connessione come relay
         const init = { type: MessageType.RELAY_INIT };
         if (this.token) init.token = this.token;
+        if (this.session) init.session = this.session;
         this.relaySocket.send(JSON.stringify(init));
         console.error(`[chrome-bridge] Connected as relay to existing server on port ${this.port}`);
       });
@@ -523,10 +797,20 @@ export class WSManager {
           this.primaryVersion = msg.version ?? null;
           this.relayExtConnected = msg.ext_connected === true;
           this.relayExtVersion = msg.ext_version ?? null;
+          this.relayBrowsers = msg.browsers ?? null;
+          if (msg.session) this.session = msg.session;
+          this.relaySessions = (msg.sessions ?? []).map(({ self: _self, ...x }) => x);
           if (this._relayAck) this._relayAck();
           return;
         }
 
+        if (msg.type === MessageType.EVENT) {
+          const { browser = null, ...event } = msg;
+          if (event.event === 'approval') this._holdForApproval(event.data);
+          this._dispatchEvent(event, browser);
+          return;
+        }
+
         // Risposta alla sonda: il peer parla il protocollo, è un chrome-bridge
         // più vecchio. relayExtConnected resta undefined (sconosciuto), che
         // isConnected() tratta come "non bloccare".
@@ -542,7 +826,7 @@ export class WSManager {
         clearTimeout(pending.timer);
 
         if (msg.type === MessageType.ERROR) {
-          pending.reject(new Error(msg.error || 'Unknown error'));
+          pending.reject(extensionError(msg, 'Unknown error'));
         } else {
           pending.resolve(msg.data);
         }
@@ -624,15 +908,16 @@ export class WSManager {
 
   _startPing() {
     this.pingTimer = setInterval(() => {
-      if (this.client && this.client.readyState === WebSocket.OPEN) {
+      for (const c of this.clients.values()) {
+        if (c.ws.readyState !== WebSocket.OPEN) continue;
         // Half-open detection: nessun pong da troppo tempo → terminate
         // (lastPong è sempre inizializzato in _setupChromeClient)
-        if (Date.now() - this.lastPong > this.pingIntervalMs * 2 + this.pongGraceMs) {
-          console.error('[chrome-bridge] Extension unresponsive (no pong) — terminating connection');
-          this.client.terminate();
-          return;
+        if (Date.now() - c.lastPong > this.pingIntervalMs * 2 + this.pongGraceMs) {
+          console.error(`[chrome-bridge] Extension "${c.name}" unresponsive (no pong) — terminating connection`);
+          c.ws.terminate();
+          continue;
         }
-        this.client.send(JSON.stringify({
+        c.ws.send(JSON.stringify({
           type: MessageType.PING,
           timestamp: Date.now(),
         }));
@@ -645,11 +930,13 @@ export class WSManager {
     }, this.pingIntervalMs);
   }
 
-  _rejectAllPending(reason) {
+  /** Rigetta i comandi locali in volo; con `browser`, solo quelli diretti a lui. */
+  _rejectAllPending(reason, browser) {
     for (const [id, entry] of this.pending) {
+      if (browser !== undefined && entry.browser !== browser) continue;
       clearTimeout(entry.timer);
       entry.reject(new Error(reason));
+      this.pending.delete(id);
     }
-    this.pending.clear();
   }
 }
@@ -0,0 +1,218 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { deflateSync } from 'node:zlib';
+import { decodePng, encodePng, scaleDown } from '../../server/png.js';
+import { clusterRegions, diffImages, maskFromRects } from '../../server/image-diff.js';
+import { screenshotDiff } from '../../server/baselines.js';
+
+const dir = await mkdtemp(join(tmpdir(), 'cb-baselines-'));
+after(() => rm(dir, { recursive: true, force: true }));
+
+/** Immagine w×h di un colore, con un quadrato opzionale di un altro. */
+function image(w, h, [r, g, b], square = null) {
+  const data = new Uint8Array(w * h * 4);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const o = (y * w + x) * 4;
+      const inside = square && x >= square.x && x < square.x + square.size && y >= square.y && y < square.y + square.size;
+      const c = inside ? square.color : [r, g, b];
+      data[o] = c[0]; data[o + 1] = c[1]; data[o + 2] = c[2]; data[o + 3] = 255;
+    }
+  }
+  return { width: w, height: h, data };
+}
+
+/** Estensione finta: restituisce la cattura corrente, come action=capture. */
+function fakeCapture(initial) {
+  const state = { img: initial, url: 'https://app.test/', calls: [] };
+  state.send = async (type, params) => {
+    state.calls.push({ type, params });
+    return {
+      image: encodePng(state.img).toString('base64'),
+      width: state.img.width, height: state.img.height,
+      url: state.url, dpr: 1, viewport: { width: state.img.width, height: state.img.height },
+      selector: params.selector ?? null, ignore_rects: [],
+    };
+  };
+  return state;
+}
+
+test('png: encode → decode restituisce gli stessi pixel', () => {
+  const img = image(7, 5, [10, 200, 30], { x: 2, y: 1, size: 3, color: [250, 0, 120] });
+  const back = decodePng(encodePng(img));
+  assert.equal(back.width, 7);
+  assert.equal(back.height, 5);
+  assert.deepEqual(back.data, img.data);
+});
+
+test('png: legge RGB senza alfa e rifiuta ciò che non è PNG', () => {
+  // PNG RGB 2x1 costruito a mano: rosso, blu, filtro "Up" sulla riga
+  const raw = Buffer.from([2, 255, 0, 0, 0, 0, 255]);
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(2, 0); ihdr.writeUInt32BE(1, 4); ihdr[8] = 8; ihdr[9] = 2;
+  const chunk = (type, body) => {
+    const len = Buffer.alloc(4); len.writeUInt32BE(body.length, 0);
+    return Buffer.concat([len, Buffer.from(type, 'latin1'), body, Buffer.alloc(4)]);
+  };
+  const png = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr), chunk('IDAT', deflateSync(raw)), chunk('IEND', Buffer.alloc(0)),
+  ]);
+  assert.deepEqual([...decodePng(png).data], [255, 0, 0, 255, 0, 0, 255, 255]);
+  assert.throws(() => decodePng(Buffer.from('GIF89a')), /Not a PNG/);
+});
+
+test('scaleDown: lato lungo entro il limite, immagine intatta se già piccola', () => {
+  const img = image(40, 20, [0, 0, 0]);
+  assert.equal(scaleDown(img, 100), img);
+  const small = scaleDown(img, 10);
+  assert.equal(small.width, 10);
+  assert.equal(small.height, 5);
+});
+
+test('diffImages: conta i pixel oltre soglia, le regioni ignorate escono dal totale', () => {
+  const a = image(10, 10, [255, 255, 255]);
+  const b = image(10, 10, [255, 255, 255], { x: 0, y: 0, size: 2, color: [0, 0, 0] });
+  const r = diffImages(a, b, { algorithm: 'pixel' });
+  assert.equal(r.changed, 4);
+  assert.equal(r.total, 100);
+  assert.deepEqual([...r.diff.data.slice(0, 4)], [255, 0, 0, 255]);
+
+  const masked = diffImages(a, b, { algorithm: 'pixel', mask: maskFromRects(10, 10, [{ x: -1, y: -1, width: 3, height: 3 }]) });
+  assert.equal(masked.changed, 0);
+  assert.equal(masked.masked, 4);
+  assert.equal(masked.total, 96);
+
+  const faint = image(10, 10, [250, 250, 250]);
+  assert.equal(diffImages(a, faint, { algorithm: 'pixel', threshold: 10 }).changed, 0);
+  assert.equal(diffImages(a, faint, { algorithm: 'pixel', threshold: 2 }).changed, 100);
+});
+
+test('diffImages perceptual: il bordo sfumato di un glifo è anti-aliasing, non un cambiamento', () => {
+  // Nero | colonna grigia | bianco: ri-rasterizzato, cambia solo il grigio del bordo
+  const edge = (gray) => {
+    const img = image(12, 10, [255, 255, 255], { x: 0, y: 0, size: 5, color: [0, 0, 0] });
+    for (let y = 0; y < 10; y++) {
+      for (let x = 0; x < 12; x++) {
+        const o = (y * 12 + x) * 4;
+        const v = x < 5 ? 0 : x === 5 ? gray : 255;
+        img.data[o] = img.data[o + 1] = img.data[o + 2] = v;
+      }
+    }
+    return img;
+  };
+  const a = edge(128), b = edge(90);
+  assert.equal(diffImages(a, b, { algorithm: 'pixel' }).changed, 10);
+  const r = diffImages(a, b);
+  assert.equal(r.changed, 0);
+  assert.equal(r.antialiased, 10);
+  assert.deepEqual([...r.diff.data.slice(5 * 4, 5 * 4 + 3)], [255, 210, 0]);
+});
+
+test('diffImages: SSIM e regioni cambiate raggruppate in rettangoli', () => {
+  const a = image(64, 64, [255, 255, 255]);
+  assert.equal(diffImages(a, a).ssim, 1);
+  const b = image(64, 64, [255, 255, 255], { x: 2, y: 3, size: 5, color: [0, 0, 0] });
+  for (let y = 40; y < 44; y++) {
+    for (let x = 50; x < 60; x++) b.data.set([0, 0, 0, 255], (y * 64 + x) * 4);
+  }
+  const r = diffImages(a, b);
+  assert.ok(r.ssim < 1);
+  assert.deepEqual(r.regions, [
+    { x: 50, y: 40, width: 10, height: 4, pixels: 40 },
+    { x: 2, y: 3, width: 5, height: 5, pixels: 25 },
+  ]);
+  // Pixel vicini (entro una cella) finiscono nello stesso rettangolo
+  const near = clusterRegions(Uint8Array.from({ length: 100 }, (_, p) => (p === 11 || p === 15 ? 1 : 0)), 10, 10, 8);
+  assert.deepEqual(near, [{ x: 1, y: 1, width: 5, height: 1, pixels: 2 }]);
+});
+
+test('diffImages: misure diverse danno un diff allargato, con l\'area in più cambiata', () => {
+  const r = diffImages(image(4, 4, [255, 255, 255]), image(4, 6, [255, 255, 255]));
+  assert.equal(r.size_mismatch, true);
+  assert.equal(r.diff.height, 6);
+  assert.equal(r.changed, 8);
+  assert.deepEqual(r.regions, [{ x: 0, y: 4, width: 4, height: 2, pixels: 8 }]);
+});
+
+test('screenshotDiff: baseline su disco, compare, approve del cambiamento', async () => {
+  const page = fakeCapture(image(20, 10, [255, 255, 255]));
+  const saved = await screenshotDiff(page.send, { action: 'baseline', name: 'home', dir, selector: '#main' });
+  assert.equal(saved.baseline, 'home');
+  assert.equal(page.calls[0].params.action, 'capture');
+  assert.deepEqual((await readdir(dir)).sort(), ['home.json', 'home.png']);
+
+  const same = await screenshotDiff(page.send, { action: 'compare', name: 'home', dir });
+  assert.equal(same.match, true);
+  assert.equal(same.diff_image, undefined);
+  // compare rifà la cattura col selettore salvato nella baseline
+  assert.equal(page.calls[1].params.selector, '#main');
+
+  page.img = image(20, 10, [255, 255, 255], { x: 5, y: 2, size: 4, color: [0, 0, 0] });
+  page.url = 'https://app.test/?v=2';
+  const changed = await screenshotDiff(page.send, { action: 'compare', name: 'home', dir });
+  assert.equal(changed.match, false);
+  assert.equal(changed.changed_pixels, 16);
+  assert.equal(changed.diff_percent, 8);
+  assert.deepEqual(changed.regions, [{ x: 5, y: 2, width: 4, height: 4, pixels: 16 }]);
+  assert.equal(changed.algorithm, 'perceptual');
+  assert.ok(changed.ssim < 1);
+  assert.ok(changed.diff_image);
+  assert.match(changed.warnings[0], /url differs/);
+  assert.deepEqual((await readdir(dir)).sort(), ['home.actual.png', 'home.diff.png', 'home.json', 'home.png']);
+
+  const listed = await screenshotDiff(page.send, { action: 'list', dir });
+  assert.equal(listed.baselines[0].pending_approval, true);
+
+  assert.equal((await screenshotDiff(page.send, { action: 'approve', name: 'home', dir })).approved, 'home');
+  assert.equal((await screenshotDiff(page.send, { action: 'compare', name: 'home', dir })).match, true);
+  await assert.rejects(() => screenshotDiff(page.send, { action: 'approve', name: 'home', dir }), /Nothing to approve/);
+});
+
+test('screenshotDiff: regioni ignorate e soglia salvate con la baseline', async () => {
+  const page = fakeCapture(image(20, 10, [255, 255, 255]));
+  await screenshotDiff(page.send, {
+    action: 'baseline', name: 'clock', dir,
+    ignore_rects: [{ x: 0, y: 0, width: 4, height: 4 }], ignore_selectors: ['.clock'], max_diff_percent: 5,
+  });
+  assert.deepEqual(page.calls[0].params.ignore_selectors, ['.clock']);
+
+  // Cambia solo l'area ignorata: combacia
+  page.img = image(20, 10, [255, 255, 255], { x: 0, y: 0, size: 4, color: [0, 0, 0] });
+  const r = await screenshotDiff(page.send, { action: 'compare', name: 'clock', dir });
+  assert.equal(r.match, true);
+  assert.equal(r.ignored_pixels, 16);
+  assert.deepEqual(page.calls[1].params.ignore_selectors, ['.clock']);
+
+  // 4 px su 184 confrontati (2,17%) stanno sotto il 5% salvato
+  page.img = image(20, 10, [255, 255, 255], { x: 10, y: 5, size: 2, color: [0, 0, 0] });
+  const small = await screenshotDiff(page.send, { action: 'compare', name: 'clock', dir });
+  assert.equal(small.match, true);
+  assert.equal(small.max_diff_percent, 5);
+  assert.equal((await screenshotDiff(page.send, { action: 'compare', name: 'clock', dir, max_diff_percent: 1 })).match, false);
+});
+
+test('screenshotDiff: misure diverse, update, clear e baseline mancante', async () => {
+  const page = fakeCapture(image(8, 8, [0, 0, 255]));
+  await screenshotDiff(page.send, { action: 'baseline', name: 'card', dir });
+  page.img = image(8, 9, [0, 0, 255]);
+  const r = await screenshotDiff(page.send, { action: 'compare', name: 'card', dir });
+  assert.equal(r.reason, 'size_mismatch');
+  assert.equal(r.match, false);
+  assert.deepEqual(r.current, { width: 8, height: 9 });
+  assert.equal(r.changed_pixels, 8);
+  assert.ok(r.diff_image);
+
+  const u = await screenshotDiff(page.send, { action: 'update', name: 'card', dir });
+  assert.equal(u.height, 9);
+  assert.equal((await screenshotDiff(page.send, { action: 'compare', name: 'card', dir })).match, true);
+
+  assert.equal((await screenshotDiff(page.send, { action: 'clear', name: 'card', dir })).cleared, 1);
+  await assert.rejects(() => screenshotDiff(page.send, { action: 'compare', name: 'card', dir }), /No baseline named "card"/);
+  await assert.rejects(() => screenshotDiff(page.send, { action: 'baseline', name: '../x', dir }), /must match/);
+  assert.ok((await screenshotDiff(page.send, { action: 'clear', dir })).cleared >= 1);
+  assert.deepEqual(await readdir(dir), []);
+});
@@ -0,0 +1,208 @@
+/**
+ * Backend CDP: traduzioni dei comandi in metodi del protocollo, log di rete
+ * dagli eventi Network, il backend acceso per sessione dal tool cdp e la
+ * stampa PDF.
+ */
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { createNetworkLog, emulatedMedia, evaluateResult, keyEvents, mouseClicks, pdfOptions } from '../../extension/lib/cdp.js';
+import { pdfPageCount } from '../../server/formatters.js';
+import { registerTools } from '../../server/tools.js';
+
+test('emulate_media, click ed execute_js diventano parametri CDP', () => {
+  assert.deepEqual(emulatedMedia({ colorScheme: 'dark', printMode: true }), {
+    media: 'print', features: [{ name: 'prefers-color-scheme', value: 'dark' }],
+  });
+  assert.deepEqual(emulatedMedia({ reducedMotion: 'reduce' }).features, [{ name: 'prefers-reduced-motion', value: 'reduce' }]);
+
+  // Doppio click: movimento, poi due coppie press/release con clickCount 1 e 2
+  const events = mouseClicks(40, 90, { count: 2 });
+  assert.deepEqual(events.map((e) => [e.type, e.clickCount]), [
+    ['mouseMoved', undefined], ['mousePressed', 1], ['mouseReleased', 1], ['mousePressed', 2], ['mouseReleased', 2],
+  ]);
+  assert.equal(mouseClicks(1, 1, { button: 'right' })[1].buttons, 2);
+
+  assert.deepEqual(evaluateResult({ result: { type: 'object', value: { a: 1 } } }), { a: 1 });
+  assert.equal(evaluateResult({ result: { type: 'undefined' } }), null);
+  assert.equal(evaluateResult({ result: { type: 'object', subtype: 'node', description: 'div#app' } }), 'div#app');
+  assert.throws(() => evaluateResult({
+    result: { type: 'object' },
+    exceptionDetails: { text: 'Uncaught', exception: { description: 'ReferenceError: cart is not defined\n    at <anonymous>:1:1' } },
+  }), { message: 'ReferenceError: cart is not defined' });
+});
+
+test('tasti trusted: testo solo se il tasto ne produce, scorciatoie senza', () => {
+  const [down, up] = keyEvents('Enter');
+  assert.deepEqual(
+    { type: down.type, code: down.code, vk: down.windowsVirtualKeyCode, text: down.text },
+    { type: 'keyDown', code: 'Enter', vk: 13, text: '\r' },
+  );
+  assert.equal(up.type, 'keyUp');
+  assert.equal(up.text, undefined);
+
+  // Ctrl+A è una scorciatoia: niente testo, altrimenti la pagina vede una "a" digitata
+  const [selectAll] = keyEvents('a', { ctrl: true });
+  assert.deepEqual({ type: selectAll.type, code: selectAll.code, modifiers: selectAll.modifiers, text: selectAll.text },
+    { type: 'rawKeyDown', code: 'KeyA', modifiers: 2, text: undefined });
+  assert.equal(keyEvents('a', { shift: true })[0].text, 'A');
+  assert.equal(keyEvents('Tab')[0].type, 'rawKeyDown');
+  assert.deepEqual([keyEvents('.')[0].code, keyEvents('7')[0].code], ['Period', 'Digit7']);
+  assert.equal(keyEvents('è')[0].text, 'è');
+  assert.throws(() => keyEvents('Return'), /Unknown key "Return"/);
+});
+
+test('log di rete dagli eventi Network: redirect, service worker, errori, ring buffer', () => {
+  const log = createNetworkLog({ max: 3 });
+  const sent = (requestId, url, timestamp, extra = {}) => log.handle('Network.requestWillBeSent', {
+    requestId, type: 'Fetch', wallTime: 1700000000, timestamp, request: { method: 'GET', url, headers: { Accept: '*/*' } }, ...extra,
+  });
+  sent('1', 'http://shop.test/cart', 10);
+  sent('1', 'https://shop.test/cart', 10.05, { redirectResponse: { status: 301, headers: { Location: 'https://shop.test/cart' } } });
+  log.handle('Network.responseReceived', { requestId: '1', response: { status: 200, mimeType: 'application/json', headers: {}, fromServiceWorker: true } });
+  const done = log.handle('Network.loadingFinished', { requestId: '1', timestamp: 10.25, encodedDataLength: 512 });
+
+  const [hop, final] = log.entries;
+  assert.deepEqual(
+    { status: hop.status, redirectURL: hop.redirectURL, duration: hop.duration },
+    { status: 301, redirectURL: 'https://shop.test/cart', duration: 50 },
+  );
+  assert.equal(done, final);
+  assert.deepEqual(
+    { type: final.type, status: final.status, fromServiceWorker: final.fromServiceWorker, duration: final.duration, size: final.size },
+    { type: 'fetch', status: 200, fromServiceWorker: true, duration: 200, size: 512 },
+  );
+  assert.deepEqual(final.requestHeaders, [{ name: 'Accept', value: '*/*' }]);
+  // Gli id del protocollo non finiscono nel JSON verso il server
+  assert.equal(JSON.stringify(final).includes('_ts'), false);
+
+  sent('2', 'https://shop.test/api', 11);
+  log.handle('Network.loadingFailed', { requestId: '2', timestamp: 11.1, errorText: 'net::ERR_CONNECTION_REFUSED' });
+  assert.equal(log.entries.at(-1).error, 'net::ERR_CONNECTION_REFUSED');
+  sent('3', 'https://shop.test/logo.png', 12);
+  assert.equal(log.entries.length, 3, 'le più vecchie escono per prime');
+  assert.equal(log.entries[0], final);
+
+  log.drop(log.entries.slice(0, 2));
+  assert.deepEqual(log.entries.map((e) => e.url), ['https://shop.test/logo.png']);
+});
+
+test('cdp enable accende il backend solo per questa sessione', async () => {
+  const sent = [];
+  const ws = {
+    isConnected: () => true,
+    mode: 'primary',
+    port: 8765,
+    sendCommand: async (type, params) => {
+      sent.push({ type, params });
+      return type === 'cdp' ? { enabled: params.action === 'enable' } : {};
+    },
+  };
+  const connect = async () => {
+    const server = new McpServer({ name: 'chrome-bridge', version: 'test' });
+    registerTools(server, ws, 'all');
+    const client = new Client({ name: 'test', version: '1.0.0' });
+    const [a, b] = InMemoryTransport.createLinkedPair();
+    await Promise.all([server.connect(a), client.connect(b)]);
+    return client;
+  };
+  const one = await connect();
+  const other = await connect();
+  const text = async (client, name, args) => (await client.callTool({ name, arguments: args })).content[0].text;
+
+  assert.match(await text(one, 'cdp', { action: 'enable' }), /"session_backend":"cdp"/);
+  await text(one, 'execute_js', { code: 'navigator.webdriver' });
+  await text(other, 'execute_js', { code: 'navigator.webdriver' });
+  const evals = sent.filter((s) => s.type === 'execute_js');
+  assert.equal(evals[0].params.backend, 'cdp');
+  assert.equal(evals[1].params.backend, undefined);
+  assert.equal(JSON.parse(await text(one, 'get_status', {})).cdp_backend, true);
+
+  // input esplicito: arriva all'estensione, che sceglie trusted o sintetico
+  await text(other, 'type_text', { selector: '#q', text: 'scarpe', input: 'trusted' });
+  assert.equal(sent.at(-1).params.input, 'trusted');
+  assert.equal(sent.at(-1).params.backend, undefined);
+  await text(one, 'press_key', { key: 'Enter', input: 'synthetic' });
+  assert.deepEqual([sent.at(-1).params.input, sent.at(-1).params.backend], ['synthetic', 'cdp']);
+
+  // Ogni client è un proprietario del debugger a sé, anche sullo stesso server
+  const mine = sent.find((s) => s.type === 'cdp').params.cdp_client;
+  assert.equal(evals[0].params.cdp_client, mine);
+  assert.equal(evals[1].params.cdp_client, undefined, 'senza debugger niente proprietario');
+  const theirs = sent.find((s) => s.type === 'type_text').params.cdp_client;
+  assert.ok(mine && theirs && mine !== theirs);
+
+  assert.match(await text(one, 'cdp', { action: 'send' }), /action=send requires method/);
+  await text(one, 'cdp', { action: 'disable' });
+  await text(one, 'click', { selector: '#buy' });
+  assert.equal(sent.at(-1).params.backend, undefined);
+  // Alla chiusura si stacca solo ciò che era di questo client
+  const disables = () => sent.filter((s) => s.type === 'cdp' && s.params.action === 'disable');
+  assert.equal(disables().length, 1);
+  await one.close();
+  assert.deepEqual(disables().at(-1).params, { action: 'disable', cdp_client: mine });
+  assert.equal(disables().length, 2);
+  await other.close();
+});
+
+test('print_pdf: carta, margini in ordine CSS, template e intervalli', () => {
+  const opts = pdfOptions({ paper: 'A4', margin: '1cm 1in', footer_template: '<span class="pageNumber"></span>', page_ranges: '1-2, 4' });
+  assert.deepEqual([opts.paperWidth, opts.paperHeight], [8.27, 11.69]);
+  assert.equal(opts.marginTop, opts.marginBottom);
+  assert.equal(opts.marginLeft, 1);
+  // Un template solo: l'altro vuoto, non data e titolo di Chrome
+  assert.deepEqual([opts.displayHeaderFooter, opts.headerTemplate], [true, '<span></span>']);
+  assert.equal(opts.pageRanges, '1-2,4');
+  assert.deepEqual([opts.landscape, opts.printBackground], [false, false]);
+
+  assert.equal(pdfOptions({ paper: '4in x 2in' }).paperHeight, 2);
+  assert.equal(pdfOptions({ paper: 'css' }).preferCSSPageSize, true);
+  assert.equal(pdfOptions({}).paperWidth, undefined, 'senza paper decide Chrome');
+  assert.throws(() => pdfOptions({ paper: 'b5' }), /Unknown paper "b5"/);
+  assert.throws(() => pdfOptions({ margin: '10' }), /Invalid margin "10"/);
+  assert.throws(() => pdfOptions({ margin: '1cm 1cm 1cm' }), /give 1, 2 or 4 lengths/);
+  assert.throws(() => pdfOptions({ scale: 3 }), /scale must be between 0.1 and 2/);
+});
+
+test('print_pdf scrive il PDF in save_to con il numero di pagine', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'cb-pdf-'));
+  after(() => rm(dir, { recursive: true, force: true }));
+  const pdf = Buffer.from('%PDF-1.4\n1 0 obj <</Type /Pages /Count 2>>\n2 0 obj <</Type /Page>>\n3 0 obj <</Type/Page /Parent 1 0 R>>\n%%EOF');
+  assert.equal(pdfPageCount(pdf), 2);
+  assert.equal(pdfPageCount(Buffer.from('not a pdf')), null);
+
+  const sent = [];
+  const ws = {
+    isConnected: () => true,
+    mode: 'primary',
+    port: 8765,
+    sendCommand: async (type, params) => {
+      sent.push({ type, params });
+      return { pdf_b64: pdf.toString('base64'), size: pdf.length };
+    },
+  };
+  const server = new McpServer({ name: 'chrome-bridge', version: 'test' });
+  registerTools(server, ws, 'all');
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  const [a, b] = InMemoryTransport.createLinkedPair();
+  await Promise.all([server.connect(a), client.connect(b)]);
+
+  const out = join(dir, 'invoice.pdf');
+  const res = await client.callTool({ name: 'print_pdf', arguments: { paper: 'a4', background: true, tab_id: 3, save_to: out } });
+  assert.deepEqual(JSON.parse(res.content[0].text), { saved: out, bytes: pdf.length, mimeType: 'application/pdf', pages: 2 });
+  assert.deepEqual(await readFile(out), pdf);
+  const { cdp_client: client0, ...params0 } = sent[0].params;
+  assert.deepEqual({ type: sent[0].type, params: params0 }, { type: 'print_pdf', params: { paper: 'a4', landscape: false, background: true, tab_id: 3 } });
+  assert.equal(typeof client0, 'string', 'il debugger preso in prestito è di questo client');
+
+  // Senza save_to: sommario e PDF come risorsa incorporata
+  const inline = await client.callTool({ name: 'print_pdf', arguments: { tab_id: 3 } });
+  assert.equal(inline.content[1].resource.mimeType, 'application/pdf');
+  assert.equal(Buffer.from(inline.content[1].resource.blob, 'base64').length, pdf.length);
+  await client.close();
+});
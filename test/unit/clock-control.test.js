@@ -0,0 +1,125 @@
+/**
+ * fake_clock: orologio fermo che si sposta solo con advance e run_timers,
+ * casualità con seme, e la finestra rimessa com'era a reset.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../../extension/clock-control.js';
+
+const { control, createClock } = globalThis.__cbClock;
+
+// Finestra finta con gli originali di Node: basta per vedere cosa si sostituisce
+function fakeWindow() {
+  const storage = new Map();
+  return {
+    Date,
+    performance: { now: () => 1234.5 },
+    setTimeout, clearTimeout, setInterval, clearInterval,
+    requestAnimationFrame: (fn) => setTimeout(fn, 16),
+    cancelAnimationFrame: clearTimeout,
+    Math: { random: Math.random },
+    crypto: { getRandomValues: (a) => globalThis.crypto.getRandomValues(a), randomUUID: () => globalThis.crypto.randomUUID() },
+    sessionStorage: {
+      getItem: (k) => storage.get(k) ?? null,
+      setItem: (k, v) => storage.set(k, String(v)),
+      removeItem: (k) => storage.delete(k),
+    },
+    storage,
+  };
+}
+
+test('freeze: Date e performance fermi, advance fa scattare i timer in ordine', () => {
+  const win = fakeWindow();
+  const clock = createClock(win, { time: '2026-01-15T09:30:00Z' });
+  const t0 = Date.parse('2026-01-15T09:30:00Z');
+  assert.equal(win.Date.now(), t0);
+  assert.equal(new win.Date().toISOString(), '2026-01-15T09:30:00.000Z');
+  assert.ok(new win.Date() instanceof Date);
+  assert.equal(new win.Date(0).getTime(), 0, 'con argomenti è una Date qualsiasi');
+  assert.equal(typeof win.Date(), 'string');
+  assert.equal(win.performance.now(), 1234.5);
+
+  const log = [];
+  win.setTimeout(() => log.push(['b', win.Date.now() - t0]), 200);
+  win.setTimeout((x) => log.push([x, win.Date.now() - t0]), 100, 'a');
+  const tick = win.setInterval(() => log.push(['tick', win.Date.now() - t0]), 150);
+  const dropped = win.setTimeout(() => log.push(['never']), 50);
+  win.clearTimeout(dropped);
+  win.requestAnimationFrame((ts) => log.push(['frame', ts]));
+
+  const res = clock.advance(300);
+  assert.deepEqual(log, [['frame', 1250.5], ['a', 100], ['tick', 150], ['b', 200], ['tick', 300]]);
+  assert.equal(res.fired_now, 5);
+  assert.equal(win.Date.now(), t0 + 300);
+  assert.equal(win.performance.now(), 1534.5);
+
+  // run_timers: fino all'ultimo in coda ora; l'intervallo non gira all'infinito
+  win.setTimeout(() => log.push(['late', win.Date.now() - t0]), 1000);
+  const ran = clock.runTimers();
+  assert.deepEqual(log.slice(5).map(([n]) => n), ['tick', 'tick', 'tick', 'tick', 'tick', 'tick', 'late']);
+  assert.equal(ran.time, '2026-01-15T09:30:01.300Z');
+  win.clearInterval(tick);
+  assert.equal(clock.status().pending, 0);
+  assert.throws(() => createClock(fakeWindow(), { time: 'domani' }), /Invalid time "domani"/);
+});
+
+test('seed: stessa sequenza per Math.random, getRandomValues e randomUUID', () => {
+  const sequence = () => {
+    const win = fakeWindow();
+    createClock(win, { seed: 42, timers: 'real' });
+    return [win.Math.random(), [...win.crypto.getRandomValues(new Uint8Array(4))], win.crypto.randomUUID()];
+  };
+  const [a, b] = [sequence(), sequence()];
+  assert.deepEqual(a, b);
+  assert.match(a[2], /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+
+  const win = fakeWindow();
+  createClock(win, { seed: 7, timers: 'real' });
+  assert.equal(win.setTimeout, setTimeout, 'timers real: i timer restano quelli veri');
+  assert.throws(() => win.crypto.getRandomValues(new Float32Array(2)), /TypeMismatchError|not of an integer type|Float32Array/);
+});
+
+test('control: la configurazione resta in sessionStorage fino a reset, che rimette tutto', () => {
+  const win = fakeWindow();
+  const original = { Date: win.Date, setTimeout: win.setTimeout, random: win.Math.random };
+  assert.deepEqual(control(win, 'status'), { installed: false });
+  assert.throws(() => control(win, 'advance', { ms: 10 }), /call fake_clock with action=freeze first/);
+
+  const frozen = control(win, 'freeze', { time: 1760000000000, seed: 3 });
+  assert.deepEqual([frozen.now, frozen.seed, frozen.timers], [1760000000000, 3, 'fake']);
+  assert.deepEqual(JSON.parse(win.storage.get('__chromeBridge_clock')), { time: 1760000000000, timers: 'fake', seed: 3 });
+
+  let fired = false;
+  win.setTimeout(() => { fired = true; }, 10);
+  assert.equal(control(win, 'advance', { ms: 10 }).fired_now, 1);
+  assert.equal(fired, true);
+
+  win.setTimeout(() => {}, 20);
+  const reset = control(win, 'reset');
+  assert.deepEqual([reset.reset, reset.pending_released], [true, 1]);
+  assert.equal(win.storage.has('__chromeBridge_clock'), false);
+  assert.deepEqual({ Date: win.Date, setTimeout: win.setTimeout, random: win.Math.random }, original);
+  assert.equal(win.performance.now(), 1234.5);
+});
+
+test('clear*: i timer veri di prima del freeze e quelli ripartiti dopo reset si cancellano ancora', async () => {
+  const win = fakeWindow();
+  const log = [];
+  const before = win.setTimeout(() => log.push('before'), 5);
+  control(win, 'freeze', { time: 0 });
+  win.clearTimeout(before); // non è un id finto: va al clearTimeout vero
+
+  const dropped = win.setTimeout(() => log.push('dropped'), 10);
+  win.setTimeout(() => log.push('kept'), 10);
+  const tick = win.setInterval(() => log.push('tick'), 10);
+  control(win, 'reset');
+  // La pagina ha ancora gli id finti: devono fermare i timer ripartiti
+  win.clearTimeout(dropped);
+  await new Promise((r) => setTimeout(r, 35));
+  win.clearInterval(tick);
+  const ticks = log.filter((x) => x === 'tick').length;
+  await new Promise((r) => setTimeout(r, 25));
+  assert.deepEqual(log.filter((x) => x !== 'tick'), ['kept']);
+  assert.ok(ticks >= 1);
+  assert.equal(log.filter((x) => x === 'tick').length, ticks, 'l\'intervallo è fermo');
+});
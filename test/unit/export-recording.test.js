@@ -0,0 +1,84 @@
+/**
+ * Export dei recording in Playwright e Puppeteer: l'API idiomatica per gli
+ * step noti, TODO visibili per quelli senza equivalente.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportRecording, playwrightLocator, puppeteerSelector } from '../../server/export-recording.js';
+import { parseReplayFile } from '../../server/test-suite.js';
+
+const REC = [
+  { command: 'navigate', params: { url: 'https://shop.test/login' } },
+  { command: 'type_text', params: { selector: 'label=Email', text: 'jane@shop.test' } },
+  { command: 'type_text', params: { selector: '#pw', text: '{{password}}' } },
+  { command: 'fill_form', params: { fields: [{ selector: '#country', value: 'IT' }] }, locators: { role: 'role=combobox[name="Country"]' } },
+  { command: 'fill_form', params: { fields: [{ selector: '#terms[type=checkbox]', value: 'true' }] } },
+  { command: 'click', params: { selector: 'role=button[name="Sign in"]' } },
+  { command: 'press_key', params: { key: 'k', ctrl: true } },
+  { command: 'wait_for', params: { condition: 'network_idle', timeout: 8000 } },
+  { command: 'assert', params: { url: 'dashboard', selector: '.item', text: 'Pear' } },
+  { command: 'tile_windows', params: { layout: 'grid' } },
+].map((s) => JSON.stringify(s)).join('\n');
+
+test('playwrightLocator: locator di chrome-bridge → getBy* concatenati', () => {
+  assert.equal(playwrightLocator('role=button[name="Save"]'), "page.getByRole('button', { name: 'Save', exact: true })");
+  assert.equal(playwrightLocator('role=heading[level=2][name=/^Cart/i]'), "page.getByRole('heading', { name: /^Cart/i, level: 2 })");
+  // Senza virgolette è sottostringa senza maiuscole, come il default di Playwright
+  assert.equal(playwrightLocator('text=sign in'), "page.getByText('sign in')");
+  assert.equal(playwrightLocator('text="Pear"'), "page.getByText('Pear', { exact: true })");
+  assert.equal(playwrightLocator('#cart >> testid=item >> nth=-1'), "page.locator('#cart').getByTestId('item').last()");
+  assert.equal(playwrightLocator('my-app >>> button.save'), "page.locator('my-app button.save')");
+  assert.equal(playwrightLocator('placeholder=Search >> nth=2'), "page.getByPlaceholder('Search').nth(2)");
+});
+
+test('puppeteerSelector: ::-p-aria/::-p-text, nth a parte, regex non supportate', () => {
+  assert.deepEqual(puppeteerSelector('#cart >> role=button[name="Add"] >> nth=1'), {
+    selector: '#cart ::-p-aria([name="Add"][role="button"])', nth: 1, notes: [], unsupported: false,
+  });
+  assert.equal(puppeteerSelector('text="Say \\"hi\\""').selector, '::-p-text("Say \\"hi\\"")');
+  assert.equal(puppeteerSelector('testid="save"').selector, '[data-testid="save"]');
+  const approx = puppeteerSelector('role=button[name=add]');
+  assert.equal(approx.unsupported, false);
+  assert.match(approx.notes[0], /substring/);
+  assert.equal(puppeteerSelector('text=/^Add/').unsupported, true);
+});
+
+test('exportRecording playwright: test eseguibile, segnaposto da env, TODO per i comandi senza equivalente', () => {
+  const src = exportRecording(parseReplayFile(REC), { name: 'login' });
+  assert.match(src, /^\/\/ Exported by chrome-bridge from the "login" recording\.\n\/\/ Set PASSWORD in the environment/);
+  assert.match(src, /import \{ test, expect \} from '@playwright\/test';\n\ntest\('login', async \(\{ page \}\) => \{\n/);
+  const body = src.split('\n').filter((l) => l.startsWith('  ')).map((l) => l.trim());
+  assert.deepEqual(body, [
+    "await page.goto('https://shop.test/login');",
+    "await page.getByLabel('Email').fill('jane@shop.test');",
+    "await page.locator('#pw').fill(process.env.PASSWORD);",
+    // Il ruolo nei locator dice che è una <select>, il selettore che è una checkbox
+    "await page.locator('#country').selectOption('IT');",
+    "await page.locator('#terms[type=checkbox]').setChecked(true);",
+    "await page.getByRole('button', { name: 'Sign in', exact: true }).click();",
+    "await page.keyboard.press('Control+k');",
+    "await page.waitForLoadState('networkidle', { timeout: 8000 });",
+    'await expect(page).toHaveURL(/dashboard/);',
+    "await expect(page.locator('.item').filter({ hasText: 'Pear' }).first()).toBeAttached();",
+    '// TODO: no Playwright equivalent for chrome-bridge "tile_windows" {"layout":"grid"}',
+  ]);
+});
+
+test('exportRecording puppeteer: script con launch/close, passi senza equivalente commentati', () => {
+  const steps = [
+    ...parseReplayFile(REC),
+    { command: 'click', params: { selector: 'text=/^Add/' } },
+    { command: 'assert', params: { selector: 'li', count: 3 } },
+  ];
+  const src = exportRecording(steps, { target: 'puppeteer', name: 'login' });
+  assert.match(src, /import assert from 'node:assert\/strict';\nimport puppeteer from 'puppeteer';/);
+  assert.match(src, /const browser = await puppeteer\.launch\(\);[\s\S]*\} finally \{\n {2}await browser\.close\(\);\n\}\n$/);
+  assert.match(src, /await page\.locator\('::-p-aria\(\[name="Sign in"\]\[role="button"\]\)'\)\.click\(\);/);
+  assert.match(src, /await page\.keyboard\.down\('Control'\);\n {2}await page\.keyboard\.press\('k'\);\n {2}await page\.keyboard\.up\('Control'\);/);
+  assert.match(src, /await page\.waitForFunction\(\(\) => \/dashboard\/\.test\(location\.href\), \{ timeout: 5000 \}\);/);
+  assert.match(src, /await page\.waitForSelector\('\.item ::-p-text\("Pear"\)', \{ timeout: 5000 \}\);/);
+  assert.match(src, /assert\.equal\(\(await page\.\$\$\('li'\)\)\.length, 3\);/);
+  // Una regex non diventa un click a caso: resta commentato, con il motivo
+  assert.match(src, /\/\/ TODO: text=\/\^Add\/ has no Puppeteer equivalent\n {2}\/\/ await page\.locator/);
+  assert.throws(() => exportRecording([], { target: 'cypress' }), /Unknown export target: cypress/);
+});
@@ -14,3 +14,68 @@ test('converte richieste in HAR 1.2', () => {
   assert.equal(har.log.entries[0].time, 123);
   assert.equal(har.log.entries[1].response.status, 0);
 });
+
+test('body catturati diventano postData e content.text', () => {
+  const har = toHar([
+    {
+      type: 'fetch', method: 'POST', url: 'https://x.test/api', startTime: 1700000000000, status: 201, duration: 40,
+      requestBody: { mimeType: 'application/json', size: 9, text: '{"a":1}' },
+      responseHeaders: [{ name: 'content-type', value: 'application/json' }],
+      responseBody: { mimeType: 'application/json', size: 100000, text: '{"id":', truncated: true },
+    },
+    {
+      type: 'xhr', method: 'GET', url: 'https://x.test/img', startTime: 1700000001000, status: 200, duration: 5,
+      responseBody: { mimeType: 'image/png', size: 4, text: 'iVBORw==', encoding: 'base64' },
+    },
+  ]);
+  const [json, bin] = har.log.entries;
+  assert.deepEqual(json.request.postData, { mimeType: 'application/json', text: '{"a":1}' });
+  assert.equal(json.request.bodySize, 9);
+  assert.equal(json.response.headers[0].name, 'content-type');
+  assert.equal(json.response.content.text, '{"id":');
+  assert.match(json.response.content.comment, /truncated/);
+  assert.equal(bin.response.content.encoding, 'base64');
+  assert.equal(bin.response.content.size, 4);
+  assert.equal(bin.request.postData, undefined);
+});
+
+test('entry del log browser: header, query, cookie, tempi e cache', () => {
+  const har = toHar([{
+    source: 'browser', type: 'script', method: 'GET', url: 'https://x.test/app.js?v=3&lang=it',
+    status: 200, statusLine: 'HTTP/1.1 200 OK', startTime: 1700000000000, duration: 90,
+    initiator: 'https://x.test', ip: '203.0.113.7', fromCache: true,
+    requestHeaders: [{ name: 'Cookie', value: 'sid=abc; theme=dark' }],
+    responseHeaders: [
+      { name: 'Content-Type', value: 'text/javascript' },
+      { name: 'Content-Length', value: '512' },
+      { name: 'Set-Cookie', value: 'sid=def; Path=/; HttpOnly; Secure; SameSite=Lax' },
+    ],
+    timings: { send: 10, wait: 60, receive: 20 },
+  }]);
+  const [e] = har.log.entries;
+  assert.equal(e.request.httpVersion, 'HTTP/1.1');
+  assert.equal(e.response.statusText, 'OK');
+  assert.deepEqual(e.request.queryString, [{ name: 'v', value: '3' }, { name: 'lang', value: 'it' }]);
+  assert.deepEqual(e.request.cookies, [{ name: 'sid', value: 'abc' }, { name: 'theme', value: 'dark' }]);
+  assert.deepEqual(e.response.cookies, [{ name: 'sid', value: 'def', path: '/', httpOnly: true, secure: true, sameSite: 'Lax' }]);
+  assert.deepEqual(e.response.content, { size: 512, mimeType: 'text/javascript' });
+  assert.equal(e.time, 90);
+  assert.equal(e.timings.wait, 60);
+  assert.equal(e.serverIPAddress, '203.0.113.7');
+  assert.equal(e._initiator.type, 'parser');
+  assert.equal(e._resourceType, 'script');
+  assert.equal(e._fromCache, 'disk');
+});
+
+test('ogni salto di redirect è un\'entry con redirectURL', () => {
+  const har = toHar([
+    { source: 'browser', type: 'main_frame', method: 'GET', url: 'http://x.test/', status: 301, statusLine: 'HTTP/1.1 301 Moved Permanently', redirectURL: 'https://x.test/', startTime: 1700000000000, duration: 5, timings: { send: 0, wait: 5, receive: 0 } },
+    { source: 'browser', type: 'main_frame', method: 'GET', url: 'https://x.test/', status: 200, statusLine: 'HTTP/2 200', startTime: 1700000000005, duration: 40, timings: { send: 1, wait: 30, receive: 9 } },
+  ]);
+  const [hop, final] = har.log.entries;
+  assert.equal(hop.response.redirectURL, 'https://x.test/');
+  assert.equal(hop.response.statusText, 'Moved Permanently');
+  assert.equal(hop._initiator.type, 'other');
+  assert.equal(final.response.redirectURL, '');
+  assert.equal(final.response.httpVersion, 'HTTP/2');
+});
@@ -0,0 +1,149 @@
+/**
+ * Trasporto MCP Streamable HTTP: più client sullo stesso processo, ognuno
+ * con la propria sessione, dietro il bearer token di CHROME_BRIDGE_TOKEN.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { startHttpTransport } from '../../server/http-transport.js';
+import { registerTools } from '../../server/tools.js';
+
+/** Un McpServer per sessione, sopra un'unica estensione finta. */
+function factory(sent, ids = []) {
+  const ws = {
+    isConnected: () => true,
+    mode: 'primary',
+    port: 8765,
+    sendCommand: async (type, params) => {
+      sent.push(type);
+      return type === 'get_tabs' ? [{ id: 1, url: 'https://a.test/', title: 'A', active: true }] : { ok: true };
+    },
+  };
+  return (id) => {
+    ids.push(id);
+    const server = new McpServer({ name: 'chrome-bridge', version: 'test' });
+    registerTools(server, ws, 'core');
+    return server;
+  };
+}
+
+async function connect(url, token) {
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  const transport = new StreamableHTTPClientTransport(new URL(url), {
+    requestInit: token ? { headers: { Authorization: `Bearer ${token}` } } : {},
+  });
+  await client.connect(transport);
+  return { client, transport };
+}
+
+test('due client sullo stesso bridge: sessioni separate, stessa estensione', async () => {
+  const sent = [];
+  const ids = [];
+  const http = await startHttpTransport({ createServer: factory(sent, ids), port: 0, token: 's3cret' });
+  try {
+    const a = await connect(http.url, 's3cret');
+    const b = await connect(http.url, 's3cret');
+    assert.equal(http.sessions(), 2);
+    assert.notEqual(a.transport.sessionId, b.transport.sessionId);
+    // createServer riceve l'id che il client userà: ne deriva la sessione dell'estensione
+    assert.deepEqual(ids, [a.transport.sessionId, b.transport.sessionId]);
+
+    const { tools } = await a.client.listTools();
+    assert.ok(tools.some((t) => t.name === 'navigate'));
+    const res = await b.client.callTool({ name: 'get_tabs', arguments: {} });
+    assert.match(res.content[0].text, /a\.test/);
+    assert.ok(sent.includes('get_tabs'));
+
+    // DELETE della sessione: il bridge la dimentica, l'altra resta
+    await a.transport.terminateSession();
+    assert.equal(http.sessions(), 1);
+    await a.client.close();
+    await b.client.close();
+  } finally {
+    await http.close();
+  }
+});
+
+test('token: senza Authorization 401, token sbagliato 401', async () => {
+  const http = await startHttpTransport({ createServer: factory([]), port: 0, token: 's3cret' });
+  try {
+    const init = {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+      body: JSON.stringify({
+        jsonrpc: '2.0', id: 1, method: 'initialize',
+        params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'x', version: '1' } },
+      }),
+    };
+    const none = await fetch(http.url, init);
+    assert.equal(none.status, 401);
+    assert.equal(none.headers.get('www-authenticate'), 'Bearer');
+    const wrong = await fetch(http.url, { ...init, headers: { ...init.headers, Authorization: 'Bearer nope' } });
+    assert.equal(wrong.status, 401);
+    await assert.rejects(() => connect(http.url, 'nope'));
+    // Senza initialize e senza sessione non si crea niente
+    const stray = await fetch(http.url, {
+      ...init,
+      headers: { ...init.headers, Authorization: 'Bearer s3cret' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' }),
+    });
+    assert.equal(stray.status, 400);
+    assert.equal((await fetch(http.url.replace('/mcp', '/other'))).status, 404);
+    assert.equal(http.sessions(), 0);
+  } finally {
+    await http.close();
+  }
+});
+
+test('senza token: solo loopback, Host estranei respinti', async () => {
+  await assert.rejects(
+    () => startHttpTransport({ createServer: factory([]), port: 0, host: '0.0.0.0', token: null }),
+    /requires CHROME_BRIDGE_TOKEN/,
+  );
+  // Server ancora aperti: una richiesta respinta non deve lasciarne
+  let open = 0;
+  const make = factory([]);
+  const createServer = () => {
+    const server = make();
+    open++;
+    server.server.onclose = () => { open--; };
+    return server;
+  };
+  const http = await startHttpTransport({ createServer, port: 0, token: null });
+  try {
+    const { client, transport } = await connect(http.url);
+    assert.ok((await client.listTools()).tools.length > 0);
+    await transport.terminateSession();
+    await client.close();
+    // DNS rebinding: la pagina arriva col proprio Host
+    const { request } = await import('node:http');
+    const status = await new Promise((resolve, reject) => {
+      const req = request(http.url, {
+        method: 'POST',
+        headers: { Host: `evil.test:${http.port}`, 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+      }, (res) => { res.resume(); resolve(res.statusCode); });
+      req.on('error', reject);
+      req.end(JSON.stringify({
+        jsonrpc: '2.0', id: 1, method: 'initialize',
+        params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'x', version: '1' } },
+      }));
+    });
+    assert.equal(status, 403);
+    // Accept senza text/event-stream: 406 dal trasporto, nessuna sessione
+    const noSse = await fetch(http.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({
+        jsonrpc: '2.0', id: 1, method: 'initialize',
+        params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'x', version: '1' } },
+      }),
+    });
+    assert.equal(noSse.status, 406);
+    assert.equal(http.sessions(), 0);
+    assert.equal(open, 0);
+  } finally {
+    await http.close();
+  }
+});
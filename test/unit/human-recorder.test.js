@@ -0,0 +1,71 @@
+/**
+ * Recorder del popup, lato server: gli eventi `recorder` dell'estensione
+ * diventano un file jsonl che replay legge.
+ */
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import WebSocket from 'ws';
+import { WSManager } from '../../server/ws-manager.js';
+import { attachHumanRecorder } from '../../server/human-recorder.js';
+import { parseReplayFile } from '../../server/test-suite.js';
+
+const dir = await mkdtemp(join(tmpdir(), 'cb-human-'));
+after(() => rm(dir, { recursive: true, force: true }));
+
+/** WSManager finto: basta onEvent, gli eventi si consegnano a mano. */
+function fakeManager() {
+  const handlers = new Set();
+  return {
+    onEvent: (h) => { handlers.add(h); return () => handlers.delete(h); },
+    emit: (data) => { for (const h of handlers) h({ type: 'event', event: 'recorder', data }, 'default'); },
+  };
+}
+
+test('start → step → stop: un recording che replay rilegge, con i locator', async () => {
+  const ws = fakeManager();
+  const logs = [];
+  const rec = attachHumanRecorder(ws, { dir, log: (...a) => logs.push(a.join(' ')) });
+  ws.emit({ action: 'start', name: 'checkout' });
+  ws.emit({ action: 'step', name: 'checkout', step: { command: 'navigate', params: { url: 'https://shop.test/' } } });
+  ws.emit({ action: 'step', name: 'checkout', step: { command: 'click', params: { selector: 'role=button[name="Buy"]' }, locators: { css: 'main > button' } } });
+  ws.emit({ action: 'step', name: 'checkout', step: { params: {} } }); // senza command: scartato
+  ws.emit({ action: 'step', name: '../etc', step: { command: 'click', params: {} } }); // nome non valido
+  ws.emit({ action: 'stop', name: 'checkout' });
+  await rec.flush();
+
+  const steps = parseReplayFile(await readFile(join(dir, 'checkout.jsonl'), 'utf8'));
+  assert.deepEqual(steps.map((s) => s.command), ['navigate', 'click']);
+  assert.deepEqual(steps[1].locators, { css: 'main > button' });
+  assert.ok(logs.some((l) => l.includes('checkout.jsonl')));
+
+  // Un nuovo start con lo stesso nome riparte da un file vuoto
+  ws.emit({ action: 'start', name: 'checkout' });
+  ws.emit({ action: 'step', name: 'checkout', step: { command: 'reload', params: {} } });
+  await rec.flush();
+  assert.equal((await readFile(join(dir, 'checkout.jsonl'), 'utf8')).trim().split('\n').length, 1);
+  rec.off();
+});
+
+test('WSManager: gli eventi dell\'estensione arrivano agli ascoltatori col nome del browser', async () => {
+  const m = new WSManager(0, { identTimeout: 200 });
+  await m.start();
+  const got = [];
+  m.onEvent(() => { throw new Error('un ascoltatore rotto non ferma gli altri'); });
+  const off = m.onEvent((msg, browser) => got.push([msg.event, msg.data.action, browser]));
+  const ws = new WebSocket(`ws://127.0.0.1:${m.wss.address().port}`, { headers: { origin: 'chrome-extension://abc' } });
+  await new Promise((r) => ws.on('open', r));
+  const hello = new Promise((r) => ws.on('message', r));
+  ws.send(JSON.stringify({ type: 'ext_init', name: 'qa', instance_id: 'i-1' }));
+  await hello;
+  ws.send(JSON.stringify({ type: 'event', event: 'recorder', data: { action: 'start', name: 'x' } }));
+  const deadline = Date.now() + 1000;
+  while (!got.length && Date.now() < deadline) await new Promise((r) => setTimeout(r, 10));
+  assert.deepEqual(got, [['recorder', 'start', 'qa']]);
+  off();
+  assert.equal(m.eventHandlers.size, 1);
+  ws.close();
+  await m.stop();
+});
@@ -27,3 +27,13 @@ test('prepareLaunch: copia estensione con launch.json e profilo con dev mode', a
     await rm(base, { recursive: true, force: true });
   }
 });
+
+test('prepareLaunch: il nome del browser arriva all\'estensione via launch.json', async () => {
+  const { base, extDir } = await prepareLaunch(40124, 'admin');
+  try {
+    const launch = JSON.parse(await readFile(join(extDir, 'launch.json'), 'utf8'));
+    assert.deepEqual(launch, { port: 40124, name: 'admin' });
+  } finally {
+    await rm(base, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,145 @@
+/**
+ * Locator semantici (role=, text=, label=, placeholder=, testid=, nth=, " >> ").
+ * installLocator gira nella pagina: qui la si installa su uno scope finto e la
+ * si interroga contro un DOM costruito con node-html-parser.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse } from 'node-html-parser';
+import { installLocator, isLocator } from '../../extension/lib/locator.js';
+
+const PAGE = `<body>
+<header><nav><a href="/">Home</a><a href="/login">Sign in</a><a>no href</a></nav></header>
+<main>
+  <h1>Shop</h1>
+  <h2 aria-level="3">Cart</h2>
+  <form id="login">
+    <label for="email">Email address</label><input id="email" type="email">
+    <label>Password <input type="password" placeholder="At least 8 chars"></label>
+    <input type="search" placeholder="Search products" aria-label="Search">
+    <input type="checkbox" checked aria-label="Remember me">
+    <input type="checkbox" aria-label="Newsletter" disabled>
+    <button type="submit">Sign in</button>
+    <input type="submit" value="Register">
+  </form>
+  <ul>
+    <li data-testid="item"><span>Apple</span> <button aria-label="Add apple">+</button></li>
+    <li data-testid="item"><span>Pear</span> <button aria-label="Add pear">+</button></li>
+    <li data-testid="item" aria-hidden="true"><span>Hidden</span> <button>+</button></li>
+  </ul>
+  <img src="/logo.png" alt="ACME logo"><img src="/spacer.gif" alt="">
+</main></body>`;
+
+/**
+ * Adattatore minimo DOM-like sopra node-html-parser. Gli oggetti sono
+ * memoizzati: i locator confrontano i nodi per identità (contains, dedup).
+ */
+function fakeDocument(html) {
+  const root = parse(html);
+  const cache = new Map();
+  const doc = {};
+  const adapt = (node) => {
+    if (!node) return null;
+    if (cache.has(node)) return cache.get(node);
+    const el = node.nodeType === 3
+      ? { nodeType: 3, textContent: node.rawText }
+      : {
+        nodeType: 1,
+        tagName: (node.rawTagName || '').toUpperCase(),
+        ownerDocument: doc,
+        getAttribute: (n) => node.getAttribute(n) ?? null,
+        querySelector: (sel) => adapt(node.querySelector(sel)),
+        querySelectorAll: (sel) => node.querySelectorAll(sel).map(adapt),
+        contains: (o) => o === el || [...node.querySelectorAll('*')].some((d) => adapt(d) === o),
+        get children() { return node.childNodes.filter((c) => c.nodeType === 1).map(adapt); },
+        get childNodes() { return node.childNodes.map(adapt); },
+        get parentElement() { return node.parentNode && node.parentNode !== root ? adapt(node.parentNode) : null; },
+        get textContent() { return node.textContent; },
+      };
+    cache.set(node, el);
+    return el;
+  };
+  Object.assign(doc, adapt(root), {
+    getElementById: (id) => adapt(root.querySelector(`#${id}`)),
+  });
+  return doc;
+}
+
+const doc = fakeDocument(PAGE);
+const loc = installLocator({});
+const q = (sel, root = doc) => loc.queryAll(sel, root);
+const names = (els) => els.map((el) => loc.name(el));
+
+test('isLocator: riconosce i locator, lascia stare il CSS', () => {
+  for (const sel of ['role=button', 'text="Sign in"', '#cart >> nth=0', 'label=Email', 'testid=x']) {
+    assert.equal(isLocator(sel), true, sel);
+  }
+  for (const sel of ['button.save', 'my-app >>> button', 'a[href^="role="]', 'ul > li', undefined, 42]) {
+    assert.equal(isLocator(sel), false, String(sel));
+  }
+  // " >> " tra virgolette non spezza la catena
+  assert.deepEqual(loc.parse('text="a >> b" >> nth=1').map((p) => p.engine), ['text', 'nth']);
+  assert.throws(() => loc.parse('nth=first'), /nth= needs an integer/);
+  assert.throws(() => loc.parse('role=button[name="x"] junk'), /Invalid role locator/);
+});
+
+test('role=: ruoli impliciti, nome accessibile, livello e stati', () => {
+  assert.deepEqual(names(q('role=link')), ['Home', 'Sign in']);
+  assert.deepEqual(names(q('role=button[name="Sign in"]')), ['Sign in']);
+  // Senza virgolette: sottostringa senza maiuscole; /…/ regex
+  assert.deepEqual(names(q('role=button[name=add]')), ['Add apple', 'Add pear']);
+  assert.deepEqual(names(q('role=button[name=/^Reg/]')), ['Register']);
+  assert.deepEqual(names(q('role=heading[level=3]')), ['Cart']);
+  assert.deepEqual(names(q('role=textbox')), ['Email address', 'Password']);
+  assert.deepEqual(names(q('role=searchbox')), ['Search']);
+  assert.deepEqual(names(q('role=checkbox[checked]')), ['Remember me']);
+  assert.deepEqual(names(q('role=checkbox[checked=false][disabled]')), ['Newsletter']);
+  assert.deepEqual(names(q('role=img')), ['ACME logo']);
+  // aria-hidden esclude l'intero sottoalbero
+  assert.equal(q('role=listitem').length, 2);
+});
+
+test('text=, label=, placeholder=, testid=', () => {
+  // Il più interno che contiene il testo: il link, non la nav
+  assert.deepEqual(q('text=sign in').map((el) => el.tagName), ['A', 'BUTTON']);
+  assert.deepEqual(q('text="Pear"').map((el) => el.tagName), ['SPAN']);
+  assert.equal(q('text="Pea"').length, 0);
+
+  assert.equal(q('label=email')[0].getAttribute('id'), 'email');
+  assert.equal(q('label=Password')[0].getAttribute('type'), 'password');
+  assert.equal(q('label="Search"')[0].getAttribute('type'), 'search');
+  assert.equal(q('placeholder=search')[0].getAttribute('aria-label'), 'Search');
+  assert.equal(q('testid=item').length, 3);
+});
+
+test('catene con " >> " e nth=', () => {
+  assert.deepEqual(names(q('testid=item >> role=button')), ['Add apple', 'Add pear']);
+  assert.deepEqual(names(q('ul >> role=button >> nth=1')), ['Add pear']);
+  assert.deepEqual(names(q('css=form >> role=button >> nth=-1')), ['Register']);
+  assert.deepEqual(q('role=link >> nth=5'), []);
+  assert.equal(loc.query('role=link[name="Sign in"]', doc).getAttribute('href'), '/login');
+  assert.equal(loc.query('role=dialog', doc), null);
+});
+
+test('bundle: una strategia per ogni modo di ritrovare l\'elemento, ambigue fissate con nth', () => {
+  const [apple, pear] = q('testid=item >> role=button');
+  const b = loc.bundle(pear, 'ul > li:nth-of-type(2) > button');
+  assert.deepEqual(b, {
+    css: 'ul > li:nth-of-type(2) > button',
+    role: 'role=button[name="Add pear"]',
+    text: 'text="+" >> nth=1',
+    position: 'body >> css=button >> nth=2',
+  });
+  // testid condiviso da tre elementi: nth lo rende univoco
+  const li = q('testid=item')[0];
+  assert.equal(loc.bundle(li, 'li').testid, 'testid="item" >> nth=0');
+  // Ogni strategia del bundle ritrova proprio quell'elemento
+  for (const sel of Object.values(loc.bundle(apple, 'x')).slice(1)) assert.equal(loc.query(sel, doc), apple, sel);
+  // Le virgolette nel nome restano citabili
+  const quotedDoc = fakeDocument('<body><div id="bar"><button>Say "hi"</button></div></body>');
+  const btn = loc.queryAll('css=button', quotedDoc)[0];
+  const b2 = loc.bundle(btn, 'button');
+  assert.equal(b2.text, 'text="Say \\"hi\\""');
+  assert.equal(b2.position, '#bar >> css=button >> nth=0');
+  assert.equal(loc.query(b2.text, quotedDoc), btn);
+});
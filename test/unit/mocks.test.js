@@ -0,0 +1,185 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { get } from 'node:http';
+import { parseMocks, matchRoute, nextResponse, requestContext, renderBody, dnrRegexFilter, routesFromHar } from '../../server/mocks.js';
+import { installMocks, installHar, mockStats, stopStubServer } from '../../server/stub-server.js';
+
+after(() => stopStubServer());
+
+const YAML_FILE = `
+routes:
+  - name: flaky-orders
+    method: POST
+    url: "https://api.test/orders/*"
+    headers: { X-Mock: "1" }
+    responses:
+      - status: 500
+        body: { error: boom }
+      - status: 201
+        body: { id: "{{request.json.id}}", via: "{{request.method}}" }
+  - url: "**/search"
+    query: { q: "*", page: "2" }
+    body: "page two"
+`;
+
+test('parseMocks: YAML e JSON, default e validazione', () => {
+  const routes = parseMocks(YAML_FILE, 'mocks.yaml');
+  assert.equal(routes.length, 2);
+  assert.deepEqual(routes[0].methods, ['POST']);
+  assert.equal(routes[0].responses[1].content_type, 'application/json');
+  assert.deepEqual(routes[0].responses[0].headers, { 'X-Mock': '1' });
+  assert.equal(routes[1].name, 'route-2');
+  assert.equal(routes[1].responses[0].content_type, 'text/plain');
+
+  const json = parseMocks('[{"url":"https://x.test/a","status":204}]', 'm.json');
+  assert.equal(json[0].responses[0].status, 204);
+
+  assert.throws(() => parseMocks('{"routes":[{"method":"GET"}]}'), /"url" glob is required/);
+  assert.throws(() => parseMocks('{"routes":[]}'), /non-empty "routes"/);
+  assert.throws(() => parseMocks('routes: [', 'x.yml'), /Invalid YAML/);
+});
+
+test('matchRoute: metodo, glob e query', () => {
+  const routes = parseMocks(YAML_FILE, 'mocks.yaml');
+  assert.equal(matchRoute(routes, { method: 'post', url: 'https://api.test/orders/42' })?.name, 'flaky-orders');
+  assert.equal(matchRoute(routes, { method: 'GET', url: 'https://api.test/orders/42' }), null);
+  // * non attraversa gli slash
+  assert.equal(matchRoute(routes, { method: 'POST', url: 'https://api.test/orders/42/items' }), null);
+  assert.equal(matchRoute(routes, { method: 'GET', url: 'http://shop.test/v1/search?q=tv&page=2' })?.name, 'route-2');
+  assert.equal(matchRoute(routes, { method: 'GET', url: 'http://shop.test/v1/search?q=tv&page=3' }), null);
+  assert.equal(matchRoute(routes, { method: 'GET', url: 'http://shop.test/v1/search?page=2' }), null);
+});
+
+test('sequenze: avanza e ripete l\'ultima, oppure cicla', () => {
+  const [route] = parseMocks(YAML_FILE, 'mocks.yaml');
+  assert.deepEqual([1, 2, 3].map(() => nextResponse(route).status), [500, 201, 201]);
+  const [cyc] = parseMocks('[{"url":"https://x.test/","cycle":true,"responses":[{"status":500},{"status":200}]}]');
+  assert.deepEqual([1, 2, 3].map(() => nextResponse(cyc).status), [500, 200, 500]);
+});
+
+test('body templati riecheggiano la richiesta', () => {
+  const ctx = requestContext({
+    method: 'POST', url: 'https://api.test/orders/7?src=app',
+    headers: { 'X-User': 'jane' }, body: '{"id":7,"items":[1,2]}',
+  });
+  assert.equal(
+    renderBody({ id: '{{request.json.id}}', src: '{{request.query.src}}', user: '{{request.headers.x-user}}' }, ctx),
+    '{"id":"7","src":"app","user":"jane"}',
+  );
+  assert.equal(renderBody('{{request.path}} {{request.json.items}} {{request.nope}}', ctx), '/orders/7 [1,2] {{request.nope}}');
+});
+
+test('dnrRegexFilter: ancorato, query libera', () => {
+  const re = new RegExp(dnrRegexFilter('https://api.test/orders/*'));
+  assert.ok(re.test('https://api.test/orders/42?x=1'));
+  assert.ok(!re.test('https://api.test/orders/42/items'));
+});
+
+test('installMocks: una regola redirect per route, lo stub server risponde', async () => {
+  const sent = [];
+  let nextId = 1;
+  const send = async (type, params) => {
+    sent.push({ type, params });
+    return params.action === 'redirect' ? { added: { id: nextId++ } } : { cleared: params.rule_ids?.length ?? 0 };
+  };
+  const routes = parseMocks(YAML_FILE, 'mocks.yaml');
+  const out = await installMocks(send, routes, 'mocks.yaml');
+  assert.equal(out.routes.length, 2);
+  const first = sent[0].params;
+  assert.equal(first.action, 'redirect');
+  assert.deepEqual(first.request_methods, ['post']);
+  assert.match(first.regex_substitution, /\/__mock__\/\\0$/);
+
+  const base = out.mock_base.replace(/\/\/[^:]+:/, '//127.0.0.1:');
+  const hit = () => fetch(`${base}https://api.test/orders/9`, { method: 'POST', body: '{"id":9}' });
+  assert.equal((await hit()).status, 500);
+  const ok = await hit();
+  assert.equal(ok.status, 201);
+  assert.equal(ok.headers.get('x-mock'), '1');
+  assert.deepEqual(await ok.json(), { id: '9', via: 'POST' });
+
+  const miss = await fetch(`${base}https://api.test/unknown`);
+  assert.equal(miss.status, 404);
+  const stats = mockStats();
+  assert.equal(stats.hits, 2);
+  assert.deepEqual(stats.routes.map((r) => r.calls), [2, 0]);
+  assert.equal(stats.misses[0].url, 'https://api.test/unknown');
+
+  // Ricaricare rimuove le regole precedenti prima di aggiungere le nuove
+  await installMocks(send, parseMocks(YAML_FILE, 'mocks.yaml'), 'mocks.yaml');
+  const clear = sent.find((s) => s.params.action === 'clear');
+  assert.deepEqual(clear.params.rule_ids, [1, 2]);
+});
+
+const HAR = {
+  log: {
+    version: '1.2',
+    entries: [
+      { request: { method: 'GET', url: 'https://app.test/' }, response: { status: 200, headers: [{ name: 'Content-Type', value: 'text/html; charset=utf-8' }, { name: 'Content-Encoding', value: 'gzip' }, { name: ':status', value: '200' }], content: { mimeType: 'text/html', text: '<p>{{request.method}}</p>' } } },
+      { request: { method: 'GET', url: 'https://api.test/items?page=1' }, response: { status: 503, headers: [], content: { mimeType: 'application/json', text: '{"retry":true}' } } },
+      { request: { method: 'GET', url: 'https://api.test/items?page=1' }, response: { status: 200, headers: [{ name: 'Set-Cookie', value: 'a=1' }, { name: 'Set-Cookie', value: 'b=2' }], content: { mimeType: 'application/json', text: '{"items":[1]}' } } },
+      { request: { method: 'POST', url: 'https://api.test/login', postData: { mimeType: 'application/json', text: '{"u":"jane"}' } }, response: { status: 204, headers: [], content: { mimeType: '', text: '' } } },
+      { request: { method: 'GET', url: 'https://cdn.test/logo.png' }, response: { status: 200, headers: [], content: { mimeType: 'image/png', text: 'iVBORw0KGgo=', encoding: 'base64' } } },
+      { request: { method: 'GET', url: 'https://api.test/failed' }, response: { status: 0, headers: [], content: {} } },
+    ],
+  },
+};
+
+test('routesFromHar: richieste ripetute diventano sequenze, header ripuliti', () => {
+  const { routes, origins } = routesFromHar(HAR);
+  assert.deepEqual(origins, ['https://app.test', 'https://api.test', 'https://cdn.test']);
+  assert.equal(routes.length, 4); // status 0 escluso
+  const items = matchRoute(routes, { method: 'GET', url: 'https://api.test/items?page=1' });
+  assert.deepEqual(items.responses.map((r) => r.status), [503, 200]);
+  assert.deepEqual(items.responses[1].headers['set-cookie'], ['a=1', 'b=2']);
+  const doc = routes[0].responses[0];
+  assert.equal(doc.headers['content-encoding'], undefined);
+  assert.equal(doc.headers[':status'], undefined);
+  // Query diversa = nessun match: il replay è esatto
+  assert.equal(matchRoute(routes, { method: 'GET', url: 'https://api.test/items?page=2' }), null);
+  assert.ok(Buffer.isBuffer(routes[3].responses[0].body));
+  assert.throws(() => routesFromHar({}), /missing log.entries/);
+});
+
+test('routesFromHar matchBody: il body deve coincidere', () => {
+  const { routes } = routesFromHar(HAR, { matchBody: true });
+  assert.ok(matchRoute(routes, { method: 'POST', url: 'https://api.test/login', body: '{"u":"jane"}' }));
+  assert.equal(matchRoute(routes, { method: 'POST', url: 'https://api.test/login', body: '{"u":"joe"}' }), null);
+  const loose = routesFromHar(HAR).routes;
+  assert.ok(matchRoute(loose, { method: 'POST', url: 'https://api.test/login', body: '{"u":"joe"}' }));
+});
+
+test('installHar: un redirect per origine, body registrati intatti, miss riportati', async () => {
+  const sent = [];
+  let nextId = 100;
+  const send = async (_type, params) => {
+    sent.push(params);
+    return params.action === 'redirect' ? { added: { id: nextId++ } } : {};
+  };
+  const out = await installHar(send, HAR, 'session.har');
+  assert.equal(out.redirects.length, 3);
+  assert.equal(out.routes, 4);
+  assert.ok(sent[sent.length - 1].resource_types.includes('main_frame'));
+
+  const base = out.mock_base.replace(/\/\/[^:]+:/, '//127.0.0.1:');
+  const page = await fetch(`${base}https://app.test/`);
+  // Nessun templating sulle risposte registrate
+  assert.equal(await page.text(), '<p>{{request.method}}</p>');
+  // Un solo Content-Type, quello registrato, anche se il default ha un'altra grafia
+  const raw = await new Promise((resolve, reject) => {
+    get(`${base}https://app.test/`, (res) => { res.resume(); resolve(res.rawHeaders); }).on('error', reject);
+  });
+  const types = [];
+  for (let i = 0; i < raw.length; i += 2) if (raw[i].toLowerCase() === 'content-type') types.push(raw[i + 1]);
+  assert.deepEqual(types, ['text/html; charset=utf-8']);
+  const logo = await fetch(`${base}https://cdn.test/logo.png`);
+  assert.deepEqual([...new Uint8Array(await logo.arrayBuffer())].slice(0, 4), [0x89, 0x50, 0x4e, 0x47]);
+  // URL relativo alla radice da un documento in replay: origine dal Referer
+  const rel = await fetch(base.replace(/__mock__\/$/, 'items?page=1'), { headers: { Referer: `${base}https://api.test/` } });
+  assert.equal(rel.status, 503);
+  assert.equal((await fetch(`${base}https://api.test/other`)).status, 404);
+  const stats = mockStats();
+  assert.equal(stats.miss_count, 1);
+  assert.equal(stats.routes, 4);
+  assert.equal(stats.misses[0].url, 'https://api.test/other');
+});
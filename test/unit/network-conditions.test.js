@@ -0,0 +1,92 @@
+/**
+ * network_conditions: profili di rete, regole per URL con ritardi e guasti a
+ * percentuale, e il glob tradotto dal server come per i mock.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { compileRules, decide, fetchPatterns, networkConditions, ruleStats } from '../../extension/lib/network-conditions.js';
+import { registerTools } from '../../server/tools.js';
+
+test('preset e profilo custom in byte/s; -1 è banda libera', () => {
+  assert.deepEqual(networkConditions({ preset: 'offline' }).offline, true);
+  assert.equal(networkConditions({ preset: 'slow-3g' }).latency, 2000);
+  assert.deepEqual(networkConditions(), { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 });
+  assert.deepEqual(networkConditions({ preset: 'custom', latency_ms: 300, download_kbps: 1600 }), {
+    offline: false, latency: 300, downloadThroughput: 200000, uploadThroughput: -1,
+  });
+  assert.throws(() => networkConditions({ preset: 'custom' }), /preset=custom needs latency_ms/);
+  assert.throws(() => networkConditions({ preset: '2g' }), /Unknown preset "2g"/);
+});
+
+test('la prima regola decide: ritardo, guasto a percentuale, timeout che resta appeso', () => {
+  const rules = compileRules([
+    { url: 'https://shop.test/api/cart', url_re: '^https://shop\\.test/api/cart(?:[?].*)?$', fail: 'reset', fail_percent: 50, latency_ms: 100 },
+    { url: 'https://shop.test/api/**', url_re: '^https://shop\\.test/api/.*(?:[?].*)?$', latency_ms: 800 },
+    { url: 'https://cdn.test/**', url_re: '^https://cdn\\.test/.*(?:[?].*)?$', fail: 'timeout' },
+  ]);
+  // random sotto la soglia fallisce, sopra passa con la latenza della regola
+  assert.deepEqual(decide(rules, 'https://shop.test/api/cart?x=1', () => 0.2), { delay: 100, reason: 'ConnectionReset' });
+  assert.deepEqual(decide(rules, 'https://shop.test/api/cart', () => 0.7), { delay: 100, reason: null });
+  assert.deepEqual(decide(rules, 'https://shop.test/api/orders/7', () => 0), { delay: 800, reason: null });
+  assert.deepEqual(decide(rules, 'https://cdn.test/app.js'), { delay: 30000, reason: 'TimedOut' });
+  assert.equal(decide(rules, 'https://shop.test/'), null);
+
+  assert.deepEqual(ruleStats(rules).map(({ url: _u, ...s }) => s), [
+    { latency_ms: 100, fail: 'reset', fail_percent: 50, matched: 2, delayed: 1, failed: 1 },
+    { latency_ms: 800, matched: 1, delayed: 1, failed: 0 },
+    { fail: 'timeout', fail_percent: 100, matched: 1, delayed: 0, failed: 1 },
+  ]);
+  assert.throws(() => compileRules([{ url: '*', url_re: '.*', fail: 'slow' }]), /Unknown fail "slow"/);
+});
+
+test('Fetch ferma solo le richieste delle regole, non tutta la pagina', () => {
+  const rules = compileRules([
+    { url: 'https://shop.test/api/cart', url_re: '^https://shop\\.test/api/cart(?:[?].*)?$', latency_ms: 100 },
+    { url: 'https://shop.test/api/**', url_re: '^https://shop\\.test/api/.*(?:[?].*)?$', latency_ms: 800 },
+    { url: 'https://cdn.test/a?b/*', url_re: '^https://cdn\\.test/a\\?b/[^/]*(?:[?].*)?$', fail: 'dns' },
+    { url: 'https://shop.test/api/**', url_re: '^https://shop\\.test/api/.*(?:[?].*)?$', fail: 'reset' },
+  ]);
+  assert.deepEqual(fetchPatterns(rules).map((p) => p.urlPattern), [
+    'https://shop.test/api/cart*', // la query resta aperta
+    'https://shop.test/api/*',
+    'https://cdn.test/a\\?b/*', // ? letterale, non un carattere qualsiasi
+  ]);
+  assert.ok(fetchPatterns(rules).every((p) => p.requestStage === 'Request'));
+});
+
+test('il tool traduce il glob delle regole e scarta quelle che non fanno niente', async () => {
+  const sent = [];
+  const ws = {
+    isConnected: () => true,
+    mode: 'primary',
+    port: 8765,
+    sendCommand: async (type, params) => {
+      sent.push({ type, params });
+      return { tab_id: 4, preset: params.preset, backend: 'cdp' };
+    },
+  };
+  const server = new McpServer({ name: 'chrome-bridge', version: 'test' });
+  registerTools(server, ws, 'all');
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  const [a, b] = InMemoryTransport.createLinkedPair();
+  await Promise.all([server.connect(a), client.connect(b)]);
+
+  await client.callTool({
+    name: 'network_conditions',
+    arguments: { preset: 'fast-3g', rules: [{ url: 'https://shop.test/api/*/items', fail: 'timeout', latency_ms: 5000 }], tab_id: 4 },
+  });
+  const { params } = sent.at(-1);
+  assert.equal(params.preset, 'fast-3g');
+  const re = new RegExp(params.rules[0].url_re, 'i');
+  assert.equal(re.test('https://shop.test/api/cart/items?page=2'), true);
+  assert.equal(re.test('https://shop.test/api/cart/7/items'), false, '* resta dentro un segmento');
+
+  const useless = await client.callTool({ name: 'network_conditions', arguments: { rules: [{ url: '**/logo.png' }] } });
+  assert.equal(useless.isError, true);
+  assert.match(useless.content[0].text, /rules\[0\] \(\*\*\/logo\.png\): set latency_ms, fail, or both/);
+  assert.equal(sent.length, 1);
+  await client.close();
+});
@@ -0,0 +1,159 @@
+/**
+ * Eventi spontanei del browser: notifiche di logging MCP e riepilogo
+ * "since last call" in coda al risultato del tool successivo.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { LoggingMessageNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { attachPageEvents, describePageEvent } from '../../server/page-events.js';
+import { registerTools } from '../../server/tools.js';
+
+/** Estensione finta: get_tabs può far "navigare" una scheda durante la chiamata. */
+function fakeManager() {
+  const handlers = new Set();
+  const emit = (event, data) => { for (const h of handlers) h({ type: 'event', event, data }, 'default'); };
+  let duringCall = null;
+  return {
+    isConnected: () => true,
+    mode: 'primary',
+    port: 8765,
+    sendCommand: async (type) => {
+      duringCall?.();
+      return type === 'get_tabs' ? [{ id: 1, url: 'https://a.test/', title: 'A', active: true }] : {};
+    },
+    onEvent: (h) => { handlers.add(h); return () => handlers.delete(h); },
+    emit,
+    handlers,
+    set duringCall(fn) { duringCall = fn; },
+  };
+}
+
+async function connect(ws, opts) {
+  const server = new McpServer({ name: 'chrome-bridge', version: 'test' }, { capabilities: { logging: {} } });
+  const pageEvents = attachPageEvents(server, ws, opts);
+  registerTools(server, ws, 'core', { pageEvents });
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  const [a, b] = InMemoryTransport.createLinkedPair();
+  await Promise.all([server.connect(a), client.connect(b)]);
+  return client;
+}
+
+const texts = (res) => res.content.filter((c) => c.type === 'text').map((c) => c.text);
+const tick = () => new Promise((r) => setTimeout(r, 10));
+
+test('describePageEvent: riga compatta e livello per tipo, niente per le richieste senza scheda', () => {
+  assert.deepEqual(describePageEvent({ event: 'console', data: { tab_id: 3, text: 'Uncaught TypeError: x is undefined' } }),
+    { level: 'error', tabId: 3, line: 'console.error\ttab 3\tUncaught TypeError: x is undefined' });
+  assert.equal(describePageEvent({ event: 'network', data: { tab_id: 3, method: 'POST', url: 'https://a.test/api', status: 404 } }).level, 'warning');
+  assert.deepEqual(describePageEvent({ event: 'network', data: { tab_id: 3, method: 'GET', url: 'https://b.test/', status: 0, error: 'net::ERR_NAME_NOT_RESOLVED' } }),
+    { level: 'error', tabId: 3, line: 'net::ERR_NAME_NOT_RESOLVED\ttab 3\tGET https://b.test/' });
+  assert.equal(describePageEvent({ event: 'tab', data: { tab_id: 3, state: 'crashed', url: 'https://a.test/' } }).level, 'critical');
+  assert.equal(describePageEvent({ event: 'network', data: { tab_id: -1, status: 500 } }), null);
+  assert.equal(describePageEvent({ event: 'recorder', data: { name: 'x' } }), null);
+});
+
+test('gli eventi arrivano come notifications/message e in coda al risultato successivo, una volta sola', async () => {
+  const ws = fakeManager();
+  const client = await connect(ws, { scope: 'all' });
+  const logged = [];
+  client.setNotificationHandler(LoggingMessageNotificationSchema, (n) => { logged.push(n.params); });
+
+  ws.emit('console', { tab_id: 1, level: 'error', text: 'boom' });
+  ws.emit('console', { tab_id: 1, level: 'error', text: 'boom' });
+  ws.emit('network', { tab_id: 1, method: 'GET', url: 'https://a.test/api', status: 503, dropped_before: 4 });
+  ws.emit('navigation', { tab_id: 2, url: 'https://b.test/1' });
+  ws.emit('navigation', { tab_id: 2, url: 'https://b.test/2' });
+  ws.emit('network', { tab_id: -1, status: 500 }); // richiesta del service worker: ignorata
+  await tick();
+  assert.equal(logged.length, 5);
+  assert.deepEqual(logged[2].data, {
+    message: 'http 503 tab 1 GET https://a.test/api', event: 'network', tab_id: 1,
+    method: 'GET', url: 'https://a.test/api', status: 503, dropped_before: 4, browser: 'default',
+  });
+  assert.equal(logged[2].level, 'error');
+  assert.equal(logged[2].logger, 'chrome-bridge');
+
+  const res = await client.callTool({ name: 'get_tabs', arguments: {} });
+  const digest = texts(res).at(-1);
+  assert.equal(digest, [
+    'since_last_call events=3 dropped=4',
+    'console.error\ttab 1\tboom\t×2',
+    'http 503\ttab 1\tGET https://a.test/api',
+    'navigated\ttab 2\thttps://b.test/2',
+  ].join('\n'));
+  // Già consegnati: la chiamata dopo non li ripete
+  const again = await client.callTool({ name: 'get_tabs', arguments: {} });
+  assert.ok(!texts(again).some((t) => t.startsWith('since_last_call')));
+  await client.close();
+});
+
+test('le navigazioni durante la chiamata sono dell\'agente: fuori dal riepilogo, gli errori no', async () => {
+  const ws = fakeManager();
+  const client = await connect(ws, { scope: 'all' });
+  ws.duringCall = () => {
+    ws.emit('navigation', { tab_id: 1, url: 'https://a.test/next' });
+    ws.emit('console', { tab_id: 1, level: 'error', text: 'after click' });
+  };
+  const res = await client.callTool({ name: 'get_tabs', arguments: {} });
+  assert.equal(texts(res).at(-1), 'since_last_call events=1\nconsole.error\ttab 1\tafter click');
+  await client.close();
+  // Chiusa la sessione, l'ascoltatore degli eventi se ne va con lei
+  assert.equal(ws.handlers.size, 0);
+});
+
+test('logging/setLevel filtra le notifiche; digest:false lascia intatti i risultati', async () => {
+  const ws = fakeManager();
+  const client = await connect(ws, { digest: false });
+  const logged = [];
+  client.setNotificationHandler(LoggingMessageNotificationSchema, (n) => { logged.push(n.params.level); });
+  await client.setLoggingLevel('critical');
+  ws.emit('console', { tab_id: 1, level: 'error', text: 'boom' });
+  ws.emit('tab', { tab_id: 1, state: 'crashed', url: 'https://a.test/' });
+  await tick();
+  assert.deepEqual(logged, ['critical']);
+  const res = await client.callTool({ name: 'get_tabs', arguments: {} });
+  assert.ok(!texts(res).some((t) => t.startsWith('since_last_call')));
+  await client.close();
+});
+
+test('riepilogo oltre maxLines: le prime righe e quante erano', () => {
+  const ws = fakeManager();
+  const events = attachPageEvents({ isConnected: () => false, server: {} }, ws, { maxLines: 2, scope: 'all' });
+  for (let i = 0; i < 5; i++) ws.emit('console', { tab_id: 1, text: `err ${i}` });
+  assert.equal(events.digest(), 'since_last_call events=5 shown=2\nconsole.error\ttab 1\terr 0\nconsole.error\ttab 1\terr 1');
+  assert.equal(events.digest(), null);
+  events.off();
+});
+
+test('il riepilogo riguarda le schede della sessione; quelle di un altro relay restano fuori anche dalle notifiche', async () => {
+  const ws = fakeManager();
+  const client = await connect(ws);
+  const logged = [];
+  client.setNotificationHandler(LoggingMessageNotificationSchema, (n) => { logged.push(n.params.data.tab_id); });
+  // Prima che la sessione tocchi una scheda: notifiche sì, riepilogo no
+  ws.emit('console', { tab_id: 1, text: 'not yet mine' });
+  ws.emit('console', { tab_id: 5, session: 'agent-b', text: 'other agent' });
+  await tick();
+  assert.deepEqual(logged, [1]);
+  const before = await client.callTool({ name: 'get_tabs', arguments: {} });
+  assert.ok(!texts(before).some((t) => t.startsWith('since_last_call')));
+
+  // La sessione agisce sulla scheda 1: da lì i suoi errori tornano
+  await client.callTool({ name: 'tab_action', arguments: { action: 'reload', tab_id: 1 } });
+  ws.emit('console', { tab_id: 1, text: 'mine now' });
+  ws.emit('console', { tab_id: 3, text: 'user tab' });
+  const res = await client.callTool({ name: 'get_tabs', arguments: {} });
+  assert.equal(texts(res).at(-1), 'since_last_call events=1\nconsole.error\ttab 1\tmine now');
+  await client.close();
+
+  // In relay le schede assegnate dall'estensione sono già della sessione
+  const relay = fakeManager();
+  relay.ownSession = 'agent-b';
+  const events = attachPageEvents({ isConnected: () => false, server: {} }, relay);
+  relay.emit('console', { tab_id: 5, session: 'agent-b', text: 'boom' });
+  assert.equal(events.digest(), 'since_last_call events=1\nconsole.error\ttab 5\tboom');
+  events.off();
+});
@@ -0,0 +1,211 @@
+/**
+ * Policy di sicurezza: origini permesse e negate, tool vietati per origine,
+ * sola lettura e max_tabs, applicati a ogni comando che va all'estensione.
+ */
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { loadPolicy, parsePolicy } from '../../server/policy.js';
+import { registerTools } from '../../server/tools.js';
+import { stopStubServer } from '../../server/stub-server.js';
+
+const dir = await mkdtemp(join(tmpdir(), 'cb-policy-'));
+after(() => rm(dir, { recursive: true, force: true }));
+after(() => stopStubServer());
+
+const STAGING = {
+  allow_origins: ['https://*.staging.test', 'http://localhost'],
+  deny_origins: ['*.bank.test'],
+  forbidden_tools: { 'https://admin.staging.test': ['execute_js', 'get_storage'], '*': ['http_auth'] },
+};
+
+/** Chrome finto: la scheda di staging è quella corrente, la banca è aperta accanto. */
+function fakeManager() {
+  const sent = [];
+  const tabs = [
+    { id: 1, url: 'https://app.staging.test/', title: 'App', active: true, current: true },
+    { id: 2, url: 'https://www.bank.test/home', title: 'Bank', active: true },
+    { id: 3, url: 'https://admin.staging.test/', title: 'Admin', active: false },
+  ];
+  let next = 10;
+  return {
+    sent,
+    tabs,
+    isConnected: () => true,
+    mode: 'primary',
+    port: 8765,
+    sendCommand: async (type, params) => {
+      sent.push({ type, params });
+      if (type === 'get_tabs') return tabs.map((t) => ({ ...t }));
+      if (type === 'create_tab') {
+        const tab = { id: next++, url: params.url ?? 'chrome://newtab/', title: '', active: true };
+        tabs.push(tab);
+        return { id: tab.id, url: tab.url, title: '' };
+      }
+      return { ok: true };
+    },
+  };
+}
+
+async function connect(ws, raw) {
+  const server = new McpServer({ name: 'chrome-bridge', version: 'test' });
+  registerTools(server, ws, 'all', { policy: parsePolicy(raw) });
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  const [a, b] = InMemoryTransport.createLinkedPair();
+  await Promise.all([server.connect(a), client.connect(b)]);
+  return client;
+}
+
+const call = async (client, name, args = {}) => {
+  const res = await client.callTool({ name, arguments: args });
+  return { error: res.isError === true, text: res.content.map((c) => c.text ?? '').join('\n') };
+};
+
+test('origini: deny vince, allow_origins chiude il resto, schede vuote sempre permesse', () => {
+  const p = parsePolicy(STAGING);
+  assert.equal(p.allows('https://app.staging.test/x'), true);
+  assert.equal(p.allows('https://staging.test/'), true); // *.dominio comprende il dominio
+  assert.equal(p.allows('http://localhost:5173/'), true); // senza porta: ogni porta
+  assert.equal(p.allows('https://localhost/'), false); // schema esplicito
+  assert.equal(p.allows('https://bank.test/'), false);
+  assert.equal(p.allows('https://evil.test/'), false);
+  assert.equal(p.allows('about:blank'), true);
+  assert.throws(() => p.checkUrl('https://www.bank.test/login'), /Blocked by policy: https:\/\/www\.bank\.test matches deny_origins "\*\.bank\.test"/);
+  assert.throws(() => p.checkUrl('/login', 'https://evil.test/'), /https:\/\/evil\.test is not in allow_origins/);
+  assert.throws(() => p.checkTools(['execute_js'], 'https://admin.staging.test/users'), /execute_js is forbidden on https:\/\/admin\.staging\.test/);
+  assert.doesNotThrow(() => p.checkTools(['execute_js'], 'https://app.staging.test/'));
+  assert.throws(() => p.checkTools(['http_auth'], null), /forbidden on every origin/);
+
+  const ports = parsePolicy({ allow_origins: ['http://127.0.0.1:3000', 'file://'] });
+  assert.equal(ports.allows('http://127.0.0.1:3000/'), true);
+  assert.equal(ports.allows('http://127.0.0.1:8080/'), false);
+  assert.equal(ports.allows('file:///tmp/report.html'), true);
+});
+
+test('file non valido: errore chiaro, niente policy aperta per sbaglio', async () => {
+  assert.throws(() => parsePolicy({ allow: ['x.test'] }), /unknown key "allow"/);
+  assert.throws(() => parsePolicy({ deny_origins: ['https://bank.test/login'] }), /deny_origins: origin "https:\/\/bank\.test\/login" is not/);
+  assert.throws(() => parsePolicy({ max_tabs: -1 }), /max_tabs must be a non-negative integer/);
+  assert.throws(
+    () => parsePolicy({ forbidden_tools: { '*': ['excute_js'] } }, { toolNames: new Set(['execute_js']) }),
+    /unknown tool excute_js/,
+  );
+  assert.equal(await loadPolicy(join(dir, 'missing.json')), null);
+  await writeFile(join(dir, 'broken.json'), '{ "read_only": true, }');
+  await assert.rejects(() => loadPolicy(join(dir, 'broken.json')), /Invalid policy .*broken\.json/);
+  await writeFile(join(dir, 'policy.json'), JSON.stringify(STAGING));
+  assert.equal((await loadPolicy(join(dir, 'policy.json'))).allows('https://bank.test/'), false);
+});
+
+test('i tool non toccano le schede negate; quelle permesse ricevono tab_id fissato', async () => {
+  const ws = fakeManager();
+  const client = await connect(ws, STAGING);
+
+  const bank = await call(client, 'click', { selector: '#pay', tab_id: 2 });
+  assert.equal(bank.error, true);
+  assert.match(bank.text, /Blocked by policy: https:\/\/www\.bank\.test matches deny_origins/);
+  assert.ok(!ws.sent.some((s) => s.type === 'click'), 'il comando non parte');
+
+  // Senza tab_id: la scheda corrente, controllata e fissata
+  assert.equal((await call(client, 'click', { selector: '#save' })).error, false);
+  assert.equal(ws.sent.find((s) => s.type === 'click').params.tab_id, 1);
+
+  const away = await call(client, 'navigate', { url: 'https://www.bank.test/transfer', tab_id: 1 });
+  assert.match(away.text, /matches deny_origins/);
+  assert.match((await call(client, 'execute_js', { code: '1', tab_id: 3 })).text, /execute_js is forbidden on https:\/\/admin\.staging\.test/);
+  assert.match((await call(client, 'http_request', { url: 'https://api.bank.test/v1' })).text, /matches deny_origins/);
+
+  // get_tabs: la banca non c'è, solo il conteggio
+  const listed = await call(client, 'get_tabs');
+  assert.doesNotMatch(listed.text, /bank/);
+  assert.match(listed.text, /hidden_by_policy=1$/);
+  const status = JSON.parse((await call(client, 'get_status')).text.split('\n')[0]);
+  assert.deepEqual(status.policy.deny_origins, ['*.bank.test']);
+  await client.close();
+});
+
+test('batch: ogni step passa dalla policy come il tool omonimo', async () => {
+  const ws = fakeManager();
+  const client = await connect(ws, STAGING);
+  const res = JSON.parse((await call(client, 'batch', {
+    steps: [
+      { command: 'click', params: { selector: '#ok' } },
+      { command: 'get_storage', params: { tab_id: 3 } },
+    ],
+  })).text.split('\n')[0]);
+  assert.equal(res.completed, 1);
+  assert.match(res.steps[1].error, /get_storage is forbidden on https:\/\/admin\.staging\.test/);
+  await client.close();
+});
+
+test('read_only: solo i tool di lettura; max_tabs conta le schede aperte dalla sessione', async () => {
+  const ws = fakeManager();
+  const ro = await connect(ws, { read_only: true });
+  assert.match((await call(ro, 'click', { selector: '#x' })).text, /Blocked by policy: read-only mode, and click can change/);
+  assert.equal((await call(ro, 'get_tabs')).error, false);
+  await ro.close();
+
+  const client = await connect(ws, { max_tabs: 2 });
+  assert.equal((await call(client, 'create_tab', { url: 'https://a.test/' })).error, false);
+  assert.equal((await call(client, 'create_tab', { url: 'https://b.test/' })).error, false);
+  assert.match((await call(client, 'create_tab', { url: 'https://c.test/' })).text, /max_tabs is 2 and this session has 2 open/);
+  // Le tre schede già aperte dall'utente non contano; chiusa una delle sue, se ne riapre una
+  ws.tabs.splice(ws.tabs.findIndex((t) => t.id === 10), 1);
+  assert.equal((await call(client, 'create_tab', { url: 'https://c.test/' })).error, false);
+  await client.close();
+});
+
+test('network_rules: il filtro resta dentro le origini permesse, anche il redirect', async () => {
+  const p = parsePolicy(STAGING);
+  const rule = (r) => () => p.checkNetworkRule(r, { own: 'http://127.0.0.1:5000' });
+  assert.doesNotThrow(rule({ url_filter: '|https://app.staging.test/api/' }));
+  // ||dominio^ vale per ogni schema e porta: lo copre solo un pattern senza schema né porta
+  assert.throws(rule({ url_filter: '||staging.test^' }), /covers staging\.test and its subdomains, not all in allow_origins/);
+  assert.doesNotThrow(() => parsePolicy({ allow_origins: ['*.staging.test'] }).checkNetworkRule({ url_filter: '||app.staging.test^' }));
+  assert.doesNotThrow(rule({ regex_filter: '^https://app\\.staging\\.test/api/[^/]*(?:[?].*)?$', regex_substitution: 'http://127.0.0.1:5000/__mock__/\\0' }));
+  assert.throws(rule({ url_filter: '||bank.test^' }), /url_filter "\|\|bank\.test\^" can reach deny_origins "\*\.bank\.test"/);
+  assert.throws(rule({ url_filter: '||test^' }), /can reach deny_origins/, 'i sottodomini di test comprendono la banca');
+  assert.throws(rule({ url_filter: '|https://www.bank.test/' }), /matches deny_origins/);
+  assert.throws(rule({ url_filter: '*/api/*' }), /can match any host/);
+  assert.throws(rule({ url_filter: '||localhost^' }), /not all in allow_origins/, 'http://localhost non copre *.localhost');
+  assert.throws(rule({ regex_filter: '^https://app\\.staging\\.test/|bank' }), /can match any host/);
+  assert.throws(rule({ regex_filter: '^https?://app\\.staging\\.test/' }), /http:\/\/app\.staging\.test is not in allow_origins/);
+  assert.throws(rule({ url_filter: '|https://app.staging.test/', redirect_url: 'https://evil.test/' }), /redirect target: https:\/\/evil\.test is not in allow_origins/);
+  assert.throws(rule({ url_filter: '|https://app.staging.test/', redirect_url: 'http://127.0.0.1:5001/__stub__/1' }), /redirect target/);
+  assert.throws(
+    rule({ regex_filter: '^https://app\\.staging\\.test/(.*)', regex_substitution: 'https://x.staging.test\\1' }),
+    /does not start with a fixed origin/,
+  );
+  // Senza origini ristrette nessun controllo
+  assert.doesNotThrow(() => parsePolicy({ read_only: false }).checkNetworkRule({ url_filter: '*' }));
+
+  const ws = fakeManager();
+  const client = await connect(ws, STAGING);
+  assert.match((await call(client, 'network_rules', { action: 'block', url_filter: '||bank.test^' })).text, /Blocked by policy/);
+  assert.match((await call(client, 'network_rules', { action: 'modify_header', url_filter: '*', header: 'x-frame-options' })).text, /can match any host/);
+  assert.equal((await call(client, 'network_rules', { action: 'stub', url_filter: '|https://app.staging.test/api/', body: '{}' })).error, false);
+  assert.equal((await call(client, 'network_rules', { action: 'list' })).error, false);
+  assert.deepEqual(ws.sent.filter((s) => s.type === 'network_rules').map((s) => s.params.action), ['redirect', 'list']);
+  await client.close();
+});
+
+test('cdp send: con origini ristrette serve allow_cdp_send', async () => {
+  const ws = fakeManager();
+  const client = await connect(ws, STAGING);
+  const res = await call(client, 'cdp', { action: 'send', method: 'Network.getAllCookies' });
+  assert.match(res.text, /Blocked by policy: cdp send can reach any origin .*"allow_cdp_send": true/);
+  assert.equal((await call(client, 'cdp', { action: 'status' })).error, false);
+  await client.close();
+
+  const open = await connect(ws, { ...STAGING, allow_cdp_send: true });
+  assert.equal((await call(open, 'cdp', { action: 'send', method: 'Performance.getMetrics' })).error, false);
+  await open.close();
+  // disable: ogni client chiuso libera il proprio debugger
+  assert.deepEqual(ws.sent.filter((s) => s.type === 'cdp').map((s) => s.params.action), ['status', 'disable', 'send', 'disable']);
+  assert.throws(() => parsePolicy({ allow_cdp_send: 'yes' }), /allow_cdp_send must be true or false/);
+});
@@ -0,0 +1,133 @@
+/**
+ * Risorse MCP: console e rete delle schede, recording e fixture su disco,
+ * notifiche resources/updated per le URI sottoscritte.
+ */
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { registerResources, resourceUri } from '../../server/resources.js';
+
+const dir = await mkdtemp(join(tmpdir(), 'cb-resources-'));
+after(() => rm(dir, { recursive: true, force: true }));
+await writeFile(join(dir, 'checkout.jsonl'), '{"command":"navigate","params":{"url":"https://shop.test/"}}\n');
+await writeFile(join(dir, 'shop_test.json'), '{"origin":"https://shop.test"}');
+
+const TABS = [{ id: 7, url: 'https://shop.test/', title: 'Shop' }, { id: 9, url: 'about:blank', title: '' }];
+
+/** Estensione finta: due schede, un errore in console, una richiesta fallita. */
+function fakeManager({ tabs = TABS, ownSession = null } = {}) {
+  const handlers = new Set();
+  const sent = [];
+  return {
+    sent,
+    ownSession,
+    isConnected: () => true,
+    sendCommand: async (type, params) => {
+      sent.push({ type, params });
+      if (type === 'get_tabs') return tabs;
+      if (type === 'read_console') return { messages: [{ level: 'error', args: ['boom'], timestamp: 0 }], count: 1 };
+      if (type === 'monitor_network') return { requests: [{ method: 'GET', url: 'https://shop.test/api', status: 500, type: 'xmlhttprequest' }], count: 1 };
+      return {};
+    },
+    onEvent: (h) => { handlers.add(h); return () => handlers.delete(h); },
+    emit: (event, data) => { for (const h of handlers) h({ type: 'event', event, data }, 'default'); },
+    handlers,
+  };
+}
+
+async function connect(ws, opts = {}) {
+  const server = new McpServer({ name: 'chrome-bridge', version: 'test' });
+  const res = registerResources(server, ws, { recordingsDir: dir, fixturesDir: dir, baselinesDir: dir, debounceMs: 0, ...opts });
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  const [a, b] = InMemoryTransport.createLinkedPair();
+  await Promise.all([server.connect(a), client.connect(b)]);
+  return { server, client, res };
+}
+
+test('elenco e lettura: console e rete per scheda, recording e fixture dal disco', async () => {
+  const ws = fakeManager();
+  const { client } = await connect(ws);
+  const uris = (await client.listResources()).resources.map((r) => r.uri);
+  assert.ok(uris.includes('chrome-bridge://tab/7/console'));
+  assert.ok(uris.includes('chrome-bridge://tab/9/network'));
+  assert.ok(uris.includes('chrome-bridge://recordings/checkout'));
+  assert.ok(uris.includes('chrome-bridge://fixtures/shop_test'));
+
+  const cons = await client.readResource({ uri: resourceUri.console(7) });
+  assert.match(cons.contents[0].text, /boom/);
+  assert.deepEqual(ws.sent.find((s) => s.type === 'read_console').params, { tab_id: 7, limit: 200 });
+  const net = await client.readResource({ uri: resourceUri.network(7) });
+  assert.match(net.contents[0].text, /500/);
+
+  const rec = await client.readResource({ uri: resourceUri.recording('checkout') });
+  assert.equal(rec.contents[0].mimeType, 'application/x-ndjson');
+  assert.match(rec.contents[0].text, /"navigate"/);
+  // Un nome con un punto non esce dalla cartella (né legge name.actual)
+  await assert.rejects(() => client.readResource({ uri: 'chrome-bridge://recordings/..checkout' }), /Invalid resource name/);
+  await client.close();
+});
+
+test('subscribe: un errore console della scheda diventa resources/updated, solo per le URI sottoscritte', async () => {
+  const ws = fakeManager();
+  const { client, res } = await connect(ws);
+  const updated = [];
+  client.setNotificationHandler(ResourceUpdatedNotificationSchema, (n) => { updated.push(n.params.uri); });
+
+  await client.subscribeResource({ uri: resourceUri.console(7) });
+  assert.ok(res.subscriptions.has(resourceUri.console(7)));
+  ws.emit('console', { tab_id: 7, level: 'error', text: 'boom' });
+  ws.emit('console', { tab_id: 9, level: 'error', text: 'altra scheda' }); // non sottoscritta
+  ws.emit('network', { tab_id: 7, status: 500 });
+  await new Promise((r) => setTimeout(r, 20));
+  assert.deepEqual(updated, [resourceUri.console(7)]);
+
+  await client.unsubscribeResource({ uri: resourceUri.console(7) });
+  ws.emit('console', { tab_id: 7, level: 'error', text: 'di nuovo' });
+  await new Promise((r) => setTimeout(r, 20));
+  assert.equal(updated.length, 1);
+
+  // Chiusa la sessione, l'ascoltatore sugli eventi se ne va con lei
+  await client.close();
+  assert.equal(ws.handlers.size, 0);
+});
+
+test('debounce: una raffica di errori sulla stessa URI è una notifica sola', async () => {
+  const ws = fakeManager();
+  const { client } = await connect(ws, { debounceMs: 30 });
+  const updated = [];
+  client.setNotificationHandler(ResourceUpdatedNotificationSchema, (n) => { updated.push(n.params.uri); });
+  await client.subscribeResource({ uri: resourceUri.network(7) });
+  for (let i = 0; i < 50; i++) ws.emit('network', { tab_id: 7, status: 503 });
+  await new Promise((r) => setTimeout(r, 80));
+  assert.deepEqual(updated, [resourceUri.network(7)]);
+  await client.close();
+});
+
+test('sessioni: le schede di un\'altra sessione non si elencano, non si leggono e non notificano', async () => {
+  const tabs = [...TABS, { id: 11, url: 'https://admin.test/', title: 'Admin', session: 'agent-b' }];
+  const primary = fakeManager({ tabs });
+  const { client } = await connect(primary);
+  const updated = [];
+  client.setNotificationHandler(ResourceUpdatedNotificationSchema, (n) => { updated.push(n.params.uri); });
+  const uris = (await client.listResources()).resources.map((r) => r.uri);
+  assert.ok(uris.includes(resourceUri.console(7)));
+  assert.ok(!uris.includes(resourceUri.console(11)));
+  await assert.rejects(() => client.readResource({ uri: resourceUri.network(11) }), /Tab 11 belongs to session "agent-b" — read refused/);
+  await client.subscribeResource({ uri: resourceUri.console(11) });
+  primary.emit('console', { tab_id: 11, session: 'agent-b', text: 'boom' });
+  await new Promise((r) => setTimeout(r, 20));
+  assert.deepEqual(updated, []);
+  await client.close();
+
+  // Il relay agent-b legge la sua scheda, non quelle del primary
+  const relay = await connect(fakeManager({ tabs, ownSession: 'agent-b' }));
+  assert.match((await relay.client.readResource({ uri: resourceUri.console(11) })).contents[0].text, /boom/);
+  await assert.rejects(() => relay.client.readResource({ uri: resourceUri.console(7) }), /Tab 7 belongs to the primary session/);
+  await relay.client.close();
+});
@@ -0,0 +1,179 @@
+/**
+ * Sessioni nel service worker vero, su un Chrome finto: le schede che un
+ * relay apre (navigate senza tab_id, create_tab, duplicate) sono sue, get_tabs
+ * le mostra a lui e le altre sessioni non le chiudono. Lo stesso per i
+ * client HTTP del primary (WSManager.openSession). Le condizioni di rete
+ * restano del client che le ha messe.
+ */
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import WebSocket from 'ws';
+import { WSManager } from '../../server/ws-manager.js';
+
+async function waitFor(fn, ms = 2000) {
+  const start = Date.now();
+  while (Date.now() - start < ms) {
+    if (fn()) return true;
+    await new Promise((r) => setTimeout(r, 20));
+  }
+  return fn();
+}
+
+/**
+ * Chrome finto quanto basta al service worker: schede e gruppi in memoria,
+ * storage vero in Map, e per tutto il resto una funzione che risolve a
+ * undefined (listener, badge, script registrati, chrome.debugger).
+ * `perms.debugger` concede il permesso opzionale.
+ */
+function fakeChrome(port) {
+  const tabs = new Map();
+  let nextTab = 1;
+  let nextGroup = 100;
+  const perms = { debugger: false };
+  const area = (initial = {}) => {
+    const data = new Map(Object.entries(initial));
+    return {
+      get: async (defaults = {}) => Object.fromEntries(Object.entries(defaults).map(([k, v]) => [k, data.has(k) ? data.get(k) : v])),
+      set: async (items) => { for (const [k, v] of Object.entries(items)) data.set(k, v); },
+    };
+  };
+  const addTab = (props) => {
+    const tab = { id: nextTab++, windowId: 1, index: tabs.size, active: true, status: 'complete', title: '', url: 'chrome://newtab/', ...props };
+    for (const t of tabs.values()) t.active = false;
+    tabs.set(tab.id, tab);
+    return { ...tab };
+  };
+  const known = {
+    runtime: {
+      getManifest: () => ({ version: 'test' }),
+      getURL: () => 'data:text/plain,none',
+    },
+    storage: { local: area({ port }), session: area() },
+    tabs: {
+      create: async ({ url, active = true }) => addTab({ url: url ?? 'chrome://newtab/', active }),
+      get: async (id) => {
+        if (!tabs.has(id)) throw new Error(`No tab with id: ${id}.`);
+        return { ...tabs.get(id) };
+      },
+      query: async (q = {}) => [...tabs.values()].filter((t) => !q.active || t.active).map((t) => ({ ...t })),
+      duplicate: async (id) => addTab({ url: tabs.get(id).url, openerTabId: id }),
+      remove: async (id) => { tabs.delete(id); },
+      group: async () => nextGroup++,
+    },
+    tabGroups: { get: async (id) => ({ id, windowId: 1 }), update: async () => ({}) },
+    permissions: { contains: async ({ permissions }) => permissions.every((x) => perms[x]) },
+  };
+  const stub = () => new Proxy(() => Promise.resolve(), {
+    get: (_t, key) => (key === 'then' ? undefined : stub()),
+  });
+  const wrap = (obj) => new Proxy(obj, {
+    get: (target, key) => {
+      const v = target[key];
+      if (v === undefined) return stub();
+      return v && typeof v === 'object' ? wrap(v) : v;
+    },
+  });
+  return { chrome: wrap(known), tabs, perms };
+}
+
+// L'estensione parla al server da chrome-extension://: ws di Node con quell'Origin
+class ExtensionSocket extends WebSocket {
+  constructor(url) {
+    super(url, { headers: { origin: 'chrome-extension://test' } });
+  }
+}
+
+let primary;
+let fake;
+
+before(async () => {
+  primary = new WSManager(0, { identTimeout: 2000 });
+  await primary.start();
+  fake = fakeChrome(primary.wss.address().port);
+  globalThis.chrome = fake.chrome;
+  globalThis.WebSocket = ExtensionSocket;
+  globalThis.navigator ??= { userAgent: 'Node' };
+  await import('../../extension/service-worker.js');
+  assert.equal(await waitFor(() => primary.isConnected()), true);
+});
+
+after(async () => {
+  // Il service worker ritenta la connessione per sempre: con i timer finti i
+  // tentativi restano in coda e il processo del test può finire
+  mock.timers.enable({ apis: ['setTimeout'] });
+  await primary.stop();
+});
+
+async function relay(t, session) {
+  const r = new WSManager(primary.wss.address().port, { session });
+  await r._startRelay();
+  r.mode = 'relay';
+  t.after(() => r.stop());
+  return r;
+}
+
+test('navigate senza tab_id apre una scheda della sessione: get_tabs la mostra, le altre sessioni non la chiudono', async (t) => {
+  const mine = await relay(t, 'agent-a');
+  const other = await relay(t, 'agent-b');
+
+  const opened = await mine.sendCommand('navigate', { url: 'https://shop.test/' });
+  const listed = await mine.sendCommand('get_tabs', {});
+  assert.deepEqual(listed.map((t) => [t.id, t.session]), [[opened.tabId, 'agent-a']]);
+  assert.deepEqual(await other.sendCommand('get_tabs', {}), []);
+
+  const dup = await mine.sendCommand('tab_action', { action: 'duplicate', tab_id: opened.tabId });
+  assert.deepEqual((await mine.sendCommand('get_tabs', {})).map((t) => t.id), [opened.tabId, dup.duplicated]);
+
+  await assert.rejects(
+    other.sendCommand('tab_action', { action: 'close', tab_id: opened.tabId }),
+    /belongs to session "agent-a" — close refused/,
+  );
+  assert.equal(fake.tabs.has(opened.tabId), true);
+});
+
+test('due client HTTP dello stesso primary: ognuno vede e chiude solo le sue schede', async (t) => {
+  const a = primary.openSession('http-aaaa');
+  const b = primary.openSession('http-bbbb');
+  t.after(() => { a.end(); b.end(); });
+
+  const opened = await a.sendCommand('navigate', { url: 'https://admin.test/' });
+  assert.deepEqual((await a.sendCommand('get_tabs', {})).map((t) => t.id), [opened.tabId]);
+  assert.deepEqual(await b.sendCommand('get_tabs', {}), []);
+  await assert.rejects(
+    b.sendCommand('tab_action', { action: 'close', tab_id: opened.tabId }),
+    /belongs to session "http-aaaa" — close refused/,
+  );
+
+  // Client chiuso: la scheda torna libera e l'altro può chiuderla
+  a.end();
+  const tab = (await primary.sendCommand('get_tabs', {})).find((x) => x.id === opened.tabId);
+  assert.equal(tab.session, undefined);
+  await b.sendCommand('tab_action', { action: 'close', tab_id: opened.tabId });
+  assert.equal(fake.tabs.has(opened.tabId), false);
+});
+
+test('network_conditions: reset e set di un altro client rifiutati, tolte quando il proprietario si stacca', async (t) => {
+  fake.perms.debugger = true;
+  t.after(() => { fake.perms.debugger = false; });
+  const { tabId } = await primary.sendCommand('navigate', { url: 'https://slow.test/' });
+  const mine = { tab_id: tabId, cdp_client: 'aaaa' };
+  const other = { tab_id: tabId, cdp_client: 'bbbb' };
+
+  await primary.sendCommand('network_conditions', { ...mine, preset: 'offline' });
+  await assert.rejects(
+    primary.sendCommand('network_conditions', { ...other, action: 'reset' }),
+    /set by another MCP client — reset refused/,
+  );
+  await assert.rejects(
+    primary.sendCommand('network_conditions', { ...other, preset: 'slow-3g' }),
+    /set by another MCP client — set refused/,
+  );
+  await primary.sendCommand('network_conditions', { ...mine, preset: 'slow-3g' });
+  assert.equal((await primary.sendCommand('network_conditions', { ...other, action: 'status' })).preset, 'slow-3g');
+
+  // L'altro client tiene la scheda agganciata: le condizioni vanno via lo stesso
+  await primary.sendCommand('cdp', { ...other, method: 'Runtime.evaluate', params: { expression: '1' } });
+  await primary.sendCommand('cdp', { ...mine, action: 'disable' });
+  assert.equal((await primary.sendCommand('network_conditions', { ...other, action: 'status' })).active, false);
+  await primary.sendCommand('cdp', { ...other, action: 'disable' });
+});
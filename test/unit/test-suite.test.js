@@ -0,0 +1,180 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stringify as stringifyYaml } from 'yaml';
+import {
+  jsonReport, junitReport, parseReplayFile, parseTestSuite, recordingToSuite, runHealingStep, runTestSuite,
+  summarizeTests, tapReport,
+} from '../../server/test-suite.js';
+
+const SUITE = `
+name: shop
+vars: { base: https://shop.test }
+timeout: 1000
+beforeEach:
+  - { command: session_fixture, params: { action: restore, name: clean } }
+afterEach:
+  - emulate_media: { reset: true }
+tests:
+  - name: "login as {{user}}"
+    tags: [smoke, auth]
+    data:
+      - { user: jane }
+      - { user: joe }
+    steps:
+      - navigate: { url: "{{base}}/login?u={{user}}" }
+      - { command: click, params: { selector: "#go" }, retries: 2 }
+  - name: checkout
+    tags: [checkout]
+    steps:
+      - { command: wait_for_element, params: { selector: ".done" }, timeout: 20 }
+  - name: legacy
+    skip: true
+    steps: [{ navigate: { url: x } }]
+`;
+
+/** Estensione finta: i comandi in `fail` falliscono le prime N volte, `hang` non risponde mai. */
+function fakeBrowser({ fail = {}, hang = [] } = {}) {
+  const state = { calls: [] };
+  state.send = async (type, params) => {
+    state.calls.push({ type, params });
+    if (hang.includes(type)) return new Promise(() => {});
+    if (fail[type] > 0) {
+      fail[type]--;
+      throw new Error(`${type} failed`);
+    }
+    return { ok: true };
+  };
+  return state;
+}
+
+test('parseTestSuite: forma breve degli step, default e validazione', () => {
+  const suite = parseTestSuite(SUITE, 'shop.yaml');
+  assert.equal(suite.name, 'shop');
+  assert.equal(suite.timeout, 1000);
+  assert.deepEqual(suite.afterEach[0], { command: 'emulate_media', params: { reset: true }, timeout: undefined, retries: undefined });
+  assert.deepEqual(suite.tests[0].steps[1], { command: 'click', params: { selector: '#go' }, timeout: undefined, retries: 2 });
+  assert.equal(suite.tests[2].skip, true);
+
+  assert.throws(() => parseTestSuite('tests: []', 's.yaml'), /non-empty "tests"/);
+  assert.throws(() => parseTestSuite('tests: [{ steps: [] }]', 's.yaml'), /"name" is required/);
+  assert.throws(() => parseTestSuite('tests: [{ name: a, data: [1] }]', 's.yaml'), /"data" must be a list of objects/);
+  assert.throws(() => parseTestSuite('tests: [{ name: a, steps: [{ click: {}, hover: {} }] }]', 's.yaml'), /tests\[0\] \(a\)\.steps\[0\]: use \{ command, params \}/);
+});
+
+test('runTestSuite: tabelle di dati, hook, retry dello step e timeout', async () => {
+  const browser = fakeBrowser({ fail: { click: 1 }, hang: ['wait_for_element'] });
+  const results = await runTestSuite(browser.send, parseTestSuite(SUITE, 'shop.yaml'), { retryDelay: 0 });
+  assert.deepEqual(results.map((r) => [r.name, r.status]), [
+    ['login as jane', 'passed'], ['login as joe', 'passed'], ['checkout', 'failed'], ['legacy', 'skipped'],
+  ]);
+  // La riga di data riempie i params; beforeEach/afterEach attorno a ogni istanza
+  const first = browser.calls.slice(0, 5).map((c) => c.type);
+  assert.deepEqual(first, ['session_fixture', 'navigate', 'click', 'click', 'emulate_media']);
+  assert.equal(browser.calls[1].params.url, 'https://shop.test/login?u=jane');
+  assert.equal(results[0].steps.find((s) => s.command === 'click').attempts, 2);
+
+  // Il timeout dello step vince su quello della suite; afterEach gira lo stesso
+  assert.equal(results[2].error, 'wait_for_element timed out after 20ms');
+  assert.equal(results[2].failed_step, 'test #1 wait_for_element');
+  assert.equal(results[2].steps.at(-1).phase, 'afterEach');
+  assert.equal(results[3].reason, 'skip: true');
+  assert.deepEqual(summarizeTests(results), { total: 4, passed: 2, failed: 1, skipped: 1 });
+});
+
+test('runTestSuite: tag, grep, --vars e retry dell\'intero test', async () => {
+  const suite = parseTestSuite(SUITE, 'shop.yaml');
+  const browser = fakeBrowser();
+  const smoke = await runTestSuite(browser.send, suite, { tags: ['smoke'], vars: { base: 'http://localhost:3000' }, retryDelay: 0 });
+  assert.deepEqual(smoke.map((r) => r.status), ['passed', 'passed', 'skipped', 'skipped']);
+  assert.equal(smoke[2].reason, 'tags smoke');
+  assert.equal(browser.calls[1].params.url, 'http://localhost:3000/login?u=jane');
+
+  const only = await runTestSuite(browser.send, suite, { grep: 'JOE', retryDelay: 0 });
+  assert.deepEqual(only.filter((r) => r.status !== 'skipped').map((r) => r.name), ['login as joe']);
+
+  const flaky = parseTestSuite('tests: [{ name: flaky, retries: 2, steps: [{ reload: {} }] }]', 'f.yaml');
+  const r = await runTestSuite(fakeBrowser({ fail: { reload: 2 } }).send, flaky, { retryDelay: 0 });
+  assert.equal(r[0].status, 'passed');
+  assert.equal(r[0].attempts, 3);
+  const broken = await runTestSuite(fakeBrowser({ fail: { reload: 5 } }).send, flaky, { retryDelay: 0 });
+  assert.equal(broken[0].status, 'failed');
+  assert.equal(broken[0].attempts, 3);
+});
+
+test('report: TAP, JUnit XML e JSON', async () => {
+  const browser = fakeBrowser({ hang: ['wait_for_element'] });
+  const results = await runTestSuite(browser.send, parseTestSuite(SUITE, 'shop.yaml'), { retryDelay: 0 });
+
+  const tap = tapReport(results);
+  assert.match(tap, /^TAP version 13\n1\.\.4\nok 1 - login as jane\n/);
+  assert.match(tap, /not ok 3 - checkout\n {2}---\n {2}message: "wait_for_element timed out after 20ms"\n {2}step: "test #1 wait_for_element"/);
+  assert.match(tap, /ok 4 - legacy # SKIP skip: true/);
+  assert.match(tap, /# pass 2\n# fail 1\n# skip 1$/);
+
+  const junit = junitReport('shop', results);
+  assert.match(junit, /<testsuite name="shop" tests="4" failures="1" errors="0" skipped="1"/);
+  assert.match(junit, /<failure type="step" message="test #1 wait_for_element: wait_for_element timed out after 20ms">beforeEach #1 session_fixture ok \{&quot;ok&quot;:true\}/);
+  assert.match(junit, /<skipped message="skip: true"\/>/);
+
+  const json = JSON.parse(jsonReport('shop', results));
+  assert.deepEqual(json.summary, { total: 4, passed: 2, failed: 1, skipped: 1 });
+  assert.equal(json.tests[0].steps[0].result, '{"ok":true}');
+});
+
+test('recordingToSuite: un recording diventa una suite che parseTestSuite rilegge', () => {
+  const rec = '{"command":"navigate","params":{"url":"https://a.test/"}}\n{"command":"click","params":{"selector":"#go"}}\n';
+  const suite = recordingToSuite(rec, 'login');
+  assert.deepEqual(suite.tests[0].steps.map((s) => s.command), ['navigate', 'click']);
+  // La CLI la scrive in YAML (test --from-recording)
+  const back = parseTestSuite(stringifyYaml(suite), 'login.yaml');
+  assert.equal(back.tests[0].name, 'login');
+  assert.deepEqual(back.tests[0].steps[1].params, { selector: '#go' });
+});
+
+test('runHealingStep: selettore rotto, riparato dalla prima strategia con un solo risultato', async () => {
+  const rec = JSON.stringify({
+    command: 'click',
+    params: { selector: 'div:nth-of-type(3) > button' },
+    locators: {
+      css: 'div:nth-of-type(3) > button',
+      testid: 'testid="save"',
+      role: 'role=button[name="Save"]',
+      position: '#editor >> css=button >> nth=1',
+    },
+  });
+  const [step] = parseReplayFile(rec + '\n');
+  assert.equal(step.locators.role, 'role=button[name="Save"]');
+
+  // La pagina è cambiata: il CSS non trova niente, il testid è sparito,
+  // il ruolo è unico
+  const matches = { 'testid="save"': 0, 'role=button[name="Save"]': 1, '#editor >> css=button >> nth=1': 1 };
+  const calls = [];
+  const send = async (type, params) => {
+    calls.push([type, params.selector]);
+    if (type === 'query_dom') return { count: matches[params.selector] ?? 0, elements: [] };
+    if (params.selector === step.params.selector) throw new Error(`Element not found: ${params.selector}`);
+    return { clicked: true };
+  };
+  const res = await runHealingStep(send, step);
+  assert.deepEqual(res.healed, { strategy: 'role', selector: 'role=button[name="Save"]' });
+  assert.deepEqual(res.data, { clicked: true });
+  assert.deepEqual(calls.map((c) => c[0]), ['click', 'query_dom', 'query_dom', 'click']);
+
+  // Nessuna strategia univoca: l'errore originale, senza cliccare a caso
+  matches['role=button[name="Save"]'] = 2;
+  delete matches['#editor >> css=button >> nth=1'];
+  await assert.rejects(() => runHealingStep(send, step), /Element not found: div:nth-of-type\(3\)/);
+  // Gli errori che non sono "elemento assente" non si riparano
+  const other = async () => { throw new Error('No tab with id: 5'); };
+  await assert.rejects(() => runHealingStep(other, step), /No tab with id/);
+  // Senza bundle (recording vecchi) è runStep
+  assert.deepEqual(await runHealingStep(async () => ({ ok: true }), { command: 'reload', params: {} }), { data: { ok: true } });
+
+  // test --from-recording tiene il bundle e la suite ripara lo step allo stesso modo
+  matches['role=button[name="Save"]'] = 1;
+  const suite = parseTestSuite(stringifyYaml(recordingToSuite(rec + '\n', 'save')), 'save.yaml');
+  assert.equal(suite.tests[0].steps[0].locators.testid, 'testid="save"');
+  const [r] = await runTestSuite(send, suite, { retryDelay: 0 });
+  assert.equal(r.status, 'passed');
+  assert.deepEqual(r.steps[0].healed, { strategy: 'role', selector: 'role=button[name="Save"]' });
+});
@@ -20,8 +20,8 @@ const ALL = measure('all').totals.n_tools;
 const CORE = measure('core').totals.n_tools;
 
 test('il conteggio misurato è quello dichiarato nei metadati', () => {
-  assert.equal(ALL, 63, 'se il numero di tool cambia, aggiorna i documenti sotto');
-  assert.equal(CORE, 34);
+  assert.equal(ALL, 68, 'se il numero di tool cambia, aggiorna i documenti sotto');
+  assert.equal(CORE, 35);
 
   const pkg = JSON.parse(read('package.json'));
   assert.match(pkg.description, new RegExp(`${ALL} tools`), `package.json: "${pkg.description}"`);
@@ -0,0 +1,101 @@
+/**
+ * batch: una sequenza nota di step in un turno solo, con il vocabolario dei
+ * recording di session_record (più wait_for e assert, che sono tool).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerTools } from '../../server/tools.js';
+import { MessageType } from '../../server/protocol.js';
+
+/** Estensione finta: una tab che cambia url a ogni navigate/click su "a.next". */
+function build(overrides = {}) {
+  const handlers = new Map();
+  const sent = [];
+  const tab = { id: 5, url: 'https://shop.test/', title: 'Shop', active: true };
+  registerTools(
+    { tool: (n, _d, _s, ...rest) => handlers.set(n, rest.at(-1)) },
+    {
+      isConnected: () => true,
+      mode: 'primary',
+      port: 8765,
+      sendCommand: async (type, params) => {
+        sent.push({ type, params });
+        if (overrides[type]) return overrides[type](params);
+        if (type === MessageType.GET_TABS) return [{ ...tab }];
+        if (type === MessageType.NAVIGATE) {
+          tab.url = params.url;
+          return { tabId: 5, url: params.url };
+        }
+        if (type === MessageType.CLICK && params.selector === 'a.next') tab.url += 'next';
+        if (type === MessageType.QUERY_DOM) return { count: 1, elements: [{ text: '42,00 €' }] };
+        return { ok: true };
+      },
+    },
+    'all',
+  );
+  const batch = async (args) => JSON.parse((await handlers.get('batch')({ continue_on_error: false, ...args })).content[0].text);
+  return { handlers, sent, batch };
+}
+
+test('batch: step in ordine, page_changed per step e variabili da save_as', async () => {
+  const { sent, batch } = build();
+  const out = await batch({
+    vars: { base: 'https://shop.test' },
+    steps: [
+      { command: 'navigate', params: { url: '{{base}}/cart' } },
+      { command: 'query_dom', params: { selector: '.total' }, save_as: 'total' },
+      { command: 'type_text', params: { selector: '#note', text: 'paid {{total.elements.0.text}}' } },
+      { command: 'click', params: { selector: 'a.next' } },
+    ],
+  });
+  assert.equal(out.ok, true);
+  assert.equal(out.completed, 4);
+  assert.deepEqual(out.vars, ['base', 'total']);
+  assert.deepEqual(out.steps[0].page_changed, { url: 'https://shop.test/cart' });
+  assert.equal(out.steps[1].page_changed, undefined);
+  assert.deepEqual(out.steps[3].page_changed, { url: 'https://shop.test/cartnext' });
+  const typed = sent.find((m) => m.type === MessageType.TYPE_TEXT);
+  assert.equal(typed.params.text, 'paid 42,00 €');
+  // Dopo navigate gli step vanno alla tab di sessione
+  assert.equal(sent.find((m) => m.type === MessageType.CLICK).params.tab_id, 5);
+});
+
+test('batch: si ferma al primo errore, o continua se richiesto', async () => {
+  const failing = { [MessageType.CLICK]: () => { throw new Error('Element not found: #missing'); } };
+  const steps = [
+    { command: 'click', params: { selector: '#missing' } },
+    { command: 'press_key', params: { key: 'Enter' } },
+  ];
+  const stop = await build(failing).batch({ steps });
+  assert.equal(stop.ok, false);
+  assert.equal(stop.failed, 1);
+  assert.equal(stop.skipped, 1);
+  assert.deepEqual([stop.steps[0].ok, stop.steps[0].error], [false, 'Element not found: #missing']);
+
+  const go = await build(failing).batch({ steps, continue_on_error: true });
+  assert.equal(go.steps.length, 2);
+  assert.equal(go.completed, 1);
+  assert.equal(go.skipped, undefined);
+});
+
+test('batch: wait_for scaduto e assert fallito sono step falliti', async () => {
+  const { batch, sent } = build({
+    [MessageType.WAIT_FOR_ELEMENT]: () => ({ found: false, error: 'Element not found within 50ms: .done' }),
+  });
+  const waited = await batch({ steps: [{ command: 'wait_for', params: { condition: 'element', selector: '.done', timeout: 50 } }] });
+  assert.equal(waited.steps[0].error, 'Element not found within 50ms: .done');
+  assert.equal(sent.find((m) => m.type === MessageType.WAIT_FOR_ELEMENT).params.selector, '.done');
+
+  const asserted = await batch({ steps: [{ command: 'assert', params: { url: 'checkout', timeout: 0 } }] });
+  assert.match(asserted.steps[0].error, /Assertion failed/);
+});
+
+test('batch: comandi sconosciuti rifiutati prima di eseguire qualunque step', async () => {
+  const { batch, sent } = build();
+  await assert.rejects(
+    () => batch({ steps: [{ command: 'click', params: { selector: 'a' } }, { command: 'teleport' }] }),
+    /Step 2: unknown command "teleport"/,
+  );
+  assert.equal(sent.length, 0);
+  await assert.rejects(() => batch({ steps: [{ command: 'ping' }] }), /unknown command "ping"/);
+});
@@ -68,6 +68,7 @@ test('session_record: start → comandi registrati senza tab_id → stop', async
     navigate: { url: 'https://x.test', title: 'X', tabId: 5 },
     click: { clicked: true },
     get_tabs: [],
+    element_locators: (p) => ({ css: p.selector, role: 'role=button[name="Go"]', position: '#form >> css=button >> nth=0' }),
   });
   await handlers.get('session_record')({ action: 'start', name: 'flow-test' });
   await handlers.get('navigate')({ url: 'https://x.test' });
@@ -81,11 +82,47 @@ test('session_record: start → comandi registrati senza tab_id → stop', async
   const click = lines.find((l) => l.command === 'click');
   assert.equal(click.params.tab_id, undefined, 'tab_id strippato');
   assert.equal(click.params.selector, '#go');
+  // Bundle di locator chiesto alla tab del click, prima del click
+  assert.deepEqual(click.locators, { css: '#go', role: 'role=button[name="Go"]', position: '#form >> css=button >> nth=0' });
+  assert.equal(lines.find((l) => l.command === 'navigate').locators, undefined);
   // get_tabs (tabSnapshot interno) escluso
   assert.ok(!commands.includes('get_tabs'));
   await rm(RECORD_DIR, { recursive: true, force: true });
 });
 
+test('session_record: comandi in parallelo restano nell\'ordine di partenza', async () => {
+  const handlers = setup({
+    click: { clicked: true },
+    get_tabs: [],
+    // Il primo bundle arriva dopo il secondo
+    element_locators: (p) => new Promise((r) => setTimeout(() => r({ css: p.selector }), p.selector === '#slow' ? 30 : 0)),
+  });
+  await handlers.get('session_record')({ action: 'start', name: 'order-test' });
+  await Promise.all([handlers.get('click')({ selector: '#slow' }), handlers.get('click')({ selector: '#fast' })]);
+  await handlers.get('session_record')({ action: 'stop' });
+  const lines = (await readFile(join(RECORD_DIR, 'order-test.jsonl'), 'utf8')).trim().split('\n').map(JSON.parse);
+  assert.deepEqual(lines.filter((l) => l.command === 'click').map((l) => l.locators.css), ['#slow', '#fast']);
+  await rm(RECORD_DIR, { recursive: true, force: true });
+});
+
+test('session_record: un assert partito mentre il click aspetta i locator resta dopo il click', async () => {
+  let asked;
+  const locating = new Promise((r) => { asked = r; });
+  const handlers = setup({
+    click: { clicked: true },
+    get_tabs: [{ id: 5, url: 'https://x.test/done', active: true }],
+    element_locators: (p) => { asked(); return new Promise((r) => setTimeout(() => r({ css: p.selector }), 30)); },
+  });
+  await handlers.get('session_record')({ action: 'start', name: 'assert-order-test' });
+  const click = handlers.get('click')({ selector: '#go' });
+  await locating; // il click ha già il suo posto nel file
+  await Promise.all([click, handlers.get('assert')({ url: '/done' })]);
+  await handlers.get('session_record')({ action: 'stop' });
+  const lines = (await readFile(join(RECORD_DIR, 'assert-order-test.jsonl'), 'utf8')).trim().split('\n').map(JSON.parse);
+  assert.deepEqual(lines.map((l) => l.command).filter((c) => c !== 'get_interactives'), ['click', 'assert']);
+  await rm(RECORD_DIR, { recursive: true, force: true });
+});
+
 test('replay helpers: parse jsonl e sostituzione {{var}} ricorsiva', () => {
   const steps = parseReplayFile('{"command":"navigate","params":{"url":"https://{{host}}/login"}}\n\n{"command":"fill_form","params":{"fields":[{"selector":"#u","value":"{{user}}"}]}}\n');
   assert.equal(steps.length, 2);
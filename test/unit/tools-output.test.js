@@ -84,6 +84,23 @@ test('monitor_network: limit applicato anche al formato HAR', async () => {
   assert.equal(out.log.entries.length, 5);
 });
 
+test('monitor_network: inoltra i parametri di cattura dei body', async () => {
+  const handlers = new Map();
+  const fakeServer = { tool: (n, _d, _s, ...rest) => handlers.set(n, rest[rest.length - 1]) };
+  let sent;
+  const fakeWs = {
+    isConnected: () => true,
+    mode: 'primary',
+    port: 8765,
+    sendCommand: async (_type, params) => { sent = params; return { count: 0, requests: [] }; },
+  };
+  registerTools(fakeServer, fakeWs);
+  await handlers.get('monitor_network')({ capture_bodies: true, body_filter: '/api/', max_body_bytes: 1024 });
+  assert.equal(sent.capture_bodies, true);
+  assert.equal(sent.body_filter, '/api/');
+  assert.equal(sent.max_body_bytes, 1024);
+});
+
 test('oltre il cap si riducono gli ELEMENTI e il JSON resta parsabile', async () => {
   const elements = Array.from({ length: 500 }, (_, i) => ({
     tagName: 'div', id: `el-${i}`, textContent: 'x'.repeat(100),
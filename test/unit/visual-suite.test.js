@@ -0,0 +1,152 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { encodePng } from '../../server/png.js';
+import { junitXml, parseSuite, runSuite, summarize, writeHtmlReport } from '../../server/visual-suite.js';
+
+const dir = await mkdtemp(join(tmpdir(), 'cb-visual-'));
+after(() => rm(dir, { recursive: true, force: true }));
+
+const SUITE = `
+name: shop
+baseline_dir: ./baselines
+defaults:
+  viewports:
+    - { name: desktop, width: 1280, height: 800 }
+    - { name: mobile, width: 375, height: 812 }
+  max_diff_percent: 1
+tests:
+  - name: home
+    url: https://shop.test/
+  - name: cart
+    url: https://shop.test/cart
+    selector: "#cart"
+    viewports: [{ width: 800, height: 600 }]
+    media: [{ colorScheme: light }, { colorScheme: dark, name: night }]
+    ignore_selectors: [".clock"]
+`;
+
+function solid(w, h, v) {
+  const data = new Uint8Array(w * h * 4).fill(v);
+  for (let i = 3; i < data.length; i += 4) data[i] = 255;
+  return { width: w, height: h, data };
+}
+
+/**
+ * Browser finto: registra i comandi e cattura un'immagine che si può cambiare
+ * per URL, così un caso fallisce e gli altri no.
+ */
+function fakeBrowser() {
+  const state = { calls: [], url: null, shots: {}, broken: new Set() };
+  state.send = async (type, params = {}) => {
+    state.calls.push({ type, params });
+    if (type === 'create_tab') return { id: 7, window_id: 1 };
+    if (type === 'viewport_resize') {
+      // Cornice del browser di 16x80 px: la seconda chiamata la compensa
+      return { actual: { viewportWidth: params.width - 16, viewportHeight: params.height - 80 }, window: { width: params.width, height: params.height } };
+    }
+    if (type === 'navigate') {
+      if (state.broken.has(params.url)) throw new Error('net::ERR_NAME_NOT_RESOLVED');
+      state.url = params.url;
+      return { url: params.url };
+    }
+    if (type === 'screenshot_diff') {
+      const img = state.shots[state.url] ?? solid(4, 4, 255);
+      return {
+        image: encodePng(img).toString('base64'), width: img.width, height: img.height,
+        url: state.url, dpr: 1, viewport: null, selector: params.selector ?? null, ignore_rects: [],
+      };
+    }
+    return {};
+  };
+  return state;
+}
+
+test('parseSuite: test × viewport × media, nomi stabili e impostazioni del diff', () => {
+  const suite = parseSuite(SUITE, 'suite.yaml');
+  assert.equal(suite.name, 'shop');
+  assert.equal(suite.baselineDir, './baselines');
+  assert.deepEqual(suite.cases.map((c) => c.id), [
+    'home-desktop', 'home-mobile', 'cart-800x600-light', 'cart-800x600-night',
+  ]);
+  const night = suite.cases[3];
+  assert.deepEqual(night.media, { colorScheme: 'dark', name: 'night' });
+  assert.deepEqual(night.diff, { selector: '#cart', ignore_selectors: ['.clock'], max_diff_percent: 1 });
+  // JSON e lista nuda di test
+  const bare = parseSuite(JSON.stringify([{ url: 'https://a.test/' }]), 'suite.json');
+  assert.deepEqual(bare.cases.map((c) => c.id), ['test-1']);
+  assert.equal(bare.cases[0].viewport, null);
+});
+
+test('parseSuite: errori leggibili', () => {
+  assert.throws(() => parseSuite('tests: []', 's.yaml'), /non-empty "tests"/);
+  assert.throws(() => parseSuite('tests: [{ name: a }]', 's.yaml'), /tests\[0\] \(a\): "url" is required/);
+  assert.throws(() => parseSuite('tests: [{ url: x, viewports: [{ width: 10 }] }]', 's.yaml'), /integer width and height/);
+  assert.throws(() => parseSuite('tests: [{ url: x, media: { theme: dark } }]', 's.yaml'), /media accepts/);
+  assert.throws(() => parseSuite('tests: [{ name: a, url: x }, { name: a, url: y }]', 's.yaml'), /duplicate case "a"/);
+  assert.throws(() => parseSuite('{', 's.json'), /Invalid JSON/);
+});
+
+test('runSuite: prima esecuzione crea le baseline, la seconda confronta', async () => {
+  const suite = parseSuite(SUITE, 'suite.yaml');
+  const browser = fakeBrowser();
+  const first = await runSuite(browser.send, suite, { dir });
+  assert.deepEqual(first.map((r) => r.status), ['new', 'new', 'new', 'new']);
+  assert.ok((await readdir(dir)).includes('cart-800x600-night.png'));
+
+  // Finestra dedicata, viewport corretto per la cornice, attesa rete, media, chiusura
+  const types = browser.calls.map((c) => c.type);
+  assert.equal(types[0], 'create_tab');
+  assert.equal(types.at(-1), 'tab_action');
+  const resizes = browser.calls.filter((c) => c.type === 'viewport_resize').slice(0, 2).map((c) => c.params);
+  assert.deepEqual(resizes.map((p) => [p.width, p.height]), [[1280, 800], [1296, 880]]);
+  assert.ok(types.includes('wait_for_network_idle'));
+  const media = browser.calls.filter((c) => c.type === 'emulate_media').map((c) => c.params);
+  assert.deepEqual(media, [{ colorScheme: 'light', tab_id: 7 }, { colorScheme: 'dark', tab_id: 7 }]);
+  assert.ok(browser.calls.filter((c) => c.type !== 'create_tab').every((c) => c.params.tab_id === 7));
+
+  // Seconda esecuzione: il carrello cambia, la home non si carica più
+  browser.calls.length = 0;
+  browser.shots['https://shop.test/cart'] = solid(4, 4, 0);
+  browser.broken.add('https://shop.test/');
+  const second = await runSuite(browser.send, suite, { dir });
+  assert.deepEqual(second.map((r) => r.status), ['error', 'error', 'failed', 'failed']);
+  assert.match(second[0].message, /ERR_NAME_NOT_RESOLVED/);
+  assert.match(second[2].message, /100% changed \(max 1%\)/);
+  assert.ok(second[2].files.diff.endsWith('cart-800x600-light.diff.png'));
+  assert.deepEqual(summarize(second), { total: 4, passed: 0, failed: 2, errors: 2, created: 0, updated: 0 });
+  // La finestra si chiude anche quando i casi falliscono
+  assert.equal(browser.calls.at(-1).type, 'tab_action');
+
+  // --update riscrive, --filter restringe
+  const updated = await runSuite(browser.send, suite, { dir, update: true, filter: 'cart' });
+  assert.deepEqual(updated.map((r) => [r.id, r.status]), [['cart-800x600-light', 'updated'], ['cart-800x600-night', 'updated']]);
+  const again = await runSuite(browser.send, suite, { dir, filter: 'cart' });
+  assert.deepEqual(again.map((r) => r.status), ['passed', 'passed']);
+  await assert.rejects(() => runSuite(browser.send, suite, { dir, filter: 'nope' }), /No visual case matches "nope"/);
+});
+
+test('report: JUnit XML con failure/error e HTML con le immagini affiancate', async () => {
+  const suite = parseSuite('tests: [{ name: "a&b", url: "https://x.test/" }, { name: b, url: "https://y.test/" }]', 's.yaml');
+  const browser = fakeBrowser();
+  const reportDir = join(dir, 'report');
+  await runSuite(browser.send, suite, { dir });
+  browser.shots['https://y.test/'] = solid(4, 4, 0);
+  const results = await runSuite(browser.send, suite, { dir });
+  results.push({ id: 'c', url: 'https://z.test/', status: 'error', message: 'timeout <30s>', time_ms: 5 });
+
+  const junit = junitXml('demo', results);
+  assert.match(junit, /<testsuite name="demo" tests="3" failures="1" errors="1"/);
+  assert.match(junit, /<testcase classname="demo" name="a-b" time="[\d.]+"><\/testcase>/);
+  assert.match(junit, /<failure type="visual" message="100% changed \(max 0%\)">URL: https:\/\/y\.test\/\ndiff: .*b\.diff\.png/);
+  assert.match(junit, /<error type="error" message="timeout &lt;30s&gt;"\/>/);
+
+  const index = await writeHtmlReport(reportDir, 'demo', results);
+  const html = await readFile(index, 'utf8');
+  assert.match(html, /1 passed · 1 failed · 1 errors/);
+  assert.match(html, /<img src="images\/b\.diff\.png"/);
+  assert.match(html, /timeout &lt;30s&gt;/);
+  assert.deepEqual((await readdir(join(reportDir, 'images'))).sort(), ['a-b.baseline.png', 'b.actual.png', 'b.baseline.png', 'b.diff.png']);
+});
@@ -143,3 +143,196 @@ test('dopo ext_init il server risponde ext_init_ok con version', async () => {
   assert.match(msg.version, /^\d+\.\d+\.\d+$/);
   ws.close();
 });
+
+/** Estensione finta: risponde a ogni comando col proprio nome, e ai ping. */
+async function fakeExtension(p, init) {
+  const ws = new WebSocket(`ws://127.0.0.1:${p}`, { headers: { origin: 'chrome-extension://abc' } });
+  await new Promise((r) => ws.on('open', r));
+  const seen = [];
+  const hello = new Promise((resolve) => {
+    ws.on('message', (raw) => {
+      const msg = JSON.parse(raw.toString());
+      if (msg.type === 'ext_init_ok') { resolve(msg); return; }
+      if (msg.type === 'ping') return;
+      seen.push(msg);
+      if (msg.type !== 'hang') ws.send(JSON.stringify({ id: msg.id, type: 'result', data: { from: init.name ?? init.instance_id } }));
+    });
+  });
+  ws.send(JSON.stringify({ type: 'ext_init', ...init }));
+  return { ws, seen, hello: await hello };
+}
+
+test('più browser insieme: nomi, routing per browser, default al primo', async () => {
+  const m = new WSManager(0, { identTimeout: 200 });
+  await m.start();
+  const p = m.wss.address().port;
+  const admin = await fakeExtension(p, { name: 'admin', instance_id: 'i-1' });
+  const customer = await fakeExtension(p, { name: 'customer', instance_id: 'i-2' });
+  const anon = await fakeExtension(p, { instance_id: 'i-3', headless: true });
+  assert.equal(admin.hello.browser, 'admin');
+  assert.equal(anon.hello.browser, 'headless');
+
+  assert.deepEqual(m.browsers.map((b) => [b.name, b.default]), [['admin', true], ['customer', false], ['headless', false]]);
+  assert.deepEqual(await m.sendCommand('get_tabs', { browser: 'customer' }), { from: 'customer' });
+  assert.deepEqual(await m.sendCommand('get_tabs', {}), { from: 'admin' });
+  // `browser` è instradamento: non arriva all'estensione
+  assert.equal(customer.seen[0].params.browser, undefined);
+  await assert.rejects(() => m.sendCommand('get_tabs', { browser: 'nope' }), /"nope" not connected — connected: admin, customer, headless/);
+
+  // Stesso nome, istanza diversa: secondo browser con suffisso
+  const twin = await fakeExtension(p, { name: 'admin', instance_id: 'i-4' });
+  assert.equal(twin.hello.browser, 'admin-2');
+
+  // La caduta di un browser fa fallire solo i suoi comandi in volo
+  const hanging = m.sendCommand('hang', { browser: 'customer' });
+  const other = m.sendCommand('hang', { browser: 'admin' });
+  await waitFor(() => customer.seen.length === 2);
+  customer.ws.close();
+  await assert.rejects(hanging, /Extension disconnected/);
+  assert.equal(await waitFor(() => !m.browsers.some((b) => b.name === 'customer')), true);
+  assert.equal(m.pending.size, 1);
+  m._rejectAllPending('test cleanup');
+  await assert.rejects(other, /test cleanup/);
+
+  for (const x of [admin, anon, twin]) x.ws.close();
+  await m.stop();
+});
+
+test('riconnessione dello stesso browser sostituisce la vecchia e tiene il nome', async () => {
+  const m = new WSManager(0, { identTimeout: 200 });
+  await m.start();
+  const p = m.wss.address().port;
+  const first = await fakeExtension(p, { instance_id: 'i-9' });
+  const closed = waitClose(first.ws);
+  const again = await fakeExtension(p, { instance_id: 'i-9' });
+  assert.equal(again.hello.browser, first.hello.browser);
+  assert.equal(await closed, true);
+  assert.equal(m.browsers.length, 1);
+  again.ws.close();
+  await m.stop();
+});
+
+test('relay: params.browser instrada al browser giusto', async () => {
+  const m = new WSManager(0, { identTimeout: 200 });
+  await m.start();
+  const p = m.wss.address().port;
+  const a = await fakeExtension(p, { name: 'a', instance_id: 'i-a' });
+  const b = await fakeExtension(p, { name: 'b', instance_id: 'i-b' });
+  const relay = new WSManager(p);
+  await relay._startRelay();
+  relay.mode = 'relay';
+  assert.deepEqual(relay.browsers.map((x) => x.name), ['a', 'b']);
+  assert.deepEqual(await relay.sendCommand('get_tabs', { browser: 'b' }), { from: 'b' });
+  assert.equal(b.seen[0].params.browser, undefined);
+  await relay.stop();
+  a.ws.close();
+  b.ws.close();
+  await m.stop();
+});
+
+test('eventi spontanei: il primary li consegna e inoltra a ogni relay solo i suoi, col browser di origine', async () => {
+  const m = new WSManager(0, { identTimeout: 200 });
+  await m.start();
+  const p = m.wss.address().port;
+  const ext = await fakeExtension(p, { name: 'a', instance_id: 'i-ev' });
+  const relay = new WSManager(p, { session: 'agent-a' });
+  await relay._startRelay();
+  relay.mode = 'relay';
+  const other = new WSManager(p, { session: 'agent-b' });
+  await other._startRelay();
+  other.mode = 'relay';
+  const onPrimary = [];
+  const onRelay = [];
+  const onOther = [];
+  m.onEvent((msg, browser) => onPrimary.push([msg.event, browser]));
+  relay.onEvent((msg, browser) => onRelay.push([msg.event, msg.data, browser]));
+  other.onEvent((msg) => onOther.push([msg.event, msg.data]));
+  // Scheda senza sessione (del primary), scheda di agent-a, evento senza scheda
+  ext.ws.send(JSON.stringify({ type: 'event', event: 'console', data: { tab_id: 2, text: 'mine' } }));
+  ext.ws.send(JSON.stringify({ type: 'event', event: 'console', data: { tab_id: 3, session: 'agent-a', text: 'boom' } }));
+  ext.ws.send(JSON.stringify({ type: 'event', event: 'recorder', data: { action: 'start', name: 'flow' } }));
+  assert.equal(await waitFor(() => onRelay.length === 2 && onOther.length === 1), true);
+  assert.deepEqual(onPrimary, [['console', 'a'], ['console', 'a'], ['recorder', 'a']]);
+  assert.deepEqual(onRelay, [['console', { tab_id: 3, session: 'agent-a', text: 'boom' }, 'a'], ['recorder', { action: 'start', name: 'flow' }, 'a']]);
+  assert.deepEqual(onOther, [['recorder', { action: 'start', name: 'flow' }]]);
+  assert.equal(relay.ownSession, 'agent-a');
+  assert.equal(m.ownSession, null);
+  await other.stop();
+  await relay.stop();
+  ext.ws.close();
+  await m.stop();
+});
+
+test('sessioni relay: nome assegnato dal primary, marcato sui comandi, liberato alla chiusura', async () => {
+  const m = new WSManager(0, { identTimeout: 200 });
+  await m.start();
+  const p = m.wss.address().port;
+  const ext = await fakeExtension(p, { name: 'chrome', instance_id: 'i-s' });
+  assert.deepEqual(ext.hello.sessions, []);
+
+  const r1 = new WSManager(p, { session: null });
+  await r1._startRelay();
+  r1.mode = 'relay';
+  const r2 = new WSManager(p, { session: 'agent-b' });
+  await r2._startRelay();
+  r2.mode = 'relay';
+  assert.equal(r1.session, 'relay-1');
+  assert.equal(r2.session, 'agent-b');
+  assert.deepEqual(m.sessions.map((s) => s.name), ['relay-1', 'agent-b']);
+  await waitFor(() => r1.sessions.length === 2);
+  assert.deepEqual(r1.sessions.map((s) => [s.name, s.self]), [['relay-1', true], ['agent-b', false]]);
+
+  // La sessione la mette il primary: quella dichiarata dal relay non conta
+  await r2.sendCommand('get_tabs', { session: 'relay-1' });
+  assert.equal(ext.seen.at(-1).params.session, 'agent-b');
+  await m.sendCommand('get_tabs', {});
+  assert.equal(ext.seen.at(-1).params.session, undefined);
+
+  // Stesso nome chiesto da un secondo relay: suffisso
+  const r3 = new WSManager(p, { session: 'agent-b' });
+  await r3._startRelay();
+  r3.mode = 'relay';
+  assert.equal(r3.session, 'agent-b-2');
+  await r3.stop();
+
+  await r2.stop();
+  assert.equal(await waitFor(() => ext.seen.some((x) => x.type === 'end_session' && x.params.session === 'agent-b')), true);
+  assert.deepEqual(m.sessions.map((s) => s.name), ['relay-1']);
+
+  await r1.stop();
+  ext.ws.close();
+  await m.stop();
+});
+
+test('sessioni HTTP del primary: nome proprio, marcato sui comandi, liberato da end()', async () => {
+  const m = new WSManager(0, { identTimeout: 200 });
+  await m.start();
+  const p = m.wss.address().port;
+  const ext = await fakeExtension(p, { name: 'chrome', instance_id: 'i-h' });
+
+  const a = m.openSession('http-1a2b3c4d');
+  const b = m.openSession('http-1a2b3c4d');
+  assert.equal(a.ownSession, 'http-1a2b3c4d');
+  assert.equal(b.ownSession, 'http-1a2b3c4d-2');
+  assert.equal(m.ownSession, null);
+  assert.deepEqual(a.sessions.map((s) => [s.name, s.self]), [['http-1a2b3c4d', true], ['http-1a2b3c4d-2', false]]);
+
+  // Un relay non può prendere il nome di una sessione HTTP
+  const r = new WSManager(p, { session: 'http-1a2b3c4d' });
+  await r._startRelay();
+  r.mode = 'relay';
+  assert.equal(r.session, 'http-1a2b3c4d-3');
+
+  await a.sendCommand('get_tabs', { session: 'http-1a2b3c4d-2' });
+  assert.equal(ext.seen.at(-1).params.session, 'http-1a2b3c4d');
+  assert.equal(a.isConnected(), true);
+
+  a.end();
+  assert.equal(await waitFor(() => ext.seen.some((x) => x.type === 'end_session' && x.params.session === 'http-1a2b3c4d')), true);
+  assert.deepEqual(m.sessions.map((s) => s.name), ['http-1a2b3c4d-3', 'http-1a2b3c4d-2']);
+
+  await r.stop();
+  b.end();
+  ext.ws.close();
+  await m.stop();
+});